@@ -0,0 +1,239 @@
+// Espace client « Mes analyses »
+// Un utilisateur connecté (session sos_session) dont l'email est vérifié retrouve les sessions payées
+// à cette adresse : statut, conversation, analyse envoyée (texte et PDF), factures, et peut poser
+// une question de suivi sur la même conversation.
+
+import { setCorsHeaders, handleCorsPreflight } from '../lib/utils.js';
+import {
+  getUserPaidSessions,
+  getSession,
+  getSessionMessages,
+  getSessionInvoices,
+  getInvoice,
+  addSessionMessage
+} from '../lib/db.js';
+import { getUserFromRequest } from '../lib/auth.js';
+import { getTranscriptMessages, renderSessionAnalysisPdf, getAnalysisFilename } from '../lib/analysis-document.js';
+import { renderInvoicePdf, getInvoiceFilename, toInvoiceSummary } from '../lib/invoices.js';
+import {
+  chatRateLimiter,
+  checkRateLimit,
+  sendRateLimitError,
+  addRateLimitHeaders
+} from '../lib/ratelimit.js';
+import { getOffers, getOffer } from '../lib/offers.js';
+import { getLLMProviderForConversation } from '../lib/llm/index.js';
+import logger from '../lib/logger.js';
+
+// Longueur maximale d'une question de suivi
+const FOLLOW_UP_MAX_LENGTH = 2000;
+
+// Instructions de l'assistant pour les questions posées après le paiement
+const FOLLOW_UP_INSTRUCTIONS = `Le questionnaire est terminé et le client a payé son analyse. Il revient depuis son espace client avec une question de suivi.
+Réponds de façon claire et concise à partir de la conversation et, si elle est fournie, de l'analyse qui lui a été remise.
+Ne repose pas les questions du questionnaire, ne propose pas de formule et n'utilise aucun tag ([PAIEMENT_PRET], [CHOIX_OFFRE:...]).
+Si la question nécessite l'avis d'un avocat (stratégie, rédaction d'actes, situation qui a changé), dis-le simplement.`;
+
+export default async function handler(req, res) {
+  // Configurer CORS
+  setCorsHeaders(res, req);
+
+  // Gérer preflight CORS
+  if (handleCorsPreflight(req, res)) {
+    return;
+  }
+
+  try {
+    const user = await getUserFromRequest(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentification requise' });
+    }
+
+    // Rattachement par email : uniquement si l'adresse du compte a été vérifiée
+    if (!user.emailVerifiedAt) {
+      return res.status(403).json({
+        error: 'Confirmez votre adresse email pour accéder à vos analyses',
+        verificationRequired: true
+      });
+    }
+
+    const { action, sessionId, invoiceId, question } = req.method === 'GET' ? req.query : req.body;
+
+    switch (action || 'analyses') {
+      case 'analyses':
+        // Sessions payées à l'email du compte
+        const sessions = await getUserPaidSessions(user.email);
+        const offerNames = await getOfferNames();
+
+        return res.status(200).json({
+          success: true,
+          analyses: sessions.map(session => ({
+            sessionId: session.sessionUuid,
+            expertise: session.expertise,
+            expertiseName: offerNames[session.expertise] || 'Analyse',
+            amount: session.amount,
+            paidAt: session.paidAt,
+            status: getClientStatus(session),
+            deliveredAt: session.clientDeliveredAt,
+            refundedAmount: session.refundedAmount
+          }))
+        });
+
+      case 'analysis':
+        // Détail : conversation, analyse envoyée et factures
+        const session = await getOwnSession(sessionId, user);
+        if (!session) {
+          return res.status(404).json({ error: 'Analyse non trouvée' });
+        }
+
+        const status = getClientStatus(session);
+        const messages = await getSessionMessages(session.id);
+        const invoices = await getSessionInvoices(session.id);
+        const offer = await getOffer(session.expertise, { includeInactive: true });
+
+        return res.status(200).json({
+          success: true,
+          analysis: {
+            sessionId: session.sessionUuid,
+            expertise: session.expertise,
+            expertiseName: offer?.name || 'Analyse',
+            amount: session.amount,
+            paidAt: session.paidAt,
+            status,
+            deliveredAt: session.clientDeliveredAt,
+            text: status === 'delivered' ? session.analysisDraft : null
+          },
+          messages: getTranscriptMessages(messages),
+          invoices: invoices.map(toInvoiceSummary)
+        });
+
+      case 'analysis-pdf':
+        // PDF de l'analyse envoyée
+        const pdfSession = await getOwnSession(sessionId, user);
+        if (!pdfSession) {
+          return res.status(404).json({ error: 'Analyse non trouvée' });
+        }
+
+        if (getClientStatus(pdfSession) !== 'delivered') {
+          return res.status(409).json({ error: 'Votre analyse n\'est pas encore disponible' });
+        }
+
+        const pdf = await renderSessionAnalysisPdf(pdfSession, await getSessionMessages(pdfSession.id));
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=${getAnalysisFilename(pdfSession)}`);
+        return res.status(200).send(pdf);
+
+      case 'invoice-pdf':
+        // Facture ou avoir d'une session du client
+        const invoiceSession = await getOwnSession(sessionId, user);
+        const invoice = invoiceSession && invoiceId ? await getInvoice(parseInt(invoiceId)) : null;
+        if (!invoice || invoice.sessionId !== invoiceSession.id) {
+          return res.status(404).json({ error: 'Facture non trouvée' });
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=${getInvoiceFilename(invoice)}`);
+        return res.status(200).send(renderInvoicePdf(invoice));
+
+      case 'follow-up':
+        // Question de suivi sur la conversation de la session
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        const text = typeof question === 'string' ? question.trim() : '';
+        if (!text || text.length > FOLLOW_UP_MAX_LENGTH) {
+          return res.status(400).json({ error: `Question requise (${FOLLOW_UP_MAX_LENGTH} caractères maximum)` });
+        }
+
+        const rateLimit = await checkRateLimit(chatRateLimiter, `follow-up:${user.id}`);
+        if (!rateLimit.success) {
+          logger.security('Rate limit questions de suivi dépassé');
+          return sendRateLimitError(res, rateLimit);
+        }
+        addRateLimitHeaders(res, rateLimit);
+
+        const followUpSession = await getOwnSession(sessionId, user);
+        if (!followUpSession) {
+          return res.status(404).json({ error: 'Analyse non trouvée' });
+        }
+
+        const answer = await askFollowUp(followUpSession, text);
+
+        return res.status(200).json({ success: true, response: answer });
+
+      default:
+        return res.status(400).json({ error: 'Action non reconnue' });
+    }
+
+  } catch (error) {
+    logger.error('Account API Error:', error);
+    return res.status(500).json({
+      error: 'Erreur lors du traitement de la demande'
+    });
+  }
+}
+
+/**
+ * Statut affiché au client : paid (payée), in_review (en revue) ou delivered (envoyée)
+ * @param {Object} session - Session payée
+ * @returns {string} Statut
+ */
+function getClientStatus(session) {
+  if (session.analysisStatus === 'delivered') return 'delivered';
+  if (session.analysisStatus) return 'in_review';
+  return 'paid';
+}
+
+/**
+ * Libellés des offres, retirées comprises (la commande peut être antérieure)
+ * @returns {Promise<Object>} Nom de l'offre par code
+ */
+async function getOfferNames() {
+  const offers = await getOffers({ includeInactive: true });
+  return Object.fromEntries(offers.map(offer => [offer.code, offer.name]));
+}
+
+/**
+ * Récupérer une session payée si elle appartient à l'utilisateur (même email)
+ * @param {string} sessionId - UUID de la session
+ * @param {Object} user - Utilisateur connecté
+ * @returns {Promise<Object|null>} Session ou null
+ */
+async function getOwnSession(sessionId, user) {
+  if (typeof sessionId !== 'string' || !sessionId) return null;
+
+  const session = await getSession(sessionId);
+  if (!session || !session.paid || !session.email) return null;
+
+  return session.email.toLowerCase() === user.email.toLowerCase() ? session : null;
+}
+
+/**
+ * Poser une question de suivi à l'assistant, sur la conversation de la session
+ * @param {Object} session - Session payée du client
+ * @param {string} question - Question
+ * @returns {Promise<string>} Réponse de l'assistant
+ */
+async function askFollowUp(session, question) {
+  // Fournisseur qui détient l'historique de la conversation
+  const llm = getLLMProviderForConversation(session.threadId);
+  if (!llm.isConfigured()) {
+    throw new Error(`Fournisseur LLM non configuré: ${llm.name}`);
+  }
+
+  const instructions = session.analysisStatus === 'delivered' && session.analysisDraft
+    ? `${FOLLOW_UP_INSTRUCTIONS}\n\nANALYSE REMISE AU CLIENT :\n${session.analysisDraft}`
+    : FOLLOW_UP_INSTRUCTIONS;
+
+  await llm.appendMessage(session.threadId, question);
+  const answer = await llm.run(session.threadId, { instructions });
+
+  await addSessionMessage(session.id, 'user', question);
+  await addSessionMessage(session.id, 'assistant', answer);
+
+  logger.info('Question de suivi client:', { sessionUuid: session.sessionUuid });
+
+  return answer;
+}
@@ -0,0 +1,114 @@
+// Journal des actions admin (rôle owner)
+// Consultation filtrée (administrateur, action, endpoint, résultat, cible, dates) et export CSV.
+// Le journal est en ajout seul : aucune action de modification ou de suppression.
+
+import { setCorsHeaders, handleCorsPreflight } from '../lib/utils.js';
+import { getAdminAuditLog, getAllAdminUsers } from '../lib/db.js';
+import { requireAdmin } from '../lib/admin-auth.js';
+import logger from '../lib/logger.js';
+
+// Nombre maximal de lignes par page et par export
+const PAGE_MAX_LIMIT = 200;
+const EXPORT_MAX_ROWS = 10000;
+
+export default async function handler(req, res) {
+  // Configurer CORS
+  setCorsHeaders(res, req);
+
+  // Gérer preflight CORS
+  if (handleCorsPreflight(req, res)) {
+    return;
+  }
+
+  try {
+    const admin = await requireAdmin(req, res, 'audit:read');
+    if (!admin) return;
+
+    const { action, limit = 50, offset = 0 } = req.query;
+
+    const filters = getFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    switch (action || 'list') {
+      case 'list':
+        const { entries, total } = await getAdminAuditLog({
+          ...filters,
+          limit: Math.min(parseInt(limit) || 50, PAGE_MAX_LIMIT),
+          offset: parseInt(offset) || 0
+        });
+
+        return res.status(200).json({
+          success: true,
+          entries,
+          total,
+          admins: (await getAllAdminUsers()).map(({ id, name, email }) => ({ id, name, email }))
+        });
+
+      case 'export':
+        // Export CSV des entrées filtrées
+        const exported = await getAdminAuditLog({ ...filters, limit: EXPORT_MAX_ROWS, offset: 0 });
+
+        const csvHeaders = ['Date', 'Administrateur', 'Rôle', 'Endpoint', 'Méthode', 'Action', 'Cible', 'Résultat', 'IP', 'Détails'];
+        const csvRows = exported.entries.map(entry => [
+          new Date(entry.createdAt).toLocaleString('fr-FR'),
+          entry.adminEmail || '',
+          entry.adminRole || '',
+          entry.endpoint || '',
+          entry.method || '',
+          entry.action,
+          entry.target || '',
+          entry.outcome,
+          entry.ipAddress || '',
+          entry.details ? JSON.stringify(entry.details) : ''
+        ].map(toCsvCell).join(';'));
+
+        const csvContent = [csvHeaders.join(';'), ...csvRows].join('\n');
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename=journal_admin_sosdivorce.csv');
+        return res.status(200).send('\uFEFF' + csvContent); // BOM pour Excel
+
+      default:
+        return res.status(400).json({ error: 'Action non reconnue' });
+    }
+
+  } catch (error) {
+    logger.error('Admin Audit API Error:', error);
+    return res.status(500).json({
+      error: 'Erreur lors de la récupération du journal'
+    });
+  }
+}
+
+/**
+ * Filtres du journal à partir des paramètres de la requête
+ * @returns {Object} Filtres pour getAdminAuditLog, ou { error }
+ */
+function getFilters(query) {
+  const { adminUserId, auditAction, endpoint, outcome, target, from, to } = query;
+
+  for (const date of [from, to]) {
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return { error: 'Dates au format AAAA-MM-JJ attendues' };
+    }
+  }
+
+  return {
+    adminUserId: adminUserId ? parseInt(adminUserId) || null : null,
+    action: auditAction || null,
+    endpoint: endpoint || null,
+    outcome: outcome || null,
+    target: target || null,
+    from: from || null,
+    to: to || null
+  };
+}
+
+/**
+ * Cellule CSV entre guillemets (les détails JSON contiennent des séparateurs)
+ */
+function toCsvCell(value) {
+  return `"${String(value).replace(/"/g, '""').replace(/\n/g, ' ')}"`;
+}
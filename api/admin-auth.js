@@ -0,0 +1,358 @@
+// Connexion à l'administration
+// Comptes nominatifs (admin_users), session par cookie HttpOnly (admin_session).
+// Le premier compte (rôle owner) est créé avec SETUP_KEY tant qu'aucun administrateur n'existe.
+// Double authentification TOTP : code (ou code de secours) demandé après le mot de passe pour les
+// comptes qui l'ont activée, enrôlement imposé à tous à partir de ADMIN_TOTP_REQUIRED_FROM.
+
+import { setCorsHeaders, handleCorsPreflight, isValidEmail } from '../lib/utils.js';
+import {
+  verifyAdminPassword,
+  countAdminUsers,
+  createAdminUser,
+  getAdminTotp,
+  setAdminTotpPendingSecret,
+  enableAdminTotp,
+  recordAdminTotpCounter,
+  replaceAdminBackupCodes,
+  useAdminBackupCode,
+  disableAdminTotp
+} from '../lib/db.js';
+import {
+  startAdminSession,
+  getAdminSessionFromRequest,
+  endAdminSession,
+  toAdminProfile,
+  recordAdminAction,
+  isAdminTotpRequired,
+  ADMIN_PASSWORD_MIN_LENGTH
+} from '../lib/admin-auth.js';
+import {
+  generateTotpSecret,
+  verifyTotpCode,
+  getTotpUri,
+  generateBackupCodes,
+  hashBackupCode
+} from '../lib/totp.js';
+import { renderQrSvg } from '../lib/qrcode.js';
+import {
+  loginRateLimiter,
+  getClientIp,
+  checkRateLimit,
+  sendRateLimitError,
+  addRateLimitHeaders
+} from '../lib/ratelimit.js';
+import logger from '../lib/logger.js';
+
+// Actions de l'administrateur connecté sur sa double authentification
+const TOTP_ACCOUNT_ACTIONS = ['totp-setup', 'totp-enable', 'totp-backup-codes', 'totp-disable'];
+
+export default async function handler(req, res) {
+  // Configurer CORS
+  setCorsHeaders(res, req);
+
+  // Gérer preflight CORS
+  if (handleCorsPreflight(req, res)) {
+    return;
+  }
+
+  try {
+    const { action, email, password, name, code, backupCode } = req.method === 'GET' ? req.query : req.body;
+
+    switch (action || 'me') {
+      case 'me':
+        // État de la session (code TOTP attendu, enrôlement imposé ou accès) et administrateur connecté
+        const session = await getAdminSessionFromRequest(req);
+        if (!session) {
+          return res.status(401).json({ error: 'Non connecté' });
+        }
+
+        return res.status(200).json(getSessionResponse(session));
+
+      case 'login':
+        return await handleLogin(req, res, email, password);
+
+      case 'totp-verify':
+        return await handleTotpVerify(req, res, { code, backupCode });
+
+      case 'logout':
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        const loggedOut = await getAdminSessionFromRequest(req);
+        if (loggedOut) {
+          await recordAdminAction(req, loggedOut.admin, { action: 'logout' });
+        }
+
+        res.setHeader('Set-Cookie', await endAdminSession(req));
+        return res.status(200).json({ success: true });
+
+      case 'setup':
+        return await handleSetup(req, res, { name, email, password });
+
+      default:
+        if (TOTP_ACCOUNT_ACTIONS.includes(action)) {
+          return await handleTotpAccount(req, res, action, code);
+        }
+        return res.status(400).json({ error: 'Action non reconnue' });
+    }
+
+  } catch (error) {
+    logger.error('Admin Auth API Error:', error);
+    return res.status(500).json({
+      error: 'Erreur lors du traitement de la demande'
+    });
+  }
+}
+
+/**
+ * Réponse décrivant une session : { success, state, admin, totpRequired }
+ * Pas de profil tant que le code TOTP n'a pas été saisi.
+ */
+function getSessionResponse({ admin, state }) {
+  return {
+    success: true,
+    state,
+    admin: state === 'totp' ? null : toAdminProfile(admin),
+    totpRequired: isAdminTotpRequired()
+  };
+}
+
+async function handleLogin(req, res, email, password) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const rateLimit = await checkRateLimit(loginRateLimiter, `admin:${getClientIp(req)}`);
+  if (!rateLimit.success) {
+    logger.security('Rate limit connexion admin dépassé');
+    return sendRateLimitError(res, rateLimit);
+  }
+  addRateLimitHeaders(res, rateLimit);
+
+  if (typeof email !== 'string' || !isValidEmail(email.trim()) || typeof password !== 'string' || !password) {
+    return res.status(400).json({ error: 'Email et mot de passe requis' });
+  }
+
+  const admin = await verifyAdminPassword(email.trim(), password);
+  if (!admin) {
+    logger.security('Échec de connexion admin');
+    await recordAdminAction(req, null, {
+      action: 'login',
+      outcome: 'failed',
+      target: `email:${email.trim().slice(0, 200)}`
+    });
+    return res.status(401).json({ error: 'Email ou mot de passe incorrect' });
+  }
+
+  // Double authentification activée : session en attente du code
+  if (admin.totpEnabled) {
+    await recordAdminAction(req, admin, { action: 'login-password', target: null });
+    res.setHeader('Set-Cookie', await startAdminSession(admin, { mfaPending: true }));
+
+    return res.status(200).json(getSessionResponse({ admin, state: 'totp' }));
+  }
+
+  await recordAdminAction(req, admin, { action: 'login', target: null });
+  res.setHeader('Set-Cookie', await startAdminSession(admin));
+  logger.info('Connexion admin:', { adminId: admin.id, role: admin.role });
+
+  return res.status(200).json(getSessionResponse({
+    admin,
+    state: isAdminTotpRequired() ? 'enroll' : 'active'
+  }));
+}
+
+/**
+ * Second facteur de connexion : code TOTP ou code de secours
+ * Tentatives limitées par compte (loginRateLimiter) : au-delà, la session en attente est fermée
+ * et il faut recommencer avec le mot de passe.
+ */
+async function handleTotpVerify(req, res, { code, backupCode }) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const session = await getAdminSessionFromRequest(req);
+  if (!session || session.state !== 'totp') {
+    return res.status(401).json({ error: 'Session expirée, reconnectez-vous', sessionExpired: true });
+  }
+
+  const { admin } = session;
+
+  const rateLimit = await checkRateLimit(loginRateLimiter, `admin-totp:${admin.id}`);
+  if (!rateLimit.success) {
+    logger.security('Double authentification admin bloquée après échecs répétés:', { adminId: admin.id });
+    await recordAdminAction(req, admin, { action: 'totp-lockout', outcome: 'denied', target: null });
+    res.setHeader('Set-Cookie', await endAdminSession(req));
+    return sendRateLimitError(res, rateLimit);
+  }
+  addRateLimitHeaders(res, rateLimit);
+
+  const useBackupCode = typeof backupCode === 'string' && backupCode.trim() !== '';
+  const verified = useBackupCode
+    ? await useAdminBackupCode(admin.id, hashBackupCode(backupCode))
+    : await checkAccountTotpCode(admin.id, code);
+
+  if (!verified) {
+    logger.security('Code de double authentification admin invalide:', { adminId: admin.id });
+    await recordAdminAction(req, admin, { action: 'totp-verify', outcome: 'failed', target: null });
+    return res.status(401).json({ error: 'Code invalide' });
+  }
+
+  // Nouvelle session complète, la session en attente est supprimée
+  await endAdminSession(req);
+  res.setHeader('Set-Cookie', await startAdminSession(admin));
+
+  await recordAdminAction(req, admin, {
+    action: 'login',
+    target: null,
+    details: { secondFactor: useBackupCode ? 'backup-code' : 'totp' }
+  });
+  logger.info('Connexion admin (double authentification):', { adminId: admin.id, role: admin.role });
+
+  return res.status(200).json(getSessionResponse({ admin, state: 'active' }));
+}
+
+/**
+ * Vérifier un code TOTP sur le secret actif du compte (code déjà utilisé refusé)
+ * @returns {Promise<boolean>}
+ */
+async function checkAccountTotpCode(adminId, code) {
+  const totp = await getAdminTotp(adminId);
+  if (!totp?.secret) return false;
+
+  const counter = verifyTotpCode(totp.secret, code, { lastCounter: totp.lastCounter });
+  return counter !== null && await recordAdminTotpCounter(adminId, counter);
+}
+
+/**
+ * Double authentification de l'administrateur connecté
+ * totp-setup : nouveau secret (QR code) ; totp-enable : confirmation par un premier code et codes de secours ;
+ * totp-backup-codes : nouveaux codes de secours ; totp-disable : désactivation (si non obligatoire).
+ */
+async function handleTotpAccount(req, res, action, code) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const session = await getAdminSessionFromRequest(req);
+  if (!session || session.state === 'totp') {
+    return res.status(401).json({ error: 'Authentification admin requise' });
+  }
+
+  const { admin } = session;
+
+  if (action === 'totp-setup') {
+    if (admin.totpEnabled) {
+      return res.status(409).json({ error: 'La double authentification est déjà activée' });
+    }
+
+    const secret = generateTotpSecret();
+    await setAdminTotpPendingSecret(admin.id, secret);
+
+    const uri = getTotpUri(secret, admin.email);
+    return res.status(200).json({ success: true, secret, uri, qrCode: renderQrSvg(uri) });
+  }
+
+  // Les autres actions demandent un code : mêmes limites que le second facteur de connexion
+  const rateLimit = await checkRateLimit(loginRateLimiter, `admin-totp:${admin.id}`);
+  if (!rateLimit.success) {
+    logger.security('Rate limit double authentification admin dépassé:', { adminId: admin.id });
+    return sendRateLimitError(res, rateLimit);
+  }
+  addRateLimitHeaders(res, rateLimit);
+
+  if (action === 'totp-enable') {
+    const totp = await getAdminTotp(admin.id);
+    if (admin.totpEnabled || !totp?.pendingSecret) {
+      return res.status(409).json({ error: 'Aucun enrôlement en cours' });
+    }
+
+    const counter = verifyTotpCode(totp.pendingSecret, code);
+    if (counter === null) {
+      return res.status(400).json({ error: 'Code invalide : vérifiez l\'heure de votre téléphone' });
+    }
+
+    const backupCodes = generateBackupCodes();
+    if (!(await enableAdminTotp(admin.id, counter, backupCodes.map(hashBackupCode)))) {
+      return res.status(409).json({ error: 'Aucun enrôlement en cours' });
+    }
+
+    await recordAdminAction(req, admin, { action, target: `adminUserId:${admin.id}` });
+    logger.info('Double authentification admin activée:', { adminId: admin.id });
+
+    return res.status(200).json({
+      success: true,
+      backupCodes,
+      admin: toAdminProfile({ ...admin, totpEnabled: true })
+    });
+  }
+
+  if (!admin.totpEnabled) {
+    return res.status(409).json({ error: 'La double authentification n\'est pas activée' });
+  }
+
+  if (action === 'totp-disable' && isAdminTotpRequired()) {
+    return res.status(403).json({ error: 'La double authentification est obligatoire' });
+  }
+
+  if (!(await checkAccountTotpCode(admin.id, code))) {
+    await recordAdminAction(req, admin, { action, outcome: 'failed', target: `adminUserId:${admin.id}` });
+    return res.status(400).json({ error: 'Code invalide' });
+  }
+
+  if (action === 'totp-backup-codes') {
+    const backupCodes = generateBackupCodes();
+    await replaceAdminBackupCodes(admin.id, backupCodes.map(hashBackupCode));
+
+    await recordAdminAction(req, admin, { action, target: `adminUserId:${admin.id}` });
+    return res.status(200).json({ success: true, backupCodes });
+  }
+
+  await disableAdminTotp(admin.id);
+
+  await recordAdminAction(req, admin, { action, target: `adminUserId:${admin.id}` });
+  logger.info('Double authentification admin désactivée:', { adminId: admin.id });
+
+  return res.status(200).json({ success: true, admin: toAdminProfile({ ...admin, totpEnabled: false }) });
+}
+
+/**
+ * Créer le premier compte administrateur (owner), protégé par SETUP_KEY
+ * Refusé dès qu'un administrateur existe : les comptes suivants se créent depuis admin.html.
+ */
+async function handleSetup(req, res, { name, email, password }) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const setupKey = req.headers['x-setup-key'];
+  if (!process.env.SETUP_KEY || setupKey !== process.env.SETUP_KEY) {
+    logger.security('Tentative de création du premier admin avec clé invalide');
+    return res.status(403).json({ error: 'Accès refusé. Clé de setup requise.' });
+  }
+
+  if (await countAdminUsers() > 0) {
+    return res.status(409).json({ error: 'Un administrateur existe déjà : connectez-vous pour créer les autres comptes' });
+  }
+
+  if (typeof name !== 'string' || !name.trim() || typeof email !== 'string' || !isValidEmail(email.trim())) {
+    return res.status(400).json({ error: 'Nom et email valides requis' });
+  }
+
+  if (typeof password !== 'string' || password.length < ADMIN_PASSWORD_MIN_LENGTH || password.length > 72) {
+    return res.status(400).json({ error: `Mot de passe de ${ADMIN_PASSWORD_MIN_LENGTH} à 72 caractères requis` });
+  }
+
+  const admin = await createAdminUser({ name: name.trim(), email: email.trim(), password, role: 'owner' });
+  await recordAdminAction(req, admin, { action: 'setup', target: `adminUserId:${admin.id}` });
+
+  res.setHeader('Set-Cookie', await startAdminSession(admin));
+  logger.info('Premier administrateur créé:', { adminId: admin.id });
+
+  return res.status(201).json(getSessionResponse({
+    admin,
+    state: isAdminTotpRequired() ? 'enroll' : 'active'
+  }));
+}
@@ -7,19 +7,16 @@ import {
   getAnonymousConversationSessions,
   countAnonymousConversationSessions
 } from '../lib/db.js';
+import { requireAdmin } from '../lib/admin-auth.js';
 
 export default async function handler(req, res) {
-  // Vérifier l'authentification admin
-  const adminKey = req.headers['x-admin-key'];
-
-  if (!adminKey || adminKey !== process.env.ADMIN_KEY) {
-    logInfo('security', 'Tentative d\'accès admin-conversations sans clé valide');
-    return sendError(res, 403, 'Accès refusé');
-  }
-
   const { action, sessionId, page = 1, limit = 50, dateFilter, userId } = req.query;
 
   try {
+    // Vérifier l'authentification admin (suppression : customers:delete)
+    const admin = await requireAdmin(req, res, req.method === 'DELETE' ? 'customers:delete' : 'customers:read');
+    if (!admin) return;
+
     // Router vers la bonne action
     switch(action) {
       case 'list':
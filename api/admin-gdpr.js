@@ -0,0 +1,132 @@
+// Demandes RGPD d'un client (droit d'accès et droit à l'effacement)
+// Recherche de toutes les données associées à un email, export JSON (portabilité) ou HTML
+// (lecture) et effacement / pseudonymisation avec suppression des threads OpenAI.
+// Le journal admin identifie la demande par une référence (empreinte de l'email), pas par l'email.
+
+import { setCorsHeaders, handleCorsPreflight, isValidEmail } from '../lib/utils.js';
+import {
+  collectPersonalData,
+  buildPersonalDataExport,
+  renderPersonalDataHtml,
+  erasePersonalData,
+  getRequestReference
+} from '../lib/gdpr.js';
+import { requireAdmin, recordAdminAction } from '../lib/admin-auth.js';
+import logger from '../lib/logger.js';
+
+export default async function handler(req, res) {
+  // Configurer CORS
+  setCorsHeaders(res, req);
+
+  // Gérer preflight CORS
+  if (handleCorsPreflight(req, res)) {
+    return;
+  }
+
+  try {
+    const { action, subjectEmail, confirmEmail, format = 'json' } = req.method === 'GET' ? req.query : req.body;
+
+    // Effacement : même permission que la suppression de conversations
+    const admin = await requireAdmin(req, res, action === 'erase' ? 'customers:delete' : 'customers:read');
+    if (!admin) return;
+
+    if (typeof subjectEmail !== 'string' || !isValidEmail(subjectEmail.trim())) {
+      return res.status(400).json({ error: 'Email de la personne requis' });
+    }
+
+    const email = subjectEmail.trim();
+
+    switch (action || 'search') {
+      case 'search':
+        // Inventaire des données trouvées (affiché avant export ou effacement)
+        const { data, summary } = await collectPersonalData(email);
+
+        return res.status(200).json({
+          success: true,
+          reference: getRequestReference(email),
+          summary,
+          sessions: data.sessions.map(session => ({
+            sessionUuid: session.sessionUuid,
+            status: session.status,
+            expertise: session.expertise,
+            amount: session.amount,
+            paid: session.paid,
+            createdAt: session.createdAt,
+            lastActivityAt: session.lastActivityAt,
+            retained: session.retained
+          })),
+          invoices: data.invoices.map(({ number, type, amountTtc, issuedAt }) => ({ number, type, amountTtc, issuedAt }))
+        });
+
+      case 'export':
+        // Fichier à transmettre à la personne
+        if (!['json', 'html'].includes(format)) {
+          return res.status(400).json({ error: 'Format invalide (json ou html)' });
+        }
+
+        const collected = await collectPersonalData(email);
+        if (collected.summary.total === 0) {
+          return res.status(404).json({ error: 'Aucune donnée trouvée pour cet email' });
+        }
+
+        const exported = buildPersonalDataExport(email, collected.data);
+        const filename = `donnees_personnelles_${exported.reference}.${format}`;
+
+        logger.info('Export RGPD:', { by: admin.id, reference: exported.reference, format });
+
+        res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+        if (format === 'html') {
+          res.setHeader('Content-Type', 'text/html; charset=utf-8');
+          return res.status(200).send(renderPersonalDataHtml(exported));
+        }
+
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        return res.status(200).send(JSON.stringify(exported, null, 2));
+
+      case 'erase':
+        // Effacement définitif : l'email doit être ressaisi
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        if (typeof confirmEmail !== 'string' || confirmEmail.trim().toLowerCase() !== email.toLowerCase()) {
+          return res.status(400).json({ error: 'Confirmez l\'effacement en saisissant à nouveau l\'email' });
+        }
+
+        const result = await erasePersonalData(email);
+
+        if (!result.erased) {
+          await recordAdminAction(req, admin, {
+            action: 'erase',
+            outcome: 'failed',
+            details: result.failedConversations ? { failedConversations: result.failedConversations.length } : null
+          });
+
+          return res.status(result.failedConversations ? 502 : 404).json({
+            error: result.error,
+            failedConversations: result.failedConversations
+          });
+        }
+
+        // Compte rendu de l'effacement au journal (nombre de lignes par table)
+        await recordAdminAction(req, admin, { action: 'erase-completed', details: result.counts });
+        logger.info('Effacement RGPD:', { by: admin.id, reference: getRequestReference(email) });
+
+        return res.status(200).json({
+          success: true,
+          reference: getRequestReference(email),
+          summary: result.summary,
+          counts: result.counts
+        });
+
+      default:
+        return res.status(400).json({ error: 'Action non reconnue' });
+    }
+
+  } catch (error) {
+    logger.error('Admin GDPR API Error:', error);
+    return res.status(500).json({
+      error: 'Erreur lors du traitement de la demande'
+    });
+  }
+}
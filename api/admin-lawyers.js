@@ -0,0 +1,178 @@
+// Administration des avocats et de la file de validation Premium
+// Comptes avocats, assignation des dossiers, vue des retards et relances manuelles
+
+import { setCorsHeaders, handleCorsPreflight, isValidEmail } from '../lib/utils.js';
+import {
+  createLawyer,
+  getAllLawyers,
+  setLawyerActive,
+  syncLawyerReviews,
+  getLawyerReviews,
+  getLawyerReviewCounts,
+  getLawyerReview,
+  assignLawyerReview
+} from '../lib/db.js';
+import {
+  LAWYER_REVIEW_SLA_HOURS,
+  LAWYER_REVIEW_STATUSES,
+  notifyLawyerAssignment,
+  sendLawyerReminders
+} from '../lib/lawyers.js';
+import { requireAdmin } from '../lib/admin-auth.js';
+import logger from '../lib/logger.js';
+
+// Longueur minimale du mot de passe initial d'un avocat
+const PASSWORD_MIN_LENGTH = 10;
+
+export default async function handler(req, res) {
+  // Configurer CORS
+  setCorsHeaders(res, req);
+
+  // Gérer preflight CORS
+  if (handleCorsPreflight(req, res)) {
+    return;
+  }
+
+  try {
+    const { action, status, lawyer, lawyerId, reviewId, active } = req.method === 'GET' ? req.query : req.body;
+
+    // Vérifier l'authentification admin (écriture : comptes, assignation, relances)
+    const admin = await requireAdmin(req, res, (action || 'list') === 'list' ? 'lawyers:read' : 'lawyers:write');
+    if (!admin) return;
+
+    switch (action || 'list') {
+      case 'list':
+        // Avocats, dossiers (filtre : statut ou overdue) et compteurs
+        if (status && status !== 'overdue' && !LAWYER_REVIEW_STATUSES.includes(status)) {
+          return res.status(400).json({ error: 'Statut invalide' });
+        }
+
+        await syncLawyerReviews(LAWYER_REVIEW_SLA_HOURS);
+
+        const [lawyers, reviews, counts] = await Promise.all([
+          getAllLawyers(),
+          getLawyerReviews({ status: status || null }),
+          getLawyerReviewCounts()
+        ]);
+
+        return res.status(200).json({
+          success: true,
+          lawyers,
+          reviews,
+          counts,
+          slaHours: LAWYER_REVIEW_SLA_HOURS
+        });
+
+      case 'create-lawyer':
+        // Créer un compte avocat (mot de passe initial transmis par l'équipe)
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        const lawyerError = validateLawyerInput(lawyer);
+        if (lawyerError) {
+          return res.status(400).json({ error: lawyerError });
+        }
+
+        try {
+          const created = await createLawyer({
+            name: lawyer.name.trim(),
+            email: lawyer.email.trim(),
+            password: lawyer.password,
+            bar: lawyer.bar ? String(lawyer.bar).trim().slice(0, 100) : null
+          });
+          return res.status(200).json({ success: true, lawyer: created });
+        } catch (error) {
+          // Violation de la contrainte UNIQUE sur email
+          if (error.code === '23505') {
+            return res.status(409).json({ error: 'Un avocat avec cet email existe déjà' });
+          }
+          throw error;
+        }
+
+      case 'toggle-lawyer':
+        // Activer / désactiver un compte (désactivation : sessions fermées)
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        if (!lawyerId || typeof active !== 'boolean') {
+          return res.status(400).json({ error: 'lawyerId et active requis' });
+        }
+
+        const toggled = await setLawyerActive(lawyerId, active);
+        if (!toggled) {
+          return res.status(404).json({ error: 'Avocat non trouvé' });
+        }
+
+        return res.status(200).json({ success: true, lawyer: toggled });
+
+      case 'assign':
+        // Assigner (ou réassigner) un dossier : il repasse en cours et l'avocat est prévenu
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        if (!reviewId || !lawyerId) {
+          return res.status(400).json({ error: 'reviewId et lawyerId requis' });
+        }
+
+        const assignee = (await getAllLawyers()).find(item => item.id === parseInt(lawyerId));
+        if (!assignee || !assignee.active) {
+          return res.status(400).json({ error: 'Avocat inconnu ou désactivé' });
+        }
+
+        const assigned = await assignLawyerReview(reviewId, assignee.id);
+        if (!assigned) {
+          return res.status(409).json({ error: 'Dossier introuvable ou déjà validé' });
+        }
+
+        const review = await getLawyerReview({ id: reviewId });
+        const notified = await notifyLawyerAssignment(review, assignee);
+
+        logger.info('Dossier avocat assigné:', { reviewId, lawyerId: assignee.id });
+
+        return res.status(200).json({ success: true, review, notified });
+
+      case 'send-reminders':
+        // Relances manuelles (même traitement que la tâche planifiée)
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        const result = await sendLawyerReminders();
+
+        return res.status(200).json({ success: true, ...result });
+
+      default:
+        return res.status(400).json({ error: 'Action non reconnue' });
+    }
+
+  } catch (error) {
+    logger.error('Admin Lawyers API Error:', error);
+    return res.status(500).json({
+      error: 'Erreur lors du traitement de la demande avocats'
+    });
+  }
+}
+
+/**
+ * Valider les données d'un nouveau compte avocat
+ * @param {Object} lawyer - { name, email, password, bar }
+ * @returns {string|null} Message d'erreur, ou null si valide
+ */
+function validateLawyerInput(lawyer) {
+  if (!lawyer || typeof lawyer.name !== 'string' || !lawyer.name.trim() || lawyer.name.trim().length > 100) {
+    return 'Nom requis (100 caractères maximum)';
+  }
+
+  if (typeof lawyer.email !== 'string' || !isValidEmail(lawyer.email.trim())) {
+    return 'Email invalide';
+  }
+
+  if (typeof lawyer.password !== 'string' || lawyer.password.length < PASSWORD_MIN_LENGTH || lawyer.password.length > 72) {
+    return `Mot de passe requis (${PASSWORD_MIN_LENGTH} à 72 caractères)`;
+  }
+
+  return null;
+}
@@ -0,0 +1,132 @@
+// Administration du catalogue des offres
+// Une offre n'est jamais supprimée (elle reste référencée par les sessions) : elle est retirée (active = false)
+
+import { setCorsHeaders, handleCorsPreflight } from '../lib/utils.js';
+import { createOffer, updateOffer } from '../lib/db.js';
+import { getOffers, clearOffersCache, OFFER_CODE_REGEX } from '../lib/offers.js';
+import { requireAdmin } from '../lib/admin-auth.js';
+import logger from '../lib/logger.js';
+
+export default async function handler(req, res) {
+  // Configurer CORS
+  setCorsHeaders(res, req);
+
+  // Gérer preflight CORS
+  if (handleCorsPreflight(req, res)) {
+    return;
+  }
+
+  try {
+    const { action, offer } = req.method === 'GET' ? req.query : req.body;
+
+    // Vérifier l'authentification admin (écriture : create, update)
+    const admin = await requireAdmin(req, res, (action || 'list') === 'list' ? 'offers:read' : 'offers:write');
+    if (!admin) return;
+
+    switch (action || 'list') {
+      case 'list':
+        // Toutes les offres, y compris retirées
+        clearOffersCache();
+        const offers = await getOffers({ includeInactive: true });
+
+        return res.status(200).json({
+          success: true,
+          offers
+        });
+
+      case 'create':
+        // Ajouter une offre au catalogue
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        if (!offer || !OFFER_CODE_REGEX.test(offer.code || '')) {
+          return res.status(400).json({
+            error: 'Code invalide (2 à 50 caractères : minuscules, chiffres, - et _)'
+          });
+        }
+
+        const createError = validateOfferInput(offer);
+        if (createError) {
+          return res.status(400).json({ error: createError });
+        }
+
+        try {
+          const created = await createOffer(offer);
+          clearOffersCache();
+          return res.status(200).json({ success: true, offer: created });
+        } catch (error) {
+          // Violation de la contrainte UNIQUE sur code
+          if (error.code === '23505') {
+            return res.status(409).json({ error: 'Une offre avec ce code existe déjà' });
+          }
+          throw error;
+        }
+
+      case 'update':
+        // Modifier une offre (prix, libellés, ordre) ou la retirer (active = false)
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        if (!offer || !offer.code) {
+          return res.status(400).json({ error: 'offer.code requis' });
+        }
+
+        const updateError = validateOfferInput(offer);
+        if (updateError) {
+          return res.status(400).json({ error: updateError });
+        }
+
+        const updated = await updateOffer(offer.code, offer);
+        if (!updated) {
+          return res.status(404).json({ error: 'Offre non trouvée' });
+        }
+
+        clearOffersCache();
+        return res.status(200).json({ success: true, offer: updated });
+
+      default:
+        return res.status(400).json({ error: 'Action non reconnue' });
+    }
+
+  } catch (error) {
+    logger.error('Admin Offers API Error:', error);
+    return res.status(500).json({
+      error: 'Erreur lors de la gestion des offres'
+    });
+  }
+}
+
+/**
+ * Valider les champs modifiables d'une offre
+ * @param {Object} offer - { name, shortName, description, price, position }
+ * @returns {string|null} Message d'erreur, ou null si valide
+ */
+function validateOfferInput(offer) {
+  if (!offer.name || !offer.name.trim() || offer.name.length > 255) {
+    return 'Nom de l\'offre requis (255 caractères max)';
+  }
+
+  if (!offer.shortName || !offer.shortName.trim() || offer.shortName.length > 100) {
+    return 'Nom court requis (100 caractères max)';
+  }
+
+  const price = Number(offer.price);
+  if (!Number.isInteger(price) || price < 50) {
+    return 'Prix invalide (en centimes, minimum 50)';
+  }
+  offer.price = price;
+
+  const position = Number(offer.position || 0);
+  if (!Number.isInteger(position)) {
+    return 'Position invalide';
+  }
+  offer.position = position;
+
+  offer.name = offer.name.trim();
+  offer.shortName = offer.shortName.trim();
+  offer.description = offer.description ? String(offer.description).trim() : null;
+
+  return null;
+}
@@ -1,12 +1,30 @@
 import { setCorsHeaders, handleCorsPreflight } from '../lib/utils.js';
 import {
-  getAllPaidSessions,
-  getPaidSession,
-  getPaidSessionMessages,
-  getPaymentStats
+  getAllSessions,
+  getSession,
+  getSessionMessages,
+  getPaymentStats,
+  getPaymentRefunds,
+  getSessionInvoices,
+  getInvoice,
+  getAllPromoCodes,
+  createPromoCode,
+  setPromoCodeActive,
+  SESSION_STATUSES
 } from '../lib/db.js';
+import { refundPayment, REFUND_REASONS } from '../lib/payments.js';
+import { issuePaymentInvoice, renderInvoicePdf, getInvoiceFilename, toInvoiceSummary } from '../lib/invoices.js';
+import { renderSessionAnalysisPdf, getAnalysisFilename } from '../lib/analysis-document.js';
+import { getOffer } from '../lib/offers.js';
+import { requireAdmin } from '../lib/admin-auth.js';
 import logger from '../lib/logger.js';
 
+// Actions qui modifient les paiements (permission payments:write)
+const WRITE_ACTIONS = ['invoice-generate', 'refund', 'promo-create', 'promo-toggle'];
+
+// Statuts des sessions dont le paiement a abouti
+const PAID_STATUSES = ['paid', 'delivered', 'refunded'];
+
 export default async function handler(req, res) {
   // Configurer CORS
   setCorsHeaders(res, req);
@@ -16,25 +34,28 @@ export default async function handler(req, res) {
     return;
   }
 
-  // Vérifier l'authentification admin
-  const adminKey = req.headers['x-admin-key'];
-  if (!adminKey || adminKey !== process.env.ADMIN_KEY) {
-    logger.security('Tentative d\'accès admin non autorisé');
-    return res.status(401).json({ error: 'Accès non autorisé' });
-  }
-
   try {
-    const { action, sessionId, limit = 50, offset = 0, paidOnly = false } =
+    const { action, sessionId, invoiceId, limit = 50, offset = 0, paidOnly = false, status, amount, reason, note, promo } =
       req.method === 'GET' ? req.query : req.body;
 
+    // Vérifier l'authentification admin (écriture : remboursements, factures, codes promo)
+    const admin = await requireAdmin(req, res, WRITE_ACTIONS.includes(action) ? 'payments:write' : 'customers:read');
+    if (!admin) return;
+
     switch (action || 'list') {
       case 'list':
-        // Lister toutes les sessions payantes
-        const sessions = await getAllPaidSessions(
-          parseInt(limit),
-          parseInt(offset),
-          paidOnly === 'true' || paidOnly === true
-        );
+        // Lister les sessions (toutes, payées uniquement, ou d'un statut donné)
+        if (status && !SESSION_STATUSES.includes(status)) {
+          return res.status(400).json({
+            error: `Statut invalide. Valeurs acceptées: ${SESSION_STATUSES.join(', ')}`
+          });
+        }
+
+        const sessions = await getAllSessions({
+          statuses: status ? [status] : (paidOnly === 'true' || paidOnly === true ? PAID_STATUSES : SESSION_STATUSES),
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        });
 
         return res.status(200).json({
           success: true,
@@ -49,13 +70,15 @@ export default async function handler(req, res) {
         }
 
         // Récupérer d'abord la session complète via UUID
-        const session = await getPaidSession(sessionId);
+        const session = await getSession(sessionId);
         if (!session) {
           return res.status(404).json({ error: 'Session non trouvée' });
         }
 
-        // Puis récupérer les messages avec l'ID numérique
-        const messages = await getPaidSessionMessages(session.id);
+        // Puis récupérer les messages, remboursements et factures avec l'ID numérique
+        const messages = await getSessionMessages(session.id);
+        const refunds = await getPaymentRefunds(session.id);
+        const invoices = await getSessionInvoices(session.id);
 
         return res.status(200).json({
           success: true,
@@ -65,15 +88,156 @@ export default async function handler(req, res) {
             email: session.email,
             expertise: session.expertise,
             amount: session.amount,
+            status: session.status,
+            statusUpdatedAt: session.statusUpdatedAt,
+            emailCollectedAt: session.emailCollectedAt,
+            lastActivityAt: session.lastActivityAt,
+            paymentAttempts: session.paymentAttempts,
             paid: session.paid,
             paidAt: session.paidAt,
             threadId: session.threadId,
-            emailSent: session.emailSent
+            adminNotifiedAt: session.adminNotifiedAt,
+            clientDeliveredAt: session.clientDeliveredAt,
+            analysisStatus: session.analysisStatus,
+            approvedBy: session.approvedBy,
+            approvedAt: session.approvedAt,
+            paymentStatus: session.paymentStatus,
+            refundedAmount: session.refundedAmount,
+            refundedAt: session.refundedAt,
+            disputeStatus: session.disputeStatus,
+            disputedAt: session.disputedAt,
+            promoCode: session.promoCode,
+            discountAmount: session.discountAmount
           },
           messages,
+          refunds,
+          invoices: invoices.map(toInvoiceSummary),
           count: messages.length
         });
 
+      case 'invoice-pdf':
+        // Télécharger le PDF d'une facture ou d'un avoir
+        if (!invoiceId) {
+          return res.status(400).json({ error: 'invoiceId requis' });
+        }
+
+        const invoice = await getInvoice(parseInt(invoiceId));
+        if (!invoice) {
+          return res.status(404).json({ error: 'Facture non trouvée' });
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=${getInvoiceFilename(invoice)}`);
+        return res.status(200).send(renderInvoicePdf(invoice));
+
+      case 'analysis-pdf':
+        // Régénérer le PDF de l'analyse (version envoyée au client, ou brouillon en cours de relecture)
+        if (!sessionId) {
+          return res.status(400).json({ error: 'sessionId requis' });
+        }
+
+        const analysisSession = await getSession(sessionId);
+        if (!analysisSession) {
+          return res.status(404).json({ error: 'Session non trouvée' });
+        }
+
+        if (!analysisSession.analysisDraft) {
+          return res.status(409).json({ error: 'Aucune analyse préparée pour cette session' });
+        }
+
+        const analysisMessages = await getSessionMessages(analysisSession.id);
+        const analysisPdf = await renderSessionAnalysisPdf(analysisSession, analysisMessages);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=${getAnalysisFilename(analysisSession)}`);
+        return res.status(200).send(analysisPdf);
+
+      case 'invoice-generate':
+        // Émettre la facture d'une session payée qui n'en a pas (échec à la finalisation, paiement antérieur)
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        if (!sessionId) {
+          return res.status(400).json({ error: 'sessionId requis' });
+        }
+
+        const invoiceSession = await getSession(sessionId);
+        if (!invoiceSession) {
+          return res.status(404).json({ error: 'Session non trouvée' });
+        }
+
+        if (!invoiceSession.paid) {
+          return res.status(400).json({ error: 'Cette session n\'est pas payée' });
+        }
+
+        const issuedInvoice = await issuePaymentInvoice(invoiceSession);
+
+        return res.status(200).json({
+          success: true,
+          invoice: toInvoiceSummary(issuedInvoice)
+        });
+
+      case 'refund':
+        // Rembourser tout ou partie d'une session payée (via Stripe)
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        if (!sessionId) {
+          return res.status(400).json({ error: 'sessionId requis' });
+        }
+
+        const refundReason = reason || 'requested_by_customer';
+        if (!REFUND_REASONS.includes(refundReason)) {
+          return res.status(400).json({
+            error: `Motif invalide. Valeurs acceptées: ${REFUND_REASONS.join(', ')}`
+          });
+        }
+
+        const refundSession = await getSession(sessionId);
+        if (!refundSession) {
+          return res.status(404).json({ error: 'Session non trouvée' });
+        }
+
+        if (!refundSession.paid || !refundSession.paymentIntentId) {
+          return res.status(400).json({ error: 'Cette session n\'est pas payée' });
+        }
+
+        // Montant en centimes : par défaut, tout ce qui n'a pas encore été remboursé
+        const refundable = refundSession.amount - refundSession.refundedAmount;
+        const refundAmount = amount === undefined || amount === null || amount === ''
+          ? refundable
+          : Number(amount);
+
+        if (!Number.isInteger(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+          return res.status(400).json({
+            error: `Montant invalide (en centimes, entre 1 et ${refundable})`
+          });
+        }
+
+        try {
+          const result = await refundPayment(refundSession, {
+            amount: refundAmount,
+            reason: refundReason,
+            note: typeof note === 'string' && note.trim() ? note.trim() : null,
+            createdBy: admin.email
+          });
+
+          return res.status(200).json({
+            success: true,
+            ...result
+          });
+
+        } catch (refundError) {
+          // Erreur renvoyée par Stripe (déjà remboursé, litige en cours...) : la transmettre à l'admin
+          if (refundError.type && refundError.type.startsWith('Stripe')) {
+            logger.error('Refund Stripe Error:', refundError);
+            return res.status(400).json({ error: refundError.message });
+          }
+          throw refundError;
+        }
+
       case 'stats':
         // Statistiques des paiements
         const stats = await getPaymentStats();
@@ -83,17 +247,70 @@ export default async function handler(req, res) {
           stats
         });
 
+      case 'promo-codes':
+        // Codes promo avec utilisations et revenus générés
+        const promoCodes = await getAllPromoCodes();
+
+        return res.status(200).json({
+          success: true,
+          promoCodes
+        });
+
+      case 'promo-create':
+        // Créer un code promo
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        const promoError = await validatePromoCodeInput(promo);
+        if (promoError) {
+          return res.status(400).json({ error: promoError });
+        }
+
+        try {
+          const createdPromo = await createPromoCode(promo);
+          return res.status(200).json({ success: true, promoCode: createdPromo });
+        } catch (createError) {
+          // Violation de la contrainte UNIQUE sur code
+          if (createError.code === '23505') {
+            return res.status(409).json({ error: 'Ce code promo existe déjà' });
+          }
+          throw createError;
+        }
+
+      case 'promo-toggle':
+        // Activer / désactiver un code promo
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        if (!promo || !promo.id) {
+          return res.status(400).json({ error: 'promo.id requis' });
+        }
+
+        const updatedPromo = await setPromoCodeActive(parseInt(promo.id), Boolean(promo.active));
+        if (!updatedPromo) {
+          return res.status(404).json({ error: 'Code promo non trouvé' });
+        }
+
+        return res.status(200).json({ success: true, promoCode: updatedPromo });
+
       case 'export':
         // Export CSV des sessions payées
-        const allSessions = await getAllPaidSessions(1000, 0, true);
+        const allSessions = await getAllSessions({ statuses: PAID_STATUSES, limit: 1000 });
 
         // Créer le CSV
-        const csvHeaders = ['ID', 'Email', 'Formule', 'Montant', 'Date Paiement', 'Messages'];
+        const csvHeaders = ['ID', 'Email', 'Formule', 'Montant', 'Code promo', 'Réduction', 'Remboursé', 'Statut', 'Litige', 'Date Paiement', 'Messages'];
         const csvRows = allSessions.map(s => [
           s.id,
           s.email || 'N/A',
           s.expertise || 'N/A',
           s.amount ? (s.amount / 100) + '€' : 'N/A',
+          s.promoCode || '',
+          s.discountAmount ? (s.discountAmount / 100) + '€' : '',
+          s.refundedAmount ? (s.refundedAmount / 100) + '€' : '0€',
+          s.paymentStatus || '',
+          s.disputeStatus || '',
           s.paidAt ? new Date(s.paidAt).toLocaleString('fr-FR') : 'Non payé',
           s.messageCount || 0
         ].join(';'));
@@ -115,3 +332,44 @@ export default async function handler(req, res) {
     });
   }
 }
+
+/**
+ * Valider les données d'un nouveau code promo
+ * @param {Object} promo - { code, discountType, discountValue, expertise, validFrom, validUntil, maxRedemptions }
+ * @returns {Promise<string|null>} Message d'erreur, ou null si valide
+ */
+async function validatePromoCodeInput(promo) {
+  if (!promo || !promo.code || !/^[A-Za-z0-9_-]{3,50}$/.test(promo.code.trim())) {
+    return 'Code invalide (3 à 50 caractères : lettres, chiffres, - et _)';
+  }
+
+  if (!['percent', 'fixed'].includes(promo.discountType)) {
+    return 'Type de réduction invalide (percent ou fixed)';
+  }
+
+  const value = Number(promo.discountValue);
+  if (!Number.isInteger(value) || value <= 0 || (promo.discountType === 'percent' && value > 100)) {
+    return 'Valeur de réduction invalide (pourcentage entre 1 et 100, ou montant en centimes)';
+  }
+  promo.discountValue = value;
+
+  if (promo.expertise && !(await getOffer(promo.expertise, { includeInactive: true }))) {
+    return 'Offre inconnue dans le catalogue';
+  }
+
+  if (promo.validFrom && promo.validUntil && new Date(promo.validFrom) > new Date(promo.validUntil)) {
+    return 'La date de début doit précéder la date de fin';
+  }
+
+  if (promo.maxRedemptions !== undefined && promo.maxRedemptions !== null && promo.maxRedemptions !== '') {
+    const max = Number(promo.maxRedemptions);
+    if (!Number.isInteger(max) || max <= 0) {
+      return 'Nombre maximum d\'utilisations invalide';
+    }
+    promo.maxRedemptions = max;
+  } else {
+    promo.maxRedemptions = null;
+  }
+
+  return null;
+}
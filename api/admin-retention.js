@@ -0,0 +1,85 @@
+// Conservation des données (rôle owner)
+// Règles et durées de conservation, rapport à blanc, purge manuelle et historique des purges.
+// La purge automatique passe par /api/cron-retention-purge.
+
+import { setCorsHeaders, handleCorsPreflight } from '../lib/utils.js';
+import { getRetentionPurgeRuns, getRetentionPurgeTotals } from '../lib/db.js';
+import {
+  getRetentionRules,
+  updateRetentionRule,
+  getRetentionDryRun,
+  runRetentionPurge
+} from '../lib/retention.js';
+import { requireAdmin } from '../lib/admin-auth.js';
+import logger from '../lib/logger.js';
+
+// Période des totaux purgés affichés
+const TOTALS_DAYS = 30;
+
+export default async function handler(req, res) {
+  // Configurer CORS
+  setCorsHeaders(res, req);
+
+  // Gérer preflight CORS
+  if (handleCorsPreflight(req, res)) {
+    return;
+  }
+
+  try {
+    const admin = await requireAdmin(req, res, 'settings:write');
+    if (!admin) return;
+
+    const { action, rule, retentionDays, enabled } = req.method === 'GET' ? req.query : req.body;
+
+    switch (action || 'list') {
+      case 'list':
+        // Règles, totaux purgés sur 30 jours et dernières purges
+        return res.status(200).json({
+          success: true,
+          rules: await getRetentionRules(),
+          totals: await getRetentionPurgeTotals(TOTALS_DAYS),
+          totalsDays: TOTALS_DAYS,
+          runs: await getRetentionPurgeRuns()
+        });
+
+      case 'update':
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        if (!rule || retentionDays === undefined || typeof enabled !== 'boolean') {
+          return res.status(400).json({ error: 'rule, retentionDays et enabled requis' });
+        }
+
+        const updated = await updateRetentionRule(rule, { retentionDays, enabled }, admin.email);
+        if (!updated.updated) {
+          return res.status(400).json({ error: updated.error });
+        }
+
+        logger.info('Règle de conservation modifiée:', { by: admin.id, rule, retentionDays, enabled });
+        return res.status(200).json({ success: true, rules: await getRetentionRules() });
+
+      case 'dry-run':
+        // Ce que la prochaine purge supprimerait, sans rien modifier
+        return res.status(200).json({ success: true, report: await getRetentionDryRun() });
+
+      case 'run':
+        // Purge immédiate (mêmes règles que la tâche planifiée)
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        const run = await runRetentionPurge({ source: 'admin', triggeredBy: admin.email });
+        return res.status(200).json({ success: true, run });
+
+      default:
+        return res.status(400).json({ error: 'Action non reconnue' });
+    }
+
+  } catch (error) {
+    logger.error('Admin Retention API Error:', error);
+    return res.status(500).json({
+      error: 'Erreur lors du traitement de la demande'
+    });
+  }
+}
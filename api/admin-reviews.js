@@ -0,0 +1,190 @@
+// File de relecture des analyses (admin)
+// Le relecteur modifie le brouillon (généré à partir du questionnaire) puis l'approuve :
+// la version client est envoyée à sessions.email
+
+import { setCorsHeaders, handleCorsPreflight } from '../lib/utils.js';
+import {
+  getAnalysisReviewQueue,
+  getSession,
+  getSessionMessages,
+  saveAnalysisDraft,
+  getLawyerReview
+} from '../lib/db.js';
+import { createAnalysisDraft, regenerateAnalysis, approveAnalysis, REVIEWER_NAME_MAX_LENGTH } from '../lib/review.js';
+import { requireAdmin } from '../lib/admin-auth.js';
+import logger from '../lib/logger.js';
+
+export default async function handler(req, res) {
+  // Configurer CORS
+  setCorsHeaders(res, req);
+
+  // Gérer preflight CORS
+  if (handleCorsPreflight(req, res)) {
+    return;
+  }
+
+  try {
+    const { action, sessionId, status, analysis } = req.method === 'GET' ? req.query : req.body;
+
+    // Vérifier l'authentification admin (lecture : list, get)
+    const admin = await requireAdmin(req, res, ['list', 'get'].includes(action || 'list') ? 'reviews:read' : 'reviews:write');
+    if (!admin) return;
+
+    // Le relecteur est l'administrateur connecté
+    const reviewer = admin.name.slice(0, REVIEWER_NAME_MAX_LENGTH);
+
+    switch (action || 'list') {
+      case 'list':
+        // Analyses à relire (par défaut) ou déjà envoyées
+        const sessions = await getAnalysisReviewQueue(status === 'delivered' ? 'delivered' : 'pending');
+
+        return res.status(200).json({
+          success: true,
+          sessions,
+          count: sessions.length
+        });
+
+      case 'get':
+        // Brouillon, conversation et validation avocat d'une session (brouillon créé s'il manque)
+        if (!sessionId) {
+          return res.status(400).json({ error: 'sessionId requis' });
+        }
+
+        let session = await getSession(sessionId);
+        if (!session) {
+          return res.status(404).json({ error: 'Session non trouvée' });
+        }
+
+        if (!session.paid) {
+          return res.status(400).json({ error: 'Cette session n\'est pas payée' });
+        }
+
+        if (!session.analysisStatus) {
+          await createAnalysisDraft(session);
+          session = await getSession(sessionId);
+        }
+
+        const messages = await getSessionMessages(session.id);
+        const lawyerReview = await getLawyerReview({ sessionId: session.id });
+
+        return res.status(200).json({
+          success: true,
+          session: {
+            sessionUuid: session.sessionUuid,
+            email: session.email,
+            expertise: session.expertise,
+            amount: session.amount,
+            paidAt: session.paidAt,
+            refundedAmount: session.refundedAmount,
+            questionnaireData: session.questionnaireData,
+            analysisDraft: session.analysisDraft,
+            analysisReport: session.analysisReport,
+            analysisGeneratedAt: session.analysisGeneratedAt,
+            analysisStatus: session.analysisStatus,
+            analysisUpdatedAt: session.analysisUpdatedAt,
+            analysisUpdatedBy: session.analysisUpdatedBy,
+            approvedBy: session.approvedBy,
+            approvedAt: session.approvedAt,
+            adminNotifiedAt: session.adminNotifiedAt,
+            clientDeliveredAt: session.clientDeliveredAt
+          },
+          lawyerReview,
+          messages
+        });
+
+      case 'save':
+        // Enregistrer le brouillon
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        const saveError = validateReviewInput(sessionId, analysis);
+        if (saveError) {
+          return res.status(400).json({ error: saveError });
+        }
+
+        const saved = await saveAnalysisDraft(sessionId, analysis, reviewer);
+        if (!saved) {
+          return res.status(409).json({ error: 'Analyse introuvable ou déjà approuvée' });
+        }
+
+        return res.status(200).json({ success: true, ...saved });
+
+      case 'regenerate':
+        // Remplacer le brouillon par un rapport régénéré à partir du questionnaire
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        if (!sessionId) {
+          return res.status(400).json({ error: 'sessionId requis' });
+        }
+
+        const regenerateSession = await getSession(sessionId);
+        if (!regenerateSession) {
+          return res.status(404).json({ error: 'Session non trouvée' });
+        }
+
+        const regenerated = await regenerateAnalysis(regenerateSession, reviewer);
+        if (!regenerated.regenerated) {
+          return res.status(409).json({ error: regenerated.error });
+        }
+
+        return res.status(200).json({ success: true });
+
+      case 'approve':
+        // Approuver et envoyer au client
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        const approveError = validateReviewInput(sessionId, analysis);
+        if (approveError) {
+          return res.status(400).json({ error: approveError });
+        }
+
+        const approveSession = await getSession(sessionId);
+        if (!approveSession) {
+          return res.status(404).json({ error: 'Session non trouvée' });
+        }
+
+        const result = await approveAnalysis(approveSession, {
+          analysis: analysis.trim(),
+          reviewer
+        });
+
+        if (!result.approved) {
+          return res.status(409).json({ error: result.error });
+        }
+
+        return res.status(200).json({ success: true });
+
+      default:
+        return res.status(400).json({ error: 'Action non reconnue' });
+    }
+
+  } catch (error) {
+    logger.error('Admin Reviews API Error:', error);
+    return res.status(500).json({
+      error: 'Erreur lors du traitement de la relecture'
+    });
+  }
+}
+
+/**
+ * Valider les données envoyées par le relecteur
+ * @param {string} sessionId - UUID de la session
+ * @param {string} analysis - Texte de l'analyse
+ * @returns {string|null} Message d'erreur, ou null si valide
+ */
+function validateReviewInput(sessionId, analysis) {
+  if (!sessionId) {
+    return 'sessionId requis';
+  }
+
+  if (typeof analysis !== 'string' || !analysis.trim()) {
+    return 'Le texte de l\'analyse est requis';
+  }
+
+  return null;
+}
@@ -1,10 +1,17 @@
 import { setCorsHeaders, handleCorsPreflight } from '../lib/utils.js';
-import { getSessionStatistics, getGlobalStatistics } from '../lib/db.js';
+import { getSessionStatistics, getGlobalStatistics, refreshSessionStatistics, getAttributionStats } from '../lib/db.js';
+import { resolveDateRange, getFunnelReport, DEVICE_TYPES } from '../lib/funnel.js';
+import { getOffer } from '../lib/offers.js';
+import { requireAdmin } from '../lib/admin-auth.js';
 import logger from '../lib/logger.js';
 
 /**
  * Endpoint admin pour récupérer les statistiques de conversion
- * GET /api/admin-statistics?days=30
+ * GET /api/admin-statistics?days=30 ou ?from=AAAA-MM-JJ&to=AAAA-MM-JJ
+ * GET /api/admin-statistics?action=funnel&from=...&to=...&expertise=...&device=mobile
+ *   (passage, abandon et durée médiane par étape, question par question)
+ * GET /api/admin-statistics?action=attribution&from=...&to=... (sessions, emails et revenus par source / support / campagne)
+ * POST /api/admin-statistics { action: 'rebuild', from, to } (recalcul de l'agrégat journalier)
  */
 export default async function handler(req, res) {
   // Configurer CORS
@@ -15,77 +22,99 @@ export default async function handler(req, res) {
     return;
   }
 
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
   try {
-    // Vérifier l'authentification admin (ADMIN_KEY, ADMIN_PASSWORD ou SETUP_KEY)
-    const adminPassword = req.headers['x-admin-password'];
-    const validPasswords = [
-      process.env.ADMIN_KEY,      // Clé utilisée par l'interface admin
-      process.env.ADMIN_PASSWORD, // Mot de passe admin alternatif
-      process.env.SETUP_KEY       // Clé de setup comme fallback
-    ].filter(Boolean);
-
-    if (!validPasswords.includes(adminPassword)) {
-      logger.security('Tentative accès admin-statistics non autorisée');
-      return res.status(401).json({ error: 'Non autorisé' });
+    const { action, from, to, days, expertise, device } = req.method === 'GET' ? req.query : req.body;
+
+    // Vérifier l'authentification admin (recalcul : settings:write)
+    const admin = await requireAdmin(req, res, action === 'rebuild' ? 'settings:write' : 'stats:read');
+    if (!admin) return;
+
+    const range = resolveDateRange({ from, to, days });
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
     }
 
-    // Récupérer le nombre de jours depuis la query string (par défaut 30)
-    const days = parseInt(req.query.days) || 30;
-
-    // Récupérer les statistiques globales
-    const globalStats = await getGlobalStatistics();
-
-    // Récupérer les statistiques journalières
-    const dailyStats = await getSessionStatistics(days);
-
-    // Calculer les statistiques des 7 derniers jours
-    const last7Days = dailyStats.slice(0, 7);
-    const last7DaysStats = {
-      first_messages: last7Days.reduce((sum, day) => sum + (day.first_messages_count || 0), 0),
-      emails_collected: last7Days.reduce((sum, day) => sum + (day.emails_collected_count || 0), 0),
-      payments_completed: last7Days.reduce((sum, day) => sum + (day.payments_completed_count || 0), 0),
-    };
-
-    // Calculer les taux de conversion des 7 derniers jours
-    last7DaysStats.email_conversion_rate = last7DaysStats.first_messages > 0
-      ? ((last7DaysStats.emails_collected / last7DaysStats.first_messages) * 100).toFixed(2)
-      : 0;
-
-    last7DaysStats.payment_conversion_rate = last7DaysStats.emails_collected > 0
-      ? ((last7DaysStats.payments_completed / last7DaysStats.emails_collected) * 100).toFixed(2)
-      : 0;
-
-    last7DaysStats.total_conversion_rate = last7DaysStats.first_messages > 0
-      ? ((last7DaysStats.payments_completed / last7DaysStats.first_messages) * 100).toFixed(2)
-      : 0;
-
-    logger.info('Statistiques récupérées:', { days, dailyStatsCount: dailyStats.length });
-
-    return res.status(200).json({
-      success: true,
-      global: {
-        total_first_messages: parseInt(globalStats.total_first_messages) || 0,
-        total_emails_collected: parseInt(globalStats.total_emails_collected) || 0,
-        total_payments_completed: parseInt(globalStats.total_payments_completed) || 0,
-        email_conversion_rate: parseFloat(globalStats.email_conversion_rate) || 0,
-        payment_conversion_rate: parseFloat(globalStats.payment_conversion_rate) || 0,
-        total_conversion_rate: parseFloat(globalStats.total_conversion_rate) || 0
-      },
-      last7Days: last7DaysStats,
-      daily: dailyStats.map(stat => ({
-        date: stat.stat_date,
-        first_messages: stat.first_messages_count || 0,
-        emails_collected: stat.emails_collected_count || 0,
-        payments_completed: stat.payments_completed_count || 0,
-        email_conversion_rate: parseFloat(stat.email_conversion_rate) || 0,
-        payment_conversion_rate: parseFloat(stat.payment_conversion_rate) || 0,
-        total_conversion_rate: parseFloat(stat.total_conversion_rate) || 0
-      }))
-    });
+    switch (action || 'daily') {
+      case 'daily':
+        // Lecture seule : l'agrégat est tenu à jour par /api/cron-statistics-refresh (toutes les heures)
+        const globalStats = await getGlobalStatistics();
+        const dailyStats = await getSessionStatistics(range);
+        const last7DaysStats = summarizeDailyStats(await getSessionStatistics(resolveDateRange({ days: 7 })));
+
+        logger.info('Statistiques récupérées:', { ...range, dailyStatsCount: dailyStats.length });
+
+        return res.status(200).json({
+          success: true,
+          from: range.from,
+          to: range.to,
+          global: {
+            total_first_messages: parseInt(globalStats.total_first_messages) || 0,
+            total_emails_collected: parseInt(globalStats.total_emails_collected) || 0,
+            total_payments_completed: parseInt(globalStats.total_payments_completed) || 0,
+            email_conversion_rate: parseFloat(globalStats.email_conversion_rate) || 0,
+            payment_conversion_rate: parseFloat(globalStats.payment_conversion_rate) || 0,
+            total_conversion_rate: parseFloat(globalStats.total_conversion_rate) || 0
+          },
+          period: summarizeDailyStats(dailyStats),
+          last7Days: last7DaysStats,
+          daily: dailyStats.map(stat => ({
+            date: stat.stat_date,
+            first_messages: stat.first_messages_count || 0,
+            emails_collected: stat.emails_collected_count || 0,
+            payments_completed: stat.payments_completed_count || 0,
+            email_conversion_rate: parseFloat(stat.email_conversion_rate) || 0,
+            payment_conversion_rate: parseFloat(stat.payment_conversion_rate) || 0,
+            total_conversion_rate: parseFloat(stat.total_conversion_rate) || 0
+          }))
+        });
+
+      case 'funnel':
+        // Cohorte des sessions ouvertes sur la période, éventuellement limitée à une offre ou un appareil
+        if (expertise && !(await getOffer(expertise, { includeInactive: true }))) {
+          return res.status(400).json({ error: 'Offre inconnue dans le catalogue' });
+        }
+
+        if (device && !DEVICE_TYPES.includes(device)) {
+          return res.status(400).json({ error: `Appareil invalide (${DEVICE_TYPES.join(', ')})` });
+        }
+
+        const funnel = await getFunnelReport({ ...range, expertise: expertise || null, device: device || null });
+
+        return res.status(200).json({
+          success: true,
+          funnel
+        });
+
+      case 'attribution':
+        // Cohorte des sessions ouvertes sur la période, attribuées avec le consentement statistiques
+        const attribution = await getAttributionStats(range);
+
+        return res.status(200).json({
+          success: true,
+          from: range.from,
+          to: range.to,
+          attribution
+        });
+
+      case 'rebuild':
+        // Après correction des événements (doublons, reprise d'historique)
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        const rebuiltDays = await refreshSessionStatistics(range.from, range.to);
+        logger.info('Statistiques journalières recalculées:', { ...range, rebuiltDays, admin: admin.email });
+
+        return res.status(200).json({
+          success: true,
+          from: range.from,
+          to: range.to,
+          rebuiltDays
+        });
+
+      default:
+        return res.status(400).json({ error: 'Action non reconnue' });
+    }
 
   } catch (error) {
     logger.error('Erreur récupération statistiques:', error);
@@ -95,3 +124,30 @@ export default async function handler(req, res) {
     });
   }
 }
+
+/**
+ * Totaux et taux de conversion d'une suite de jours
+ * @param {Array} dailyStats - Lignes de session_statistics (getSessionStatistics)
+ * @returns {Object} Totaux et taux (en %)
+ */
+function summarizeDailyStats(dailyStats) {
+  const totals = {
+    first_messages: dailyStats.reduce((sum, day) => sum + (day.first_messages_count || 0), 0),
+    emails_collected: dailyStats.reduce((sum, day) => sum + (day.emails_collected_count || 0), 0),
+    payments_completed: dailyStats.reduce((sum, day) => sum + (day.payments_completed_count || 0), 0)
+  };
+
+  totals.email_conversion_rate = totals.first_messages > 0
+    ? ((totals.emails_collected / totals.first_messages) * 100).toFixed(2)
+    : 0;
+
+  totals.payment_conversion_rate = totals.emails_collected > 0
+    ? ((totals.payments_completed / totals.emails_collected) * 100).toFixed(2)
+    : 0;
+
+  totals.total_conversion_rate = totals.first_messages > 0
+    ? ((totals.payments_completed / totals.first_messages) * 100).toFixed(2)
+    : 0;
+
+  return totals;
+}
@@ -1,12 +1,16 @@
 import { setCorsHeaders, handleCorsPreflight } from '../lib/utils.js';
 import {
-  getAllUnpaidSessions,
-  getUnpaidSession,
-  getUnpaidSessionMessages,
-  getUnpaidSessionStats
+  getAllSessions,
+  getSession,
+  getSessionMessages,
+  getSessionStats
 } from '../lib/db.js';
+import { requireAdmin } from '../lib/admin-auth.js';
 import logger from '../lib/logger.js';
 
+// Sessions non payées dont l'email est connu (relances)
+const UNPAID_STATUSES = ['email_collected', 'checkout_started'];
+
 export default async function handler(req, res) {
   // Configurer CORS
   setCorsHeaders(res, req);
@@ -16,24 +20,22 @@ export default async function handler(req, res) {
     return;
   }
 
-  // Vérifier l'authentification admin
-  const adminKey = req.headers['x-admin-key'];
-  if (!adminKey || adminKey !== process.env.ADMIN_KEY) {
-    logger.security('Tentative d\'accès admin unpaid sessions non autorisé');
-    return res.status(401).json({ error: 'Accès non autorisé' });
-  }
-
   try {
+    // Vérifier l'authentification admin (lecture seule)
+    const admin = await requireAdmin(req, res, 'customers:read');
+    if (!admin) return;
+
     const { action, sessionId, limit = 50, offset = 0 } =
       req.method === 'GET' ? req.query : req.body;
 
     switch (action || 'list') {
       case 'list':
-        // Lister toutes les sessions unpaid
-        const sessions = await getAllUnpaidSessions(
-          parseInt(limit),
-          parseInt(offset)
-        );
+        // Lister les sessions non payées avec email
+        const sessions = await getAllSessions({
+          statuses: UNPAID_STATUSES,
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        });
 
         // Compter le nombre total pour la pagination
         const total = sessions.length;
@@ -53,39 +55,41 @@ export default async function handler(req, res) {
         });
 
       case 'messages':
-        // Récupérer les messages d'une session unpaid
+        // Récupérer les messages d'une session non payée
         if (!sessionId) {
           return res.status(400).json({ error: 'sessionId requis' });
         }
 
-        const session = await getUnpaidSession(sessionId);
-        if (!session) {
+        const session = await getSession(sessionId);
+        if (!session || !UNPAID_STATUSES.includes(session.status)) {
           return res.status(404).json({ error: 'Session non trouvée' });
         }
 
-        const messages = await getUnpaidSessionMessages(session.id);
+        const messages = await getSessionMessages(session.id);
 
         return res.status(200).json({
           success: true,
           session: {
             id: session.id,
-            session_uuid: session.session_uuid,
+            sessionUuid: session.sessionUuid,
+            status: session.status,
             email: session.email,
             expertise: session.expertise,
             amount: session.amount,
-            payment_intent_id: session.payment_intent_id,
-            thread_id: session.thread_id,
-            created_at: session.created_at,
-            email_collected_at: session.email_collected_at,
-            payment_attempts: session.payment_attempts
+            paymentIntentId: session.paymentIntentId,
+            threadId: session.threadId,
+            createdAt: session.createdAt,
+            emailCollectedAt: session.emailCollectedAt,
+            lastActivityAt: session.lastActivityAt,
+            paymentAttempts: session.paymentAttempts
           },
           messages,
           count: messages.length
         });
 
       case 'stats':
-        // Statistiques des sessions unpaid
-        const stats = await getUnpaidSessionStats();
+        // Statistiques des sessions par statut
+        const stats = await getSessionStats();
 
         return res.status(200).json({
           success: true,
@@ -93,19 +97,21 @@ export default async function handler(req, res) {
         });
 
       case 'export':
-        // Export CSV des sessions unpaid
-        const allSessions = await getAllUnpaidSessions(1000, 0);
+        // Export CSV des sessions non payées
+        const allSessions = await getAllSessions({ statuses: UNPAID_STATUSES, limit: 1000 });
 
         // Créer le CSV
-        const csvHeaders = ['ID', 'Email', 'Expertise', 'Montant', 'Date collecte email', 'Messages', 'Tentatives paiement'];
+        const csvHeaders = ['ID', 'Email', 'Statut', 'Expertise', 'Montant', 'Date collecte email', 'Dernière activité', 'Messages', 'Tentatives paiement'];
         const csvRows = allSessions.map(s => [
           s.id,
           s.email || 'N/A',
+          s.status,
           s.expertise || 'Non sélectionné',
           s.amount ? (s.amount / 100) + '€' : '0€',
-          s.email_collected_at ? new Date(s.email_collected_at).toLocaleString('fr-FR') : 'N/A',
+          s.emailCollectedAt ? new Date(s.emailCollectedAt).toLocaleString('fr-FR') : 'N/A',
+          s.lastActivityAt ? new Date(s.lastActivityAt).toLocaleString('fr-FR') : 'N/A',
           s.messageCount || 0,
-          s.payment_attempts || 0
+          s.paymentAttempts || 0
         ].join(';'));
 
         const csvContent = [csvHeaders.join(';'), ...csvRows].join('\n');
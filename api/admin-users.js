@@ -0,0 +1,197 @@
+// Administration des comptes administrateurs (rôle owner)
+// Création, changement de rôle, désactivation, nouveau mot de passe et réinitialisation
+// de la double authentification (téléphone perdu)
+
+import { setCorsHeaders, handleCorsPreflight, isValidEmail } from '../lib/utils.js';
+import {
+  getAllAdminUsers,
+  getAdminUser,
+  createAdminUser,
+  updateAdminUser,
+  setAdminUserPassword,
+  disableAdminTotp,
+  countAdminUsers
+} from '../lib/db.js';
+import { requireAdmin, ADMIN_ROLES, ADMIN_PASSWORD_MIN_LENGTH } from '../lib/admin-auth.js';
+import logger from '../lib/logger.js';
+
+export default async function handler(req, res) {
+  // Configurer CORS
+  setCorsHeaders(res, req);
+
+  // Gérer preflight CORS
+  if (handleCorsPreflight(req, res)) {
+    return;
+  }
+
+  try {
+    const admin = await requireAdmin(req, res, 'admins:manage');
+    if (!admin) return;
+
+    const { action, adminUser, adminUserId, role, active, password } = req.method === 'GET' ? req.query : req.body;
+
+    switch (action || 'list') {
+      case 'list':
+        return res.status(200).json({
+          success: true,
+          admins: await getAllAdminUsers(),
+          roles: ADMIN_ROLES
+        });
+
+      case 'create':
+        // Créer un compte (mot de passe initial transmis par un canal séparé)
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        const inputError = validateAdminInput(adminUser);
+        if (inputError) {
+          return res.status(400).json({ error: inputError });
+        }
+
+        try {
+          const created = await createAdminUser({
+            name: adminUser.name.trim(),
+            email: adminUser.email.trim(),
+            password: adminUser.password,
+            role: adminUser.role
+          });
+
+          logger.info('Compte admin créé:', { by: admin.id, adminUserId: created.id, role: created.role });
+          return res.status(200).json({ success: true, admin: created });
+        } catch (error) {
+          // Violation de la contrainte UNIQUE sur email
+          if (error.code === '23505') {
+            return res.status(409).json({ error: 'Un administrateur avec cet email existe déjà' });
+          }
+          throw error;
+        }
+
+      case 'update':
+        // Changer le rôle et / ou activer / désactiver un compte (désactivation : sessions fermées)
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        if (!adminUserId || (role === undefined && typeof active !== 'boolean')) {
+          return res.status(400).json({ error: 'adminUserId et role ou active requis' });
+        }
+
+        if (role !== undefined && !ADMIN_ROLES.includes(role)) {
+          return res.status(400).json({ error: 'Rôle invalide' });
+        }
+
+        const target = await getAdminUser(parseInt(adminUserId));
+        if (!target) {
+          return res.status(404).json({ error: 'Administrateur non trouvé' });
+        }
+
+        if (target.id === admin.id) {
+          return res.status(400).json({ error: 'Vous ne pouvez pas modifier votre propre rôle ni désactiver votre compte' });
+        }
+
+        // Toujours garder au moins un propriétaire actif
+        const removesOwner = target.role === 'owner' && target.active
+          && ((role !== undefined && role !== 'owner') || active === false);
+        if (removesOwner && await countAdminUsers({ role: 'owner', activeOnly: true }) <= 1) {
+          return res.status(409).json({ error: 'Il doit rester au moins un propriétaire actif' });
+        }
+
+        const updated = await updateAdminUser(target.id, {
+          role: role ?? null,
+          active: typeof active === 'boolean' ? active : null
+        });
+
+        logger.info('Compte admin modifié:', { by: admin.id, adminUserId: target.id, role: updated.role, active: updated.active });
+        return res.status(200).json({ success: true, admin: updated });
+
+      case 'reset-password':
+        // Nouveau mot de passe (les sessions du compte sont fermées)
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        if (!adminUserId) {
+          return res.status(400).json({ error: 'adminUserId requis' });
+        }
+
+        if (!isValidAdminPassword(password)) {
+          return res.status(400).json({ error: `Mot de passe de ${ADMIN_PASSWORD_MIN_LENGTH} à 72 caractères requis` });
+        }
+
+        if (!(await setAdminUserPassword(parseInt(adminUserId), password))) {
+          return res.status(404).json({ error: 'Administrateur non trouvé' });
+        }
+
+        logger.info('Mot de passe admin remplacé:', { by: admin.id, adminUserId });
+        return res.status(200).json({ success: true });
+
+      case 'reset-totp':
+        // Supprimer la double authentification d'un autre compte (sessions fermées, nouvel enrôlement)
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        if (!adminUserId) {
+          return res.status(400).json({ error: 'adminUserId requis' });
+        }
+
+        if (parseInt(adminUserId) === admin.id) {
+          return res.status(400).json({ error: 'Désactivez votre propre double authentification avec un code' });
+        }
+
+        if (!(await disableAdminTotp(parseInt(adminUserId), { closeSessions: true }))) {
+          return res.status(404).json({ error: 'Administrateur non trouvé' });
+        }
+
+        logger.info('Double authentification admin réinitialisée:', { by: admin.id, adminUserId });
+        return res.status(200).json({ success: true });
+
+      default:
+        return res.status(400).json({ error: 'Action non reconnue' });
+    }
+
+  } catch (error) {
+    logger.error('Admin Users API Error:', error);
+    return res.status(500).json({
+      error: 'Erreur lors du traitement de la demande'
+    });
+  }
+}
+
+/**
+ * Longueur du mot de passe (bcrypt ignore au-delà de 72 octets)
+ */
+function isValidAdminPassword(password) {
+  return typeof password === 'string'
+    && password.length >= ADMIN_PASSWORD_MIN_LENGTH
+    && password.length <= 72;
+}
+
+/**
+ * Valider un compte administrateur à créer
+ * @returns {string|null} Message d'erreur, ou null si valide
+ */
+function validateAdminInput(adminUser) {
+  if (!adminUser || typeof adminUser !== 'object') {
+    return 'Compte requis';
+  }
+
+  if (typeof adminUser.name !== 'string' || !adminUser.name.trim() || adminUser.name.trim().length > 100) {
+    return 'Nom requis (100 caractères maximum)';
+  }
+
+  if (typeof adminUser.email !== 'string' || !isValidEmail(adminUser.email.trim())) {
+    return 'Email invalide';
+  }
+
+  if (!ADMIN_ROLES.includes(adminUser.role)) {
+    return 'Rôle invalide';
+  }
+
+  if (!isValidAdminPassword(adminUser.password)) {
+    return `Mot de passe de ${ADMIN_PASSWORD_MIN_LENGTH} à 72 caractères requis`;
+  }
+
+  return null;
+}
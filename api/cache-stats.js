@@ -2,33 +2,15 @@
 // URL: https://votre-site.vercel.app/api/cache-stats
 
 import { getCacheStats, cleanExpiredCache } from '../lib/db.js';
+import { requireAdmin } from '../lib/admin-auth.js';
 import logger from '../lib/logger.js';
 
 export default async function handler(req, res) {
-  // Sécurité : STATS_KEY ou ADMIN_KEY obligatoire en production
-  // Récupérer la clé depuis le header (plus sécurisé que query string)
-  const statsKey = req.headers['x-stats-key'] || req.headers['x-admin-key'];
-  const expectedKey = process.env.STATS_KEY || process.env.ADMIN_KEY;
-
-  // Refuser si aucune clé n'est configurée (sécurité production)
-  if (!expectedKey) {
-    logger.error('STATS_KEY et ADMIN_KEY non configurées dans les variables d\'environnement');
-    return res.status(500).json({
-      error: 'Configuration manquante',
-      message: 'STATS_KEY ou ADMIN_KEY doit être définie dans les variables d\'environnement.',
-      help: 'Configurez STATS_KEY ou ADMIN_KEY dans les paramètres Vercel > Environment Variables'
-    });
-  }
-
-  if (statsKey !== expectedKey) {
-    logger.security('Tentative d\'accès cache-stats avec clé invalide');
-    return res.status(403).json({
-      error: 'Accès refusé. Clé de stats requise.',
-      info: 'Envoyez la clé dans le header X-Stats-Key ou X-Admin-Key'
-    });
-  }
-
   try {
+    // Vérifier l'authentification admin (nettoyage du cache : settings:write)
+    const admin = await requireAdmin(req, res, req.query.clean === 'true' ? 'settings:write' : 'stats:read');
+    if (!admin) return;
+
     // Si demandé, nettoyer d'abord le cache expiré
     let cleaned = 0;
     if (req.query.clean === 'true') {
@@ -1,15 +1,22 @@
 import { setCorsHeaders, handleCorsPreflight } from '../lib/utils.js';
 import {
-  getPaidSession,
-  addPaidMessage,
-  updatePaidSessionEmail,
-  getUnpaidSession,
-  updateUnpaidSessionEmail,
-  moveSessionToUnpaid,
-  addUnpaidMessage,
-  markPaidSessionFirstMessage,
-  markUnpaidSessionFirstMessage
+  getSession,
+  setSessionEmail,
+  addSessionMessage,
+  markSessionFirstMessage,
+  updateSessionQuestionnaire,
+  getConversationHistory
 } from '../lib/db.js';
+import {
+  hasQuestionnaireState,
+  loadQuestionnaireState,
+  replayQuestionnaire,
+  applyUserMessage,
+  describeQuestionnaireStep,
+  getQuestionnaireProgress,
+  PHASE_OFFRE,
+  PHASE_PAIEMENT
+} from '../lib/questionnaire.js';
 import {
   chatRateLimiter,
   getClientIp,
@@ -17,11 +24,12 @@ import {
   sendRateLimitError,
   addRateLimitHeaders
 } from '../lib/ratelimit.js';
+import { wantsEventStream, initEventStream, sendEvent } from '../lib/sse.js';
+import { getLLMProviderForConversation } from '../lib/llm/index.js';
+import { getOffers, describeOffersForAssistant, isOfferMentioned } from '../lib/offers.js';
+import { recordQuestionnaireEvents } from '../lib/funnel.js';
 import logger from '../lib/logger.js';
 
-// ID de l'assistant OpenAI pour le questionnaire 7 étapes
-const ASSISTANT_ID = process.env.ASSISTANT_ID || 'asst_fmjvR1dqr6mcbpdIyOp3WaZd';
-
 // Instructions additionnelles pour l'assistant (questionnaire 7 étapes)
 const QUESTIONNAIRE_INSTRUCTIONS = `IMPORTANT: Tu dois suivre le tunnel de 7 questions dans l'ordre strict:
 1. Enfants (oui/non + âges si oui)
@@ -32,9 +40,7 @@ const QUESTIONNAIRE_INSTRUCTIONS = `IMPORTANT: Tu dois suivre le tunnel de 7 que
 6. Ressenti émotionnel actuel
 7. Email pour recevoir l'analyse
 
-Pose UNE SEULE question à la fois. Après avoir reçu l'email, fais un mini-diagnostic puis propose les deux formules:
-- Analyse Express à 29€
-- Analyse Premium validée avocat à 49€
+Pose UNE SEULE question à la fois. Après avoir reçu l'email, fais un mini-diagnostic puis propose les formules listées dans "FORMULES À PROPOSER", avec leur nom et leur prix exacts.
 
 Ne saute aucune étape.
 
@@ -63,6 +69,10 @@ Que souhaitez-vous ajouter ?"
 
 Après avoir reçu les commentaires personnels de l'utilisateur (ou s'il dit "non" ou "rien" ou similaire), réponds en confirmant que tu as bien noté ses informations et termine OBLIGATOIREMENT ton message par le tag [PAIEMENT_PRET] pour déclencher le bouton de paiement. Exemple: "Merci pour ces précisions, je les intègrerai à votre analyse. Vous pouvez maintenant finaliser votre commande. [PAIEMENT_PRET]"`;
 
+
+// Tag envoyé par l'assistant pour déclencher le bouton de paiement
+const PAYMENT_READY_TAG = '[PAIEMENT_PRET]';
+
 export default async function handler(req, res) {
   // Configurer CORS avec liste blanche
   setCorsHeaders(res, req);
@@ -76,6 +86,9 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  // Le client demande-t-il une réponse en streaming (SSE) ?
+  const streaming = wantsEventStream(req);
+
   try {
     const { message, sessionId } = req.body;
 
@@ -103,15 +116,17 @@ export default async function handler(req, res) {
     // ====================================
     // RÉCUPÉRER LA SESSION
     // ====================================
-    const session = await getPaidSession(sessionId);
+    const session = await getSession(sessionId);
 
     if (!session) {
       return res.status(404).json({ error: 'Session non trouvée. Veuillez rafraîchir la page.' });
     }
 
-    // Vérifier que la clé API et l'Assistant ID sont présents
-    if (!process.env.OPENAI_API_KEY) {
-      logger.error('OPENAI_API_KEY not found in environment variables');
+    // Fournisseur qui a créé la conversation (indépendant d'un changement de LLM_PROVIDER)
+    const llm = getLLMProviderForConversation(session.threadId);
+
+    if (!llm.isConfigured()) {
+      logger.error('Fournisseur LLM non configuré:', llm.name);
       return res.status(500).json({
         error: 'Configuration manquante. Veuillez contacter l\'administrateur.'
       });
@@ -125,139 +140,68 @@ export default async function handler(req, res) {
     // ====================================
     const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/;
     const emailMatch = message.match(emailRegex);
-    if (emailMatch && !session.email) {
-      const extractedEmail = emailMatch[0];
-
-      // Vérifier si la session existe déjà dans unpaid_sessions
-      const unpaidSession = await getUnpaidSession(sessionId);
-
-      if (unpaidSession) {
-        // Mettre à jour l'email dans la table unpaid
-        await updateUnpaidSessionEmail(sessionId, extractedEmail);
-        logger.info('Email unpaid session mis à jour:', { sessionId, email: extractedEmail });
-      } else {
-        // Créer une entrée dans unpaid_sessions (avec copie des messages existants)
-        await moveSessionToUnpaid(sessionId, extractedEmail);
-        logger.info('Session déplacée vers unpaid_sessions:', { sessionId, email: extractedEmail });
-      }
+    if (emailMatch && !session.paid) {
+      // anonymous -> email_collected (email modifiable jusqu'au paiement)
+      await setSessionEmail(sessionId, emailMatch[0]);
     }
 
     // ====================================
-    // ENVOYER LE MESSAGE À L'ASSISTANT OPENAI
+    // AVANCER LE QUESTIONNAIRE (MACHINE À ÉTATS)
     // ====================================
-    let answer;
+    const storedQuestionnaire = session.questionnaireData;
 
-    try {
-      // Ajouter le message au thread existant
-      const messageResponse = await fetch(`https://api.openai.com/v1/threads/${session.threadId}/messages`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-          'Content-Type': 'application/json',
-          'OpenAI-Beta': 'assistants=v2'
-        },
-        body: JSON.stringify({
-          role: 'user',
-          content: message
-        })
-      });
-
-      if (!messageResponse.ok) {
-        const errorData = await messageResponse.text();
-        logger.error('OpenAI Message Error:', messageResponse.status, errorData);
-        throw new Error('Erreur lors de l\'ajout du message');
-      }
+    // Sessions antérieures au suivi serveur : reconstruire l'état depuis l'historique
+    const questionnaireState = hasQuestionnaireState(storedQuestionnaire)
+      ? loadQuestionnaireState(storedQuestionnaire)
+      : replayQuestionnaire(await getConversationHistory(session.threadId));
 
-      // Exécuter l'assistant avec les instructions du questionnaire
-      const runResponse = await fetch(`https://api.openai.com/v1/threads/${session.threadId}/runs`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-          'Content-Type': 'application/json',
-          'OpenAI-Beta': 'assistants=v2'
-        },
-        body: JSON.stringify({
-          assistant_id: ASSISTANT_ID,
-          additional_instructions: QUESTIONNAIRE_INSTRUCTIONS
-        })
-      });
+    // Formules du catalogue en vigueur (table offers) : seules celles-ci peuvent être choisies
+    const offers = await getOffers();
 
-      if (!runResponse.ok) {
-        const errorData = await runResponse.text();
-        logger.error('OpenAI Run Error:', runResponse.status, errorData);
-        throw new Error('Erreur lors de l\'exécution de l\'assistant');
-      }
+    const transition = applyUserMessage(questionnaireState, message, {
+      offerCodes: offers.map(offer => offer.code)
+    });
 
-      const runData = await runResponse.json();
-      const runId = runData.id;
+    const instructions = [
+      QUESTIONNAIRE_INSTRUCTIONS,
+      describeOffersForAssistant(offers),
+      describeQuestionnaireStep(transition.state, transition.error)
+    ].join('\n\n');
 
-      // Attendre que l'exécution soit terminée (polling)
-      let runStatus = 'queued';
-      let attempts = 0;
-      const maxAttempts = 60; // 60 secondes maximum
+    if (transition.error) {
+      logger.debug('Réponse au questionnaire refusée:', { sessionId, step: questionnaireState.step, error: transition.error });
+    }
 
-      while (runStatus !== 'completed' && attempts < maxAttempts) {
-        await new Promise(resolve => setTimeout(resolve, 1000)); // Attendre 1 seconde
+    // ====================================
+    // ENVOYER LE MESSAGE À L'ASSISTANT
+    // ====================================
+    let answer;
 
-        const statusResponse = await fetch(`https://api.openai.com/v1/threads/${session.threadId}/runs/${runId}`, {
-          headers: {
-            'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-            'OpenAI-Beta': 'assistants=v2'
-          }
+    try {
+      // Ajouter le message à la conversation existante
+      await llm.appendMessage(session.threadId, message);
+
+      if (streaming) {
+        // Ouvrir le flux SSE et relayer les tokens au fil de l'eau
+        initEventStream(res);
+        answer = await llm.run(session.threadId, {
+          instructions,
+          onDelta: (content) => sendEvent(res, 'delta', { content })
         });
-
-        if (!statusResponse.ok) {
-          logger.error('OpenAI Status Check Error:', statusResponse.status);
-          throw new Error('Erreur lors de la vérification du statut');
-        }
-
-        const statusData = await statusResponse.json();
-        runStatus = statusData.status;
-
-        logger.debug(`Assistant run status (attempt ${attempts}):`, runStatus);
-
-        if (runStatus === 'failed' || runStatus === 'cancelled' || runStatus === 'expired') {
-          logger.error('Assistant run failed with status:', runStatus, 'Details:', statusData);
-          throw new Error('L\'assistant n\'a pas pu traiter la demande');
-        }
-
-        attempts++;
-      }
-
-      if (runStatus !== 'completed') {
-        logger.error('Assistant timeout after', attempts, 'attempts. Last status:', runStatus);
-        throw new Error('Timeout: L\'assistant met trop de temps à répondre');
-      }
-
-      // Récupérer les messages du thread
-      const messagesResponse = await fetch(`https://api.openai.com/v1/threads/${session.threadId}/messages`, {
-        headers: {
-          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-          'OpenAI-Beta': 'assistants=v2'
-        }
-      });
-
-      if (!messagesResponse.ok) {
-        logger.error('OpenAI Messages Retrieval Error:', messagesResponse.status);
-        throw new Error('Erreur lors de la récupération des messages');
+      } else {
+        answer = await llm.run(session.threadId, { instructions });
       }
 
-      const messagesData = await messagesResponse.json();
-
-      // Récupérer le dernier message de l'assistant
-      const assistantMessage = messagesData.data.find(msg => msg.role === 'assistant');
+    } catch (error) {
+      logger.error(`LLM Error (${llm.name}):`, error);
+      const errorMessage = 'Erreur lors de la génération de la réponse. Veuillez réessayer.';
 
-      if (!assistantMessage || !assistantMessage.content || assistantMessage.content.length === 0) {
-        throw new Error('Aucune réponse de l\'assistant');
+      if (res.headersSent) {
+        sendEvent(res, 'error', { error: errorMessage });
+        return res.end();
       }
 
-      answer = assistantMessage.content[0].text.value;
-
-    } catch (error) {
-      logger.error('OpenAI Assistant API Error:', error);
-      return res.status(500).json({
-        error: 'Erreur lors de la génération de la réponse. Veuillez réessayer.'
-      });
+      return res.status(500).json({ error: errorMessage });
     }
 
     // Calculer le temps de réponse
@@ -266,57 +210,91 @@ export default async function handler(req, res) {
     // ====================================
     // SAUVEGARDER LES MESSAGES EN BASE
     // ====================================
+    const messageIds = { user: null, assistant: null };
+
     try {
       // Ne pas compter [INIT] comme un premier message utilisateur
       const isRealUserMessage = message.trim() !== '[INIT]';
 
-      // Vérifier si la session est dans unpaid_sessions
-      const unpaidSession = await getUnpaidSession(sessionId);
-
-      if (unpaidSession) {
-        // Marquer le premier vrai message utilisateur (incrémente les statistiques)
-        if (isRealUserMessage) {
-          await markUnpaidSessionFirstMessage(sessionId);
-        }
-
-        // Sauvegarder dans unpaid_messages
-        await addUnpaidMessage(unpaidSession.id, 'user', message);
-        await addUnpaidMessage(unpaidSession.id, 'assistant', answer);
-        logger.info('Messages sauvegardés dans unpaid_messages:', {
-          sessionId,
-          unpaidSessionId: unpaidSession.id,
-          responseTimeMs
-        });
-      } else {
-        // Marquer le premier vrai message utilisateur (incrémente les statistiques)
-        if (isRealUserMessage) {
-          await markPaidSessionFirstMessage(sessionId);
-        }
-
-        // Sauvegarder dans paid_messages (comportement par défaut)
-        await addPaidMessage(session.id, 'user', message);
-        await addPaidMessage(session.id, 'assistant', answer);
-        logger.info('Messages sauvegardés dans paid_messages:', {
-          sessionId,
-          responseTimeMs
-        });
+      // Persister l'état du questionnaire si la réponse a été validée (ou s'il n'existait pas encore)
+      const persistQuestionnaire = transition.accepted || !hasQuestionnaireState(storedQuestionnaire);
+
+      // Marquer le premier vrai message utilisateur (incrémente les statistiques)
+      if (isRealUserMessage) {
+        await markSessionFirstMessage(sessionId);
       }
 
+      messageIds.user = await addSessionMessage(session.id, 'user', message);
+      messageIds.assistant = await addSessionMessage(session.id, 'assistant', answer);
+
+      if (persistQuestionnaire) {
+        await updateSessionQuestionnaire(sessionId, transition.state);
+      }
+      logger.info('Messages sauvegardés:', {
+        sessionId,
+        status: session.status,
+        responseTimeMs
+      });
+
     } catch (error) {
       // Ne pas bloquer la réponse si la sauvegarde échoue
       logger.error('Erreur sauvegarde messages:', error);
     }
 
-    return res.status(200).json({
+    // Les déclencheurs de paiement ne sont honorés qu'à l'étape attendue du questionnaire
+    const triggers = detectPaymentTriggers(answer, offers);
+
+    const payload = {
       success: true,
       response: answer,
-      sessionId: sessionId
-    });
+      sessionId: sessionId,
+      messageIds,
+      paymentProposal: triggers.paymentProposal && transition.state.step === PHASE_OFFRE,
+      paymentReady: triggers.paymentReady && transition.state.step === PHASE_PAIEMENT,
+      questionnaire: getQuestionnaireProgress(transition.state)
+    };
+
+    // Tunnel détaillé : question validée, formule choisie, formules et bouton de paiement affichés
+    await recordQuestionnaireEvents(sessionId, questionnaireState, transition, payload);
+
+    if (streaming) {
+      sendEvent(res, 'done', payload);
+      return res.end();
+    }
+
+    return res.status(200).json(payload);
 
   } catch (error) {
     logger.error('Chat API Error:', error);
+
+    if (res.headersSent) {
+      sendEvent(res, 'error', { error: 'Erreur interne du serveur' });
+      return res.end();
+    }
+
     return res.status(500).json({
       error: 'Erreur interne du serveur'
     });
   }
 }
+
+// ====================================
+// DÉTECTION DES DÉCLENCHEURS DE PAIEMENT
+// ====================================
+
+/**
+ * Détecter dans la réponse de l'assistant les étapes du tunnel de paiement
+ * @param {string} answer - Réponse complète de l'assistant
+ * @param {Array} offers - Offres actives du catalogue
+ * @returns {Object} { paymentProposal, paymentReady }
+ */
+function detectPaymentTriggers(answer, offers) {
+  // Proposition des formules : au moins deux offres citées (ou l'unique offre du catalogue)
+  const mentioned = offers.filter(offer => isOfferMentioned(answer, offer)).length;
+  const paymentProposal = mentioned > 0 && mentioned >= Math.min(2, offers.length);
+
+  // Moment de payer (après les commentaires)
+  const paymentReady = answer.includes(PAYMENT_READY_TAG);
+
+  return { paymentProposal, paymentReady };
+}
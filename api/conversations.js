@@ -3,11 +3,11 @@
 // DELETE: Supprimer une session
 // PUT: Mettre à jour le titre d'une session
 
-import { parseCookies, setCorsHeaders, handleCorsPreflight } from '../lib/utils.js';
+import { setCorsHeaders, handleCorsPreflight } from '../lib/utils.js';
+import { getUserFromRequest } from '../lib/auth.js';
 import {
-  findUserByEmail,
   getUserConversationSessions,
-  getSessionMessages,
+  getConversationMessages,
   deleteConversationSession,
   updateSessionTitle,
   getUserConversationStats,
@@ -26,26 +26,15 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Vérifier l'authentification
-    const cookies = parseCookies(req.headers.cookie || '');
-    const registered = cookies.registered === '1';
-    const userEmail = cookies.user_email;
-
-    if (!registered || !userEmail) {
+    // Vérifier l'authentification (session signée, non expirée ni révoquée)
+    const user = await getUserFromRequest(req);
+    if (!user) {
       return res.status(401).json({
         error: 'Authentification requise',
         message: 'Vous devez être connecté pour accéder à vos conversations'
       });
     }
 
-    // Récupérer l'utilisateur
-    const user = await findUserByEmail(userEmail);
-    if (!user) {
-      return res.status(404).json({
-        error: 'Utilisateur non trouvé'
-      });
-    }
-
     // ====================================
     // GET: Récupérer les sessions ou messages
     // ====================================
@@ -63,7 +52,7 @@ export default async function handler(req, res) {
 
       // Si sessionId fourni, récupérer les messages de cette session
       if (sessionId) {
-        const messages = await getSessionMessages(parseInt(sessionId), user.id);
+        const messages = await getConversationMessages(parseInt(sessionId), user.id);
         return res.status(200).json({
           success: true,
           sessionId: parseInt(sessionId),
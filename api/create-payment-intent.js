@@ -1,20 +1,17 @@
 import { setCorsHeaders, handleCorsPreflight } from '../lib/utils.js';
-import { getPaidSession, updatePaidSessionPayment } from '../lib/db.js';
+import { getSession, startSessionCheckout } from '../lib/db.js';
 import logger from '../lib/logger.js';
+import { resolvePrice } from '../lib/pricing.js';
+import { getOffer } from '../lib/offers.js';
+import {
+  promoCodeRateLimiter,
+  getClientIp,
+  checkRateLimit,
+  sendRateLimitError,
+  addRateLimitHeaders
+} from '../lib/ratelimit.js';
 import Stripe from 'stripe';
 
-// Configuration des expertises et tarifs
-const EXPERTISE_CONFIG = {
-  classique: {
-    price: 2900, // en centimes (29€)
-    name: 'Analyse Express'
-  },
-  premium: {
-    price: 4900, // en centimes (49€)
-    name: 'Analyse Premium validée avocat'
-  }
-};
-
 export default async function handler(req, res) {
   // Configurer CORS
   setCorsHeaders(res, req);
@@ -39,7 +36,7 @@ export default async function handler(req, res) {
 
     const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
-    const { sessionId, expertise, amount } = req.body;
+    const { sessionId, expertise, amount, promoCode } = req.body;
 
     // Validation des paramètres
     if (!sessionId || !expertise || !amount) {
@@ -48,22 +45,46 @@ export default async function handler(req, res) {
       });
     }
 
-    // Vérifier que l'expertise est valide
-    if (!EXPERTISE_CONFIG[expertise]) {
+    // Vérifier que l'offre existe dans le catalogue (et n'est pas retirée)
+    const offer = await getOffer(expertise);
+    if (!offer) {
       return res.status(400).json({
-        error: 'Expertise invalide. Valeurs acceptées: classique, premium'
+        error: 'Offre invalide ou retirée du catalogue'
       });
     }
 
-    // Vérifier que le montant correspond au tarif
-    if (EXPERTISE_CONFIG[expertise].price !== amount) {
+    // Vérifier que le montant correspond au tarif (prix avant réduction)
+    if (offer.price !== amount) {
       return res.status(400).json({
         error: 'Montant invalide pour cette expertise'
       });
     }
 
+    if (promoCode !== undefined && promoCode !== null && typeof promoCode !== 'string') {
+      return res.status(400).json({ error: 'Code promo invalide' });
+    }
+
+    // Code promo saisi : même limite que /api/promo-code (empêche de tester des codes en masse)
+    if (promoCode && promoCode.trim()) {
+      const clientIp = getClientIp(req);
+      const rateLimit = await checkRateLimit(promoCodeRateLimiter, clientIp);
+
+      if (!rateLimit.success) {
+        logger.security(`Rate limit codes promo dépassé pour ${clientIp}`);
+        return sendRateLimitError(res, rateLimit);
+      }
+
+      addRateLimitHeaders(res, rateLimit);
+    }
+
+    // Appliquer le code promo éventuel (montant final calculé côté serveur)
+    const price = await resolvePrice(expertise, promoCode);
+    if (!price.valid) {
+      return res.status(400).json({ error: price.error, promoCodeInvalid: true });
+    }
+
     // Récupérer la session
-    const session = await getPaidSession(sessionId);
+    const session = await getSession(sessionId);
     if (!session) {
       return res.status(404).json({ error: 'Session non trouvée' });
     }
@@ -75,29 +96,41 @@ export default async function handler(req, res) {
 
     // Créer l'intention de paiement Stripe
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: amount,
+      amount: price.amount,
       currency: 'eur',
       metadata: {
         expertise: expertise,
         sessionId: sessionId,
-        sessionEmail: session.email || 'non_collecte'
+        sessionEmail: session.email || 'non_collecte',
+        ...(price.promoCode ? {
+          promoCode: price.promoCode,
+          discountAmount: String(price.discountAmount)
+        } : {})
       },
-      description: `${EXPERTISE_CONFIG[expertise].name} - Consultation SOS Divorce`
+      description: `${offer.name} - Consultation SOS Divorce`
     });
 
-    // Mettre à jour la session avec les infos de paiement
-    await updatePaidSessionPayment(sessionId, expertise, amount, paymentIntent.id);
+    // Enregistrer les infos de paiement (statut checkout_started)
+    await startSessionCheckout(sessionId, expertise, price.amount, paymentIntent.id, {
+      code: price.promoCode,
+      discountAmount: price.discountAmount
+    });
 
     logger.info('PaymentIntent créé:', {
       sessionId,
       expertise,
-      amount,
+      amount: price.amount,
+      promoCode: price.promoCode,
       paymentIntentId: paymentIntent.id
     });
 
     return res.status(200).json({
       success: true,
-      clientSecret: paymentIntent.client_secret
+      clientSecret: paymentIntent.client_secret,
+      amount: price.amount,
+      basePrice: price.basePrice,
+      discountAmount: price.discountAmount,
+      promoCode: price.promoCode
     });
 
   } catch (error) {
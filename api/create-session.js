@@ -1,8 +1,20 @@
 import { setCorsHeaders, handleCorsPreflight } from '../lib/utils.js';
-import { createPaidSession } from '../lib/db.js';
+import { createSession, setSessionAttribution, clearSessionAttribution } from '../lib/db.js';
+import { getLLMProvider } from '../lib/llm/index.js';
+import { getDeviceType } from '../lib/funnel.js';
+import { parseAttribution } from '../lib/attribution.js';
 import logger from '../lib/logger.js';
 import crypto from 'crypto';
 
+/**
+ * Ouverture d'une session du questionnaire
+ * POST /api/create-session { attribution: { landingUrl, referrer }, statisticsConsent: true }
+ * POST /api/create-session { action: 'attribution', sessionId, attribution, statisticsConsent: true }
+ *   (consentement aux cookies statistiques donné après l'ouverture de la session)
+ * POST /api/create-session { action: 'attribution', sessionId, statisticsConsent: false }
+ *   (consentement retiré : l'attribution enregistrée est effacée)
+ * L'attribution est ignorée sans statisticsConsent (public/js/cookies.js).
+ */
 export default async function handler(req, res) {
   // Configurer CORS
   setCorsHeaders(res, req);
@@ -17,48 +29,86 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Vérifier que la clé API OpenAI est présente
-    if (!process.env.OPENAI_API_KEY) {
-      logger.error('OPENAI_API_KEY not found in environment variables');
-      return res.status(500).json({
-        error: 'Configuration manquante. Veuillez contacter l\'administrateur.'
-      });
-    }
+    const { action, sessionId, statisticsConsent } = req.body || {};
 
-    // Générer un UUID unique pour la session
-    const sessionUuid = crypto.randomUUID();
-
-    // Créer un thread OpenAI
-    const threadResponse = await fetch('https://api.openai.com/v1/threads', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        'Content-Type': 'application/json',
-        'OpenAI-Beta': 'assistants=v2'
-      },
-      body: JSON.stringify({})
-    });
+    // Page d'arrivée, référent et UTM : uniquement avec le consentement aux cookies statistiques
+    const attribution = statisticsConsent === true ? parseAttribution(req.body.attribution) : null;
 
-    if (!threadResponse.ok) {
-      const errorText = await threadResponse.text();
-      logger.error('OpenAI Thread Creation Error:', threadResponse.status, errorText);
-      return res.status(500).json({
-        error: 'Erreur lors de la création de la session de chat.'
-      });
-    }
+    switch (action || 'create') {
+      case 'create':
+        // Vérifier que le fournisseur LLM est configuré (clé API, etc.)
+        const llm = getLLMProvider();
 
-    const threadData = await threadResponse.json();
-    const threadId = threadData.id;
+        if (!llm.isConfigured()) {
+          logger.error('Fournisseur LLM non configuré:', llm.name);
+          return res.status(500).json({
+            error: 'Configuration manquante. Veuillez contacter l\'administrateur.'
+          });
+        }
 
-    // Sauvegarder la session en base de données
-    await createPaidSession(sessionUuid, threadId);
+        // Générer un UUID unique pour la session
+        const sessionUuid = crypto.randomUUID();
 
-    logger.info('Nouvelle session payante créée:', { sessionUuid, threadId });
+        // Créer la conversation chez le fournisseur LLM (thread OpenAI ou ID local)
+        let threadId;
 
-    return res.status(200).json({
-      success: true,
-      sessionId: sessionUuid
-    });
+        try {
+          threadId = await llm.createConversation();
+        } catch (error) {
+          logger.error(`LLM Conversation Creation Error (${llm.name}):`, error);
+          return res.status(500).json({
+            error: 'Erreur lors de la création de la session de chat.'
+          });
+        }
+
+        // Type d'appareil pour le tunnel de conversion (l'en-tête User-Agent n'est pas conservé)
+        const device = getDeviceType(req.headers['user-agent']);
+        await createSession(sessionUuid, threadId, { device, attribution });
+
+        logger.info('Nouvelle session créée:', {
+          sessionUuid,
+          threadId,
+          device,
+          source: attribution ? attribution.utmSource || attribution.referrerHost || '(direct)' : null,
+          llmProvider: llm.name
+        });
+
+        return res.status(200).json({
+          success: true,
+          sessionId: sessionUuid
+        });
+
+      case 'attribution':
+        // Consentement donné après l'ouverture : la première attribution seule est conservée
+        if (!sessionId) {
+          return res.status(400).json({ error: 'sessionId requis' });
+        }
+
+        // Consentement retiré : aucune nouvelle donnée, effacer celle déjà enregistrée
+        if (statisticsConsent === false) {
+          const cleared = await clearSessionAttribution(sessionId);
+
+          return res.status(200).json({
+            success: true,
+            attributed: false,
+            cleared
+          });
+        }
+
+        if (!attribution) {
+          return res.status(400).json({ error: 'Attribution invalide ou consentement manquant' });
+        }
+
+        const attributed = await setSessionAttribution(sessionId, attribution);
+
+        return res.status(200).json({
+          success: true,
+          attributed
+        });
+
+      default:
+        return res.status(400).json({ error: 'Action non reconnue' });
+    }
 
   } catch (error) {
     logger.error('Create Session API Error:', error);
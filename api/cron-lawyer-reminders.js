@@ -0,0 +1,29 @@
+// Tâche planifiée (Vercel Cron, toutes les heures) : relances de validation avocat
+// Vercel envoie Authorization: Bearer <CRON_SECRET> ; sans CRON_SECRET configurée, la tâche est refusée
+
+import { sendLawyerReminders } from '../lib/lawyers.js';
+import logger from '../lib/logger.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const expectedSecret = process.env.CRON_SECRET;
+  if (!expectedSecret || req.headers.authorization !== `Bearer ${expectedSecret}`) {
+    logger.security('Appel non autorisé de la tâche de relance avocats');
+    return res.status(401).json({ error: 'Accès non autorisé' });
+  }
+
+  try {
+    const result = await sendLawyerReminders();
+
+    return res.status(200).json({ success: true, ...result });
+
+  } catch (error) {
+    logger.error('Cron Lawyer Reminders Error:', error);
+    return res.status(500).json({
+      error: 'Erreur lors des relances avocats'
+    });
+  }
+}
@@ -0,0 +1,34 @@
+// Tâche planifiée (Vercel Cron, chaque nuit) : purge des données dont la durée de conservation est dépassée
+// Vercel envoie Authorization: Bearer <CRON_SECRET> ; sans CRON_SECRET configurée, la tâche est refusée
+// ?dryRun=true : rapport de ce qui serait purgé, sans rien supprimer
+
+import { runRetentionPurge, getRetentionDryRun } from '../lib/retention.js';
+import logger from '../lib/logger.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const expectedSecret = process.env.CRON_SECRET;
+  if (!expectedSecret || req.headers.authorization !== `Bearer ${expectedSecret}`) {
+    logger.security('Appel non autorisé de la tâche de purge des données');
+    return res.status(401).json({ error: 'Accès non autorisé' });
+  }
+
+  try {
+    if (req.query.dryRun === 'true') {
+      return res.status(200).json({ success: true, dryRun: true, report: await getRetentionDryRun() });
+    }
+
+    const run = await runRetentionPurge({ source: 'cron' });
+
+    return res.status(200).json({ success: true, run });
+
+  } catch (error) {
+    logger.error('Cron Retention Purge Error:', error);
+    return res.status(500).json({
+      error: 'Erreur lors de la purge des données'
+    });
+  }
+}
@@ -0,0 +1,31 @@
+// Tâche planifiée (Vercel Cron, toutes les heures) : mise à jour de l'agrégat journalier session_statistics
+// Recalcule depuis le dernier jour enregistré jusqu'à aujourd'hui, à partir de funnel_events
+// Vercel envoie Authorization: Bearer <CRON_SECRET> ; sans CRON_SECRET configurée, la tâche est refusée
+
+import { refreshPendingStatistics } from '../lib/funnel.js';
+import logger from '../lib/logger.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const expectedSecret = process.env.CRON_SECRET;
+  if (!expectedSecret || req.headers.authorization !== `Bearer ${expectedSecret}`) {
+    logger.security('Appel non autorisé de la tâche de mise à jour des statistiques');
+    return res.status(401).json({ error: 'Accès non autorisé' });
+  }
+
+  try {
+    const result = await refreshPendingStatistics();
+    logger.info('Statistiques journalières mises à jour:', result);
+
+    return res.status(200).json({ success: true, ...result });
+
+  } catch (error) {
+    logger.error('Cron Statistics Refresh Error:', error);
+    return res.status(500).json({
+      error: 'Erreur lors de la mise à jour des statistiques'
+    });
+  }
+}
@@ -1,4 +1,7 @@
+import { getLLMProvider } from '../lib/llm/index.js';
+
 export default function handler(req, res) {
-  const ok = Boolean(process.env.OPENAI_API_KEY);
-  res.status(ok ? 200 : 500).json({ ok, hasKey: ok });
+  const llm = getLLMProvider();
+  const ok = llm.isConfigured();
+  res.status(ok ? 200 : 500).json({ ok, hasKey: ok, llmProvider: llm.name });
 }
@@ -0,0 +1,208 @@
+// Espace avocat : connexion et validation des dossiers Premium assignés
+// Session par cookie HttpOnly (lawyer_session) ; un avocat ne voit que ses propres dossiers
+
+import { setCorsHeaders, handleCorsPreflight, isValidEmail } from '../lib/utils.js';
+import {
+  verifyLawyerPassword,
+  getLawyerReviews,
+  getLawyerReview,
+  getSession,
+  getSessionMessages,
+  decideLawyerReview
+} from '../lib/db.js';
+import {
+  startLawyerSession,
+  getLawyerFromRequest,
+  endLawyerSession,
+  LAWYER_COMMENT_MAX_LENGTH
+} from '../lib/lawyers.js';
+import { DRAFT_PLACEHOLDER } from '../lib/review.js';
+import {
+  loginRateLimiter,
+  getClientIp,
+  checkRateLimit,
+  sendRateLimitError,
+  addRateLimitHeaders
+} from '../lib/ratelimit.js';
+import logger from '../lib/logger.js';
+
+export default async function handler(req, res) {
+  // Configurer CORS
+  setCorsHeaders(res, req);
+
+  // Gérer preflight CORS
+  if (handleCorsPreflight(req, res)) {
+    return;
+  }
+
+  try {
+    const { action, reviewId, decision, comment, email, password } = req.method === 'GET' ? req.query : req.body;
+
+    if (action === 'login') {
+      return handleLogin(req, res, email, password);
+    }
+
+    if (action === 'logout') {
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      res.setHeader('Set-Cookie', await endLawyerSession(req));
+      return res.status(200).json({ success: true });
+    }
+
+    const lawyer = await getLawyerFromRequest(req);
+    if (!lawyer) {
+      return res.status(401).json({ error: 'Session expirée, veuillez vous reconnecter' });
+    }
+
+    switch (action || 'cases') {
+      case 'cases':
+        // Dossiers assignés à l'avocat connecté
+        const reviews = await getLawyerReviews({ lawyerId: lawyer.id });
+
+        return res.status(200).json({
+          success: true,
+          lawyer: { name: lawyer.name, email: lawyer.email },
+          reviews: reviews.map(toLawyerCase)
+        });
+
+      case 'case':
+        // Détail d'un dossier : questionnaire, brouillon d'analyse et conversation
+        const review = await getOwnReview(reviewId, lawyer.id);
+        if (!review) {
+          return res.status(404).json({ error: 'Dossier non trouvé' });
+        }
+
+        const session = await getSession(review.sessionUuid);
+        const messages = await getSessionMessages(review.sessionId);
+
+        return res.status(200).json({
+          success: true,
+          review: toLawyerCase(review),
+          questionnaireData: session.questionnaireData,
+          analysisDraft: review.status === 'validated' ? review.validatedAnalysis : session.analysisDraft,
+          messages
+        });
+
+      case 'decide':
+        // Valider le brouillon ou le renvoyer à l'équipe avec un commentaire
+        if (req.method !== 'POST') {
+          return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        if (decision !== 'validated' && decision !== 'returned') {
+          return res.status(400).json({ error: 'Décision invalide (validated ou returned)' });
+        }
+
+        const note = typeof comment === 'string' ? comment.trim() : '';
+        if (note.length > LAWYER_COMMENT_MAX_LENGTH) {
+          return res.status(400).json({ error: `Commentaire trop long (${LAWYER_COMMENT_MAX_LENGTH} caractères maximum)` });
+        }
+
+        if (decision === 'returned' && !note) {
+          return res.status(400).json({ error: 'Un commentaire est requis pour renvoyer le dossier' });
+        }
+
+        const current = await getOwnReview(reviewId, lawyer.id);
+        if (!current) {
+          return res.status(404).json({ error: 'Dossier non trouvé' });
+        }
+
+        // Le texte validé est le brouillon tel qu'il est au moment de la décision
+        const draftSession = await getSession(current.sessionUuid);
+        if (decision === 'validated' && !draftSession.analysisDraft) {
+          return res.status(409).json({ error: 'Aucun brouillon d\'analyse à valider' });
+        }
+
+        if (decision === 'validated' && draftSession.analysisDraft.includes(DRAFT_PLACEHOLDER)) {
+          return res.status(409).json({ error: 'L\'analyse contient encore des passages [À COMPLÉTER] : renvoyez-la à l\'équipe' });
+        }
+
+        const decided = await decideLawyerReview(current.id, lawyer.id, {
+          status: decision,
+          comment: note || null,
+          analysis: decision === 'validated' ? draftSession.analysisDraft : null
+        });
+
+        if (!decided) {
+          return res.status(409).json({ error: 'Ce dossier n\'est plus en cours de validation' });
+        }
+
+        logger.info('Décision avocat:', { reviewId: current.id, lawyerId: lawyer.id, decision });
+
+        return res.status(200).json({ success: true, status: decision });
+
+      default:
+        return res.status(400).json({ error: 'Action non reconnue' });
+    }
+
+  } catch (error) {
+    logger.error('Lawyer API Error:', error);
+    return res.status(500).json({
+      error: 'Erreur lors du traitement de la demande'
+    });
+  }
+}
+
+/**
+ * Connexion à l'espace avocat (limitée à 5 tentatives / 15 min par IP)
+ */
+async function handleLogin(req, res, email, password) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const rateLimit = await checkRateLimit(loginRateLimiter, `lawyer:${getClientIp(req)}`);
+  if (!rateLimit.success) {
+    logger.security('Rate limit connexion avocat dépassé');
+    return sendRateLimitError(res, rateLimit);
+  }
+  addRateLimitHeaders(res, rateLimit);
+
+  if (typeof email !== 'string' || !isValidEmail(email.trim()) || typeof password !== 'string' || !password) {
+    return res.status(400).json({ error: 'Email et mot de passe requis' });
+  }
+
+  const lawyer = await verifyLawyerPassword(email.trim(), password);
+  if (!lawyer) {
+    logger.security('Échec de connexion avocat');
+    return res.status(401).json({ error: 'Email ou mot de passe incorrect' });
+  }
+
+  res.setHeader('Set-Cookie', await startLawyerSession(lawyer));
+  return res.status(200).json({ success: true, lawyer: { name: lawyer.name, email: lawyer.email } });
+}
+
+/**
+ * Récupérer un dossier s'il est assigné à l'avocat connecté
+ * @param {number} reviewId - ID du dossier
+ * @param {number} lawyerId - ID de l'avocat
+ * @returns {Promise<Object|null>} Dossier ou null
+ */
+async function getOwnReview(reviewId, lawyerId) {
+  if (!reviewId || isNaN(parseInt(reviewId))) return null;
+
+  const review = await getLawyerReview({ id: reviewId });
+  return review && review.lawyerId === lawyerId ? review : null;
+}
+
+/**
+ * Vue avocat d'un dossier (sans les champs internes de l'équipe)
+ * @param {Object} review - Dossier (getLawyerReviews)
+ * @returns {Object} Dossier
+ */
+function toLawyerCase(review) {
+  return {
+    id: review.id,
+    expertise: review.expertise,
+    paidAt: review.paidAt,
+    status: review.status,
+    deadlineAt: review.deadlineAt,
+    overdue: review.overdue,
+    assignedAt: review.assignedAt,
+    validatedAt: review.validatedAt,
+    returnedAt: review.returnedAt,
+    lawyerComment: review.lawyerComment
+  };
+}
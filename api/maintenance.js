@@ -4,23 +4,12 @@
 
 import { sql } from '@vercel/postgres';
 import { setCorsHeaders, handleCorsPreflight } from '../lib/utils.js';
+import { requireAdmin } from '../lib/admin-auth.js';
 import logger from '../lib/logger.js';
 
-// Créer la table de configuration si elle n'existe pas
-async function ensureConfigTable() {
-  await sql`
-    CREATE TABLE IF NOT EXISTS site_config (
-      key VARCHAR(50) PRIMARY KEY,
-      value TEXT,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    )
-  `;
-}
-
 // Récupérer l'état de maintenance
 async function getMaintenanceStatus() {
   try {
-    await ensureConfigTable();
     const result = await sql`
       SELECT value FROM site_config WHERE key = 'maintenance_enabled'
     `;
@@ -39,7 +28,6 @@ async function getMaintenanceStatus() {
 // Définir l'état de maintenance
 async function setMaintenanceStatus(enabled) {
   try {
-    await ensureConfigTable();
     await sql`
       INSERT INTO site_config (key, value, updated_at)
       VALUES ('maintenance_enabled', ${enabled ? 'true' : 'false'}, CURRENT_TIMESTAMP)
@@ -84,18 +72,8 @@ export default async function handler(req, res) {
   if (req.method === 'POST') {
     try {
       // Vérifier l'authentification admin
-      const adminKey = req.headers['x-admin-key'];
-      const expectedKey = process.env.ADMIN_KEY || 'sosdivorce-admin-2024';
-
-      if (adminKey !== expectedKey) {
-        logger.security('Tentative non autorisée de modification maintenance:', {
-          providedKey: adminKey ? 'présent' : 'absent'
-        });
-        return res.status(401).json({
-          success: false,
-          error: 'Non autorisé'
-        });
-      }
+      const admin = await requireAdmin(req, res, 'settings:write');
+      if (!admin) return;
 
       const { enabled } = req.body;
 
@@ -0,0 +1,57 @@
+// État des migrations du schéma (lecture seule)
+// Les migrations s'appliquent avec `npm run migrate` (voir scripts/migrate.js).
+// URL: https://votre-site.vercel.app/api/migrations (header X-Setup-Key)
+// upToDate = false tant que des migrations sont en attente (vérification après déploiement).
+
+import { getMigrationStatus } from '../lib/migrations.js';
+import logger from '../lib/logger.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Sécurité : SETUP_KEY OBLIGATOIRE
+  const setupKey = req.headers['x-setup-key'];
+  const expectedKey = process.env.SETUP_KEY;
+
+  if (!expectedKey) {
+    logger.error('SETUP_KEY non configurée');
+    return res.status(500).json({
+      error: 'Configuration manquante',
+      message: 'SETUP_KEY doit être définie dans les variables d\'environnement.'
+    });
+  }
+
+  if (setupKey !== expectedKey) {
+    logger.security('Tentative d\'accès migrations avec clé invalide');
+    return res.status(403).json({
+      error: 'Accès refusé. Clé de setup requise.',
+      info: 'Envoyez la clé dans le header X-Setup-Key'
+    });
+  }
+
+  try {
+    const status = await getMigrationStatus();
+    const upToDate = status.pending.length === 0;
+
+    return res.status(200).json({
+      success: true,
+      upToDate,
+      current: status.current,
+      latest: status.latest,
+      pending: status.pending,
+      unknown: status.unknown,
+      applied: status.applied,
+      help: upToDate ? undefined : 'Appliquer les migrations : npm run migrate'
+    });
+
+  } catch (error) {
+    logger.error('Erreur lecture des migrations:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la lecture des migrations',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,37 @@
+// Catalogue public des offres (boutons du chat, prix affichés)
+
+import { setCorsHeaders, handleCorsPreflight } from '../lib/utils.js';
+import { getOffers, toPublicOffer } from '../lib/offers.js';
+import logger from '../lib/logger.js';
+
+export default async function handler(req, res) {
+  // Configurer CORS
+  setCorsHeaders(res, req);
+
+  // Gérer preflight CORS
+  if (handleCorsPreflight(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const offers = await getOffers();
+
+    // Cache CDN court : les changements de prix doivent apparaître rapidement
+    res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate=300');
+
+    return res.status(200).json({
+      success: true,
+      offers: offers.map(toPublicOffer)
+    });
+
+  } catch (error) {
+    logger.error('Offers API Error:', error);
+    return res.status(500).json({
+      error: 'Erreur lors de la récupération des offres'
+    });
+  }
+}
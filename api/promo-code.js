@@ -0,0 +1,76 @@
+// Vérifier un code promo avant paiement (affichage du prix réduit dans le chat)
+// Le montant facturé est recalculé par /api/create-payment-intent
+
+import { setCorsHeaders, handleCorsPreflight } from '../lib/utils.js';
+import {
+  promoCodeRateLimiter,
+  getClientIp,
+  checkRateLimit,
+  sendRateLimitError,
+  addRateLimitHeaders
+} from '../lib/ratelimit.js';
+import { resolvePrice } from '../lib/pricing.js';
+import logger from '../lib/logger.js';
+
+export default async function handler(req, res) {
+  // Configurer CORS
+  setCorsHeaders(res, req);
+
+  // Gérer preflight CORS
+  if (handleCorsPreflight(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Rate limiting (empêche de tester des codes en masse)
+  const clientIp = getClientIp(req);
+  const rateLimit = await checkRateLimit(promoCodeRateLimiter, clientIp);
+
+  if (!rateLimit.success) {
+    logger.security(`Rate limit codes promo dépassé pour ${clientIp}`);
+    return sendRateLimitError(res, rateLimit);
+  }
+
+  addRateLimitHeaders(res, rateLimit);
+
+  try {
+    const { code, expertise } = req.body;
+
+    if (!code || !expertise) {
+      return res.status(400).json({ error: 'Paramètres manquants (code, expertise requis)' });
+    }
+
+    const price = await resolvePrice(expertise, String(code));
+
+    if (!price.offer) {
+      return res.status(400).json({ error: price.error });
+    }
+
+    if (!price.valid) {
+      return res.status(200).json({
+        success: true,
+        valid: false,
+        error: price.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      valid: true,
+      promoCode: price.promoCode,
+      description: price.description,
+      basePrice: price.basePrice,
+      discountAmount: price.discountAmount,
+      amount: price.amount
+    });
+
+  } catch (error) {
+    logger.error('Promo Code API Error:', error);
+    return res.status(500).json({
+      error: 'Erreur lors de la vérification du code promo'
+    });
+  }
+}
@@ -1,35 +1,36 @@
 // Importation depuis la nouvelle base de données Postgres
-import { addUser, findUserByEmail, getAllUsers, getStats, verifyUserPassword } from '../lib/db.js';
-import { setCorsHeaders, handleCorsPreflight, createMultipleCookies, isValidEmail, parseCookies } from '../lib/utils.js';
+import {
+  addUser,
+  findUserByEmail,
+  getAllUsers,
+  getStats,
+  verifyUserPassword,
+  updateUserPassword,
+  markUserEmailVerified,
+  revokeAllUserSessions
+} from '../lib/db.js';
+import { setCorsHeaders, handleCorsPreflight, isValidEmail } from '../lib/utils.js';
+import {
+  startUserSession,
+  getUserFromRequest,
+  endUserSession,
+  createUserLink,
+  redeemUserLink
+} from '../lib/auth.js';
+import { sendPasswordResetEmail, sendEmailVerificationEmail } from '../lib/email.js';
 import {
   signupRateLimiter,
   loginRateLimiter,
+  accountEmailRateLimiter,
   adminRateLimiter,
   getClientIp,
   checkRateLimit,
   sendRateLimitError,
   addRateLimitHeaders
 } from '../lib/ratelimit.js';
+import { requireAdmin } from '../lib/admin-auth.js';
 import logger from '../lib/logger.js';
 
-/**
- * Vérifier si la requête provient d'un admin autorisé
- * @param {Request} req - Requête
- * @returns {boolean} True si admin autorisé
- */
-function isAdmin(req) {
-  const adminKey = req.headers['x-admin-key'] || req.body?.adminKey;
-  const expectedKey = process.env.ADMIN_KEY;
-
-  // Si pas de clé admin configurée, refuser l'accès
-  if (!expectedKey) {
-    logger.error('ADMIN_KEY non configurée dans les variables d\'environnement');
-    return false;
-  }
-
-  return adminKey === expectedKey;
-}
-
 export default async function handler(req, res) {
   // Configurer CORS avec liste blanche
   setCorsHeaders(res, req);
@@ -57,7 +58,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { action, firstName, lastName, email, password } = req.body;
+    const { action, firstName, lastName, email, password, token } = req.body;
 
     // Gérer différentes actions
     if (action === 'register') {
@@ -68,6 +69,14 @@ export default async function handler(req, res) {
       return await handleLogout(req, res);
     } else if (action === 'check') {
       return await handleCheckUser(req, res);
+    } else if (action === 'requestPasswordReset') {
+      return await handleRequestPasswordReset(email, req, res);
+    } else if (action === 'resetPassword') {
+      return await handleResetPassword(token, password, req, res);
+    } else if (action === 'sendVerification') {
+      return await handleSendVerification(req, res);
+    } else if (action === 'verifyEmail') {
+      return await handleVerifyEmail(token, req, res);
     } else if (action === 'list') {
       return await handleListUsers(req, res);
     } else if (action === 'stats') {
@@ -165,15 +174,15 @@ async function handleRegister(firstName, lastName, email, password, req, res) {
     // Ne pas bloquer l'inscription si Google Sheets échoue
   }
 
-  // Définir les cookies d'inscription
-  const oneYear = 365 * 24 * 60 * 60; // 1 an en secondes
-  const cookies = createMultipleCookies([
-    { name: 'registered', value: '1', options: { maxAge: oneYear } },
-    { name: 'q_used', value: '0', options: { maxAge: oneYear } },
-    { name: 'user_name', value: firstName, options: { maxAge: oneYear } },
-    { name: 'user_email', value: email, options: { maxAge: oneYear } }
-  ]);
-  res.setHeader('Set-Cookie', cookies);
+  // Ouvrir la session (cookie HttpOnly signé)
+  res.setHeader('Set-Cookie', await startUserSession(user, req));
+
+  // Lien de vérification de l'email (ne bloque pas l'inscription en cas d'échec)
+  try {
+    await sendVerificationLink(user);
+  } catch (error) {
+    logger.error('Erreur envoi lien de vérification:', error);
+  }
 
   logger.logSensitive('Nouvelle inscription', { firstName, lastName, email, timestamp: new Date().toISOString() });
 
@@ -218,15 +227,8 @@ async function handleLogin(email, password, req, res) {
     });
   }
 
-  // Définir les cookies de connexion
-  const oneYear = 365 * 24 * 60 * 60; // 1 an en secondes
-  const cookies = createMultipleCookies([
-    { name: 'registered', value: '1', options: { maxAge: oneYear } },
-    { name: 'q_used', value: '0', options: { maxAge: oneYear } },
-    { name: 'user_name', value: user.firstName, options: { maxAge: oneYear } },
-    { name: 'user_email', value: email, options: { maxAge: oneYear } }
-  ]);
-  res.setHeader('Set-Cookie', cookies);
+  // Ouvrir la session (cookie HttpOnly signé)
+  res.setHeader('Set-Cookie', await startUserSession(user, req));
 
   return res.status(200).json({
     success: true,
@@ -235,21 +237,15 @@ async function handleLogin(email, password, req, res) {
       id: user.id,
       firstName: user.firstName,
       lastName: user.lastName,
-      email: user.email
+      email: user.email,
+      emailVerified: Boolean(user.emailVerifiedAt)
     }
   });
 }
 
 async function handleLogout(req, res) {
-  // Créer des cookies expirés pour supprimer la session
-  const expiredCookies = [
-    'registered=; Max-Age=0; Path=/; SameSite=Lax',
-    'q_used=; Max-Age=0; Path=/; SameSite=Lax',
-    'user_name=; Max-Age=0; Path=/; SameSite=Lax',
-    'user_email=; Max-Age=0; Path=/; SameSite=Lax'
-  ];
-
-  res.setHeader('Set-Cookie', expiredCookies);
+  // Révoquer la session en base (all: tous les appareils) et effacer les cookies
+  res.setHeader('Set-Cookie', await endUserSession(req, { all: req.body.all === true }));
 
   return res.status(200).json({
     success: true,
@@ -258,15 +254,8 @@ async function handleLogout(req, res) {
 }
 
 async function handleCheckUser(req, res) {
-  // Lire les cookies pour vérifier l'utilisateur
-  const cookies = parseCookies(req.headers.cookie || '');
-  const userEmail = cookies.user_email;
-
-  if (!userEmail) {
-    return res.status(200).json({ success: false });
-  }
-
-  const user = await findUserByEmail(userEmail); // Déjà décodé par parseCookies
+  // Utilisateur de la session (cookie signé, session non expirée ni révoquée)
+  const user = await getUserFromRequest(req);
   if (!user) {
     return res.status(200).json({ success: false });
   }
@@ -277,11 +266,160 @@ async function handleCheckUser(req, res) {
       id: user.id,
       firstName: user.firstName,
       lastName: user.lastName,
-      email: user.email
+      email: user.email,
+      emailVerified: Boolean(user.emailVerifiedAt)
     }
   });
 }
 
+/**
+ * Vérifier le rate limit des emails de compte, par IP puis par adresse email
+ * @returns {Promise<boolean>} true si la réponse 429 a été envoyée
+ */
+async function limitAccountEmails(req, res, email) {
+  for (const identifier of [`ip:${getClientIp(req)}`, `email:${email.toLowerCase()}`]) {
+    const rateLimit = await checkRateLimit(accountEmailRateLimiter, identifier);
+    if (!rateLimit.success) {
+      logger.security('Rate limit emails de compte dépassé');
+      sendRateLimitError(res, rateLimit);
+      return true;
+    }
+    addRateLimitHeaders(res, rateLimit);
+  }
+  return false;
+}
+
+/**
+ * Envoyer un lien de vérification de l'email à un utilisateur
+ */
+async function sendVerificationLink(user) {
+  const { link } = await createUserLink(user, 'email_verification');
+  await sendEmailVerificationEmail({ to: user.email, firstName: user.firstName, link });
+}
+
+async function handleRequestPasswordReset(email, req, res) {
+  if (typeof email !== 'string' || !isValidEmail(email.trim())) {
+    return res.status(400).json({
+      error: 'Format d\'email invalide',
+      success: false
+    });
+  }
+
+  if (await limitAccountEmails(req, res, email.trim())) {
+    return;
+  }
+
+  // Réponse identique que le compte existe ou non (pas d'énumération des emails)
+  const user = await findUserByEmail(email.trim());
+  if (user && user.passwordHash) {
+    try {
+      const { link } = await createUserLink(user, 'password_reset');
+      await sendPasswordResetEmail({ to: user.email, firstName: user.firstName, link });
+      logger.info('Lien de réinitialisation envoyé:', { userId: user.id });
+    } catch (error) {
+      logger.error('Erreur envoi lien de réinitialisation:', error);
+    }
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: 'Si un compte existe pour cet email, un lien de réinitialisation vient d\'être envoyé.'
+  });
+}
+
+async function handleResetPassword(token, password, req, res) {
+  // Rate limiting (même limite que le login)
+  const rateLimit = await checkRateLimit(loginRateLimiter, `reset:${getClientIp(req)}`);
+  if (!rateLimit.success) {
+    logger.security('Rate limit réinitialisation du mot de passe dépassé');
+    return sendRateLimitError(res, rateLimit);
+  }
+  addRateLimitHeaders(res, rateLimit);
+
+  if (typeof password !== 'string' || password.length < 6 || password.length > 72) {
+    return res.status(400).json({
+      error: 'Le mot de passe doit contenir entre 6 et 72 caractères',
+      success: false
+    });
+  }
+
+  const userId = await redeemUserLink(token, 'password_reset');
+  if (!userId) {
+    return res.status(400).json({
+      error: 'Lien invalide, expiré ou déjà utilisé',
+      success: false
+    });
+  }
+
+  await updateUserPassword(userId, password);
+  // Le lien reçu par email prouve aussi la possession de l'adresse
+  await markUserEmailVerified(userId);
+  // Déconnecter tous les appareils : l'utilisateur se reconnecte avec le nouveau mot de passe
+  await revokeAllUserSessions(userId);
+
+  logger.info('Mot de passe réinitialisé:', { userId });
+
+  return res.status(200).json({
+    success: true,
+    message: 'Mot de passe modifié. Vous pouvez vous connecter.'
+  });
+}
+
+async function handleSendVerification(req, res) {
+  const user = await getUserFromRequest(req);
+  if (!user) {
+    return res.status(401).json({
+      error: 'Authentification requise',
+      success: false
+    });
+  }
+
+  if (user.emailVerifiedAt) {
+    return res.status(200).json({
+      success: true,
+      alreadyVerified: true,
+      message: 'Votre adresse email est déjà vérifiée.'
+    });
+  }
+
+  if (await limitAccountEmails(req, res, user.email)) {
+    return;
+  }
+
+  await sendVerificationLink(user);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Un lien de vérification vient d\'être envoyé à votre adresse email.'
+  });
+}
+
+async function handleVerifyEmail(token, req, res) {
+  const rateLimit = await checkRateLimit(loginRateLimiter, `verify:${getClientIp(req)}`);
+  if (!rateLimit.success) {
+    logger.security('Rate limit vérification de l\'email dépassé');
+    return sendRateLimitError(res, rateLimit);
+  }
+  addRateLimitHeaders(res, rateLimit);
+
+  const userId = await redeemUserLink(token, 'email_verification');
+  if (!userId) {
+    return res.status(400).json({
+      error: 'Lien invalide, expiré ou déjà utilisé',
+      success: false
+    });
+  }
+
+  await markUserEmailVerified(userId);
+
+  logger.info('Email vérifié:', { userId });
+
+  return res.status(200).json({
+    success: true,
+    message: 'Adresse email confirmée.'
+  });
+}
+
 async function handleListUsers(req, res) {
   // Rate limiting pour les endpoints admin
   const clientIp = getClientIp(req);
@@ -293,13 +431,8 @@ async function handleListUsers(req, res) {
   }
 
   // Vérifier l'authentification admin
-  if (!isAdmin(req)) {
-    logger.security('Tentative d\'accès non autorisée à la liste des utilisateurs');
-    return res.status(403).json({
-      error: 'Accès refusé. Authentification admin requise.',
-      success: false
-    });
-  }
+  const admin = await requireAdmin(req, res, 'customers:read');
+  if (!admin) return;
 
   addRateLimitHeaders(res, rateLimit);
 
@@ -322,13 +455,8 @@ async function handleStats(req, res) {
   }
 
   // Vérifier l'authentification admin
-  if (!isAdmin(req)) {
-    logger.security('Tentative d\'accès non autorisée aux statistiques');
-    return res.status(403).json({
-      error: 'Accès refusé. Authentification admin requise.',
-      success: false
-    });
-  }
+  const admin = await requireAdmin(req, res, 'stats:read');
+  if (!admin) return;
 
   addRateLimitHeaders(res, rateLimit);
 
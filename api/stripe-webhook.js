@@ -0,0 +1,99 @@
+// Webhook Stripe : source de vérité pour la finalisation des paiements
+// Événements traités : payment_intent.succeeded, payment_intent.payment_failed,
+// charge.refunded, charge.dispute.created, charge.dispute.updated, charge.dispute.closed
+// Configuration Stripe : Dashboard > Developers > Webhooks > https://votre-site/api/stripe-webhook
+
+import { claimStripeEvent, markStripeEventProcessed, markStripeEventFailed } from '../lib/db.js';
+import { handleStripeEvent } from '../lib/payments.js';
+import logger from '../lib/logger.js';
+import Stripe from 'stripe';
+
+// La signature Stripe est calculée sur le corps brut : désactiver le parsing JSON de Vercel
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+/**
+ * Lire le corps brut de la requête
+ * @param {Object} req - Objet request
+ * @returns {Promise<Buffer>} Corps brut
+ */
+async function readRawBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Vérifier que les clés Stripe sont présentes
+  if (!process.env.STRIPE_SECRET_KEY || !process.env.STRIPE_WEBHOOK_SECRET) {
+    logger.error('STRIPE_SECRET_KEY ou STRIPE_WEBHOOK_SECRET manquante');
+    return res.status(500).json({ error: 'Configuration paiement manquante.' });
+  }
+
+  const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+  // ====================================
+  // VÉRIFIER LA SIGNATURE
+  // ====================================
+  let event;
+
+  try {
+    const rawBody = await readRawBody(req);
+    event = stripe.webhooks.constructEvent(
+      rawBody,
+      req.headers['stripe-signature'],
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+  } catch (error) {
+    logger.security('Signature webhook Stripe invalide:', error.message);
+    return res.status(400).json({ error: 'Signature invalide' });
+  }
+
+  // ====================================
+  // IDEMPOTENCE (CLÉ = ID D'ÉVÉNEMENT)
+  // ====================================
+  try {
+    const claimed = await claimStripeEvent(event.id, event.type);
+
+    if (!claimed) {
+      logger.info('Événement Stripe déjà traité:', { eventId: event.id, type: event.type });
+      return res.status(200).json({ received: true, duplicate: true });
+    }
+  } catch (error) {
+    logger.error('Stripe Webhook Claim Error:', error);
+    return res.status(500).json({ error: 'Erreur lors de l\'enregistrement de l\'événement' });
+  }
+
+  // ====================================
+  // TRAITER L'ÉVÉNEMENT
+  // ====================================
+  try {
+    const result = await handleStripeEvent(event);
+    await markStripeEventProcessed(event.id);
+
+    logger.info('Événement Stripe traité:', { eventId: event.id, type: event.type, ...result });
+
+    return res.status(200).json({ received: true, type: event.type, ...result });
+
+  } catch (error) {
+    logger.error('Stripe Webhook Error:', { eventId: event.id, type: event.type, error });
+
+    // Marquer en échec : Stripe renverra l'événement et il sera repris
+    try {
+      await markStripeEventFailed(event.id, error.message);
+    } catch (markError) {
+      logger.error('Impossible de marquer l\'événement en échec:', markError);
+    }
+
+    return res.status(500).json({ error: 'Erreur lors du traitement de l\'événement' });
+  }
+}
@@ -81,7 +81,7 @@ export default async function handler(req, res) {
           stats
         } : {
           status: '⚠️ Table non créée',
-          message: 'Exécutez /api/setup-db pour créer la table'
+          message: 'Appliquez les migrations (npm run migrate) pour créer la table'
         },
         structure: tableExists ? {
           status: '✅ OK',
@@ -99,8 +99,8 @@ export default async function handler(req, res) {
         } : null
       },
       nextSteps: !tableExists ? [
-        '1. Ajoutez la variable SETUP_KEY dans les variables d\'environnement',
-        '2. Visitez /api/setup-db?key=VOTRE_CLE pour créer la table',
+        '1. Récupérez POSTGRES_URL (vercel env pull .env.local)',
+        '2. Exécutez npm run migrate pour créer les tables',
         '3. Relancez ce test pour vérifier'
       ] : [
         '✅ Tout est configuré correctement !',
@@ -1,6 +1,6 @@
 import { setCorsHeaders, handleCorsPreflight } from '../lib/utils.js';
-import { getPaidSession, markPaidSessionCompleted, getPaidSessionMessages, markEmailSent, migrateUnpaidToPaidSession } from '../lib/db.js';
-import { sendAnalysisEmail } from '../lib/email.js';
+import { getSession } from '../lib/db.js';
+import { completePayment } from '../lib/payments.js';
 import logger from '../lib/logger.js';
 import Stripe from 'stripe';
 
@@ -38,7 +38,7 @@ export default async function handler(req, res) {
     }
 
     // Récupérer la session
-    const session = await getPaidSession(sessionId);
+    const session = await getSession(sessionId);
     if (!session) {
       return res.status(404).json({ error: 'Session non trouvée' });
     }
@@ -53,78 +53,32 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'PaymentIntent invalide' });
     }
 
-    // Vérifier que la session n'est pas déjà payée
-    if (session.paid) {
-      return res.status(200).json({
-        success: true,
-        alreadyPaid: true,
-        expertise: session.expertise,
-        message: 'Cette session est déjà confirmée comme payée.'
-      });
-    }
-
     // Récupérer l'intention de paiement depuis Stripe pour vérification
     const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
 
     // Vérifier que le paiement a réussi
     if (paymentIntent.status === 'succeeded') {
-      // NOUVEAU: Migrer depuis unpaid_sessions vers paid_sessions si nécessaire
-      const wasMigrated = await migrateUnpaidToPaidSession(sessionId, session.email);
-
-      if (wasMigrated) {
-        logger.info('Session migrée de unpaid vers paid:', { sessionId });
-      }
-
-      // Marquer la session comme payée (déjà dans paid_sessions maintenant)
-      await markPaidSessionCompleted(sessionId, session.email);
-
-      logger.info('Paiement vérifié et confirmé:', {
-        sessionId,
+      // Finaliser le paiement (idempotent : le webhook Stripe a pu le faire avant nous,
+      // les étapes restées en échec — facture, emails — sont alors reprises)
+      const result = await completePayment(sessionId, {
         paymentIntentId,
-        expertise: session.expertise,
-        amount: session.amount,
-        email: session.email,
-        migrated: wasMigrated
+        source: 'verify-payment'
       });
 
-      // Envoyer l'email d'analyse si l'email est disponible
-      let emailSent = false;
-      if (session.email) {
-        try {
-          // Récupérer les messages de la conversation
-          const messages = await getPaidSessionMessages(session.id);
-
-          // Envoyer l'email d'analyse
-          await sendAnalysisEmail({
-            to: session.email,
-            expertise: session.expertise,
-            messages: messages,
-            amount: session.amount,
-            paymentIntentId: paymentIntentId
-          });
-
-          // Marquer l'email comme envoyé
-          await markEmailSent(sessionId);
-          emailSent = true;
-
-          logger.info('Email d\'analyse envoyé:', {
-            sessionId,
-            email: session.email,
-            expertise: session.expertise
-          });
-
-        } catch (emailError) {
-          // Ne pas bloquer la réponse si l'email échoue
-          logger.error('Erreur envoi email (paiement validé quand même):', emailError);
-        }
+      if (result.alreadyPaid) {
+        return res.status(200).json({
+          success: true,
+          alreadyPaid: true,
+          expertise: result.session.expertise,
+          message: 'Cette session est déjà confirmée comme payée.'
+        });
       }
 
       return res.status(200).json({
         success: true,
-        expertise: session.expertise,
-        emailSent: emailSent,
-        message: emailSent
-          ? 'Paiement confirmé. Votre analyse a été envoyée par email.'
+        expertise: result.session.expertise,
+        message: result.session.email
+          ? 'Paiement confirmé. Votre analyse vous sera envoyée par email après relecture par notre équipe.'
           : 'Paiement confirmé avec succès.'
       });
     } else {
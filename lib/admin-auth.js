@@ -0,0 +1,303 @@
+// Authentification et autorisation de l'administration
+// Comptes nominatifs (admin_users) avec un rôle ; session par cookie HttpOnly (admin_session),
+// jeton aléatoire dont seul le hash est stocké. Chaque endpoint admin passe par requireAdmin
+// avec la permission exigée par l'action demandée ; l'appel est alors inscrit au journal
+// (admin_audit_log), qu'il soit autorisé ou refusé.
+// Double authentification TOTP : un compte qui l'a activée reçoit d'abord une session en attente
+// du code (5 min) ; elle devient obligatoire pour tous à partir de ADMIN_TOTP_REQUIRED_FROM.
+
+import crypto from 'crypto';
+import { createAdminSession, getAdminBySession, deleteAdminSession, addAdminAuditEntry } from './db.js';
+import { parseCookies, createCookie } from './utils.js';
+import { getClientIp } from './ratelimit.js';
+import { getRequestReference } from './gdpr.js';
+import logger from './logger.js';
+
+export const ADMIN_SESSION_COOKIE = 'admin_session';
+const ADMIN_SESSION_MAX_AGE = 12 * 60 * 60;
+
+// Durée pour saisir le code TOTP après le mot de passe
+const ADMIN_TOTP_PENDING_MAX_AGE = 5 * 60;
+
+export const ADMIN_ROLES = ['owner', 'support', 'lawyer', 'analyst'];
+
+// Longueur minimale d'un mot de passe administrateur
+export const ADMIN_PASSWORD_MIN_LENGTH = 12;
+
+// Permissions par rôle
+// stats:read          statistiques et tunnel de conversion
+// customers:read      utilisateurs, sessions, conversations, factures, PDF et exports
+// customers:delete    suppression de conversations, effacement RGPD
+// payments:write      remboursements, génération de factures, codes promo
+// reviews:read/write  relecture des analyses
+// lawyers:read/write  comptes avocats et file de validation Premium
+// offers:read/write   catalogue des offres
+// settings:write      mode maintenance, nettoyage du cache, conservation des données
+// admins:manage       comptes administrateurs
+// audit:read          journal des actions admin
+const ROLE_PERMISSIONS = {
+  owner: [
+    'stats:read', 'customers:read', 'customers:delete', 'payments:write', 'reviews:read', 'reviews:write',
+    'lawyers:read', 'lawyers:write', 'offers:read', 'offers:write', 'settings:write', 'admins:manage',
+    'audit:read'
+  ],
+  support: [
+    'stats:read', 'customers:read', 'payments:write', 'reviews:read', 'reviews:write',
+    'lawyers:read', 'lawyers:write', 'offers:read'
+  ],
+  lawyer: ['reviews:read', 'reviews:write', 'lawyers:read', 'offers:read'],
+  analyst: ['stats:read', 'customers:read', 'reviews:read', 'lawyers:read', 'offers:read']
+};
+
+// Paramètres identifiant la cible d'une action, par ordre de priorité
+const AUDIT_TARGET_PARAMS = ['sessionId', 'invoiceId', 'reviewId', 'lawyerId', 'adminUserId', 'userId'];
+
+// Paramètres recopiés dans le journal (jamais de mot de passe, de texte d'analyse ni de note libre)
+const AUDIT_DETAIL_PARAMS = [
+  'status', 'amount', 'reason', 'role', 'active', 'dateFilter', 'days', 'clean', 'rule', 'retentionDays', 'enabled'
+];
+
+/**
+ * Hash SHA-256 d'un jeton de session
+ * @param {string} token - Jeton
+ * @returns {string} Hash hexadécimal
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Permissions d'un rôle
+ * @param {string} role - owner | support | lawyer | analyst
+ * @returns {Array<string>} Permissions
+ */
+export function getRolePermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * L'administrateur a-t-il une permission ?
+ * @param {Object} admin - Administrateur (getAdminFromRequest)
+ * @param {string} permission - Permission (ex: payments:write)
+ * @returns {boolean}
+ */
+export function hasAdminPermission(admin, permission) {
+  return getRolePermissions(admin.role).includes(permission);
+}
+
+/**
+ * Vue publique d'un administrateur (renvoyée à l'interface)
+ * @param {Object} admin - Administrateur
+ * @returns {Object} { id, name, email, role, permissions, totpEnabled }
+ */
+export function toAdminProfile(admin) {
+  return {
+    id: admin.id,
+    name: admin.name,
+    email: admin.email,
+    role: admin.role,
+    permissions: getRolePermissions(admin.role),
+    totpEnabled: admin.totpEnabled
+  };
+}
+
+/**
+ * La double authentification est-elle obligatoire ? (date ADMIN_TOTP_REQUIRED_FROM atteinte)
+ * Avant cette date, ou si la variable est absente, l'enrôlement reste facultatif.
+ * @returns {boolean}
+ */
+export function isAdminTotpRequired() {
+  const requiredFrom = Date.parse(process.env.ADMIN_TOTP_REQUIRED_FROM || '');
+  return !Number.isNaN(requiredFrom) && Date.now() >= requiredFrom;
+}
+
+/**
+ * Ouvrir une session d'administration
+ * @param {Object} admin - Administrateur authentifié
+ * @param {Object} [options] - { mfaPending: mot de passe vérifié, code TOTP encore attendu }
+ * @returns {Promise<string>} En-tête Set-Cookie
+ */
+export async function startAdminSession(admin, { mfaPending = false } = {}) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const maxAge = mfaPending ? ADMIN_TOTP_PENDING_MAX_AGE : ADMIN_SESSION_MAX_AGE;
+  const expiresAt = new Date(Date.now() + maxAge * 1000);
+
+  await createAdminSession(admin.id, hashToken(token), expiresAt, { mfaPending });
+
+  return createCookie(ADMIN_SESSION_COOKIE, token, {
+    maxAge,
+    httpOnly: true,
+    secure: true,
+    sameSite: 'Strict'
+  });
+}
+
+/**
+ * Récupérer la session d'administration et son état
+ * totp : code TOTP attendu ; enroll : double authentification obligatoire mais pas encore activée ;
+ * active : accès selon le rôle.
+ * @param {Request} req - Requête HTTP
+ * @returns {Promise<Object|null>} { admin, state } ou null sans session valide
+ */
+export async function getAdminSessionFromRequest(req) {
+  const token = parseCookies(req.headers.cookie)[ADMIN_SESSION_COOKIE];
+  if (!token) {
+    return null;
+  }
+
+  const admin = await getAdminBySession(hashToken(token));
+  if (!admin) {
+    return null;
+  }
+
+  if (admin.mfaPending) {
+    return { admin, state: 'totp' };
+  }
+
+  if (!admin.totpEnabled && isAdminTotpRequired()) {
+    return { admin, state: 'enroll' };
+  }
+
+  return { admin, state: 'active' };
+}
+
+/**
+ * Récupérer l'administrateur connecté (session complète) à partir du cookie de session
+ * @param {Request} req - Requête HTTP
+ * @returns {Promise<Object|null>} Administrateur, ou null (pas de session, code TOTP ou enrôlement attendu)
+ */
+export async function getAdminFromRequest(req) {
+  const session = await getAdminSessionFromRequest(req);
+  return session?.state === 'active' ? session.admin : null;
+}
+
+/**
+ * Fermer la session d'administration
+ * @param {Request} req - Requête HTTP
+ * @returns {Promise<string>} En-tête Set-Cookie qui efface le cookie
+ */
+export async function endAdminSession(req) {
+  const token = parseCookies(req.headers.cookie)[ADMIN_SESSION_COOKIE];
+  if (token) {
+    await deleteAdminSession(hashToken(token));
+  }
+
+  return createCookie(ADMIN_SESSION_COOKIE, '', {
+    maxAge: 0,
+    httpOnly: true,
+    secure: true,
+    sameSite: 'Strict'
+  });
+}
+
+/**
+ * Exiger un administrateur connecté disposant d'une permission
+ * Envoie la réponse 401 (pas de session) ou 403 (permission manquante) le cas échéant.
+ * @param {Request} req - Requête HTTP
+ * @param {Response} res - Réponse HTTP
+ * @param {string} permission - Permission exigée (ex: customers:read)
+ * @returns {Promise<Object|null>} Administrateur, ou null si la réponse d'erreur a été envoyée
+ *
+ * @example
+ * const admin = await requireAdmin(req, res, 'payments:write');
+ * if (!admin) return;
+ */
+export async function requireAdmin(req, res, permission) {
+  const admin = await getAdminFromRequest(req);
+
+  if (!admin) {
+    logger.security('Tentative d\'accès admin non autorisé');
+    res.status(401).json({ error: 'Authentification admin requise' });
+    return null;
+  }
+
+  if (!hasAdminPermission(admin, permission)) {
+    logger.security('Action admin refusée:', { adminId: admin.id, role: admin.role, permission });
+    await recordAdminAction(req, admin, { outcome: 'denied', details: { permission } });
+    res.status(403).json({ error: 'Votre rôle ne permet pas cette action' });
+    return null;
+  }
+
+  // Journal avant exécution : si l'écriture échoue, l'action n'est pas effectuée
+  await recordAdminAction(req, admin);
+
+  return admin;
+}
+
+/**
+ * Inscrire un appel admin au journal (admin_audit_log)
+ * Action, cible et détails sont déduits des paramètres de la requête, sauf s'ils sont fournis.
+ * @param {Request} req - Requête HTTP
+ * @param {Object|null} admin - Administrateur (null : connexion échouée)
+ * @param {Object} [entry] - { action, target, outcome, details }
+ * @returns {Promise<void>}
+ */
+export async function recordAdminAction(req, admin, entry = {}) {
+  const params = {
+    ...req.query,
+    ...(req.body && typeof req.body === 'object' ? req.body : {})
+  };
+
+  const details = { ...getAuditDetails(params), ...entry.details };
+
+  await addAdminAuditEntry({
+    admin,
+    endpoint: new URL(req.url || '/', 'http://localhost').pathname,
+    action: entry.action || getAuditAction(req, params),
+    target: entry.target ?? getAuditTarget(params),
+    method: req.method,
+    outcome: entry.outcome || 'allowed',
+    ipAddress: getClientIp(req),
+    details: Object.keys(details).length > 0 ? details : null
+  });
+}
+
+/**
+ * Action journalisée : paramètre action, sinon méthode HTTP (ex: GET, DELETE)
+ */
+function getAuditAction(req, params) {
+  return typeof params.action === 'string' && params.action ? params.action.slice(0, 100) : req.method;
+}
+
+/**
+ * Cible journalisée : premier identifiant présent (session, facture, avocat, compte...)
+ */
+function getAuditTarget(params) {
+  for (const name of AUDIT_TARGET_PARAMS) {
+    if (params[name] !== undefined && params[name] !== null && params[name] !== '') {
+      return `${name}:${params[name]}`.slice(0, 255);
+    }
+  }
+
+  // Objets édités : offre, code promo, compte avocat ou administrateur
+  const code = params.offer?.code || params.promo?.code;
+  if (code) return `code:${code}`.slice(0, 255);
+
+  if (params.promo?.id) return `promoId:${params.promo.id}`.slice(0, 255);
+
+  const email = params.lawyer?.email || params.adminUser?.email;
+  if (email) return `email:${email}`.slice(0, 255);
+
+  // Demande RGPD : référence de la demande, jamais l'email de la personne
+  if (typeof params.subjectEmail === 'string' && params.subjectEmail.trim()) {
+    return `rgpd:${getRequestReference(params.subjectEmail)}`;
+  }
+
+  return null;
+}
+
+/**
+ * Détails journalisés : uniquement les paramètres de AUDIT_DETAIL_PARAMS
+ */
+function getAuditDetails(params) {
+  const details = {};
+
+  for (const name of AUDIT_DETAIL_PARAMS) {
+    const value = params[name];
+    if (['string', 'number', 'boolean'].includes(typeof value)) {
+      details[name] = typeof value === 'string' ? value.slice(0, 200) : value;
+    }
+  }
+
+  return details;
+}
@@ -0,0 +1,364 @@
+// Document d'analyse remis au client
+// Récapitulatif commun à l'email et au PDF, rendu PDF paginé (en-tête, situation,
+// analyse, montant payé, conversation en annexe, pied de page numéroté)
+
+import { createPdfDocument, wrapText, measureText, PAGE_WIDTH, PAGE_HEIGHT } from './pdf.js';
+import { hasQuestionnaireState, replayQuestionnaire, getQuestionnaireAnswers } from './questionnaire.js';
+import { getOffer } from './offers.js';
+import { getLawyerReview } from './db.js';
+
+// Rubriques du récapitulatif de la situation (ordre d'affichage)
+const RECAP_FIELDS = [
+  { key: 'enfants', label: 'Enfants' },
+  { key: 'typeDivorce', label: 'Type de divorce' },
+  { key: 'urgence', label: 'Urgence' },
+  { key: 'budget', label: 'Budget' },
+  { key: 'attentes', label: 'Attentes' },
+  { key: 'commentaires', label: 'Commentaires personnels', quoted: true }
+];
+
+// Couleurs reprises de l'email d'analyse
+const COLORS = {
+  navy: '#1e3a8a',
+  lightBlue: '#93c5fd',
+  recap: '#eff6ff',
+  text: '#374151',
+  muted: '#6b7280',
+  premium: '#f97316',
+  standard: '#8b5cf6',
+  premiumNotice: '#fef3c7',
+  premiumText: '#92400e',
+  user: '#2563eb',
+  draft: '#dc2626',
+  amount: '#f3f4f6'
+};
+
+const MARGIN = 50;
+const RIGHT = PAGE_WIDTH - MARGIN;
+const CONTENT_WIDTH = RIGHT - MARGIN;
+// Limite basse du contenu (le pied de page est dessiné en dessous)
+const CONTENT_BOTTOM = PAGE_HEIGHT - 70;
+
+/**
+ * Préparer les données communes du document d'analyse (emails et PDF)
+ * @param {Object} params - Paramètres
+ * @param {string} params.expertise - Code de l'offre (catalogue offers)
+ * @param {Array} params.messages - Messages de la conversation (rejeu du questionnaire)
+ * @param {number} params.amount - Montant payé en centimes
+ * @param {Object} [params.questionnaire] - État du questionnaire (questionnaire_data)
+ * @returns {Promise<Object>} { expertiseName, amountEuros, questionnaireData, isPremium }
+ */
+export async function prepareAnalysisDocument({ expertise, messages, amount, questionnaire = null }) {
+  // Libellé issu du catalogue (offres retirées incluses : la commande peut être antérieure)
+  const offer = await getOffer(expertise, { includeInactive: true });
+
+  return {
+    expertiseName: offer?.name || 'Analyse',
+    amountEuros: (amount / 100).toFixed(2),
+    // Réponses structurées du questionnaire (état serveur, sinon rejeu de la conversation)
+    questionnaireData: getQuestionnaireAnswers(
+      hasQuestionnaireState(questionnaire) ? questionnaire : replayQuestionnaire(messages)
+    ),
+    isPremium: Boolean(offer?.requiresLawyerReview)
+  };
+}
+
+/**
+ * Lignes renseignées du récapitulatif de la situation
+ * @param {Object} questionnaireData - Réponses (getQuestionnaireAnswers)
+ * @returns {Array<Object>} [{ label, value, quoted }]
+ */
+export function getAnalysisRecap(questionnaireData) {
+  return RECAP_FIELDS
+    .filter(field => questionnaireData[field.key])
+    .map(field => ({ label: field.label, value: questionnaireData[field.key], quoted: Boolean(field.quoted) }));
+}
+
+/**
+ * Messages affichables de la conversation (sans les tags techniques)
+ * @param {Array} messages - Messages de la conversation
+ * @returns {Array<Object>} [{ role, content }]
+ */
+export function getTranscriptMessages(messages) {
+  return messages
+    .filter(m => !m.content.startsWith('[INIT]') && !m.content.includes('[PAIEMENT_PRET]'))
+    .map(m => ({ role: m.role, content: m.content.replace(/\[CHOIX_OFFRE:[^\]]+\]/g, '').trim() }))
+    .filter(m => m.content);
+}
+
+/**
+ * Mention affichée pour une offre Premium
+ * @param {boolean} validated - Analyse déjà validée par l'avocat
+ * @returns {string} Mention
+ */
+export function getPremiumNotice(validated) {
+  return validated
+    ? 'Votre analyse a été validée par un avocat spécialisé.'
+    : 'Votre analyse sera validée par un avocat spécialisé sous 48h.';
+}
+
+/**
+ * Nom du fichier PDF de l'analyse
+ * @param {Object} session - Session payée ({ sessionUuid })
+ * @returns {string} Nom de fichier (ex: analyse-sosdivorce-1a2b3c4d.pdf)
+ */
+export function getAnalysisFilename(session) {
+  return `analyse-sosdivorce-${String(session.sessionUuid || '').slice(0, 8) || 'client'}.pdf`;
+}
+
+/**
+ * Générer le PDF de l'analyse d'une session payée (analyse envoyée, ou brouillon en cours)
+ * @param {Object} session - Session payée (getSession)
+ * @param {Array} messages - Messages de la conversation
+ * @returns {Promise<Buffer>} Fichier PDF
+ */
+export async function renderSessionAnalysisPdf(session, messages) {
+  const document = await prepareAnalysisDocument({
+    expertise: session.expertise,
+    messages,
+    amount: session.amount,
+    questionnaire: session.questionnaireData
+  });
+
+  // Premium : validé seulement si l'avocat a validé ce texte précis
+  const lawyerReview = document.isPremium ? await getLawyerReview({ sessionId: session.id }) : null;
+
+  return renderAnalysisPdf({
+    ...document,
+    analysis: session.analysisDraft,
+    messages,
+    email: session.email,
+    paidAt: session.paidAt,
+    lawyerValidated: lawyerReview?.status === 'validated' && lawyerReview.validatedAnalysis === session.analysisDraft,
+    draft: session.analysisStatus !== 'delivered'
+  });
+}
+
+/**
+ * Générer le PDF de l'analyse personnalisée
+ *
+ * Reprend les rubriques de l'email d'analyse : badge de l'offre, récapitulatif de la situation,
+ * analyse, mention Premium, montant payé ; la conversation est jointe en annexe.
+ *
+ * @param {Object} params - Données (prepareAnalysisDocument) et contenu
+ * @param {string} params.analysis - Texte de l'analyse
+ * @param {Array} [params.messages] - Messages de la conversation (annexe)
+ * @param {string} [params.email] - Email du client
+ * @param {string|Date} [params.paidAt] - Date du paiement
+ * @param {boolean} [params.lawyerValidated] - Analyse Premium validée par l'avocat
+ * @param {boolean} [params.draft] - Version non envoyée au client (mention Brouillon)
+ * @returns {Buffer} Fichier PDF
+ */
+export function renderAnalysisPdf({
+  expertiseName,
+  amountEuros,
+  questionnaireData,
+  isPremium,
+  analysis,
+  messages = [],
+  email = null,
+  paidAt = null,
+  lawyerValidated = false,
+  draft = false
+}) {
+  const doc = createPdfDocument({ title: `${expertiseName} - SOS Divorce`, author: 'SOS Divorce' });
+  let y = 0;
+
+  // Pages suivantes : en-tête réduit
+  const newPage = () => {
+    doc.addPage();
+    doc.text('SOS', MARGIN, 40, { font: 'bold', size: 11, color: COLORS.navy });
+    doc.text('DIVORCE.FR', MARGIN + measureText('SOS ', { font: 'bold', size: 11 }), 40, { size: 8, color: COLORS.navy });
+    doc.text(expertiseName, RIGHT, 40, { size: 8, color: COLORS.muted, align: 'right' });
+    doc.line(MARGIN, 48, RIGHT, 48);
+    y = 60;
+  };
+
+  // Changer de page si le bloc suivant ne tient pas
+  const ensureSpace = height => {
+    if (y + height > CONTENT_BOTTOM) newPage();
+  };
+
+  // Écrire des lignes (y = ligne de base de la dernière ligne écrite) ; marker : puce de liste
+  const writeLines = (lines, x, { font = 'regular', size = 10, color = COLORS.text, lineHeight = 14, marker = null } = {}) => {
+    lines.forEach((line, index) => {
+      ensureSpace(lineHeight);
+      y += lineHeight;
+      if (marker && index === 0) {
+        doc.text(marker, x - 14, y, { font, size, color });
+      }
+      doc.text(line, x, y, { font, size, color });
+    });
+  };
+
+  const sectionTitle = title => {
+    ensureSpace(60);
+    y += 30;
+    doc.text(title, MARGIN, y, { font: 'bold', size: 14, color: COLORS.navy });
+    y += 8;
+    doc.line(MARGIN, y, RIGHT, y, { color: COLORS.lightBlue });
+    y += 4;
+  };
+
+  // En-tête (première page)
+  doc.addPage();
+  doc.rect(0, 0, PAGE_WIDTH, 90, { color: COLORS.navy });
+  doc.text('SOS', MARGIN, 50, { font: 'bold', size: 24, color: '#ffffff' });
+  doc.text('DIVORCE.FR', MARGIN + measureText('SOS ', { font: 'bold', size: 24 }), 50, { size: 17, color: '#ffffff' });
+  doc.text('Votre partenaire juridique en ligne', MARGIN, 72, { size: 10, color: COLORS.lightBlue });
+  if (paidAt) {
+    doc.text(`Commande du ${formatDate(paidAt)}`, RIGHT, 50, { size: 9, color: COLORS.lightBlue, align: 'right' });
+  }
+  if (email) {
+    doc.text(email, RIGHT, 72, { size: 9, color: '#ffffff', align: 'right' });
+  }
+
+  // Titre et badge de l'offre
+  doc.text('Analyse personnalisée', MARGIN, 130, { font: 'bold', size: 20, color: COLORS.navy });
+  const badgeWidth = measureText(expertiseName, { font: 'bold', size: 10 }) + 24;
+  doc.rect(MARGIN, 142, badgeWidth, 20, { color: isPremium ? COLORS.premium : COLORS.standard });
+  doc.text(expertiseName, MARGIN + 12, 155.5, { font: 'bold', size: 10, color: '#ffffff' });
+  y = 162;
+
+  if (draft) {
+    y += 20;
+    doc.text('BROUILLON - version non approuvée, ne pas transmettre au client', MARGIN, y, { font: 'bold', size: 9, color: COLORS.draft });
+  }
+
+  // Récapitulatif de la situation (une bande de fond par rubrique : le bloc peut changer de page)
+  const recap = getAnalysisRecap(questionnaireData);
+  if (recap.length > 0) {
+    sectionTitle('Récapitulatif de la situation');
+    y += 6;
+
+    const labelWidth = 140;
+    const valueWidth = CONTENT_WIDTH - labelWidth - 24;
+
+    recap.forEach(item => {
+      const value = item.quoted ? `“${item.value}”` : item.value;
+      const lines = wrapText(value, valueWidth, { size: 10 });
+      const height = lines.length * 14 + 10;
+
+      ensureSpace(height);
+      doc.rect(MARGIN, y, CONTENT_WIDTH, height, { color: COLORS.recap });
+      doc.text(`${item.label} :`, MARGIN + 12, y + 17, { font: 'bold', size: 10, color: COLORS.text });
+      lines.forEach((line, index) => {
+        doc.text(line, MARGIN + 12 + labelWidth, y + 17 + index * 14, { size: 10, color: COLORS.muted });
+      });
+      y += height;
+    });
+  }
+
+  // Analyse
+  sectionTitle('Votre analyse');
+  writeAnalysis(analysis || '', { writeLines, ensureSpace, addSpace: space => { y += space; } });
+
+  // Mention Premium
+  if (isPremium) {
+    ensureSpace(44);
+    y += 14;
+    doc.rect(MARGIN, y, CONTENT_WIDTH, 30, { color: COLORS.premiumNotice });
+    doc.text(getPremiumNotice(lawyerValidated), PAGE_WIDTH / 2, y + 19, {
+      font: 'bold', size: 10, color: COLORS.premiumText, align: 'center'
+    });
+    y += 30;
+  }
+
+  // Paiement
+  ensureSpace(44);
+  y += 14;
+  doc.rect(MARGIN, y, CONTENT_WIDTH, 30, { color: COLORS.amount });
+  doc.text(`Montant payé : ${amountEuros.replace('.', ',')} €`, PAGE_WIDTH / 2, y + 19, {
+    font: 'bold', size: 10, color: COLORS.navy, align: 'center'
+  });
+  y += 30;
+
+  // Annexe : conversation avec l'assistant
+  const transcript = getTranscriptMessages(messages);
+  if (transcript.length > 0) {
+    newPage();
+    y -= 20;
+    sectionTitle('Annexe : votre échange avec notre assistant');
+
+    transcript.forEach(message => {
+      const isUser = message.role === 'user';
+      const lines = wrapText(message.content, CONTENT_WIDTH - 12, { size: 9 });
+
+      // Le libellé reste avec la première ligne du message
+      ensureSpace(40);
+      y += 14;
+      doc.text(isUser ? 'Vous' : 'Assistant SOS Divorce', MARGIN, y, {
+        font: 'bold', size: 9, color: isUser ? COLORS.user : COLORS.navy
+      });
+      writeLines(lines.filter(Boolean), MARGIN + 12, { size: 9, color: COLORS.text, lineHeight: 12 });
+      y += 4;
+    });
+  }
+
+  // Pied de page numéroté (nombre total de pages connu une fois la mise en page terminée)
+  const pageCount = doc.pageCount;
+  for (let index = 0; index < pageCount; index++) {
+    doc.goToPage(index);
+    doc.line(MARGIN, PAGE_HEIGHT - 50, RIGHT, PAGE_HEIGHT - 50);
+    doc.text('SOS Divorce - Conseil juridique en ligne - sosdivorce.fr - Document confidentiel', MARGIN, PAGE_HEIGHT - 36, {
+      size: 8, color: COLORS.muted
+    });
+    doc.text(`Page ${index + 1} / ${pageCount}`, RIGHT, PAGE_HEIGHT - 36, { size: 8, color: COLORS.muted, align: 'right' });
+  }
+
+  return doc.toBuffer();
+}
+
+/**
+ * Mettre en page le texte de l'analyse
+ * Paragraphes séparés par une ligne vide ; titres de section numérotés en majuscules
+ * (renderAnalysisText) ; listes "1. " / "- " avec retrait.
+ * @param {string} analysis - Texte de l'analyse
+ * @param {Object} layout - { writeLines, ensureSpace, addSpace }
+ */
+function writeAnalysis(analysis, { writeLines, ensureSpace, addSpace }) {
+  const paragraphs = analysis
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean);
+
+  paragraphs.forEach(paragraph => {
+    if (isSectionHeading(paragraph)) {
+      // Le titre reste avec le début de la section
+      ensureSpace(60);
+      addSpace(8);
+      writeLines([paragraph], MARGIN, { font: 'bold', size: 11, color: COLORS.navy, lineHeight: 16 });
+      addSpace(2);
+      return;
+    }
+
+    paragraph.split('\n').forEach(line => {
+      const item = line.trim().match(/^(\d+[.)]|[-•])\s+(.*)$/);
+      if (item) {
+        writeLines(wrapText(item[2], CONTENT_WIDTH - 18, { size: 10 }), MARGIN + 18, {
+          marker: item[1] === '-' ? '•' : item[1]
+        });
+      } else {
+        writeLines(wrapText(line.trim(), CONTENT_WIDTH, { size: 10 }), MARGIN, {});
+      }
+    });
+    addSpace(8);
+  });
+}
+
+/**
+ * Titre de section (ex: "1. PROCÉDURE RECOMMANDÉE")
+ */
+function isSectionHeading(paragraph) {
+  return !paragraph.includes('\n')
+    && /^\d+\.\s+\S/.test(paragraph)
+    && paragraph === paragraph.toUpperCase()
+    && paragraph.length <= 80;
+}
+
+/**
+ * Formater une date (jour) en français, heure de Paris
+ */
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('fr-FR', { timeZone: 'Europe/Paris' });
+}
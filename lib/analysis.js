@@ -0,0 +1,607 @@
+// Génération de l'analyse écrite à partir du questionnaire
+// Les réponses aux 7 questions et les commentaires personnels (saisis après [CHOIX_OFFRE:...])
+// sont des textes libres : ils sont classés par mots-clés (enfants, type de divorce, urgence,
+// budget, patrimoine...) puis un rapport en sections est composé à partir de règles fixes.
+// Variante détaillée pour les offres validées par un avocat (Premium).
+// Le rapport est un brouillon : il est relu (et validé par l'avocat en Premium) avant envoi.
+
+import { hasQuestionnaireState, replayQuestionnaire, getQuestionnaireAnswers } from './questionnaire.js';
+import { getOffer } from './offers.js';
+import { getSessionMessages } from './db.js';
+
+// Version des règles : enregistrée avec le rapport pour savoir avec quelles règles il a été produit
+export const ANALYSIS_VERSION = 1;
+
+// Honoraires d'avocat indicatifs par époux (euros TTC)
+const LAWYER_FEES = {
+  consentement_mutuel: { min: 1000, max: 2500 },
+  acceptation: { min: 2000, max: 5000 },
+  alteration: { min: 3000, max: 8000 },
+  faute: { min: 4000, max: 10000 }
+};
+
+// Dépôt de la convention au rang des minutes du notaire (42 € HT)
+const NOTARY_DEPOSIT_FEE = '50,40 €';
+
+const PROCEDURE_NAMES = {
+  consentement_mutuel: 'divorce par consentement mutuel (sans juge)',
+  acceptation: 'divorce accepté (acceptation du principe de la rupture du mariage)',
+  alteration: 'divorce pour altération définitive du lien conjugal',
+  faute: 'divorce pour faute'
+};
+
+/**
+ * Normaliser un texte pour la recherche de mots-clés (minuscules, sans accents, apostrophe droite)
+ * @param {string|null} text - Texte libre
+ * @returns {string} Texte normalisé
+ */
+function normalize(text) {
+  return (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/’/g, '\'').toLowerCase();
+}
+
+/**
+ * Le texte contient-il l'un des mots-clés, en début de mot ? (« frapp » trouve « frappé »)
+ */
+function hasAny(text, keywords) {
+  return keywords.some(keyword => {
+    const index = text.indexOf(keyword);
+    return index !== -1 && (index === 0 || !/[a-z0-9]/.test(text[index - 1]) || hasAny(text.slice(index + 1), [keyword]));
+  });
+}
+
+/**
+ * Formater un montant en euros (1 500 €)
+ */
+function formatEuros(amount) {
+  return `${amount.toLocaleString('fr-FR').replace(/\u202f/g, ' ')} €`;
+}
+
+/**
+ * Analyser la réponse « enfants »
+ * @param {string|null} text - Réponse
+ * @returns {Object} { hasChildren (true | false | null), ages, hasMinors (true | false | null) }
+ */
+function detectChildren(text) {
+  const value = normalize(text);
+  const ages = [];
+
+  // « 4 et 7 ans », « 12, 15 ans », « un de 3 ans »
+  for (const match of value.matchAll(/((?:\d{1,2}\s*(?:,|et|\s)\s*)*\d{1,2})\s*ans?\b/g)) {
+    ages.push(...match[1].match(/\d{1,2}/g).map(Number));
+  }
+
+  let hasChildren = null;
+  if (/^\s*non\b/.test(value) || hasAny(value, ['aucun', 'pas d\'enfant', 'sans enfant', 'pas encore'])) {
+    hasChildren = false;
+  } else if (/\boui\b/.test(value) || ages.length > 0 || hasAny(value, ['enfant', 'fils', 'fille', 'bebe', 'ado'])) {
+    hasChildren = true;
+  }
+
+  const hasMinors = hasChildren === false
+    ? false
+    : (ages.length > 0 ? ages.some(age => age < 18) : hasChildren);
+
+  return { hasChildren, ages, hasMinors };
+}
+
+/**
+ * Analyser le type de divorce envisagé
+ * @param {string|null} text - Réponse
+ * @returns {string} amiable | contentieux | indecis
+ */
+function detectDivorceType(text) {
+  const value = normalize(text);
+
+  if (hasAny(value, ['sais pas', 'sait pas', 'hesit', 'indecis', 'aucune idee', 'je ne sais'])) {
+    return 'indecis';
+  }
+  if (hasAny(value, ['contentieux', 'conflit', 'desaccord', 'pas d\'accord', 'refus', 'faute', 'bloque', 'tribunal'])) {
+    return 'contentieux';
+  }
+  if (hasAny(value, ['amiable', 'consentement', 'accord', 'entente', 'ensemble'])) {
+    return 'amiable';
+  }
+
+  return 'indecis';
+}
+
+/**
+ * Analyser l'urgence (les mots liés aux violences priment)
+ * @param {string} text - Réponses urgence, ressenti et commentaires concaténées
+ * @param {string} urgence - Réponse à la question urgence
+ * @returns {string} danger | haute | moyenne | faible
+ */
+function detectUrgency(text, urgence) {
+  const all = normalize(text);
+  const value = normalize(urgence);
+
+  if (hasAny(all, ['violence', 'violent', 'frapp', 'menace', 'danger', 'peur de lui', 'peur d\'elle', 'harcel', 'coups'])) {
+    return 'danger';
+  }
+  if (hasAny(value, ['pas urgent', 'pas presse', 'aucune urgence', 'pas d\'urgence', 'on a le temps'])
+    || /^\s*(non|faible|pas vraiment)\b/.test(value)) {
+    return 'faible';
+  }
+  if (hasAny(value, ['tres urgent', 'urgent', 'vite', 'rapidement', 'immediat', 'au plus tot', 'des que possible'])) {
+    return 'haute';
+  }
+
+  return 'moyenne';
+}
+
+/**
+ * Analyser le budget
+ * @param {string|null} text - Réponse
+ * @returns {Object} { amount (euros ou null), limited }
+ */
+function detectBudget(text) {
+  const value = normalize(text)
+    .replace(/(\d)[\s.](?=\d{3}\b)/g, '$1'); // 1 500 / 1.500 -> 1500
+
+  const amounts = [...value.matchAll(/(\d+(?:,\d+)?)\s*(k\b|k€)?/g)]
+    .map(match => parseFloat(match[1].replace(',', '.')) * (match[2] ? 1000 : 1))
+    .filter(amount => amount >= 50);
+
+  const limited = hasAny(value, ['aucun', 'pas de budget', 'rien', 'tres peu', 'peu de', 'limite', 'serre', 'minimum', 'pas les moyens', 'moins cher'])
+    || amounts.some(amount => amount < 1000);
+
+  return {
+    amount: amounts.length > 0 ? Math.max(...amounts) : null,
+    limited
+  };
+}
+
+/**
+ * Classer la situation décrite dans le questionnaire
+ * @param {Object} answers - Réponses à plat (getQuestionnaireAnswers)
+ * @returns {Object} Profil : enfants, type, urgence, budget, patrimoine, international, fragilité
+ */
+export function analyzeSituation(answers) {
+  const free = normalize([answers.typeDivorce, answers.attentes, answers.commentaires].join(' '));
+  const urgencyContext = [answers.urgence, answers.ressenti, answers.commentaires].join(' ');
+
+  const children = detectChildren(answers.enfants);
+  const divorceType = detectDivorceType(answers.typeDivorce);
+  const urgency = detectUrgency(urgencyContext, answers.urgence);
+
+  // Procédure : le consentement mutuel suppose un accord sur le divorce et toutes ses conséquences
+  let procedure = 'consentement_mutuel';
+  if (urgency === 'danger') {
+    procedure = 'acceptation';
+  } else if (divorceType === 'contentieux') {
+    if (hasAny(free, ['faute', 'adultere', 'infidel', 'tromp'])) {
+      procedure = 'faute';
+    } else if (hasAny(free, ['refuse de divorcer', 'ne veut pas divorcer', 'refuse le divorce', 'separes depuis', 'parti depuis', 'partie depuis'])) {
+      procedure = 'alteration';
+    } else {
+      procedure = 'acceptation';
+    }
+  }
+
+  return {
+    children,
+    divorceType,
+    urgency,
+    procedure,
+    budget: detectBudget(answers.budget),
+    realEstate: hasAny(free, ['maison', 'appartement', 'immobilier', 'immeuble', 'terrain', 'notaire', 'credit immo', 'pret immo']),
+    business: hasAny(free, ['entreprise', 'societe', 'commerce', 'independant', 'liberal', 'auto-entrepreneur', 'parts sociales']),
+    international: hasAny(free, ['etranger', 'international', 'nationalite', 'expatri', 'autre pays']),
+    distress: hasAny(normalize(answers.ressenti), ['epuis', 'depri', 'angoiss', 'perdu', 'triste', 'detresse', 'colere', 'mal ', 'peur', 'stress'])
+  };
+}
+
+/**
+ * Section « procédure recommandée »
+ */
+function buildProcedureSection(profile, detailed) {
+  const paragraphs = [];
+  const name = PROCEDURE_NAMES[profile.procedure];
+
+  if (profile.urgency === 'danger') {
+    paragraphs.push(
+      'Vous évoquez une situation de violences ou de danger : votre sécurité passe avant la procédure de divorce. '
+      + 'Le juge aux affaires familiales peut délivrer en urgence une ordonnance de protection (éviction du conjoint violent, '
+      + 'interdiction de contact, attribution du logement), indépendamment du divorce. En cas de danger immédiat, appelez le 17 '
+      + 'ou le 3919 (écoute violences femmes, gratuit et anonyme).'
+    );
+    paragraphs.push(
+      `La procédure adaptée est ensuite un divorce judiciaire, en général un ${name} ou, à défaut d'accord, un divorce pour faute. `
+      + 'Le divorce par consentement mutuel sans juge n\'est pas adapté lorsque l\'un des époux est sous emprise.'
+    );
+  } else if (profile.procedure === 'consentement_mutuel') {
+    paragraphs.push(
+      profile.divorceType === 'amiable'
+        ? `Vous envisagez un divorce amiable : la procédure la plus adaptée est le ${name}. `
+          + 'Chaque époux a son propre avocat ; la convention réglant toutes les conséquences du divorce est signée par les époux '
+          + 'et leurs avocats puis déposée chez un notaire. Aucun passage devant le juge n\'est nécessaire.'
+        : `Vous n'avez pas encore arrêté le type de divorce. Si vous et votre conjoint pouvez vous accorder sur le principe du divorce `
+          + `et sur ses conséquences (enfants, logement, partage des biens), le ${name} est la voie la plus rapide et la moins coûteuse. `
+          + `À défaut, le ${PROCEDURE_NAMES.acceptation} permet de divorcer devant le juge tout en laissant à celui-ci le soin de trancher les désaccords.`
+    );
+    if (profile.children.hasMinors) {
+      paragraphs.push(
+        'Chaque enfant mineur doit être informé de son droit à être entendu par un juge. '
+        + 'Si un enfant demande à être entendu, le divorce doit obligatoirement passer devant le juge.'
+      );
+    }
+  } else {
+    paragraphs.push(
+      `Compte tenu du désaccord que vous décrivez, la procédure adaptée est un divorce judiciaire devant le juge aux affaires familiales : `
+      + `en l'état, le ${name}.`
+    );
+    if (profile.procedure === 'acceptation') {
+      paragraphs.push(
+        'Les deux époux acceptent le principe du divorce sans avoir à en expliquer les raisons ; '
+        + 'le juge tranche ensuite les désaccords sur les conséquences (enfants, pension, partage).'
+      );
+    } else if (profile.procedure === 'alteration') {
+      paragraphs.push(
+        'Si votre conjoint refuse le divorce, il peut être prononcé lorsque vous vivez séparés depuis au moins un an '
+        + 'au moment de la demande (ou du prononcé du divorce).'
+      );
+    } else {
+      paragraphs.push(
+        'Le divorce pour faute suppose de prouver une violation grave ou renouvelée des devoirs du mariage rendant intolérable '
+        + 'le maintien de la vie commune (attestations, messages, constats). C\'est la procédure la plus longue et la plus coûteuse : '
+        + 'votre avocat vérifiera si un divorce accepté ne permettrait pas d\'obtenir le même résultat plus sereinement.'
+      );
+    }
+  }
+
+  if (detailed && profile.procedure !== 'consentement_mutuel' && profile.urgency !== 'danger') {
+    paragraphs.push(
+      'Une médiation familiale peut être proposée à tout moment pour rétablir le dialogue : un accord trouvé en cours de procédure '
+      + 'peut être homologué par le juge, voire permettre de basculer vers un divorce par consentement mutuel.'
+    );
+  }
+
+  return { key: 'procedure', title: 'Procédure recommandée', paragraphs };
+}
+
+/**
+ * Section « étapes »
+ */
+function buildStepsSection(profile, detailed) {
+  const steps = profile.procedure === 'consentement_mutuel'
+    ? [
+      'Chaque époux choisit son avocat.',
+      'Les avocats rédigent la convention : résidence des enfants, pension alimentaire, prestation compensatoire, logement et partage des biens.',
+      'Le projet de convention est adressé à chaque époux par lettre recommandée : un délai de réflexion de 15 jours s\'impose avant toute signature.',
+      'Signature de la convention par les époux et leurs avocats.',
+      'Dépôt de la convention au rang des minutes d\'un notaire : le divorce prend effet à cette date.',
+      'Mention du divorce en marge de l\'acte de mariage et des actes de naissance.'
+    ]
+    : [
+      ...(profile.urgency === 'danger' ? ['Demande d\'ordonnance de protection au juge aux affaires familiales, avant ou pendant la procédure.'] : []),
+      'Choix d\'un avocat (obligatoire devant le juge aux affaires familiales).',
+      'Assignation en divorce (ou requête conjointe), avec la date de la première audience.',
+      'Audience d\'orientation et mesures provisoires : logement, pension alimentaire, résidence des enfants pendant la procédure.',
+      'Échanges d\'écritures et de pièces entre avocats (mise en état).',
+      'Jugement de divorce, puis mention en marge des actes d\'état civil ; appel possible dans le mois qui suit sa signification.'
+    ];
+
+  const paragraphs = [steps.map((step, index) => `${index + 1}. ${step}`).join('\n')];
+
+  if (detailed && profile.realEstate) {
+    paragraphs.push(
+      'Un bien immobilier commun impose de passer par un notaire pour l\'acte de partage (état liquidatif) : '
+      + (profile.procedure === 'consentement_mutuel'
+        ? 'il doit être annexé à la convention de divorce.'
+        : 'le partage peut être préparé pendant la procédure et finalisé après le jugement.')
+    );
+  }
+
+  return { key: 'etapes', title: 'Étapes', paragraphs };
+}
+
+/**
+ * Section « délais »
+ */
+function buildDelaysSection(profile, detailed) {
+  const paragraphs = [];
+
+  if (profile.procedure === 'consentement_mutuel') {
+    paragraphs.push(
+      'Comptez en général 1 à 3 mois entre le premier rendez-vous chez l\'avocat et le dépôt chez le notaire, '
+      + 'dont 15 jours incompressibles de délai de réflexion. Le délai dépend surtout du temps nécessaire pour vous accorder.'
+    );
+  } else {
+    paragraphs.push(
+      'Un divorce judiciaire dure en général de 12 à 30 mois selon le tribunal, le niveau de désaccord et l\'éventuel appel. '
+      + 'Les mesures provisoires fixées au début de la procédure s\'appliquent jusqu\'au jugement.'
+    );
+  }
+
+  if (profile.urgency === 'danger') {
+    paragraphs.push('L\'ordonnance de protection est rendue dans un délai maximal de 6 jours à compter de la fixation de la date d\'audience.');
+  } else if (profile.urgency === 'haute') {
+    paragraphs.push(
+      'Vous indiquez que la situation est urgente : les questions pressantes (logement, garde des enfants, argent du ménage) '
+      + 'peuvent être réglées rapidement, par un accord écrit ou par les mesures provisoires du juge, sans attendre la fin du divorce.'
+    );
+  }
+
+  if (detailed && profile.procedure === 'alteration') {
+    paragraphs.push('Le délai d\'un an de séparation se calcule à la date de la demande en divorce : conservez les preuves de la date de séparation.');
+  }
+
+  return { key: 'delais', title: 'Délais', paragraphs };
+}
+
+/**
+ * Section « coûts estimés »
+ */
+function buildCostsSection(profile, detailed) {
+  const fees = LAWYER_FEES[profile.procedure];
+  const paragraphs = [
+    `Honoraires d'avocat : de ${formatEuros(fees.min)} à ${formatEuros(fees.max)} environ par époux, selon la complexité du dossier `
+    + 'et le barreau (demandez une convention d\'honoraires écrite, obligatoire).'
+  ];
+
+  if (profile.procedure === 'consentement_mutuel') {
+    paragraphs.push(`Dépôt de la convention chez le notaire : ${NOTARY_DEPOSIT_FEE} TTC.`);
+  }
+
+  if (profile.realEstate) {
+    paragraphs.push(
+      'Partage d\'un bien immobilier : émoluments du notaire et droit de partage de 1,1 % de l\'actif net partagé '
+      + '(le coût dépend donc de la valeur du bien et du crédit restant).'
+    );
+  }
+
+  const { amount, limited } = profile.budget;
+  if (amount !== null && amount < fees.min) {
+    paragraphs.push(
+      `Votre budget (${formatEuros(amount)}) est inférieur à l'estimation basse : demandez des forfaits à plusieurs avocats `
+      + 'et vérifiez votre éligibilité à l\'aide juridictionnelle, qui prend en charge tout ou partie des honoraires selon vos ressources.'
+    );
+  } else if (limited) {
+    paragraphs.push(
+      'Votre budget est limité : selon vos ressources, l\'aide juridictionnelle peut prendre en charge tout ou partie des frais. '
+      + 'Votre assurance (protection juridique) couvre parfois une partie des honoraires.'
+    );
+  } else if (amount !== null) {
+    paragraphs.push(`Votre budget (${formatEuros(amount)}) est compatible avec cette estimation.`);
+  }
+
+  if (detailed) {
+    paragraphs.push(
+      'Pensez aussi aux conséquences financières du divorce lui-même : pension alimentaire pour les enfants, '
+      + 'éventuelle prestation compensatoire, rachat de la part du conjoint sur un bien commun, double loyer pendant la séparation.'
+    );
+  }
+
+  return { key: 'couts', title: 'Coûts estimés', paragraphs };
+}
+
+/**
+ * Section « enfants » (variante détaillée)
+ */
+function buildChildrenSection(profile) {
+  const { ages, hasMinors } = profile.children;
+  const paragraphs = [];
+
+  paragraphs.push(
+    (ages.length > 0 ? `Vous mentionnez des enfants de ${ages.join(', ')} ans. ` : '')
+    + 'Trois points sont à organiser : la résidence (alternée ou chez l\'un des parents, avec un droit de visite et d\'hébergement pour l\'autre), '
+    + 'l\'autorité parentale (en principe conjointe) et la pension alimentaire (contribution à l\'entretien et à l\'éducation).'
+  );
+
+  paragraphs.push(
+    'Le montant de la pension dépend des revenus du parent qui la verse, du nombre d\'enfants et du temps de résidence ; '
+    + 'le barème indicatif du ministère de la Justice donne un premier ordre de grandeur. '
+    + 'Son versement peut être sécurisé par l\'intermédiation financière de la CAF.'
+  );
+
+  if (hasMinors) {
+    paragraphs.push('Les enfants capables de discernement peuvent demander à être entendus par le juge ; leur avis est pris en compte sans être décisif.');
+  }
+
+  return { key: 'enfants', title: 'Vos enfants', paragraphs };
+}
+
+/**
+ * Section « patrimoine » (variante détaillée)
+ */
+function buildAssetsSection(profile) {
+  const paragraphs = [
+    'Le partage dépend de votre régime matrimonial : sans contrat de mariage (communauté réduite aux acquêts), '
+    + 'les biens acquis pendant le mariage sont communs et partagés par moitié ; les biens reçus par donation ou succession restent personnels.'
+  ];
+
+  if (profile.realEstate) {
+    paragraphs.push(
+      'Pour le logement ou tout bien immobilier, trois options : la vente, le rachat de la part de l\'autre (soulte) ou l\'indivision. '
+      + 'Un crédit immobilier en cours engage les deux époux envers la banque jusqu\'à sa renégociation ou son remboursement.'
+    );
+  }
+
+  if (profile.business) {
+    paragraphs.push('Une activité professionnelle ou des parts de société doivent être évaluées : prévoyez l\'intervention d\'un expert-comptable.');
+  }
+
+  paragraphs.push(
+    'Si le divorce crée une disparité importante dans les conditions de vie, une prestation compensatoire peut être due '
+    + '(durée du mariage, âge, revenus, carrière sacrifiée pour la famille).'
+  );
+
+  return { key: 'patrimoine', title: 'Patrimoine et finances', paragraphs };
+}
+
+/**
+ * Section « points de vigilance »
+ */
+function buildWarningsSection(profile, answers, detailed) {
+  const items = [];
+
+  if (profile.urgency === 'danger') {
+    items.push('Conservez les preuves (certificats médicaux, plaintes ou mains courantes, messages) dans un lieu sûr ou chez un proche.');
+  }
+  if (profile.children.hasMinors && profile.procedure === 'consentement_mutuel') {
+    items.push('Le formulaire d\'information des enfants mineurs sur leur droit à être entendus doit être remis et signé.');
+  }
+  if (profile.children.hasChildren) {
+    items.push('Évitez de modifier unilatéralement l\'organisation des enfants (déménagement, changement d\'école) avant un accord ou une décision.');
+  }
+  if (profile.realEstate) {
+    items.push('Ne vendez pas et ne quittez pas le logement familial sans en parler à votre avocat : cela peut peser sur l\'attribution du logement.');
+  }
+  if (profile.international) {
+    items.push('Un élément international (nationalité, résidence à l\'étranger) modifie la loi applicable et le tribunal compétent : signalez-le dès le premier rendez-vous.');
+  }
+  if (profile.distress) {
+    items.push('Vous traversez une période éprouvante : un accompagnement (psychologue, médiation familiale, associations) aide à prendre les décisions sereinement.');
+  }
+  items.push('Rassemblez dès maintenant vos justificatifs de revenus et de charges, et ne videz pas les comptes joints.');
+
+  if (detailed) {
+    items.push('Changez vos mots de passe personnels (messagerie, banque en ligne) et ouvrez un compte bancaire à votre seul nom.');
+  }
+
+  const paragraphs = [items.map(item => `- ${item}`).join('\n')];
+
+  if (answers.attentes) {
+    paragraphs.push(`Vos attentes (« ${answers.attentes.trim()} ») sont à exposer clairement à votre avocat dès le premier rendez-vous.`);
+  }
+
+  return { key: 'vigilance', title: 'Points de vigilance', paragraphs };
+}
+
+/**
+ * Section « documents à rassembler » (variante détaillée)
+ */
+function buildDocumentsSection(profile) {
+  const documents = [
+    'Copie intégrale de l\'acte de mariage (moins de 3 mois) et livret de famille',
+    'Pièces d\'identité des deux époux',
+    'Contrat de mariage éventuel',
+    'Trois derniers bulletins de salaire et deux derniers avis d\'imposition',
+    'Relevés des comptes bancaires et de l\'épargne',
+    'Liste des charges : loyer ou crédit, assurances, frais de garde et de scolarité'
+  ];
+
+  if (profile.children.hasChildren) {
+    documents.push('Actes de naissance des enfants');
+  }
+  if (profile.realEstate) {
+    documents.push('Titre de propriété, tableau d\'amortissement du crédit et estimation récente du bien');
+  }
+
+  return {
+    key: 'documents',
+    title: 'Documents à rassembler',
+    paragraphs: [documents.map(document => `- ${document}`).join('\n')]
+  };
+}
+
+/**
+ * Générer le rapport d'analyse
+ * @param {Object} answers - Réponses à plat (getQuestionnaireAnswers)
+ * @param {Object} options - { detailed } (variante Premium)
+ * @returns {Object} Rapport { version, variant, profile, sections: [{ key, title, paragraphs }] }
+ *
+ * @example
+ * const report = generateAnalysis(getQuestionnaireAnswers(state), { detailed: true });
+ * const text = renderAnalysisText(report, { email });
+ */
+export function generateAnalysis(answers, { detailed = false } = {}) {
+  const profile = analyzeSituation(answers);
+  const sections = [];
+
+  if (detailed) {
+    const summary = [
+      answers.enfants && `Enfants : ${answers.enfants}`,
+      answers.typeDivorce && `Type de divorce envisagé : ${answers.typeDivorce}`,
+      answers.urgence && `Urgence : ${answers.urgence}`,
+      answers.budget && `Budget : ${answers.budget}`,
+      answers.commentaires && `Vos précisions : ${answers.commentaires}`
+    ].filter(Boolean);
+
+    sections.push({
+      key: 'situation',
+      title: 'Votre situation',
+      paragraphs: [summary.length > 0 ? summary.join('\n') : 'Situation décrite lors de votre échange avec notre assistant.']
+    });
+  }
+
+  sections.push(buildProcedureSection(profile, detailed));
+  sections.push(buildStepsSection(profile, detailed));
+  sections.push(buildDelaysSection(profile, detailed));
+  sections.push(buildCostsSection(profile, detailed));
+
+  if (detailed && profile.children.hasChildren) {
+    sections.push(buildChildrenSection(profile));
+  }
+  if (detailed) {
+    sections.push(buildAssetsSection(profile));
+  }
+
+  sections.push(buildWarningsSection(profile, answers, detailed));
+
+  if (detailed) {
+    sections.push(buildDocumentsSection(profile));
+  }
+
+  return {
+    version: ANALYSIS_VERSION,
+    variant: detailed ? 'detailed' : 'standard',
+    profile,
+    sections
+  };
+}
+
+/**
+ * Mettre en forme le rapport en texte (brouillon de l'analyse envoyée au client)
+ * Sections numérotées, paragraphes séparés par une ligne vide.
+ * @param {Object} report - Rapport (generateAnalysis)
+ * @param {Object} options - { email } du client, rappelé dans la conclusion
+ * @returns {string} Texte de l'analyse
+ */
+export function renderAnalysisText(report, { email = null } = {}) {
+  const blocks = [
+    'Bonjour,',
+    'Merci pour votre confiance. Voici notre analyse de votre situation, établie à partir de vos réponses au questionnaire.'
+  ];
+
+  report.sections.forEach((section, index) => {
+    blocks.push(`${index + 1}. ${section.title.toUpperCase()}`);
+    blocks.push(...section.paragraphs);
+  });
+
+  blocks.push(
+    'Cette analyse repose uniquement sur les informations que vous nous avez transmises et ne remplace pas la consultation d\'un avocat.',
+    'Pour toute question, écrivez-nous à info@sosdivorce.fr en indiquant l\'adresse email utilisée lors de votre paiement'
+      + (email ? ` (${email}).` : '.'),
+    'L\'équipe SOS Divorce'
+  );
+
+  return blocks.join('\n\n');
+}
+
+/**
+ * Générer l'analyse d'une session payée
+ * Le questionnaire est rejoué depuis la conversation si questionnaire_data est absent (anciennes sessions).
+ * @param {Object} session - Session payée (getSession)
+ * @returns {Promise<Object|null>} { report, text }, ou null si aucune réponse n'est exploitable
+ */
+export async function generateSessionAnalysis(session) {
+  let state = session.questionnaireData;
+
+  if (!hasQuestionnaireState(state)) {
+    state = replayQuestionnaire(await getSessionMessages(session.id));
+  }
+
+  const answers = getQuestionnaireAnswers(state);
+  if (!answers.enfants && !answers.typeDivorce) {
+    return null;
+  }
+
+  const offer = await getOffer(session.expertise, { includeInactive: true });
+  const report = generateAnalysis(answers, { detailed: Boolean(offer?.requiresLawyerReview) });
+
+  return {
+    report: { ...report, generatedAt: new Date().toISOString() },
+    text: renderAnalysisText(report, { email: session.email })
+  };
+}
@@ -0,0 +1,67 @@
+// Attribution des sessions : d'où viennent les visiteurs (campagne, site référent)
+// Le front envoie la page d'arrivée et le référent avec /api/create-session, seulement si le
+// consentement aux cookies statistiques est donné (public/js/cookies.js). Seuls sont conservés
+// l'adresse de la page d'arrivée (sans paramètres de requête), le domaine du référent et les UTM.
+
+// Paramètres UTM suivis, colonne utm_* de la table sessions
+export const UTM_PARAMS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+const MAX_URL_LENGTH = 500;
+const MAX_VALUE_LENGTH = 255;
+
+/**
+ * Nettoyer l'attribution envoyée par le front
+ * @param {Object} input - { landingUrl, referrer } (window.location.href, document.referrer)
+ * @returns {Object|null} { landingUrl, referrerHost, utmSource, utmMedium, utmCampaign, utmTerm, utmContent },
+ *   null si la page d'arrivée est absente ou invalide
+ *
+ * @example
+ * parseAttribution({ landingUrl: 'https://sosdivorce.fr/?utm_source=google&utm_medium=cpc', referrer: '' });
+ * // { landingUrl: 'https://sosdivorce.fr/', referrerHost: null, utmSource: 'google', utmMedium: 'cpc', ... }
+ */
+export function parseAttribution(input) {
+  const landing = parseUrl(input?.landingUrl);
+  if (!landing) return null;
+
+  const referrer = parseUrl(input.referrer);
+
+  // Navigation interne (avec ou sans www) : pas de référent
+  const referrerHost = referrer && stripWww(referrer.hostname) !== stripWww(landing.hostname)
+    ? stripWww(referrer.hostname)
+    : null;
+
+  const attribution = {
+    landingUrl: `${landing.origin}${landing.pathname}`.slice(0, MAX_URL_LENGTH),
+    referrerHost: referrerHost ? referrerHost.slice(0, MAX_VALUE_LENGTH) : null
+  };
+
+  UTM_PARAMS.forEach(param => {
+    const key = `utm${param.charAt(0).toUpperCase()}${param.slice(1)}`;
+    const value = (landing.searchParams.get(`utm_${param}`) || '').trim();
+
+    // Source et support en minuscules pour regrouper "Google" et "google"
+    const normalized = param === 'source' || param === 'medium' ? value.toLowerCase() : value;
+    attribution[key] = normalized ? normalized.slice(0, MAX_VALUE_LENGTH) : null;
+  });
+
+  return attribution;
+}
+
+function stripWww(hostname) {
+  return hostname.replace(/^www\./, '');
+}
+
+/**
+ * Analyser une adresse http(s), null sinon
+ */
+function parseUrl(value) {
+  if (typeof value !== 'string' || !value || value.length > 2000) return null;
+
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+  } catch (error) {
+    // Adresse mal formée
+    return null;
+  }
+}
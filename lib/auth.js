@@ -0,0 +1,198 @@
+// Sessions des utilisateurs inscrits
+// Le cookie HttpOnly sos_session contient un jeton aléatoire signé (HMAC SHA-256 avec SESSION_SECRET) ;
+// la base ne stocke que le hash du jeton, avec une expiration et une date de révocation.
+// Les endpoints liés à un utilisateur le retrouvent via getUserFromRequest, jamais via un cookie lisible.
+// Liens envoyés par email (réinitialisation du mot de passe, vérification de l'email) : jetons à usage
+// unique, hashés en base, avec expiration.
+
+import crypto from 'crypto';
+import {
+  createUserSession,
+  getUserBySession,
+  revokeUserSession,
+  revokeAllUserSessions,
+  createUserToken,
+  consumeUserToken
+} from './db.js';
+import { parseCookies, createCookie } from './utils.js';
+import { getClientIp } from './ratelimit.js';
+import logger from './logger.js';
+
+export const USER_SESSION_COOKIE = 'sos_session';
+const USER_SESSION_MAX_AGE = 30 * 24 * 60 * 60;
+
+// Liens à usage unique envoyés par email : durée de validité et page de destination
+const USER_TOKEN_TTL_HOURS = {
+  password_reset: 1,
+  email_verification: 48
+};
+const ACCOUNT_PAGE_URL = 'https://sosdivorce.fr/compte.html';
+
+// Anciens cookies d'inscription (lisibles et falsifiables), effacés à la connexion et à la déconnexion
+const LEGACY_COOKIES = ['registered', 'user_name', 'user_email'];
+
+/**
+ * Secret de signature des cookies de session
+ * @returns {string|null} Secret, ou null s'il n'est pas configuré
+ */
+function getSessionSecret() {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) {
+    logger.error('SESSION_SECRET non configurée dans les variables d\'environnement');
+    return null;
+  }
+  return secret;
+}
+
+/**
+ * Signature HMAC d'un jeton
+ */
+function sign(token, secret) {
+  return crypto.createHmac('sha256', secret).update(token).digest('hex');
+}
+
+/**
+ * Hash SHA-256 d'un jeton de session
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Extraire le jeton du cookie de session si sa signature est valide
+ * @param {Request} req - Requête HTTP
+ * @returns {string|null} Jeton, ou null (absent, mal formé ou signature invalide)
+ */
+function readSessionToken(req) {
+  const value = parseCookies(req.headers.cookie)[USER_SESSION_COOKIE];
+  if (!value) {
+    return null;
+  }
+
+  const [token, signature] = value.split('.');
+  const secret = getSessionSecret();
+  if (!token || !signature || !secret) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(token, secret), 'hex');
+  const received = Buffer.from(signature, 'hex');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    logger.security('Cookie de session utilisateur à la signature invalide');
+    return null;
+  }
+
+  return token;
+}
+
+/**
+ * Cookies à envoyer pour effacer les anciens cookies d'inscription
+ */
+function clearLegacyCookies() {
+  return LEGACY_COOKIES.map(name => createCookie(name, '', { maxAge: 0 }));
+}
+
+/**
+ * Ouvrir une session après inscription ou connexion
+ * @param {Object} user - Utilisateur authentifié
+ * @param {Request} req - Requête HTTP (IP et navigateur enregistrés avec la session)
+ * @returns {Promise<Array<string>>} En-têtes Set-Cookie
+ *
+ * @example
+ * res.setHeader('Set-Cookie', await startUserSession(user, req));
+ */
+export async function startUserSession(user, req) {
+  const secret = getSessionSecret();
+  if (!secret) {
+    throw new Error('SESSION_SECRET non configurée');
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + USER_SESSION_MAX_AGE * 1000);
+
+  await createUserSession(user.id, hashToken(token), expiresAt, {
+    ipAddress: getClientIp(req),
+    userAgent: req.headers['user-agent'] || null
+  });
+
+  return [
+    createCookie(USER_SESSION_COOKIE, `${token}.${sign(token, secret)}`, {
+      maxAge: USER_SESSION_MAX_AGE,
+      httpOnly: true,
+      secure: true
+    }),
+    ...clearLegacyCookies()
+  ];
+}
+
+/**
+ * Récupérer l'utilisateur connecté à partir du cookie de session
+ * @param {Request} req - Requête HTTP
+ * @returns {Promise<Object|null>} Utilisateur ou null
+ */
+export async function getUserFromRequest(req) {
+  const token = readSessionToken(req);
+  if (!token) {
+    return null;
+  }
+
+  return getUserBySession(hashToken(token));
+}
+
+/**
+ * Fermer la session courante (ou toutes les sessions de l'utilisateur)
+ * @param {Request} req - Requête HTTP
+ * @param {Object} [options] - { all: révoquer toutes les sessions de l'utilisateur }
+ * @returns {Promise<Array<string>>} En-têtes Set-Cookie qui effacent les cookies
+ */
+export async function endUserSession(req, { all = false } = {}) {
+  const token = readSessionToken(req);
+
+  if (token) {
+    const tokenHash = hashToken(token);
+
+    if (all) {
+      const user = await getUserBySession(tokenHash);
+      if (user) {
+        await revokeAllUserSessions(user.id);
+      }
+    }
+
+    await revokeUserSession(tokenHash);
+  }
+
+  return [
+    createCookie(USER_SESSION_COOKIE, '', { maxAge: 0, httpOnly: true, secure: true }),
+    ...clearLegacyCookies()
+  ];
+}
+
+/**
+ * Créer un lien à usage unique pour un utilisateur (le lien précédent du même type est invalidé)
+ * @param {Object} user - Utilisateur
+ * @param {string} purpose - password_reset | email_verification
+ * @returns {Promise<Object>} { link, expiresAt }
+ */
+export async function createUserLink(user, purpose) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + USER_TOKEN_TTL_HOURS[purpose] * 60 * 60 * 1000);
+
+  await createUserToken(user.id, purpose, hashToken(token), expiresAt);
+
+  const action = purpose === 'password_reset' ? 'reset' : 'verify';
+  return { link: `${ACCOUNT_PAGE_URL}?action=${action}&token=${token}`, expiresAt };
+}
+
+/**
+ * Consommer le jeton d'un lien reçu par email
+ * @param {string} token - Jeton (paramètre token du lien)
+ * @param {string} purpose - password_reset | email_verification
+ * @returns {Promise<number|null>} ID de l'utilisateur, ou null si le lien est invalide, expiré ou déjà utilisé
+ */
+export async function redeemUserLink(token, purpose) {
+  if (typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) {
+    return null;
+  }
+
+  return consumeUserToken(hashToken(token), purpose);
+}
@@ -1,5 +1,6 @@
 // Base de données PostgreSQL via Vercel Postgres
 // Remplace l'ancien système en mémoire par une vraie base de données persistante
+// Le schéma (tables, index) est défini par les migrations du dossier migrations/
 
 import { sql } from '@vercel/postgres';
 import bcrypt from 'bcrypt';
@@ -7,73 +8,6 @@ import logger from './logger.js';
 
 const SALT_ROUNDS = 10;
 
-/**
- * Créer la table users si elle n'existe pas
- * À exécuter une seule fois via /api/setup-db
- */
-export async function createUsersTable() {
-  try {
-    // Créer la table
-    await sql`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        first_name VARCHAR(100) NOT NULL,
-        last_name VARCHAR(100) NOT NULL,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password_hash VARCHAR(255),
-        registered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        subscription_status VARCHAR(50) DEFAULT 'free',
-        questions_used INTEGER DEFAULT 0,
-        last_question_at TIMESTAMP,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-
-    // Créer les index séparément
-    await sql`CREATE INDEX IF NOT EXISTS idx_email ON users(email)`;
-    await sql`CREATE INDEX IF NOT EXISTS idx_registered_at ON users(registered_at)`;
-    await sql`CREATE INDEX IF NOT EXISTS idx_subscription ON users(subscription_status)`;
-
-    return { success: true, message: 'Table users créée avec succès' };
-  } catch (error) {
-    logger.error('Erreur création table:', error);
-    throw error;
-  }
-}
-
-/**
- * Créer la table de cache pour les réponses du chatbot
- * À exécuter une seule fois via /api/setup-db
- */
-export async function createCacheTable() {
-  try {
-    // Créer la table
-    await sql`
-      CREATE TABLE IF NOT EXISTS chat_cache (
-        id SERIAL PRIMARY KEY,
-        question_hash VARCHAR(64) UNIQUE NOT NULL,
-        question_text TEXT NOT NULL,
-        answer_text TEXT NOT NULL,
-        hit_count INTEGER DEFAULT 1,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        last_accessed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        expires_at TIMESTAMP DEFAULT (CURRENT_TIMESTAMP + INTERVAL '30 days')
-      )
-    `;
-
-    // Créer les index séparément
-    await sql`CREATE INDEX IF NOT EXISTS idx_question_hash ON chat_cache(question_hash)`;
-    await sql`CREATE INDEX IF NOT EXISTS idx_expires_at ON chat_cache(expires_at)`;
-    await sql`CREATE INDEX IF NOT EXISTS idx_hit_count ON chat_cache(hit_count)`;
-
-    return { success: true, message: 'Table chat_cache créée avec succès' };
-  } catch (error) {
-    logger.error('Erreur création table cache:', error);
-    throw error;
-  }
-}
-
 /**
  * Ajouter un nouvel utilisateur
  * @param {Object} userData - Données de l'utilisateur
@@ -160,6 +94,7 @@ export async function findUserByEmail(email) {
       email: user.email,
       passwordHash: user.password_hash,
       registeredAt: user.registered_at,
+      emailVerifiedAt: user.email_verified_at,
       subscriptionStatus: user.subscription_status,
       questionsUsed: user.questions_used
     };
@@ -367,6 +302,205 @@ export async function resetQuestionCount(email) {
   }
 }
 
+// ========================================
+// SESSIONS UTILISATEURS
+// ========================================
+
+/**
+ * Enregistrer une session utilisateur (et purger les sessions expirées)
+ * @param {number} userId - ID de l'utilisateur
+ * @param {string} tokenHash - SHA-256 du jeton remis au navigateur
+ * @param {Date} expiresAt - Expiration
+ * @param {Object} [client] - { ipAddress, userAgent }
+ * @returns {Promise<void>}
+ */
+export async function createUserSession(userId, tokenHash, expiresAt, { ipAddress = null, userAgent = null } = {}) {
+  try {
+    await sql`
+      INSERT INTO user_sessions (token_hash, user_id, expires_at, ip_address, user_agent)
+      VALUES (${tokenHash}, ${userId}, ${expiresAt.toISOString()}, ${ipAddress}, ${userAgent ? userAgent.slice(0, 500) : null})
+    `;
+
+    await sql`DELETE FROM user_sessions WHERE expires_at < CURRENT_TIMESTAMP`;
+
+  } catch (error) {
+    logger.error('Erreur createUserSession:', error);
+    throw error;
+  }
+}
+
+/**
+ * Récupérer l'utilisateur d'une session valide (non expirée, non révoquée)
+ * @param {string} tokenHash - SHA-256 du jeton
+ * @returns {Promise<Object|null>} Utilisateur (sans hash du mot de passe) ou null
+ */
+export async function getUserBySession(tokenHash) {
+  try {
+    const result = await sql`
+      SELECT u.id, u.first_name, u.last_name, u.email, u.registered_at, u.email_verified_at,
+        u.subscription_status, u.questions_used
+      FROM user_sessions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.token_hash = ${tokenHash}
+        AND s.revoked_at IS NULL
+        AND s.expires_at > CURRENT_TIMESTAMP
+    `;
+
+    const user = result.rows[0];
+    if (!user) return null;
+
+    return {
+      id: user.id,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      email: user.email,
+      registeredAt: user.registered_at,
+      emailVerifiedAt: user.email_verified_at,
+      subscriptionStatus: user.subscription_status,
+      questionsUsed: user.questions_used
+    };
+
+  } catch (error) {
+    logger.error('Erreur getUserBySession:', error);
+    throw error;
+  }
+}
+
+/**
+ * Révoquer une session utilisateur (déconnexion)
+ * @param {string} tokenHash - SHA-256 du jeton
+ * @returns {Promise<void>}
+ */
+export async function revokeUserSession(tokenHash) {
+  try {
+    await sql`
+      UPDATE user_sessions
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE token_hash = ${tokenHash} AND revoked_at IS NULL
+    `;
+  } catch (error) {
+    logger.error('Erreur revokeUserSession:', error);
+    throw error;
+  }
+}
+
+/**
+ * Révoquer toutes les sessions d'un utilisateur (déconnexion de tous les appareils)
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {Promise<number>} Nombre de sessions révoquées
+ */
+export async function revokeAllUserSessions(userId) {
+  try {
+    const result = await sql`
+      UPDATE user_sessions
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE user_id = ${userId} AND revoked_at IS NULL
+    `;
+
+    return result.rowCount;
+
+  } catch (error) {
+    logger.error('Erreur revokeAllUserSessions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Enregistrer un jeton à usage unique (les jetons précédents du même type deviennent inutilisables)
+ * @param {number} userId - ID de l'utilisateur
+ * @param {string} purpose - password_reset | email_verification
+ * @param {string} tokenHash - SHA-256 du jeton envoyé par email
+ * @param {Date} expiresAt - Expiration
+ * @returns {Promise<void>}
+ */
+export async function createUserToken(userId, purpose, tokenHash, expiresAt) {
+  try {
+    await sql`
+      UPDATE user_tokens
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = ${userId} AND purpose = ${purpose} AND used_at IS NULL
+    `;
+
+    await sql`
+      INSERT INTO user_tokens (token_hash, user_id, purpose, expires_at)
+      VALUES (${tokenHash}, ${userId}, ${purpose}, ${expiresAt.toISOString()})
+    `;
+
+    await sql`DELETE FROM user_tokens WHERE expires_at < CURRENT_TIMESTAMP - INTERVAL '30 days'`;
+
+  } catch (error) {
+    logger.error('Erreur createUserToken:', error);
+    throw error;
+  }
+}
+
+/**
+ * Consommer un jeton à usage unique (non expiré, non utilisé)
+ * @param {string} tokenHash - SHA-256 du jeton
+ * @param {string} purpose - password_reset | email_verification
+ * @returns {Promise<number|null>} ID de l'utilisateur, ou null si le jeton est invalide
+ */
+export async function consumeUserToken(tokenHash, purpose) {
+  try {
+    const result = await sql`
+      UPDATE user_tokens
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE token_hash = ${tokenHash}
+        AND purpose = ${purpose}
+        AND used_at IS NULL
+        AND expires_at > CURRENT_TIMESTAMP
+      RETURNING user_id
+    `;
+
+    return result.rows[0]?.user_id || null;
+
+  } catch (error) {
+    logger.error('Erreur consumeUserToken:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remplacer le mot de passe d'un utilisateur
+ * @param {number} userId - ID de l'utilisateur
+ * @param {string} password - Nouveau mot de passe (en clair, hashé ici)
+ * @returns {Promise<void>}
+ */
+export async function updateUserPassword(userId, password) {
+  try {
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+
+    await sql`
+      UPDATE users
+      SET password_hash = ${passwordHash}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${userId}
+    `;
+
+  } catch (error) {
+    logger.error('Erreur updateUserPassword:', error);
+    throw error;
+  }
+}
+
+/**
+ * Marquer l'email d'un utilisateur comme vérifié (sans effet s'il l'est déjà)
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {Promise<void>}
+ */
+export async function markUserEmailVerified(userId) {
+  try {
+    await sql`
+      UPDATE users
+      SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${userId}
+    `;
+
+  } catch (error) {
+    logger.error('Erreur markUserEmailVerified:', error);
+    throw error;
+  }
+}
+
 // ========================================
 // FONCTIONS DE CACHE
 // ========================================
@@ -520,100 +654,6 @@ export async function getCacheStats() {
 // GESTION DES CONVERSATIONS
 // ====================================
 
-/**
- * Créer les tables pour les conversations
- * À exécuter via /api/setup-db
- */
-export async function createConversationTables() {
-  try {
-    // Table des sessions de conversation
-    await sql`
-      CREATE TABLE IF NOT EXISTS conversation_sessions (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        title VARCHAR(255) DEFAULT 'Nouvelle conversation',
-        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        last_message_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        message_count INTEGER DEFAULT 0
-      )
-    `;
-
-    // Table des messages individuels
-    await sql`
-      CREATE TABLE IF NOT EXISTS conversation_messages (
-        id SERIAL PRIMARY KEY,
-        session_id INTEGER NOT NULL REFERENCES conversation_sessions(id) ON DELETE CASCADE,
-        role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
-        content TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        tokens_used INTEGER DEFAULT 0,
-        response_time_ms INTEGER,
-        was_cached BOOLEAN DEFAULT FALSE
-      )
-    `;
-
-    // Créer les index
-    await sql`CREATE INDEX IF NOT EXISTS idx_session_user ON conversation_sessions(user_id, last_message_at DESC)`;
-    await sql`CREATE INDEX IF NOT EXISTS idx_messages_session ON conversation_messages(session_id, created_at)`;
-    await sql`CREATE INDEX IF NOT EXISTS idx_messages_role ON conversation_messages(session_id, role)`;
-
-    logger.info('Tables de conversation créées avec succès');
-    return { success: true, message: 'Tables conversation_sessions et conversation_messages créées' };
-
-  } catch (error) {
-    logger.error('Erreur création tables conversations:', error);
-    throw error;
-  }
-}
-
-/**
- * Migration : Ajouter le support des conversations anonymes
- * À exécuter via /api/setup-db ou endpoint dédié
- */
-export async function migrateConversationTablesForAnonymous() {
-  try {
-    // Permettre user_id NULL
-    await sql`
-      ALTER TABLE conversation_sessions
-      ALTER COLUMN user_id DROP NOT NULL
-    `;
-
-    // Ajouter colonnes pour utilisateurs anonymes
-    await sql`
-      ALTER TABLE conversation_sessions
-      ADD COLUMN IF NOT EXISTS anonymous_identifier VARCHAR(255),
-      ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45),
-      ADD COLUMN IF NOT EXISTS user_agent TEXT,
-      ADD COLUMN IF NOT EXISTS is_anonymous BOOLEAN DEFAULT FALSE
-    `;
-
-    // Créer les index
-    await sql`
-      CREATE INDEX IF NOT EXISTS idx_anonymous_sessions
-      ON conversation_sessions(is_anonymous, last_message_at DESC)
-    `;
-
-    await sql`
-      CREATE INDEX IF NOT EXISTS idx_anonymous_identifier
-      ON conversation_sessions(anonymous_identifier)
-    `;
-
-    // Mettre à jour les sessions existantes (toutes enregistrées)
-    await sql`
-      UPDATE conversation_sessions
-      SET is_anonymous = FALSE
-      WHERE is_anonymous IS NULL
-    `;
-
-    logger.info('Migration conversations anonymes réussie');
-    return { success: true, message: 'Support anonymes ajouté' };
-
-  } catch (error) {
-    logger.error('Erreur migration anonymes:', error);
-    throw error;
-  }
-}
-
 /**
  * Créer une nouvelle session de conversation
  * @param {number} userId - ID de l'utilisateur
@@ -867,12 +907,12 @@ export async function countAnonymousConversationSessions(dateFilter = null) {
 }
 
 /**
- * Récupérer tous les messages d'une session
- * @param {number} sessionId - ID de la session
+ * Récupérer tous les messages d'une conversation
+ * @param {number} sessionId - ID de la conversation (conversation_sessions)
  * @param {number} userId - ID de l'utilisateur (NULL pour admin/anonymes)
  * @returns {Promise<Array>} Liste des messages
  */
-export async function getSessionMessages(sessionId, userId = null) {
+export async function getConversationMessages(sessionId, userId = null) {
   try {
     // Vérifier que la session existe
     const sessionCheck = await sql`
@@ -909,7 +949,7 @@ export async function getSessionMessages(sessionId, userId = null) {
     }));
 
   } catch (error) {
-    logger.error('Erreur getSessionMessages:', error);
+    logger.error('Erreur getConversationMessages:', error);
     throw error;
   }
 }
@@ -1003,236 +1043,276 @@ export async function getUserConversationStats(userId) {
 }
 
 // ====================================
-// GESTION DES SESSIONS PAYANTES
+// SESSIONS DU QUESTIONNAIRE
 // ====================================
+// Une session (table sessions, messages dans session_messages) suit un cycle de vie qui
+// n'avance que vers l'avant : anonymous -> email_collected -> checkout_started -> paid
+// -> delivered (analyse envoyée) -> refunded (remboursement total). Chaque transition est
+// conditionnée au statut courant : un appel en double ou tardif ne fait pas reculer la session.
+
+export const SESSION_STATUSES = ['anonymous', 'email_collected', 'checkout_started', 'paid', 'delivered', 'refunded'];
 
 /**
- * Créer les tables pour les sessions payantes
- * À exécuter via /api/setup-db
+ * Convertir une ligne sessions en objet
+ * @param {Object} row - Ligne SQL
+ * @returns {Object} Session
  */
-export async function createPaidSessionsTables() {
-  try {
-    // Table des sessions payantes
-    await sql`
-      CREATE TABLE IF NOT EXISTS paid_sessions (
-        id SERIAL PRIMARY KEY,
-        session_uuid VARCHAR(36) UNIQUE NOT NULL,
-        email VARCHAR(255),
-        expertise VARCHAR(20) CHECK (expertise IN ('classique', 'premium')),
-        amount INTEGER DEFAULT 0,
-        paid BOOLEAN DEFAULT FALSE,
-        payment_intent_id VARCHAR(255),
-        thread_id VARCHAR(255) NOT NULL,
-        questionnaire_data JSONB,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        paid_at TIMESTAMP,
-        email_sent BOOLEAN DEFAULT FALSE,
-        email_sent_at TIMESTAMP
-      )
-    `;
-
-    // Table des messages des sessions payantes
-    await sql`
-      CREATE TABLE IF NOT EXISTS paid_messages (
-        id SERIAL PRIMARY KEY,
-        session_id INTEGER NOT NULL REFERENCES paid_sessions(id) ON DELETE CASCADE,
-        role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
-        content TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-
-    // Créer les index
-    await sql`CREATE INDEX IF NOT EXISTS idx_paid_sessions_uuid ON paid_sessions(session_uuid)`;
-    await sql`CREATE INDEX IF NOT EXISTS idx_paid_sessions_email ON paid_sessions(email)`;
-    await sql`CREATE INDEX IF NOT EXISTS idx_paid_sessions_payment_intent ON paid_sessions(payment_intent_id)`;
-    await sql`CREATE INDEX IF NOT EXISTS idx_paid_sessions_paid ON paid_sessions(paid)`;
-    await sql`CREATE INDEX IF NOT EXISTS idx_paid_messages_session ON paid_messages(session_id)`;
-
-    logger.info('Tables paid_sessions et paid_messages créées avec succès');
-    return { success: true, message: 'Tables paid_sessions et paid_messages créées' };
-
-  } catch (error) {
-    logger.error('Erreur création tables paid_sessions:', error);
-    throw error;
-  }
+function mapSession(row) {
+  return {
+    id: row.id,
+    sessionUuid: row.session_uuid,
+    status: row.status,
+    statusUpdatedAt: row.status_updated_at,
+    email: row.email,
+    expertise: row.expertise,
+    amount: row.amount,
+    paid: row.paid_at !== null,
+    paymentIntentId: row.payment_intent_id,
+    threadId: row.thread_id,
+    questionnaireData: row.questionnaire_data,
+    createdAt: row.created_at,
+    emailCollectedAt: row.email_collected_at,
+    lastActivityAt: row.last_activity_at,
+    paymentAttempts: row.payment_attempts || 0,
+    lastPaymentAttemptAt: row.last_payment_attempt_at,
+    paidAt: row.paid_at,
+    adminNotifiedAt: row.admin_notified_at,
+    clientDeliveredAt: row.client_delivered_at,
+    analysisDraft: row.analysis_draft,
+    analysisReport: row.analysis_report,
+    analysisGeneratedAt: row.analysis_generated_at,
+    analysisStatus: row.analysis_status,
+    analysisUpdatedAt: row.analysis_updated_at,
+    analysisUpdatedBy: row.analysis_updated_by,
+    approvedBy: row.approved_by,
+    approvedAt: row.approved_at,
+    firstMessageSent: row.first_message_sent,
+    paymentStatus: row.payment_status,
+    paymentError: row.payment_error,
+    refundedAmount: row.refunded_amount || 0,
+    refundedAt: row.refunded_at,
+    disputeStatus: row.dispute_status,
+    disputedAt: row.disputed_at,
+    promoCode: row.promo_code,
+    discountAmount: row.discount_amount || 0,
+    landingUrl: row.landing_url,
+    referrerHost: row.referrer_host,
+    utmSource: row.utm_source,
+    utmMedium: row.utm_medium,
+    utmCampaign: row.utm_campaign,
+    utmTerm: row.utm_term,
+    utmContent: row.utm_content,
+    attributedAt: row.attributed_at
+  };
 }
 
 /**
- * Créer une nouvelle session payante
+ * Créer une nouvelle session (statut anonymous)
  * @param {string} sessionUuid - UUID unique de la session
  * @param {string} threadId - ID du thread OpenAI
+ * @param {Object} context - { device, attribution } : type d'appareil pour le tunnel et attribution
+ *   (lib/attribution.js, avec consentement) (facultatifs)
  * @returns {Promise<Object>} Session créée
  */
-export async function createPaidSession(sessionUuid, threadId) {
+export async function createSession(sessionUuid, threadId, { device = null, attribution = null } = {}) {
   try {
+    const a = attribution || {};
+
     const result = await sql`
-      INSERT INTO paid_sessions (session_uuid, thread_id)
-      VALUES (${sessionUuid}, ${threadId})
-      RETURNING id, session_uuid, thread_id, created_at
+      INSERT INTO sessions (
+        session_uuid, thread_id,
+        landing_url, referrer_host, utm_source, utm_medium, utm_campaign, utm_term, utm_content, attributed_at
+      )
+      VALUES (
+        ${sessionUuid}, ${threadId},
+        ${a.landingUrl || null}, ${a.referrerHost || null}, ${a.utmSource || null}, ${a.utmMedium || null},
+        ${a.utmCampaign || null}, ${a.utmTerm || null}, ${a.utmContent || null},
+        ${attribution ? new Date().toISOString() : null}
+      )
+      RETURNING id, session_uuid, thread_id, status, created_at
     `;
 
     const session = result.rows[0];
-    logger.debug('Session payante créée:', { sessionUuid, threadId });
+    logger.debug('Session créée:', { sessionUuid, threadId });
+
+    await recordFunnelEvent(sessionUuid, 'session_started', { device });
 
     return {
       id: session.id,
       sessionUuid: session.session_uuid,
       threadId: session.thread_id,
+      status: session.status,
       createdAt: session.created_at
     };
 
   } catch (error) {
-    logger.error('Erreur createPaidSession:', error);
+    logger.error('Erreur createSession:', error);
     throw error;
   }
 }
 
 /**
- * Récupérer une session payante par son UUID
+ * Récupérer une session par son UUID
  * @param {string} sessionUuid - UUID de la session
  * @returns {Promise<Object|null>} Session ou null
  */
-export async function getPaidSession(sessionUuid) {
+export async function getSession(sessionUuid) {
   try {
     const result = await sql`
       SELECT *
-      FROM paid_sessions
+      FROM sessions
       WHERE session_uuid = ${sessionUuid}
       LIMIT 1
     `;
 
-    if (result.rows.length === 0) {
-      return null;
-    }
-
-    const session = result.rows[0];
-    return {
-      id: session.id,
-      sessionUuid: session.session_uuid,
-      email: session.email,
-      expertise: session.expertise,
-      amount: session.amount,
-      paid: session.paid,
-      paymentIntentId: session.payment_intent_id,
-      threadId: session.thread_id,
-      questionnaireData: session.questionnaire_data,
-      createdAt: session.created_at,
-      paidAt: session.paid_at,
-      emailSent: session.email_sent,
-      emailSentAt: session.email_sent_at,
-      firstMessageSent: session.first_message_sent
-    };
+    return result.rows.length > 0 ? mapSession(result.rows[0]) : null;
 
   } catch (error) {
-    logger.error('Erreur getPaidSession:', error);
+    logger.error('Erreur getSession:', error);
     throw error;
   }
 }
 
 /**
- * Mettre à jour une session avant paiement (expertise, montant, paymentIntentId)
+ * Enregistrer l'attribution d'une session ouverte avant le consentement aux cookies statistiques
+ * La première attribution enregistrée n'est jamais remplacée.
  * @param {string} sessionUuid - UUID de la session
- * @param {string} expertise - Type d'expertise (classique ou premium)
- * @param {number} amount - Montant en centimes
- * @param {string} paymentIntentId - ID du PaymentIntent Stripe
- * @returns {Promise<Object>} Session mise à jour
+ * @param {Object} attribution - Attribution nettoyée (lib/attribution.js)
+ * @returns {Promise<boolean>} true si la session a été mise à jour
  */
-export async function updatePaidSessionPayment(sessionUuid, expertise, amount, paymentIntentId) {
+export async function setSessionAttribution(sessionUuid, attribution) {
   try {
     const result = await sql`
-      UPDATE paid_sessions
-      SET expertise = ${expertise},
-          amount = ${amount},
-          payment_intent_id = ${paymentIntentId}
+      UPDATE sessions
+      SET landing_url = ${attribution.landingUrl},
+          referrer_host = ${attribution.referrerHost},
+          utm_source = ${attribution.utmSource},
+          utm_medium = ${attribution.utmMedium},
+          utm_campaign = ${attribution.utmCampaign},
+          utm_term = ${attribution.utmTerm},
+          utm_content = ${attribution.utmContent},
+          attributed_at = CURRENT_TIMESTAMP
       WHERE session_uuid = ${sessionUuid}
-      RETURNING id, session_uuid, expertise, amount, payment_intent_id
+        AND attributed_at IS NULL
     `;
 
-    if (result.rows.length === 0) {
-      throw new Error('Session non trouvée');
-    }
-
-    logger.debug('Session payante mise à jour:', { sessionUuid, expertise, amount });
-    return result.rows[0];
+    return result.rowCount > 0;
 
   } catch (error) {
-    logger.error('Erreur updatePaidSessionPayment:', error);
+    logger.error('Erreur setSessionAttribution:', error);
     throw error;
   }
 }
 
 /**
- * Marquer une session comme payée
+ * Effacer l'attribution d'une session (retrait du consentement aux cookies statistiques)
  * @param {string} sessionUuid - UUID de la session
- * @param {string} email - Email de l'utilisateur (collecté pendant le questionnaire)
- * @returns {Promise<Object>} Session mise à jour
+ * @returns {Promise<boolean>} true si une attribution a été effacée
  */
-export async function markPaidSessionCompleted(sessionUuid, email = null) {
+export async function clearSessionAttribution(sessionUuid) {
   try {
     const result = await sql`
-      UPDATE paid_sessions
-      SET paid = TRUE,
-          paid_at = CURRENT_TIMESTAMP,
-          email = COALESCE(${email}, email)
+      UPDATE sessions
+      SET landing_url = NULL,
+          referrer_host = NULL,
+          utm_source = NULL,
+          utm_medium = NULL,
+          utm_campaign = NULL,
+          utm_term = NULL,
+          utm_content = NULL,
+          attributed_at = NULL
       WHERE session_uuid = ${sessionUuid}
-      RETURNING id, session_uuid, email, expertise, amount, paid, paid_at
+        AND attributed_at IS NOT NULL
     `;
 
-    if (result.rows.length === 0) {
-      throw new Error('Session non trouvée');
-    }
-
-    logger.info('Paiement confirmé pour session:', { sessionUuid, email });
-
-    // Incrémenter le compteur de paiements complétés
-    await incrementPaymentCompleted();
-
-    return result.rows[0];
+    return result.rowCount > 0;
 
   } catch (error) {
-    logger.error('Erreur markPaidSessionCompleted:', error);
+    logger.error('Erreur clearSessionAttribution:', error);
     throw error;
   }
 }
 
 /**
- * Mettre à jour l'email d'une session
+ * Enregistrer l'email collecté pendant le questionnaire (anonymous -> email_collected)
+ * L'email reste modifiable jusqu'au paiement ; seule la première collecte est comptée.
  * @param {string} sessionUuid - UUID de la session
  * @param {string} email - Email collecté
- * @returns {Promise<Object>} Session mise à jour
+ * @returns {Promise<Object|null>} Session mise à jour, ou null si la session est déjà payée
  */
-export async function updatePaidSessionEmail(sessionUuid, email) {
+export async function setSessionEmail(sessionUuid, email) {
   try {
     const result = await sql`
-      UPDATE paid_sessions
-      SET email = ${email}
-      WHERE session_uuid = ${sessionUuid}
-      RETURNING id, session_uuid, email
+      UPDATE sessions s
+      SET email = ${email},
+          email_collected_at = COALESCE(s.email_collected_at, CURRENT_TIMESTAMP),
+          last_activity_at = CURRENT_TIMESTAMP,
+          status = CASE WHEN s.status = 'anonymous' THEN 'email_collected' ELSE s.status END,
+          status_updated_at = CASE WHEN s.status = 'anonymous' THEN CURRENT_TIMESTAMP ELSE s.status_updated_at END
+      FROM (SELECT id, email_collected_at FROM sessions WHERE session_uuid = ${sessionUuid}) previous
+      WHERE s.id = previous.id
+        AND s.paid_at IS NULL
+      RETURNING s.id, s.session_uuid, s.email, s.status, previous.email_collected_at IS NULL AS first_collection
     `;
 
     if (result.rows.length === 0) {
-      throw new Error('Session non trouvée');
+      return null;
     }
 
-    logger.debug('Email mis à jour pour session:', { sessionUuid, email });
-    return result.rows[0];
+    const session = result.rows[0];
+    logger.info('Email collecté pour session:', { sessionUuid, email });
 
-  } catch (error) {
-    logger.error('Erreur updatePaidSessionEmail:', error);
-    throw error;
-  }
+    // Une seule collecte comptée par session (l'email peut être corrigé ensuite)
+    if (session.first_collection) {
+      await recordFunnelEvent(sessionUuid, 'email_collected');
+    }
+
+    return {
+      id: session.id,
+      sessionUuid: session.session_uuid,
+      email: session.email,
+      status: session.status
+    };
+
+  } catch (error) {
+    logger.error('Erreur setSessionEmail:', error);
+    throw error;
+  }
+}
+
+/**
+ * Enregistrer l'état du questionnaire d'une session
+ * @param {string} sessionUuid - UUID de la session
+ * @param {Object} questionnaireData - État du questionnaire (lib/questionnaire.js)
+ * @returns {Promise<Object>} Session mise à jour
+ */
+export async function updateSessionQuestionnaire(sessionUuid, questionnaireData) {
+  try {
+    const result = await sql`
+      UPDATE sessions
+      SET questionnaire_data = ${JSON.stringify(questionnaireData)}::jsonb,
+          last_activity_at = CURRENT_TIMESTAMP
+      WHERE session_uuid = ${sessionUuid}
+      RETURNING id, session_uuid, questionnaire_data
+    `;
+
+    return result.rows[0] || null;
+
+  } catch (error) {
+    logger.error('Erreur updateSessionQuestionnaire:', error);
+    throw error;
+  }
 }
 
 /**
- * Marquer le premier message d'une session payante
+ * Marquer le premier message d'une session
  * @param {string} sessionUuid - UUID de la session
  * @returns {Promise<Object>} Session mise à jour
  */
-export async function markPaidSessionFirstMessage(sessionUuid) {
+export async function markSessionFirstMessage(sessionUuid) {
   try {
     const result = await sql`
-      UPDATE paid_sessions
+      UPDATE sessions
       SET first_message_sent = TRUE
       WHERE session_uuid = ${sessionUuid}
         AND first_message_sent = FALSE
@@ -1240,55 +1320,60 @@ export async function markPaidSessionFirstMessage(sessionUuid) {
     `;
 
     if (result.rows.length > 0) {
-      logger.debug('Premier message marqué pour session payante:', { sessionUuid });
-      // Incrémenter le compteur global
-      await incrementFirstMessage();
+      logger.debug('Premier message marqué pour session:', { sessionUuid });
+      await recordFunnelEvent(sessionUuid, 'first_message');
     }
 
     return result.rows[0] || null;
 
   } catch (error) {
-    logger.error('Erreur markPaidSessionFirstMessage:', error);
+    logger.error('Erreur markSessionFirstMessage:', error);
     throw error;
   }
 }
 
 /**
- * Ajouter un message à une session payante
+ * Ajouter un message à une session
  * @param {number} sessionId - ID de la session (pas UUID)
  * @param {string} role - 'user' ou 'assistant'
  * @param {string} content - Contenu du message
  * @returns {Promise<number>} ID du message créé
  */
-export async function addPaidMessage(sessionId, role, content) {
+export async function addSessionMessage(sessionId, role, content) {
   try {
     const result = await sql`
-      INSERT INTO paid_messages (session_id, role, content)
-      VALUES (${sessionId}, ${role}, ${content})
-      RETURNING id
+      WITH message AS (
+        INSERT INTO session_messages (session_id, role, content)
+        VALUES (${sessionId}, ${role}, ${content})
+        RETURNING id
+      ),
+      activity AS (
+        UPDATE sessions SET last_activity_at = CURRENT_TIMESTAMP WHERE id = ${sessionId}
+      )
+      SELECT id FROM message
     `;
 
-    logger.debug('Message payant ajouté:', { sessionId, role, messageId: result.rows[0].id });
+    logger.debug('Message ajouté:', { sessionId, role, messageId: result.rows[0].id });
     return result.rows[0].id;
 
   } catch (error) {
-    logger.error('Erreur addPaidMessage:', error);
+    logger.error('Erreur addSessionMessage:', error);
     throw error;
   }
 }
 
 /**
- * Récupérer tous les messages d'une session payante
+ * Récupérer tous les messages d'une session
  * @param {number} sessionId - ID de la session
  * @returns {Promise<Array>} Liste des messages
  */
-export async function getPaidSessionMessages(sessionId) {
+export async function getSessionMessages(sessionId) {
   try {
     const result = await sql`
       SELECT id, role, content, created_at
-      FROM paid_messages
+      FROM session_messages
       WHERE session_id = ${sessionId}
-      ORDER BY created_at ASC
+      ORDER BY created_at ASC, id ASC
     `;
 
     return result.rows.map(row => ({
@@ -1299,724 +1384,3163 @@ export async function getPaidSessionMessages(sessionId) {
     }));
 
   } catch (error) {
-    logger.error('Erreur getPaidSessionMessages:', error);
+    logger.error('Erreur getSessionMessages:', error);
     throw error;
   }
 }
 
 /**
- * Récupérer toutes les sessions payantes (pour admin)
- * @param {number} limit - Nombre max de sessions
- * @param {number} offset - Offset pour pagination
- * @param {boolean} paidOnly - Si true, seulement les sessions payées
- * @returns {Promise<Array>} Liste des sessions
+ * Récupérer l'historique d'une conversation à partir de son thread_id
+ * @param {string} threadId - ID de conversation (thread OpenAI ou ID local)
+ * @returns {Promise<Array>} Messages { role, content } dans l'ordre
  */
-export async function getAllPaidSessions(limit = 50, offset = 0, paidOnly = false) {
+export async function getConversationHistory(threadId) {
   try {
-    let result;
+    const result = await sql`
+      SELECT m.role, m.content
+      FROM session_messages m
+      JOIN sessions s ON s.id = m.session_id
+      WHERE s.thread_id = ${threadId}
+      ORDER BY m.created_at ASC, m.id ASC
+    `;
 
-    if (paidOnly) {
-      result = await sql`
-        SELECT ps.*,
-               (SELECT COUNT(*) FROM paid_messages pm WHERE pm.session_id = ps.id AND pm.role = 'user' AND pm.content != '[INIT]') as message_count
-        FROM paid_sessions ps
-        WHERE ps.paid = TRUE
-        ORDER BY ps.paid_at DESC
-        LIMIT ${limit} OFFSET ${offset}
-      `;
-    } else {
-      result = await sql`
-        SELECT ps.*,
-               (SELECT COUNT(*) FROM paid_messages pm WHERE pm.session_id = ps.id AND pm.role = 'user' AND pm.content != '[INIT]') as message_count
-        FROM paid_sessions ps
-        ORDER BY ps.created_at DESC
-        LIMIT ${limit} OFFSET ${offset}
-      `;
+    return result.rows;
+
+  } catch (error) {
+    logger.error('Erreur getConversationHistory:', error);
+    throw error;
+  }
+}
+
+/**
+ * Préparer le paiement d'une session (-> checkout_started)
+ * @param {string} sessionUuid - UUID de la session
+ * @param {string} expertise - Code de l'offre (catalogue offers)
+ * @param {number} amount - Montant en centimes (après réduction)
+ * @param {string} paymentIntentId - ID du PaymentIntent Stripe
+ * @param {Object} promo - Code promo appliqué { code, discountAmount } (facultatif)
+ * @returns {Promise<Object>} Session mise à jour
+ */
+export async function startSessionCheckout(sessionUuid, expertise, amount, paymentIntentId, promo = {}) {
+  try {
+    const result = await sql`
+      UPDATE sessions
+      SET expertise = ${expertise},
+          amount = ${amount},
+          payment_intent_id = ${paymentIntentId},
+          promo_code = ${promo.code || null},
+          discount_amount = ${promo.discountAmount || 0},
+          last_activity_at = CURRENT_TIMESTAMP,
+          status_updated_at = CASE WHEN status = 'checkout_started' THEN status_updated_at ELSE CURRENT_TIMESTAMP END,
+          status = 'checkout_started'
+      WHERE session_uuid = ${sessionUuid}
+        AND status IN ('anonymous', 'email_collected', 'checkout_started')
+      RETURNING id, session_uuid, status, expertise, amount, payment_intent_id, promo_code, discount_amount
+    `;
+
+    if (result.rows.length === 0) {
+      throw new Error('Session non trouvée ou déjà payée');
     }
 
+    logger.debug('Paiement de session préparé:', { sessionUuid, expertise, amount });
+    await recordFunnelEvent(sessionUuid, 'checkout_started', { amount, promoCode: promo.code || null });
+
+    return result.rows[0];
+
+  } catch (error) {
+    logger.error('Erreur startSessionCheckout:', error);
+    throw error;
+  }
+}
+
+/**
+ * Marquer une session comme payée (idempotent)
+ * Seul le premier appel renseigne paid_at : le webhook Stripe et /api/verify-payment
+ * peuvent donc finaliser la même session en parallèle sans doublon. L'utilisation du code promo
+ * est comptée dans la même requête : une finalisation interrompue ne la perd pas.
+ * @param {string} sessionUuid - UUID de la session
+ * @param {string} email - Email de l'utilisateur (collecté pendant le questionnaire)
+ * @returns {Promise<Object|null>} Session mise à jour, ou null si déjà payée
+ */
+export async function markSessionPaid(sessionUuid, email = null) {
+  try {
+    const result = await sql`
+      WITH paid AS (
+        UPDATE sessions
+        SET status = 'paid',
+            status_updated_at = CURRENT_TIMESTAMP,
+            paid_at = CURRENT_TIMESTAMP,
+            payment_status = 'succeeded',
+            payment_error = NULL,
+            email = COALESCE(${email}, email),
+            email_collected_at = COALESCE(email_collected_at, CURRENT_TIMESTAMP),
+            last_activity_at = CURRENT_TIMESTAMP
+        WHERE session_uuid = ${sessionUuid}
+          AND paid_at IS NULL
+        RETURNING id, session_uuid, status, email, expertise, amount, promo_code, paid_at
+      ),
+      redeemed AS (
+        UPDATE promo_codes
+        SET redemptions_count = redemptions_count + 1
+        WHERE code = (SELECT promo_code FROM paid)
+        RETURNING id
+      )
+      SELECT * FROM paid
+    `;
+
+    if (result.rows.length === 0) {
+      logger.debug('Session déjà marquée comme payée:', { sessionUuid });
+      return null;
+    }
+
+    logger.info('Paiement confirmé pour session:', { sessionUuid, email });
+
+    const session = result.rows[0];
+    await recordFunnelEvent(sessionUuid, 'payment_completed', { amount: session.amount, promoCode: session.promo_code });
+
+    return session;
+
+  } catch (error) {
+    logger.error('Erreur markSessionPaid:', error);
+    throw error;
+  }
+}
+
+/**
+ * Récupérer les sessions (pour admin), les plus récentes d'abord
+ * @param {Object} [options] - { statuses: statuts retenus (tous par défaut), limit, offset }
+ * @returns {Promise<Array>} Liste des sessions avec leur nombre de messages
+ */
+export async function getAllSessions({ statuses = SESSION_STATUSES, limit = 50, offset = 0 } = {}) {
+  try {
+    // Paramètre tableau : sql`...` n'accepte pas les listes dans IN (...)
+    const statusList = `{${statuses.filter(status => SESSION_STATUSES.includes(status)).join(',')}}`;
+
+    const result = await sql`
+      SELECT s.*,
+             (SELECT COUNT(*) FROM session_messages m
+              WHERE m.session_id = s.id AND m.role = 'user' AND m.content != '[INIT]') as message_count
+      FROM sessions s
+      WHERE s.status = ANY(${statusList}::text[])
+      ORDER BY COALESCE(s.paid_at, s.created_at) DESC
+      LIMIT ${limit} OFFSET ${offset}
+    `;
+
+    return result.rows.map(row => {
+      // Sans le brouillon, le rapport ni le questionnaire (listes admin)
+      const { analysisDraft, analysisReport, questionnaireData, ...session } = mapSession(row);
+      return { ...session, messageCount: parseInt(row.message_count) || 0 };
+    });
+
+  } catch (error) {
+    logger.error('Erreur getAllSessions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Statistiques des sessions par statut et taux de conversion
+ * La conversion rapporte les sessions payées à celles dont l'email est connu.
+ * @returns {Promise<Object>} Statistiques
+ */
+export async function getSessionStats() {
+  try {
+    const result = await sql`
+      SELECT status,
+             COUNT(*) as total,
+             COUNT(CASE WHEN DATE(status_updated_at) = CURRENT_DATE THEN 1 END) as today
+      FROM sessions
+      GROUP BY status
+    `;
+
+    const byStatus = Object.fromEntries(SESSION_STATUSES.map(status => [status, 0]));
+    let todayUnpaid = 0;
+
+    result.rows.forEach(row => {
+      byStatus[row.status] = parseInt(row.total) || 0;
+      if (row.status === 'email_collected' || row.status === 'checkout_started') {
+        todayUnpaid += parseInt(row.today) || 0;
+      }
+    });
+
+    const totalUnpaid = byStatus.email_collected + byStatus.checkout_started;
+    const totalPaid = byStatus.paid + byStatus.delivered + byStatus.refunded;
+    const total = totalUnpaid + totalPaid;
+
+    const conversionRate = total > 0
+      ? ((totalPaid / total) * 100).toFixed(2)
+      : 0;
+
+    return {
+      byStatus,
+      totalUnpaid,
+      todayUnpaid,
+      totalPaid,
+      conversionRate: parseFloat(conversionRate)
+    };
+
+  } catch (error) {
+    logger.error('Erreur getSessionStats:', error);
+    throw error;
+  }
+}
+
+/**
+ * Récupérer les sessions payées d'un client (espace client « Mes analyses »)
+ * Rattachement par email, sans tenir compte de la casse.
+ * @param {string} email - Email vérifié du compte
+ * @returns {Promise<Array>} Sessions payées, les plus récentes d'abord
+ */
+export async function getUserPaidSessions(email) {
+  try {
+    const result = await sql`
+      SELECT s.id, s.session_uuid, s.status, s.expertise, s.amount, s.paid_at, s.analysis_status,
+             s.client_delivered_at, s.payment_status, s.refunded_amount
+      FROM sessions s
+      WHERE s.paid_at IS NOT NULL AND LOWER(s.email) = LOWER(${email})
+      ORDER BY s.paid_at DESC
+    `;
+
     return result.rows.map(row => ({
       id: row.id,
       sessionUuid: row.session_uuid,
-      email: row.email,
+      status: row.status,
       expertise: row.expertise,
       amount: row.amount,
-      paid: row.paid,
-      paymentIntentId: row.payment_intent_id,
-      threadId: row.thread_id,
-      createdAt: row.created_at,
       paidAt: row.paid_at,
-      emailSent: row.email_sent,
-      messageCount: parseInt(row.message_count) || 0
+      analysisStatus: row.analysis_status,
+      clientDeliveredAt: row.client_delivered_at,
+      paymentStatus: row.payment_status,
+      refundedAmount: row.refunded_amount || 0
+    }));
+
+  } catch (error) {
+    logger.error('Erreur getUserPaidSessions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Obtenir les statistiques des paiements
+ * @returns {Promise<Object>} Statistiques
+ */
+export async function getPaymentStats() {
+  try {
+    const result = await sql`
+      SELECT
+        COUNT(*) as total_sessions,
+        COUNT(paid_at) as paid_sessions,
+        COALESCE(SUM(CASE WHEN paid_at IS NOT NULL THEN amount END), 0) as gross_revenue,
+        COALESCE(SUM(CASE WHEN paid_at IS NOT NULL THEN COALESCE(refunded_amount, 0) END), 0) as refunded_total,
+        COUNT(CASE WHEN paid_at IS NOT NULL AND refunded_amount > 0 THEN 1 END) as refunded_count,
+        COUNT(CASE WHEN paid_at IS NOT NULL AND dispute_status IS NOT NULL THEN 1 END) as disputed_count,
+        COUNT(CASE WHEN DATE(created_at) = CURRENT_DATE THEN 1 END) as today_sessions,
+        COUNT(CASE WHEN DATE(paid_at) = CURRENT_DATE THEN 1 END) as today_paid
+      FROM sessions
+    `;
+
+    // Ventes par offre du catalogue
+    const offersResult = await sql`
+      SELECT expertise,
+             COUNT(*) as paid_count,
+             COALESCE(SUM(amount - COALESCE(refunded_amount, 0)), 0) as revenue
+      FROM sessions
+      WHERE paid_at IS NOT NULL AND expertise IS NOT NULL
+      GROUP BY expertise
+      ORDER BY paid_count DESC
+    `;
+
+    // Ventes par source (UTM ou domaine référent, voir getAttributionStats)
+    const sourcesResult = await sql`
+      SELECT CASE WHEN attributed_at IS NULL THEN '(non suivi)'
+                  ELSE COALESCE(utm_source, referrer_host, '(direct)') END AS source,
+             COUNT(*) as paid_count,
+             COALESCE(SUM(amount - COALESCE(refunded_amount, 0)), 0) as revenue
+      FROM sessions
+      WHERE paid_at IS NOT NULL
+      GROUP BY 1
+      ORDER BY revenue DESC
+    `;
+
+    const stats = result.rows[0];
+    const grossRevenue = parseInt(stats.gross_revenue) || 0;
+    const refundedTotal = parseInt(stats.refunded_total) || 0;
+
+    // Revenus nets : montants encaissés moins les remboursements
+    return {
+      totalSessions: parseInt(stats.total_sessions) || 0,
+      paidSessions: parseInt(stats.paid_sessions) || 0,
+      offerCounts: offersResult.rows.map(row => ({
+        expertise: row.expertise,
+        count: parseInt(row.paid_count) || 0,
+        revenue: parseInt(row.revenue) || 0
+      })),
+      sourceCounts: sourcesResult.rows.map(row => ({
+        source: row.source,
+        count: parseInt(row.paid_count) || 0,
+        revenue: parseInt(row.revenue) || 0
+      })),
+      totalRevenue: grossRevenue - refundedTotal,
+      totalRevenueEuros: (grossRevenue - refundedTotal) / 100,
+      grossRevenue,
+      refundedTotal,
+      refundedCount: parseInt(stats.refunded_count) || 0,
+      disputedCount: parseInt(stats.disputed_count) || 0,
+      todaySessions: parseInt(stats.today_sessions) || 0,
+      todayPaid: parseInt(stats.today_paid) || 0
+    };
+
+  } catch (error) {
+    logger.error('Erreur getPaymentStats:', error);
+    throw error;
+  }
+}
+
+/**
+ * Sessions, emails et revenus par source / support / campagne
+ * Cohorte : sessions ouvertes pendant la période (revenus nets des remboursements, même payés plus tard).
+ * Sans UTM : le domaine référent (support referral), sinon (direct). Sessions sans consentement
+ * aux cookies statistiques : source (non suivi).
+ * @param {Object} options - { from, to } (AAAA-MM-JJ, inclus)
+ * @returns {Promise<Array>} Lignes { source, medium, campaign, sessions, emails, paidSessions, revenue }
+ */
+export async function getAttributionStats({ from, to }) {
+  try {
+    const result = await sql`
+      WITH attributed AS (
+        SELECT
+          CASE WHEN attributed_at IS NULL THEN '(non suivi)'
+               ELSE COALESCE(utm_source, referrer_host, '(direct)') END AS source,
+          CASE WHEN attributed_at IS NULL THEN '(non suivi)'
+               WHEN utm_medium IS NOT NULL THEN utm_medium
+               WHEN utm_source IS NULL AND referrer_host IS NOT NULL THEN 'referral'
+               ELSE '(none)' END AS medium,
+          COALESCE(utm_campaign, '(none)') AS campaign,
+          email_collected_at,
+          paid_at,
+          CASE WHEN paid_at IS NOT NULL THEN amount - COALESCE(refunded_amount, 0) END AS net_amount
+        FROM sessions
+        WHERE created_at >= ${from}::DATE
+          AND created_at < ${to}::DATE + 1
+      )
+      SELECT source, medium, campaign,
+             COUNT(*) as sessions,
+             COUNT(email_collected_at) as emails,
+             COUNT(paid_at) as paid_sessions,
+             COALESCE(SUM(net_amount), 0) as revenue
+      FROM attributed
+      GROUP BY source, medium, campaign
+      ORDER BY revenue DESC, sessions DESC
+    `;
+
+    return result.rows.map(row => ({
+      source: row.source,
+      medium: row.medium,
+      campaign: row.campaign,
+      sessions: parseInt(row.sessions) || 0,
+      emails: parseInt(row.emails) || 0,
+      paidSessions: parseInt(row.paid_sessions) || 0,
+      revenue: parseInt(row.revenue) || 0
     }));
 
   } catch (error) {
-    logger.error('Erreur getAllPaidSessions:', error);
+    logger.error('Erreur getAttributionStats:', error);
+    throw error;
+  }
+}
+
+/**
+ * Réserver la notification de l'équipe (email [À VÉRIFIER]) pour une session
+ * Un seul appel gagnant : la finalisation du paiement peut être rejouée (webhook, navigateur).
+ * @param {string} sessionUuid - UUID de la session
+ * @returns {Promise<boolean>} true si cet appel doit envoyer la notification
+ */
+export async function claimAdminNotification(sessionUuid) {
+  try {
+    const result = await sql`
+      UPDATE sessions
+      SET admin_notified_at = CURRENT_TIMESTAMP
+      WHERE session_uuid = ${sessionUuid}
+        AND admin_notified_at IS NULL
+      RETURNING id
+    `;
+
+    return result.rows.length > 0;
+
+  } catch (error) {
+    logger.error('Erreur claimAdminNotification:', error);
+    throw error;
+  }
+}
+
+/**
+ * Libérer la notification réservée si l'envoi a échoué (reprise au prochain appel)
+ * @param {string} sessionUuid - UUID de la session
+ * @returns {Promise<void>}
+ */
+export async function releaseAdminNotification(sessionUuid) {
+  try {
+    await sql`
+      UPDATE sessions SET admin_notified_at = NULL WHERE session_uuid = ${sessionUuid}
+    `;
+  } catch (error) {
+    logger.error('Erreur releaseAdminNotification:', error);
+    throw error;
+  }
+}
+
+// ====================================
+// RELECTURE DES ANALYSES
+// ====================================
+
+/**
+ * Créer le brouillon d'analyse d'une session payée (une seule fois)
+ * @param {string} sessionUuid - UUID de la session
+ * @param {string} draft - Brouillon initial
+ * @param {Object|null} report - Rapport généré dont le brouillon est issu
+ * @returns {Promise<boolean>} true si le brouillon a été créé
+ */
+export async function initAnalysisDraft(sessionUuid, draft, report = null) {
+  try {
+    const result = await sql`
+      UPDATE sessions
+      SET analysis_draft = ${draft},
+          analysis_report = ${report ? JSON.stringify(report) : null}::jsonb,
+          analysis_generated_at = ${report ? new Date().toISOString() : null},
+          analysis_status = 'pending_review',
+          analysis_updated_at = CURRENT_TIMESTAMP
+      WHERE session_uuid = ${sessionUuid} AND analysis_status IS NULL
+      RETURNING id
+    `;
+
+    return result.rows.length > 0;
+
+  } catch (error) {
+    logger.error('Erreur initAnalysisDraft:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remplacer le brouillon par un rapport régénéré (tant que l'analyse n'est pas approuvée)
+ * @param {string} sessionUuid - UUID de la session
+ * @param {string} draft - Texte du rapport
+ * @param {Object} report - Rapport généré
+ * @param {string} updatedBy - Nom du relecteur
+ * @returns {Promise<Object|null>} { analysisUpdatedAt } ou null si l'analyse n'est plus modifiable
+ */
+export async function regenerateAnalysisDraft(sessionUuid, draft, report, updatedBy) {
+  try {
+    const result = await sql`
+      UPDATE sessions
+      SET analysis_draft = ${draft},
+          analysis_report = ${JSON.stringify(report)}::jsonb,
+          analysis_generated_at = CURRENT_TIMESTAMP,
+          analysis_updated_at = CURRENT_TIMESTAMP,
+          analysis_updated_by = ${updatedBy}
+      WHERE session_uuid = ${sessionUuid} AND analysis_status = 'pending_review'
+      RETURNING analysis_updated_at
+    `;
+
+    return result.rows[0] ? { analysisUpdatedAt: result.rows[0].analysis_updated_at } : null;
+
+  } catch (error) {
+    logger.error('Erreur regenerateAnalysisDraft:', error);
+    throw error;
+  }
+}
+
+/**
+ * Enregistrer le brouillon modifié par un relecteur (tant qu'il n'est pas approuvé)
+ * @param {string} sessionUuid - UUID de la session
+ * @param {string} draft - Texte de l'analyse
+ * @param {string} updatedBy - Nom du relecteur
+ * @returns {Promise<Object|null>} { analysisUpdatedAt } ou null si l'analyse n'est plus modifiable
+ */
+export async function saveAnalysisDraft(sessionUuid, draft, updatedBy) {
+  try {
+    const result = await sql`
+      UPDATE sessions
+      SET analysis_draft = ${draft},
+          analysis_updated_at = CURRENT_TIMESTAMP,
+          analysis_updated_by = ${updatedBy}
+      WHERE session_uuid = ${sessionUuid} AND analysis_status = 'pending_review'
+      RETURNING analysis_updated_at
+    `;
+
+    return result.rows[0] ? { analysisUpdatedAt: result.rows[0].analysis_updated_at } : null;
+
+  } catch (error) {
+    logger.error('Erreur saveAnalysisDraft:', error);
+    throw error;
+  }
+}
+
+/**
+ * Approuver l'analyse (un seul appel gagnant, avant l'envoi au client)
+ * @param {string} sessionUuid - UUID de la session
+ * @param {string} analysis - Texte final de l'analyse
+ * @param {string} approvedBy - Nom du relecteur
+ * @returns {Promise<boolean>} true si cet appel a approuvé l'analyse
+ */
+export async function claimAnalysisApproval(sessionUuid, analysis, approvedBy) {
+  try {
+    const result = await sql`
+      UPDATE sessions
+      SET analysis_draft = ${analysis},
+          analysis_status = 'approved',
+          analysis_updated_at = CURRENT_TIMESTAMP,
+          analysis_updated_by = ${approvedBy},
+          approved_by = ${approvedBy},
+          approved_at = CURRENT_TIMESTAMP
+      WHERE session_uuid = ${sessionUuid}
+        AND analysis_status = 'pending_review'
+        AND status <> 'refunded'
+      RETURNING id
+    `;
+
+    return result.rows.length > 0;
+
+  } catch (error) {
+    logger.error('Erreur claimAnalysisApproval:', error);
+    throw error;
+  }
+}
+
+/**
+ * Enregistrer l'envoi de l'analyse approuvée au client
+ * @param {string} sessionUuid - UUID de la session
+ * @returns {Promise<void>}
+ */
+export async function markAnalysisDelivered(sessionUuid) {
+  try {
+    const result = await sql`
+      UPDATE sessions
+      SET analysis_status = 'delivered',
+          client_delivered_at = CURRENT_TIMESTAMP,
+          status = CASE WHEN status = 'paid' THEN 'delivered' ELSE status END,
+          status_updated_at = CASE WHEN status = 'paid' THEN CURRENT_TIMESTAMP ELSE status_updated_at END
+      WHERE session_uuid = ${sessionUuid} AND analysis_status = 'approved'
+    `;
+
+    logger.info('Analyse envoyée au client:', { sessionUuid });
+
+    if (result.rowCount > 0) {
+      await recordFunnelEvent(sessionUuid, 'analysis_delivered');
+    }
+
+  } catch (error) {
+    logger.error('Erreur markAnalysisDelivered:', error);
+    throw error;
+  }
+}
+
+/**
+ * Annuler une approbation dont l'envoi a échoué (l'analyse repart en relecture)
+ * @param {string} sessionUuid - UUID de la session
+ * @returns {Promise<void>}
+ */
+export async function releaseAnalysisApproval(sessionUuid) {
+  try {
+    await sql`
+      UPDATE sessions
+      SET analysis_status = 'pending_review',
+          approved_by = NULL,
+          approved_at = NULL
+      WHERE session_uuid = ${sessionUuid} AND analysis_status = 'approved'
+    `;
+
+  } catch (error) {
+    logger.error('Erreur releaseAnalysisApproval:', error);
+    throw error;
+  }
+}
+
+/**
+ * File de relecture : analyses à relire (plus anciens paiements d'abord) ou déjà envoyées
+ * Les sessions remboursées en totalité ne sont plus à relire.
+ * @param {string} status - pending (à relire ou approuvées non envoyées) | delivered
+ * @param {number} limit - Nombre max de sessions
+ * @returns {Promise<Array>} Sessions
+ */
+export async function getAnalysisReviewQueue(status = 'pending', limit = 50) {
+  try {
+    const result = status === 'delivered'
+      ? await sql`
+          SELECT * FROM sessions
+          WHERE paid_at IS NOT NULL AND analysis_status = 'delivered'
+          ORDER BY client_delivered_at DESC
+          LIMIT ${limit}
+        `
+      : await sql`
+          SELECT * FROM sessions
+          WHERE paid_at IS NOT NULL AND analysis_status IN ('pending_review', 'approved')
+            AND status <> 'refunded'
+            AND COALESCE(refunded_amount, 0) < amount
+          ORDER BY paid_at ASC
+          LIMIT ${limit}
+        `;
+
+    return result.rows.map(row => ({
+      id: row.id,
+      sessionUuid: row.session_uuid,
+      email: row.email,
+      expertise: row.expertise,
+      amount: row.amount,
+      paidAt: row.paid_at,
+      refundedAmount: row.refunded_amount || 0,
+      analysisStatus: row.analysis_status,
+      analysisUpdatedAt: row.analysis_updated_at,
+      analysisUpdatedBy: row.analysis_updated_by,
+      approvedBy: row.approved_by,
+      approvedAt: row.approved_at,
+      clientDeliveredAt: row.client_delivered_at
+    }));
+
+  } catch (error) {
+    logger.error('Erreur getAnalysisReviewQueue:', error);
+    throw error;
+  }
+}
+
+// ====================================
+// AVOCATS ET VALIDATION PREMIUM
+// ====================================
+
+/**
+ * Convertir une ligne lawyers en objet (sans le hash du mot de passe)
+ * @param {Object} row - Ligne SQL
+ * @returns {Object} Avocat
+ */
+function mapLawyer(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    email: row.email,
+    bar: row.bar,
+    active: row.active,
+    createdAt: row.created_at,
+    lastLoginAt: row.last_login_at
+  };
+}
+
+/**
+ * Convertir une ligne lawyer_reviews (jointe à sessions et lawyers) en objet
+ * @param {Object} row - Ligne SQL
+ * @returns {Object} Dossier de validation
+ */
+function mapLawyerReview(row) {
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    sessionUuid: row.session_uuid,
+    email: row.email,
+    expertise: row.expertise,
+    paidAt: row.paid_at,
+    lawyerId: row.lawyer_id,
+    lawyerName: row.lawyer_name || null,
+    status: row.status,
+    deadlineAt: row.deadline_at,
+    overdue: row.status !== 'validated' && new Date(row.deadline_at) < new Date(),
+    assignedAt: row.assigned_at,
+    validatedAt: row.validated_at,
+    validatedAnalysis: row.validated_analysis,
+    returnedAt: row.returned_at,
+    lawyerComment: row.lawyer_comment,
+    reminderSentAt: row.reminder_sent_at,
+    overdueNotifiedAt: row.overdue_notified_at,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Créer un compte avocat
+ * @param {Object} lawyer - { name, email, password, bar }
+ * @returns {Promise<Object>} Avocat créé
+ */
+export async function createLawyer(lawyer) {
+  try {
+    const passwordHash = await bcrypt.hash(lawyer.password, SALT_ROUNDS);
+
+    const result = await sql`
+      INSERT INTO lawyers (name, email, password_hash, bar)
+      VALUES (${lawyer.name}, ${lawyer.email.toLowerCase()}, ${passwordHash}, ${lawyer.bar || null})
+      RETURNING *
+    `;
+
+    logger.info('Avocat créé:', { email: lawyer.email });
+    return mapLawyer(result.rows[0]);
+
+  } catch (error) {
+    logger.error('Erreur createLawyer:', error);
+    throw error;
+  }
+}
+
+/**
+ * Vérifier les identifiants d'un avocat (compte actif uniquement)
+ * @param {string} email - Email
+ * @param {string} password - Mot de passe à vérifier
+ * @returns {Promise<Object|null>} Avocat si identifiants corrects, null sinon
+ */
+export async function verifyLawyerPassword(email, password) {
+  try {
+    const result = await sql`
+      SELECT * FROM lawyers WHERE email = ${email.toLowerCase()} AND active = TRUE LIMIT 1
+    `;
+
+    const row = result.rows[0];
+    if (!row || !(await bcrypt.compare(password, row.password_hash))) {
+      return null;
+    }
+
+    return mapLawyer(row);
+
+  } catch (error) {
+    logger.error('Erreur verifyLawyerPassword:', error);
+    throw error;
+  }
+}
+
+/**
+ * Récupérer tous les avocats avec leur charge (dossiers en cours, en retard)
+ * @returns {Promise<Array>} Avocats
+ */
+export async function getAllLawyers() {
+  try {
+    const result = await sql`
+      SELECT l.*,
+             COUNT(r.id) FILTER (WHERE r.status = 'in_progress') as open_count,
+             COUNT(r.id) FILTER (WHERE r.status = 'in_progress' AND r.deadline_at < CURRENT_TIMESTAMP) as overdue_count,
+             COUNT(r.id) FILTER (WHERE r.status = 'validated') as validated_count
+      FROM lawyers l
+      LEFT JOIN lawyer_reviews r ON r.lawyer_id = l.id
+      GROUP BY l.id
+      ORDER BY l.active DESC, l.name ASC
+    `;
+
+    return result.rows.map(row => ({
+      ...mapLawyer(row),
+      openCount: parseInt(row.open_count) || 0,
+      overdueCount: parseInt(row.overdue_count) || 0,
+      validatedCount: parseInt(row.validated_count) || 0
+    }));
+
+  } catch (error) {
+    logger.error('Erreur getAllLawyers:', error);
+    throw error;
+  }
+}
+
+/**
+ * Activer / désactiver un compte avocat (désactivé : plus de connexion ni d'assignation)
+ * @param {number} id - ID de l'avocat
+ * @param {boolean} active - Nouvel état
+ * @returns {Promise<Object|null>} Avocat mis à jour ou null
+ */
+export async function setLawyerActive(id, active) {
+  try {
+    const result = await sql`
+      UPDATE lawyers SET active = ${active} WHERE id = ${id} RETURNING *
+    `;
+
+    if (!active) {
+      await sql`DELETE FROM lawyer_sessions WHERE lawyer_id = ${id}`;
+    }
+
+    return result.rows[0] ? mapLawyer(result.rows[0]) : null;
+
+  } catch (error) {
+    logger.error('Erreur setLawyerActive:', error);
+    throw error;
+  }
+}
+
+/**
+ * Enregistrer une session de l'espace avocat
+ * @param {number} lawyerId - ID de l'avocat
+ * @param {string} tokenHash - SHA-256 du jeton remis au navigateur
+ * @param {Date} expiresAt - Expiration
+ * @returns {Promise<void>}
+ */
+export async function createLawyerSession(lawyerId, tokenHash, expiresAt) {
+  try {
+    await sql`
+      INSERT INTO lawyer_sessions (token_hash, lawyer_id, expires_at)
+      VALUES (${tokenHash}, ${lawyerId}, ${expiresAt.toISOString()})
+    `;
+
+    await sql`UPDATE lawyers SET last_login_at = CURRENT_TIMESTAMP WHERE id = ${lawyerId}`;
+    await sql`DELETE FROM lawyer_sessions WHERE expires_at < CURRENT_TIMESTAMP`;
+
+  } catch (error) {
+    logger.error('Erreur createLawyerSession:', error);
+    throw error;
+  }
+}
+
+/**
+ * Récupérer l'avocat d'une session valide (non expirée, compte actif)
+ * @param {string} tokenHash - SHA-256 du jeton
+ * @returns {Promise<Object|null>} Avocat ou null
+ */
+export async function getLawyerBySession(tokenHash) {
+  try {
+    const result = await sql`
+      SELECT l.*
+      FROM lawyer_sessions s
+      JOIN lawyers l ON l.id = s.lawyer_id
+      WHERE s.token_hash = ${tokenHash}
+        AND s.expires_at > CURRENT_TIMESTAMP
+        AND l.active = TRUE
+    `;
+
+    return result.rows[0] ? mapLawyer(result.rows[0]) : null;
+
+  } catch (error) {
+    logger.error('Erreur getLawyerBySession:', error);
+    throw error;
+  }
+}
+
+/**
+ * Supprimer une session de l'espace avocat (déconnexion)
+ * @param {string} tokenHash - SHA-256 du jeton
+ * @returns {Promise<void>}
+ */
+export async function deleteLawyerSession(tokenHash) {
+  try {
+    await sql`DELETE FROM lawyer_sessions WHERE token_hash = ${tokenHash}`;
+  } catch (error) {
+    logger.error('Erreur deleteLawyerSession:', error);
+    throw error;
+  }
+}
+
+/**
+ * Ouvrir le dossier de validation d'une session payée (sans effet s'il existe)
+ * @param {number} sessionId - ID numérique de la session payée
+ * @param {Date} deadlineAt - Échéance (paid_at + délai)
+ * @returns {Promise<boolean>} true si le dossier a été créé
+ */
+export async function createLawyerReview(sessionId, deadlineAt) {
+  try {
+    const result = await sql`
+      INSERT INTO lawyer_reviews (session_id, deadline_at)
+      VALUES (${sessionId}, ${deadlineAt.toISOString()})
+      ON CONFLICT (session_id) DO NOTHING
+      RETURNING id
+    `;
+
+    return result.rows.length > 0;
+
+  } catch (error) {
+    logger.error('Erreur createLawyerReview:', error);
+    throw error;
+  }
+}
+
+/**
+ * Ouvrir les dossiers manquants : sessions payées d'une offre validée par avocat
+ * dont l'analyse est en relecture (rattrapage après une erreur à la finalisation), hors sessions remboursées
+ * @param {number} slaHours - Délai de validation en heures depuis paid_at
+ * @returns {Promise<number>} Nombre de dossiers créés
+ */
+export async function syncLawyerReviews(slaHours) {
+  try {
+    const result = await sql`
+      INSERT INTO lawyer_reviews (session_id, deadline_at)
+      SELECT s.id, s.paid_at + make_interval(hours => ${slaHours})
+      FROM sessions s
+      JOIN offers o ON o.code = s.expertise
+      WHERE s.paid_at IS NOT NULL
+        AND o.requires_lawyer_review = TRUE
+        AND s.analysis_status IN ('pending_review', 'approved')
+        AND s.status <> 'refunded'
+      ON CONFLICT (session_id) DO NOTHING
+      RETURNING id
+    `;
+
+    return result.rows.length;
+
+  } catch (error) {
+    logger.error('Erreur syncLawyerReviews:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lister les dossiers de validation
+ * @param {Object} filters - { status (to_assign | in_progress | validated | returned | overdue), lawyerId }
+ * @returns {Promise<Array>} Dossiers, échéance la plus proche d'abord
+ */
+export async function getLawyerReviews({ status = null, lawyerId = null } = {}) {
+  try {
+    const result = await sql`
+      SELECT r.*, s.session_uuid, s.email, s.expertise, s.paid_at, l.name as lawyer_name
+      FROM lawyer_reviews r
+      JOIN sessions s ON s.id = r.session_id
+      LEFT JOIN lawyers l ON l.id = r.lawyer_id
+      WHERE (${lawyerId}::integer IS NULL OR r.lawyer_id = ${lawyerId})
+        AND (
+          ${status}::text IS NULL
+          OR (${status} = 'overdue' AND r.status != 'validated' AND r.deadline_at < CURRENT_TIMESTAMP)
+          OR r.status = ${status}
+        )
+      ORDER BY (r.status = 'validated') ASC, r.deadline_at ASC
+      LIMIT 200
+    `;
+
+    return result.rows.map(mapLawyerReview);
+
+  } catch (error) {
+    logger.error('Erreur getLawyerReviews:', error);
+    throw error;
+  }
+}
+
+/**
+ * Compter les dossiers de validation par statut (et en retard)
+ * @returns {Promise<Object>} { to_assign, in_progress, validated, returned, overdue }
+ */
+export async function getLawyerReviewCounts() {
+  try {
+    const result = await sql`
+      SELECT
+        COUNT(*) FILTER (WHERE status = 'to_assign') as to_assign,
+        COUNT(*) FILTER (WHERE status = 'in_progress') as in_progress,
+        COUNT(*) FILTER (WHERE status = 'validated') as validated,
+        COUNT(*) FILTER (WHERE status = 'returned') as returned,
+        COUNT(*) FILTER (WHERE status != 'validated' AND deadline_at < CURRENT_TIMESTAMP) as overdue
+      FROM lawyer_reviews
+    `;
+
+    const row = result.rows[0];
+    return {
+      to_assign: parseInt(row.to_assign) || 0,
+      in_progress: parseInt(row.in_progress) || 0,
+      validated: parseInt(row.validated) || 0,
+      returned: parseInt(row.returned) || 0,
+      overdue: parseInt(row.overdue) || 0
+    };
+
+  } catch (error) {
+    logger.error('Erreur getLawyerReviewCounts:', error);
+    throw error;
+  }
+}
+
+/**
+ * Récupérer un dossier de validation par ID ou par session
+ * @param {Object} where - { id } ou { sessionId }
+ * @returns {Promise<Object|null>} Dossier ou null
+ */
+export async function getLawyerReview({ id = null, sessionId = null }) {
+  try {
+    const result = await sql`
+      SELECT r.*, s.session_uuid, s.email, s.expertise, s.paid_at, l.name as lawyer_name
+      FROM lawyer_reviews r
+      JOIN sessions s ON s.id = r.session_id
+      LEFT JOIN lawyers l ON l.id = r.lawyer_id
+      WHERE r.id = ${id} OR r.session_id = ${sessionId}
+      LIMIT 1
+    `;
+
+    return result.rows[0] ? mapLawyerReview(result.rows[0]) : null;
+
+  } catch (error) {
+    logger.error('Erreur getLawyerReview:', error);
+    throw error;
+  }
+}
+
+/**
+ * Assigner (ou réassigner) un dossier à un avocat : il repasse en cours
+ * @param {number} id - ID du dossier
+ * @param {number} lawyerId - ID de l'avocat
+ * @returns {Promise<boolean>} true si assigné (un dossier validé ne peut plus l'être)
+ */
+export async function assignLawyerReview(id, lawyerId) {
+  try {
+    const result = await sql`
+      UPDATE lawyer_reviews
+      SET lawyer_id = ${lawyerId},
+          status = 'in_progress',
+          assigned_at = CURRENT_TIMESTAMP,
+          reminder_sent_at = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${id} AND status != 'validated'
+      RETURNING id
+    `;
+
+    return result.rows.length > 0;
+
+  } catch (error) {
+    logger.error('Erreur assignLawyerReview:', error);
+    throw error;
+  }
+}
+
+/**
+ * Enregistrer la décision de l'avocat sur un dossier en cours qui lui est assigné
+ * @param {number} id - ID du dossier
+ * @param {number} lawyerId - ID de l'avocat connecté
+ * @param {Object} decision - { status (validated | returned), comment, analysis (texte validé) }
+ * @returns {Promise<boolean>} true si la décision a été enregistrée
+ */
+export async function decideLawyerReview(id, lawyerId, { status, comment = null, analysis = null }) {
+  try {
+    const result = await sql`
+      UPDATE lawyer_reviews
+      SET status = ${status},
+          lawyer_comment = ${comment},
+          validated_at = CASE WHEN ${status} = 'validated' THEN CURRENT_TIMESTAMP ELSE NULL END,
+          validated_analysis = CASE WHEN ${status} = 'validated' THEN ${analysis} ELSE NULL END,
+          returned_at = CASE WHEN ${status} = 'returned' THEN CURRENT_TIMESTAMP ELSE returned_at END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${id} AND lawyer_id = ${lawyerId} AND status = 'in_progress'
+      RETURNING id
+    `;
+
+    return result.rows.length > 0;
+
+  } catch (error) {
+    logger.error('Erreur decideLawyerReview:', error);
+    throw error;
+  }
+}
+
+/**
+ * Dossiers en cours dont l'échéance approche et dont l'avocat n'a pas été relancé (hors sessions remboursées)
+ * @param {number} hoursBefore - Relance à moins de N heures de l'échéance
+ * @returns {Promise<Array>} Dossiers avec l'email de l'avocat (lawyerEmail)
+ */
+export async function getLawyerReviewsToRemind(hoursBefore) {
+  try {
+    const result = await sql`
+      SELECT r.*, s.session_uuid, s.email, s.expertise, s.paid_at,
+             l.name as lawyer_name, l.email as lawyer_email
+      FROM lawyer_reviews r
+      JOIN sessions s ON s.id = r.session_id
+      JOIN lawyers l ON l.id = r.lawyer_id
+      WHERE r.status = 'in_progress'
+        AND r.reminder_sent_at IS NULL
+        AND r.deadline_at < CURRENT_TIMESTAMP + make_interval(hours => ${hoursBefore})
+        AND l.active = TRUE
+        AND s.status <> 'refunded'
+      ORDER BY r.deadline_at ASC
+    `;
+
+    return result.rows.map(row => ({ ...mapLawyerReview(row), lawyerEmail: row.lawyer_email }));
+
+  } catch (error) {
+    logger.error('Erreur getLawyerReviewsToRemind:', error);
+    throw error;
+  }
+}
+
+/**
+ * Dossiers non validés dont l'échéance est dépassée et non encore signalés à l'équipe (hors sessions remboursées)
+ * @returns {Promise<Array>} Dossiers
+ */
+export async function getOverdueLawyerReviewsToNotify() {
+  try {
+    const result = await sql`
+      SELECT r.*, s.session_uuid, s.email, s.expertise, s.paid_at, l.name as lawyer_name
+      FROM lawyer_reviews r
+      JOIN sessions s ON s.id = r.session_id
+      LEFT JOIN lawyers l ON l.id = r.lawyer_id
+      WHERE r.status != 'validated'
+        AND r.deadline_at < CURRENT_TIMESTAMP
+        AND r.overdue_notified_at IS NULL
+        AND s.status <> 'refunded'
+      ORDER BY r.deadline_at ASC
+    `;
+
+    return result.rows.map(mapLawyerReview);
+
+  } catch (error) {
+    logger.error('Erreur getOverdueLawyerReviewsToNotify:', error);
+    throw error;
+  }
+}
+
+/**
+ * Marquer des dossiers comme relancés (avocat) ou signalés en retard (équipe)
+ * @param {Array<number>} ids - IDs des dossiers
+ * @param {string} kind - reminder | overdue
+ * @returns {Promise<void>}
+ */
+export async function markLawyerReviewsNotified(ids, kind) {
+  if (ids.length === 0) return;
+
+  try {
+    // Paramètre tableau : sql`...` n'accepte pas les listes dans IN (...)
+    const idList = `{${ids.map(id => parseInt(id)).join(',')}}`;
+
+    if (kind === 'reminder') {
+      await sql`UPDATE lawyer_reviews SET reminder_sent_at = CURRENT_TIMESTAMP WHERE id = ANY(${idList}::int[])`;
+    } else {
+      await sql`UPDATE lawyer_reviews SET overdue_notified_at = CURRENT_TIMESTAMP WHERE id = ANY(${idList}::int[])`;
+    }
+
+  } catch (error) {
+    logger.error('Erreur markLawyerReviewsNotified:', error);
+    throw error;
+  }
+}
+
+// ====================================
+// COMPTES ADMINISTRATEURS
+// ====================================
+
+/**
+ * Convertir une ligne admin_users en objet (sans le hash du mot de passe ni le secret TOTP)
+ * @param {Object} row - Ligne SQL
+ * @returns {Object} Administrateur
+ */
+function mapAdminUser(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    email: row.email,
+    role: row.role,
+    active: row.active,
+    totpEnabled: Boolean(row.totp_enabled_at),
+    totpEnabledAt: row.totp_enabled_at,
+    createdAt: row.created_at,
+    lastLoginAt: row.last_login_at
+  };
+}
+
+/**
+ * Compter les administrateurs (premier compte : création via SETUP_KEY tant qu'il n'y en a aucun)
+ * @param {Object} [filters] - { role, activeOnly }
+ * @returns {Promise<number>} Nombre d'administrateurs
+ */
+export async function countAdminUsers({ role = null, activeOnly = false } = {}) {
+  try {
+    const result = await sql`
+      SELECT COUNT(*) as count
+      FROM admin_users
+      WHERE (${role}::text IS NULL OR role = ${role})
+        AND (${activeOnly}::boolean = FALSE OR active = TRUE)
+    `;
+
+    return parseInt(result.rows[0].count) || 0;
+
+  } catch (error) {
+    logger.error('Erreur countAdminUsers:', error);
+    throw error;
+  }
+}
+
+/**
+ * Créer un compte administrateur
+ * @param {Object} admin - { name, email, password, role }
+ * @returns {Promise<Object>} Administrateur créé
+ */
+export async function createAdminUser(admin) {
+  try {
+    const passwordHash = await bcrypt.hash(admin.password, SALT_ROUNDS);
+
+    const result = await sql`
+      INSERT INTO admin_users (name, email, password_hash, role)
+      VALUES (${admin.name}, ${admin.email.toLowerCase()}, ${passwordHash}, ${admin.role})
+      RETURNING *
+    `;
+
+    logger.info('Administrateur créé:', { email: admin.email, role: admin.role });
+    return mapAdminUser(result.rows[0]);
+
+  } catch (error) {
+    logger.error('Erreur createAdminUser:', error);
+    throw error;
+  }
+}
+
+/**
+ * Vérifier les identifiants d'un administrateur (compte actif uniquement)
+ * @param {string} email - Email
+ * @param {string} password - Mot de passe à vérifier
+ * @returns {Promise<Object|null>} Administrateur si identifiants corrects, null sinon
+ */
+export async function verifyAdminPassword(email, password) {
+  try {
+    const result = await sql`
+      SELECT * FROM admin_users WHERE email = ${email.toLowerCase()} AND active = TRUE LIMIT 1
+    `;
+
+    const row = result.rows[0];
+    if (!row || !(await bcrypt.compare(password, row.password_hash))) {
+      return null;
+    }
+
+    return mapAdminUser(row);
+
+  } catch (error) {
+    logger.error('Erreur verifyAdminPassword:', error);
+    throw error;
+  }
+}
+
+/**
+ * Récupérer tous les administrateurs
+ * @returns {Promise<Array>} Administrateurs (actifs d'abord)
+ */
+export async function getAllAdminUsers() {
+  try {
+    const result = await sql`
+      SELECT * FROM admin_users ORDER BY active DESC, name ASC
+    `;
+
+    return result.rows.map(mapAdminUser);
+
+  } catch (error) {
+    logger.error('Erreur getAllAdminUsers:', error);
+    throw error;
+  }
+}
+
+/**
+ * Récupérer un administrateur par son ID
+ * @param {number} id - ID de l'administrateur
+ * @returns {Promise<Object|null>} Administrateur ou null
+ */
+export async function getAdminUser(id) {
+  try {
+    const result = await sql`SELECT * FROM admin_users WHERE id = ${id}`;
+    return result.rows[0] ? mapAdminUser(result.rows[0]) : null;
+
+  } catch (error) {
+    logger.error('Erreur getAdminUser:', error);
+    throw error;
+  }
+}
+
+/**
+ * Modifier le rôle et / ou l'état d'un administrateur (désactivé : sessions supprimées)
+ * @param {number} id - ID de l'administrateur
+ * @param {Object} changes - { role, active } (champs absents inchangés)
+ * @returns {Promise<Object|null>} Administrateur mis à jour ou null
+ */
+export async function updateAdminUser(id, { role = null, active = null } = {}) {
+  try {
+    const result = await sql`
+      UPDATE admin_users
+      SET role = COALESCE(${role}::text, role),
+          active = COALESCE(${active}::boolean, active)
+      WHERE id = ${id}
+      RETURNING *
+    `;
+
+    if (active === false) {
+      await sql`DELETE FROM admin_sessions WHERE admin_user_id = ${id}`;
+    }
+
+    return result.rows[0] ? mapAdminUser(result.rows[0]) : null;
+
+  } catch (error) {
+    logger.error('Erreur updateAdminUser:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remplacer le mot de passe d'un administrateur (ses sessions sont supprimées)
+ * @param {number} id - ID de l'administrateur
+ * @param {string} password - Nouveau mot de passe
+ * @returns {Promise<boolean>} true si le compte existe
+ */
+export async function setAdminUserPassword(id, password) {
+  try {
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+
+    const result = await sql`
+      UPDATE admin_users SET password_hash = ${passwordHash} WHERE id = ${id}
+    `;
+
+    await sql`DELETE FROM admin_sessions WHERE admin_user_id = ${id}`;
+
+    return result.rowCount > 0;
+
+  } catch (error) {
+    logger.error('Erreur setAdminUserPassword:', error);
+    throw error;
+  }
+}
+
+/**
+ * Enregistrer une session d'administration
+ * @param {number} adminUserId - ID de l'administrateur
+ * @param {string} tokenHash - SHA-256 du jeton remis au navigateur
+ * @param {Date} expiresAt - Expiration
+ * @param {Object} [options] - { mfaPending: session en attente du code TOTP }
+ * @returns {Promise<void>}
+ */
+export async function createAdminSession(adminUserId, tokenHash, expiresAt, { mfaPending = false } = {}) {
+  try {
+    await sql`
+      INSERT INTO admin_sessions (token_hash, admin_user_id, expires_at, mfa_pending)
+      VALUES (${tokenHash}, ${adminUserId}, ${expiresAt.toISOString()}, ${mfaPending})
+    `;
+
+    if (!mfaPending) {
+      await sql`UPDATE admin_users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ${adminUserId}`;
+    }
+    await sql`DELETE FROM admin_sessions WHERE expires_at < CURRENT_TIMESTAMP`;
+
+  } catch (error) {
+    logger.error('Erreur createAdminSession:', error);
+    throw error;
+  }
+}
+
+/**
+ * Récupérer l'administrateur d'une session valide (non expirée, compte actif)
+ * @param {string} tokenHash - SHA-256 du jeton
+ * @returns {Promise<Object|null>} Administrateur (mfaPending : code TOTP encore attendu) ou null
+ */
+export async function getAdminBySession(tokenHash) {
+  try {
+    const result = await sql`
+      SELECT a.*, s.mfa_pending
+      FROM admin_sessions s
+      JOIN admin_users a ON a.id = s.admin_user_id
+      WHERE s.token_hash = ${tokenHash}
+        AND s.expires_at > CURRENT_TIMESTAMP
+        AND a.active = TRUE
+    `;
+
+    return result.rows[0]
+      ? { ...mapAdminUser(result.rows[0]), mfaPending: result.rows[0].mfa_pending }
+      : null;
+
+  } catch (error) {
+    logger.error('Erreur getAdminBySession:', error);
+    throw error;
+  }
+}
+
+/**
+ * Supprimer une session d'administration (déconnexion)
+ * @param {string} tokenHash - SHA-256 du jeton
+ * @returns {Promise<void>}
+ */
+export async function deleteAdminSession(tokenHash) {
+  try {
+    await sql`DELETE FROM admin_sessions WHERE token_hash = ${tokenHash}`;
+  } catch (error) {
+    logger.error('Erreur deleteAdminSession:', error);
+    throw error;
+  }
+}
+
+/**
+ * Récupérer l'état TOTP d'un administrateur (secrets compris : usage serveur uniquement)
+ * @param {number} id - ID de l'administrateur
+ * @returns {Promise<Object|null>} { secret, pendingSecret, lastCounter, backupCodesLeft } ou null
+ */
+export async function getAdminTotp(id) {
+  try {
+    const result = await sql`
+      SELECT a.totp_secret, a.totp_pending_secret, a.totp_last_counter,
+        (SELECT COUNT(*) FROM admin_backup_codes b WHERE b.admin_user_id = a.id AND b.used_at IS NULL) as backup_codes_left
+      FROM admin_users a
+      WHERE a.id = ${id}
+    `;
+
+    const row = result.rows[0];
+    if (!row) return null;
+
+    return {
+      secret: row.totp_secret,
+      pendingSecret: row.totp_pending_secret,
+      lastCounter: row.totp_last_counter === null ? null : parseInt(row.totp_last_counter),
+      backupCodesLeft: parseInt(row.backup_codes_left) || 0
+    };
+
+  } catch (error) {
+    logger.error('Erreur getAdminTotp:', error);
+    throw error;
+  }
+}
+
+/**
+ * Enregistrer le secret TOTP en cours d'enrôlement (actif après confirmation par un code)
+ * @param {number} id - ID de l'administrateur
+ * @param {string} secret - Secret base32
+ * @returns {Promise<void>}
+ */
+export async function setAdminTotpPendingSecret(id, secret) {
+  try {
+    await sql`UPDATE admin_users SET totp_pending_secret = ${secret} WHERE id = ${id}`;
+  } catch (error) {
+    logger.error('Erreur setAdminTotpPendingSecret:', error);
+    throw error;
+  }
+}
+
+/**
+ * Activer la double authentification : le secret en cours devient le secret du compte
+ * et les codes de secours sont remplacés
+ * @param {number} id - ID de l'administrateur
+ * @param {number} counter - Compteur du code de confirmation (non rejouable)
+ * @param {Array<string>} backupCodeHashes - Hash des codes de secours
+ * @returns {Promise<boolean>} true si un secret était en cours d'enrôlement
+ */
+export async function enableAdminTotp(id, counter, backupCodeHashes) {
+  try {
+    const result = await sql`
+      UPDATE admin_users
+      SET totp_secret = totp_pending_secret,
+          totp_pending_secret = NULL,
+          totp_enabled_at = CURRENT_TIMESTAMP,
+          totp_last_counter = ${counter}
+      WHERE id = ${id} AND totp_pending_secret IS NOT NULL
+    `;
+
+    if (result.rowCount === 0) {
+      return false;
+    }
+
+    await replaceAdminBackupCodes(id, backupCodeHashes);
+
+    return true;
+
+  } catch (error) {
+    logger.error('Erreur enableAdminTotp:', error);
+    throw error;
+  }
+}
+
+/**
+ * Retenir le dernier code TOTP accepté (refus atomique d'un code déjà utilisé)
+ * @param {number} id - ID de l'administrateur
+ * @param {number} counter - Compteur du code accepté
+ * @returns {Promise<boolean>} false si un code de même période ou plus récent a déjà servi
+ */
+export async function recordAdminTotpCounter(id, counter) {
+  try {
+    const result = await sql`
+      UPDATE admin_users
+      SET totp_last_counter = ${counter}
+      WHERE id = ${id}
+        AND (totp_last_counter IS NULL OR totp_last_counter < ${counter})
+    `;
+
+    return result.rowCount > 0;
+
+  } catch (error) {
+    logger.error('Erreur recordAdminTotpCounter:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remplacer les codes de secours d'un administrateur
+ * @param {number} id - ID de l'administrateur
+ * @param {Array<string>} codeHashes - Hash SHA-256 des nouveaux codes
+ * @returns {Promise<void>}
+ */
+export async function replaceAdminBackupCodes(id, codeHashes) {
+  try {
+    await sql`DELETE FROM admin_backup_codes WHERE admin_user_id = ${id}`;
+
+    for (const codeHash of codeHashes) {
+      await sql`INSERT INTO admin_backup_codes (admin_user_id, code_hash) VALUES (${id}, ${codeHash})`;
+    }
+
+  } catch (error) {
+    logger.error('Erreur replaceAdminBackupCodes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Consommer un code de secours
+ * @param {number} id - ID de l'administrateur
+ * @param {string} codeHash - Hash SHA-256 du code saisi
+ * @returns {Promise<boolean>} true si le code existait et n'avait pas servi
+ */
+export async function useAdminBackupCode(id, codeHash) {
+  try {
+    const result = await sql`
+      UPDATE admin_backup_codes
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE admin_user_id = ${id} AND code_hash = ${codeHash} AND used_at IS NULL
+    `;
+
+    return result.rowCount > 0;
+
+  } catch (error) {
+    logger.error('Erreur useAdminBackupCode:', error);
+    throw error;
+  }
+}
+
+/**
+ * Désactiver la double authentification (secret et codes de secours supprimés)
+ * @param {number} id - ID de l'administrateur
+ * @param {Object} [options] - { closeSessions: fermer les sessions du compte (téléphone perdu) }
+ * @returns {Promise<boolean>} true si le compte existe
+ */
+export async function disableAdminTotp(id, { closeSessions = false } = {}) {
+  try {
+    const result = await sql`
+      UPDATE admin_users
+      SET totp_secret = NULL,
+          totp_pending_secret = NULL,
+          totp_enabled_at = NULL,
+          totp_last_counter = NULL
+      WHERE id = ${id}
+    `;
+
+    await sql`DELETE FROM admin_backup_codes WHERE admin_user_id = ${id}`;
+
+    if (closeSessions) {
+      await sql`DELETE FROM admin_sessions WHERE admin_user_id = ${id}`;
+    }
+
+    return result.rowCount > 0;
+
+  } catch (error) {
+    logger.error('Erreur disableAdminTotp:', error);
+    throw error;
+  }
+}
+
+// ====================================
+// JOURNAL DES ACTIONS ADMIN
+// ====================================
+
+/**
+ * Convertir une ligne admin_audit_log en objet
+ * @param {Object} row - Ligne SQL
+ * @returns {Object} Entrée du journal
+ */
+function mapAdminAuditEntry(row) {
+  return {
+    id: parseInt(row.id),
+    adminUserId: row.admin_user_id,
+    adminEmail: row.admin_email,
+    adminRole: row.admin_role,
+    endpoint: row.endpoint,
+    action: row.action,
+    target: row.target,
+    method: row.method,
+    outcome: row.outcome,
+    ipAddress: row.ip_address,
+    details: row.details,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Ajouter une entrée au journal des actions admin
+ * @param {Object} entry - { admin, endpoint, action, target, method, outcome, ipAddress, details }
+ * @returns {Promise<void>}
+ */
+export async function addAdminAuditEntry(entry) {
+  try {
+    await sql`
+      INSERT INTO admin_audit_log (
+        admin_user_id, admin_email, admin_role, endpoint, action, target, method, outcome, ip_address, details
+      ) VALUES (
+        ${entry.admin?.id || null},
+        ${entry.admin?.email || null},
+        ${entry.admin?.role || null},
+        ${entry.endpoint || null},
+        ${entry.action},
+        ${entry.target || null},
+        ${entry.method || null},
+        ${entry.outcome || 'allowed'},
+        ${entry.ipAddress || null},
+        ${entry.details ? JSON.stringify(entry.details) : null}::jsonb
+      )
+    `;
+
+  } catch (error) {
+    logger.error('Erreur addAdminAuditEntry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Rechercher dans le journal des actions admin (plus récentes d'abord)
+ * @param {Object} filters - { adminUserId, endpoint, action, outcome, target, from, to, limit, offset }
+ * @returns {Promise<Object>} { entries, total }
+ */
+export async function getAdminAuditLog({
+  adminUserId = null,
+  endpoint = null,
+  action = null,
+  outcome = null,
+  target = null,
+  from = null,
+  to = null,
+  limit = 100,
+  offset = 0
+} = {}) {
+  try {
+    const targetPattern = target ? `%${target}%` : null;
+
+    const result = await sql`
+      SELECT *, COUNT(*) OVER() AS total_count
+      FROM admin_audit_log
+      WHERE (${adminUserId}::integer IS NULL OR admin_user_id = ${adminUserId})
+        AND (${endpoint}::text IS NULL OR endpoint = ${endpoint})
+        AND (${action}::text IS NULL OR action = ${action})
+        AND (${outcome}::text IS NULL OR outcome = ${outcome})
+        AND (${targetPattern}::text IS NULL OR target ILIKE ${targetPattern})
+        AND (${from}::timestamp IS NULL OR created_at >= ${from}::timestamp)
+        AND (${to}::timestamp IS NULL OR created_at < ${to}::timestamp + INTERVAL '1 day')
+      ORDER BY created_at DESC, id DESC
+      LIMIT ${limit} OFFSET ${offset}
+    `;
+
+    return {
+      entries: result.rows.map(mapAdminAuditEntry),
+      total: result.rows[0] ? parseInt(result.rows[0].total_count) : 0
+    };
+
+  } catch (error) {
+    logger.error('Erreur getAdminAuditLog:', error);
+    throw error;
+  }
+}
+
+// ====================================
+// ÉVÉNEMENTS STRIPE (WEBHOOK)
+// ====================================
+
+/**
+ * Réserver le traitement d'un événement Stripe
+ * Un événement déjà traité (ou en cours de traitement) n'est pas retraité.
+ * Un événement en échec, ou bloqué en traitement depuis plus de 5 minutes, peut être repris.
+ * @param {string} eventId - ID de l'événement Stripe (evt_...)
+ * @param {string} type - Type de l'événement
+ * @returns {Promise<boolean>} true si l'appelant doit traiter l'événement
+ */
+export async function claimStripeEvent(eventId, type) {
+  try {
+    const result = await sql`
+      INSERT INTO stripe_events (id, type)
+      VALUES (${eventId}, ${type})
+      ON CONFLICT (id) DO UPDATE SET
+        status = 'processing',
+        error = NULL,
+        attempts = stripe_events.attempts + 1,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE stripe_events.status = 'failed'
+         OR (stripe_events.status = 'processing'
+             AND stripe_events.updated_at < CURRENT_TIMESTAMP - INTERVAL '5 minutes')
+      RETURNING id
+    `;
+
+    return result.rows.length > 0;
+
+  } catch (error) {
+    logger.error('Erreur claimStripeEvent:', error);
+    throw error;
+  }
+}
+
+/**
+ * Marquer un événement Stripe comme traité
+ * @param {string} eventId - ID de l'événement Stripe
+ */
+export async function markStripeEventProcessed(eventId) {
+  try {
+    await sql`
+      UPDATE stripe_events
+      SET status = 'processed',
+          processed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${eventId}
+    `;
+
+  } catch (error) {
+    logger.error('Erreur markStripeEventProcessed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Marquer un événement Stripe en échec (il sera repris au prochain envoi de Stripe)
+ * @param {string} eventId - ID de l'événement Stripe
+ * @param {string} errorMessage - Message d'erreur
+ */
+export async function markStripeEventFailed(eventId, errorMessage) {
+  try {
+    await sql`
+      UPDATE stripe_events
+      SET status = 'failed',
+          error = ${errorMessage},
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${eventId}
+    `;
+
+  } catch (error) {
+    logger.error('Erreur markStripeEventFailed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Enregistrer l'échec d'un paiement (la session reste en checkout_started)
+ * @param {string} sessionUuid - UUID de la session
+ * @param {string} errorMessage - Message d'erreur Stripe
+ * @returns {Promise<Object|null>} Session mise à jour
+ */
+export async function markSessionPaymentFailed(sessionUuid, errorMessage) {
+  try {
+    const result = await sql`
+      UPDATE sessions
+      SET payment_status = 'failed',
+          payment_error = ${errorMessage},
+          payment_attempts = payment_attempts + 1,
+          last_payment_attempt_at = CURRENT_TIMESTAMP,
+          last_activity_at = CURRENT_TIMESTAMP
+      WHERE session_uuid = ${sessionUuid}
+        AND paid_at IS NULL
+      RETURNING id, session_uuid, status, payment_status, payment_attempts
+    `;
+
+    logger.info('Échec de paiement enregistré:', { sessionUuid });
+
+    if (result.rows.length > 0) {
+      await recordFunnelEvent(sessionUuid, 'payment_failed', { attempt: result.rows[0].payment_attempts });
+    }
+
+    return result.rows[0] || null;
+
+  } catch (error) {
+    logger.error('Erreur markSessionPaymentFailed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Enregistrer un remboursement (montant cumulé remboursé par Stripe)
+ * Un remboursement total fait passer la session payée au statut refunded.
+ * @param {string} paymentIntentId - ID du PaymentIntent Stripe
+ * @param {number} refundedAmount - Montant total remboursé en centimes
+ * @returns {Promise<Object|null>} Session mise à jour
+ */
+export async function recordSessionRefund(paymentIntentId, refundedAmount) {
+  try {
+    const result = await sql`
+      UPDATE sessions
+      SET refunded_amount = ${refundedAmount},
+          refunded_at = CURRENT_TIMESTAMP,
+          payment_status = CASE WHEN ${refundedAmount} >= amount THEN 'refunded' ELSE 'partially_refunded' END,
+          status_updated_at = CASE WHEN ${refundedAmount} >= amount AND status IN ('paid', 'delivered')
+                                   THEN CURRENT_TIMESTAMP ELSE status_updated_at END,
+          status = CASE WHEN ${refundedAmount} >= amount AND status IN ('paid', 'delivered')
+                        THEN 'refunded' ELSE status END
+      WHERE payment_intent_id = ${paymentIntentId}
+      RETURNING id, session_uuid, status, amount, refunded_amount, payment_status
+    `;
+
+    logger.info('Remboursement enregistré:', { paymentIntentId, refundedAmount });
+
+    const session = result.rows[0];
+    if (session && session.status === 'refunded') {
+      await recordFunnelEvent(session.session_uuid, 'refunded', { amount: refundedAmount });
+    }
+
+    return session || null;
+
+  } catch (error) {
+    logger.error('Erreur recordSessionRefund:', error);
+    throw error;
+  }
+}
+
+/**
+ * Enregistrer un litige (chargeback)
+ * @param {string} paymentIntentId - ID du PaymentIntent Stripe
+ * @param {string} disputeStatus - Statut du litige Stripe
+ * @returns {Promise<Object|null>} Session mise à jour
+ */
+export async function recordSessionDispute(paymentIntentId, disputeStatus) {
+  try {
+    const result = await sql`
+      UPDATE sessions
+      SET dispute_status = ${disputeStatus},
+          disputed_at = COALESCE(disputed_at, CURRENT_TIMESTAMP)
+      WHERE payment_intent_id = ${paymentIntentId}
+      RETURNING id, session_uuid, dispute_status, disputed_at
+    `;
+
+    logger.security('Litige Stripe enregistré:', { paymentIntentId, disputeStatus });
+    return result.rows[0] || null;
+
+  } catch (error) {
+    logger.error('Erreur recordSessionDispute:', error);
+    throw error;
+  }
+}
+
+// ====================================
+// REMBOURSEMENTS
+// ====================================
+
+/**
+ * Enregistrer un remboursement Stripe (ignoré s'il est déjà connu)
+ * @param {number} sessionId - ID numérique de la session payée
+ * @param {Object} refund - { stripeRefundId, paymentIntentId, amount, reason, note, status, createdBy }
+ * @returns {Promise<Object|null>} Remboursement créé, ou null s'il existait déjà
+ */
+export async function addPaymentRefund(sessionId, refund) {
+  try {
+    const result = await sql`
+      INSERT INTO payment_refunds (
+        session_id, stripe_refund_id, payment_intent_id, amount, reason, note, status, created_by
+      )
+      VALUES (
+        ${sessionId},
+        ${refund.stripeRefundId},
+        ${refund.paymentIntentId || null},
+        ${refund.amount},
+        ${refund.reason || null},
+        ${refund.note || null},
+        ${refund.status || null},
+        ${refund.createdBy || 'admin'}
+      )
+      ON CONFLICT (stripe_refund_id) DO UPDATE SET
+        status = EXCLUDED.status
+      -- xmax = 0 : ligne insérée (et non mise à jour)
+      RETURNING id, stripe_refund_id, amount, (xmax = 0) AS inserted
+    `;
+
+    const row = result.rows[0];
+    if (!row.inserted) {
+      return null;
+    }
+
+    logger.info('Remboursement ajouté:', { sessionId, stripeRefundId: refund.stripeRefundId, amount: refund.amount });
+    return row;
+
+  } catch (error) {
+    logger.error('Erreur addPaymentRefund:', error);
+    throw error;
+  }
+}
+
+/**
+ * Récupérer les remboursements d'une session payée
+ * @param {number} sessionId - ID numérique de la session payée
+ * @returns {Promise<Array>} Remboursements, du plus ancien au plus récent
+ */
+export async function getPaymentRefunds(sessionId) {
+  try {
+    const result = await sql`
+      SELECT *
+      FROM payment_refunds
+      WHERE session_id = ${sessionId}
+      ORDER BY created_at ASC
+    `;
+
+    return result.rows.map(row => ({
+      id: row.id,
+      stripeRefundId: row.stripe_refund_id,
+      paymentIntentId: row.payment_intent_id,
+      amount: row.amount,
+      reason: row.reason,
+      note: row.note,
+      status: row.status,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    }));
+
+  } catch (error) {
+    logger.error('Erreur getPaymentRefunds:', error);
+    throw error;
+  }
+}
+
+// ====================================
+// FACTURES ET AVOIRS
+// ====================================
+
+/**
+ * Convertir une ligne invoices en objet
+ * @param {Object} row - Ligne SQL (avec original_number / original_issued_at si jointure)
+ * @returns {Object} Facture ou avoir
+ */
+function mapInvoice(row) {
+  return {
+    id: row.id,
+    number: row.number,
+    type: row.type,
+    sessionId: row.session_id,
+    originalInvoiceId: row.original_invoice_id,
+    originalNumber: row.original_number || null,
+    originalIssuedAt: row.original_issued_at || null,
+    stripeRefundId: row.stripe_refund_id,
+    paymentIntentId: row.payment_intent_id,
+    customerEmail: row.customer_email,
+    description: row.description,
+    promoCode: row.promo_code,
+    basePrice: row.base_price,
+    discountAmount: row.discount_amount,
+    amountHt: row.amount_ht,
+    vatRate: parseFloat(row.vat_rate),
+    vatAmount: row.vat_amount,
+    amountTtc: row.amount_ttc,
+    seller: row.seller,
+    paidAt: row.paid_at,
+    issuedAt: row.issued_at,
+    sentAt: row.sent_at
+  };
+}
+
+/**
+ * Enregistrer une facture ou un avoir avec le numéro suivant de sa série
+ * Le compteur et la facture sont écrits dans la même requête : si l'insertion échoue,
+ * l'incrément est annulé avec elle et la numérotation reste sans trou.
+ *
+ * @param {Object} invoice - { series, type, sessionId, originalInvoiceId, stripeRefundId, paymentIntentId,
+ *   customerEmail, description, promoCode, basePrice, discountAmount, amountHt, vatRate, vatAmount,
+ *   amountTtc, seller, paidAt }
+ * @returns {Promise<Object|null>} Facture créée, ou null si elle existe déjà (session ou remboursement)
+ */
+export async function createInvoice(invoice) {
+  try {
+    const result = await sql`
+      WITH next_number AS (
+        INSERT INTO invoice_sequences (series, last_number)
+        VALUES (${invoice.series}, 1)
+        ON CONFLICT (series) DO UPDATE SET last_number = invoice_sequences.last_number + 1
+        RETURNING last_number
+      )
+      INSERT INTO invoices (
+        number, type, session_id, original_invoice_id, stripe_refund_id, payment_intent_id,
+        customer_email, description, promo_code, base_price, discount_amount,
+        amount_ht, vat_rate, vat_amount, amount_ttc, seller, paid_at
+      )
+      SELECT
+        ${invoice.series} || '-' || LPAD(next_number.last_number::text, 5, '0'),
+        ${invoice.type},
+        ${invoice.sessionId},
+        ${invoice.originalInvoiceId || null},
+        ${invoice.stripeRefundId || null},
+        ${invoice.paymentIntentId || null},
+        ${invoice.customerEmail || null},
+        ${invoice.description},
+        ${invoice.promoCode || null},
+        ${invoice.basePrice},
+        ${invoice.discountAmount || 0},
+        ${invoice.amountHt},
+        ${invoice.vatRate},
+        ${invoice.vatAmount},
+        ${invoice.amountTtc},
+        ${JSON.stringify(invoice.seller)},
+        ${invoice.paidAt || null}
+      FROM next_number
+      RETURNING *
+    `;
+
+    const created = mapInvoice(result.rows[0]);
+    logger.info('Facture émise:', { number: created.number, type: created.type, sessionId: created.sessionId });
+    return created;
+
+  } catch (error) {
+    // Déjà émise par un appel concurrent : rien n'a été numéroté
+    if (error.code === '23505' && !String(error.constraint || '').includes('number')) {
+      return null;
+    }
+    logger.error('Erreur createInvoice:', error);
+    throw error;
+  }
+}
+
+/**
+ * Récupérer une facture ou un avoir par ID
+ * @param {number} id - ID de la facture
+ * @returns {Promise<Object|null>} Facture ou null
+ */
+export async function getInvoice(id) {
+  try {
+    const result = await sql`
+      SELECT i.*, o.number AS original_number, o.issued_at AS original_issued_at
+      FROM invoices i
+      LEFT JOIN invoices o ON o.id = i.original_invoice_id
+      WHERE i.id = ${id}
+    `;
+
+    return result.rows[0] ? mapInvoice(result.rows[0]) : null;
+
+  } catch (error) {
+    logger.error('Erreur getInvoice:', error);
+    throw error;
+  }
+}
+
+/**
+ * Récupérer la facture et les avoirs d'une session payée
+ * @param {number} sessionId - ID numérique de la session payée
+ * @returns {Promise<Array>} Facture puis avoirs, par date d'émission
+ */
+export async function getSessionInvoices(sessionId) {
+  try {
+    const result = await sql`
+      SELECT i.*, o.number AS original_number, o.issued_at AS original_issued_at
+      FROM invoices i
+      LEFT JOIN invoices o ON o.id = i.original_invoice_id
+      WHERE i.session_id = ${sessionId}
+      ORDER BY i.issued_at ASC, i.id ASC
+    `;
+
+    return result.rows.map(mapInvoice);
+
+  } catch (error) {
+    logger.error('Erreur getSessionInvoices:', error);
+    throw error;
+  }
+}
+
+/**
+ * Récupérer l'avoir émis pour un remboursement Stripe
+ * @param {string} stripeRefundId - ID du remboursement (re_...)
+ * @returns {Promise<Object|null>} Avoir ou null
+ */
+export async function getCreditNoteByRefund(stripeRefundId) {
+  try {
+    const result = await sql`
+      SELECT * FROM invoices WHERE stripe_refund_id = ${stripeRefundId}
+    `;
+
+    return result.rows[0] ? mapInvoice(result.rows[0]) : null;
+
+  } catch (error) {
+    logger.error('Erreur getCreditNoteByRefund:', error);
+    throw error;
+  }
+}
+
+/**
+ * Réserver l'envoi d'une facture au client (un seul appel gagnant)
+ * @param {number} id - ID de la facture
+ * @returns {Promise<boolean>} true si cet appel doit envoyer la facture
+ */
+export async function claimInvoiceSending(id) {
+  try {
+    const result = await sql`
+      UPDATE invoices SET sent_at = CURRENT_TIMESTAMP WHERE id = ${id} AND sent_at IS NULL
+      RETURNING id
+    `;
+
+    return result.rows.length > 0;
+
+  } catch (error) {
+    logger.error('Erreur claimInvoiceSending:', error);
     throw error;
   }
 }
 
 /**
- * Obtenir les statistiques des paiements
- * @returns {Promise<Object>} Statistiques
+ * Libérer l'envoi réservé si l'email a échoué (reprise au prochain appel)
+ * @param {number} id - ID de la facture
+ * @returns {Promise<void>}
  */
-export async function getPaymentStats() {
+export async function releaseInvoiceSending(id) {
   try {
-    const result = await sql`
-      SELECT
-        COUNT(*) as total_sessions,
-        COUNT(CASE WHEN paid = TRUE THEN 1 END) as paid_sessions,
-        COUNT(CASE WHEN expertise = 'classique' AND paid = TRUE THEN 1 END) as classique_count,
-        COUNT(CASE WHEN expertise = 'premium' AND paid = TRUE THEN 1 END) as premium_count,
-        COALESCE(SUM(CASE WHEN paid = TRUE THEN amount END), 0) as total_revenue,
-        COUNT(CASE WHEN DATE(created_at) = CURRENT_DATE THEN 1 END) as today_sessions,
-        COUNT(CASE WHEN DATE(paid_at) = CURRENT_DATE AND paid = TRUE THEN 1 END) as today_paid
-      FROM paid_sessions
+    await sql`
+      UPDATE invoices SET sent_at = NULL WHERE id = ${id}
     `;
-
-    const stats = result.rows[0];
-    return {
-      totalSessions: parseInt(stats.total_sessions) || 0,
-      paidSessions: parseInt(stats.paid_sessions) || 0,
-      classiqueCount: parseInt(stats.classique_count) || 0,
-      premiumCount: parseInt(stats.premium_count) || 0,
-      totalRevenue: parseInt(stats.total_revenue) || 0,
-      totalRevenueEuros: (parseInt(stats.total_revenue) || 0) / 100,
-      todaySessions: parseInt(stats.today_sessions) || 0,
-      todayPaid: parseInt(stats.today_paid) || 0
-    };
-
   } catch (error) {
-    logger.error('Erreur getPaymentStats:', error);
+    logger.error('Erreur releaseInvoiceSending:', error);
     throw error;
   }
 }
 
+// ====================================
+// CATALOGUE DES OFFRES
+// ====================================
+
 /**
- * Marquer l'email comme envoyé pour une session
- * @param {string} sessionUuid - UUID de la session
- * @returns {Promise<Object>} Session mise à jour
+ * Mapper une ligne offers
+ * @param {Object} row - Ligne SQL
+ * @returns {Object} Offre
+ */
+function mapOffer(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    name: row.name,
+    shortName: row.short_name,
+    description: row.description,
+    price: row.price,
+    recommended: row.recommended,
+    requiresLawyerReview: row.requires_lawyer_review,
+    position: row.position,
+    active: row.active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Récupérer toutes les offres (actives et retirées), dans l'ordre d'affichage
+ * @returns {Promise<Array>} Offres
  */
-export async function markEmailSent(sessionUuid) {
+export async function getAllOffers() {
   try {
     const result = await sql`
-      UPDATE paid_sessions
-      SET email_sent = TRUE,
-          email_sent_at = CURRENT_TIMESTAMP
-      WHERE session_uuid = ${sessionUuid}
-      RETURNING id, session_uuid, email_sent, email_sent_at
+      SELECT *
+      FROM offers
+      ORDER BY position ASC, price ASC
     `;
 
-    if (result.rows.length === 0) {
-      throw new Error('Session non trouvée');
-    }
-
-    logger.info('Email marqué comme envoyé pour session:', { sessionUuid });
-    return result.rows[0];
+    return result.rows.map(mapOffer);
 
   } catch (error) {
-    logger.error('Erreur markEmailSent:', error);
+    logger.error('Erreur getAllOffers:', error);
     throw error;
   }
 }
 
-// ====================================
-// UNPAID SESSIONS WITH EMAIL
-// ====================================
-
 /**
- * Créer la table unpaid_sessions_with_email
- * @returns {Promise<Object>} Résultat de la création
+ * Créer une offre
+ * @param {Object} offer - { code, name, shortName, description, price, recommended, requiresLawyerReview, position }
+ * @returns {Promise<Object>} Offre créée
  */
-export async function createUnpaidSessionsTable() {
+export async function createOffer(offer) {
   try {
-    await sql`
-      CREATE TABLE IF NOT EXISTS unpaid_sessions_with_email (
-        id SERIAL PRIMARY KEY,
-        session_uuid VARCHAR(36) UNIQUE NOT NULL,
-        email VARCHAR(255) NOT NULL,
-        expertise VARCHAR(20),
-        amount INTEGER DEFAULT 0,
-        payment_intent_id VARCHAR(255),
-        thread_id VARCHAR(255) NOT NULL,
-        questionnaire_data JSONB,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        email_collected_at TIMESTAMP,
-        last_activity_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        payment_attempts INTEGER DEFAULT 0,
-        last_payment_attempt_at TIMESTAMP,
-        moved_to_paid BOOLEAN DEFAULT FALSE,
-        moved_at TIMESTAMP
+    const result = await sql`
+      INSERT INTO offers (
+        code, name, short_name, description, price,
+        recommended, requires_lawyer_review, position
+      )
+      VALUES (
+        ${offer.code},
+        ${offer.name},
+        ${offer.shortName},
+        ${offer.description || null},
+        ${offer.price},
+        ${Boolean(offer.recommended)},
+        ${Boolean(offer.requiresLawyerReview)},
+        ${offer.position || 0}
       )
+      RETURNING *
     `;
 
-    // Créer les index
-    await sql`CREATE INDEX IF NOT EXISTS idx_unpaid_email ON unpaid_sessions_with_email(email)`;
-    await sql`CREATE INDEX IF NOT EXISTS idx_unpaid_uuid ON unpaid_sessions_with_email(session_uuid)`;
-    await sql`CREATE INDEX IF NOT EXISTS idx_unpaid_created ON unpaid_sessions_with_email(created_at DESC)`;
-    await sql`CREATE INDEX IF NOT EXISTS idx_unpaid_payment_intent ON unpaid_sessions_with_email(payment_intent_id)`;
-
-    logger.info('Table unpaid_sessions_with_email créée avec succès');
-    return { success: true, message: 'Table unpaid_sessions_with_email créée' };
+    logger.info('Offre créée:', { code: offer.code, price: offer.price });
+    return mapOffer(result.rows[0]);
 
   } catch (error) {
-    logger.error('Erreur création table unpaid_sessions_with_email:', error);
+    logger.error('Erreur createOffer:', error);
     throw error;
   }
 }
 
 /**
- * Créer la table unpaid_messages
- * @returns {Promise<Object>} Résultat de la création
+ * Modifier une offre (le code ne change pas : il est référencé par les sessions)
+ * @param {string} code - Code de l'offre
+ * @param {Object} offer - { name, shortName, description, price, recommended, requiresLawyerReview, position, active }
+ * @returns {Promise<Object|null>} Offre mise à jour
  */
-export async function createUnpaidMessagesTable() {
+export async function updateOffer(code, offer) {
   try {
-    await sql`
-      CREATE TABLE IF NOT EXISTS unpaid_messages (
-        id SERIAL PRIMARY KEY,
-        session_id INTEGER NOT NULL REFERENCES unpaid_sessions_with_email(id) ON DELETE CASCADE,
-        role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
-        content TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
+    const result = await sql`
+      UPDATE offers
+      SET name = ${offer.name},
+          short_name = ${offer.shortName},
+          description = ${offer.description || null},
+          price = ${offer.price},
+          recommended = ${Boolean(offer.recommended)},
+          requires_lawyer_review = ${Boolean(offer.requiresLawyerReview)},
+          position = ${offer.position || 0},
+          active = ${offer.active !== false},
+          updated_at = CURRENT_TIMESTAMP
+      WHERE code = ${code}
+      RETURNING *
     `;
 
-    await sql`CREATE INDEX IF NOT EXISTS idx_unpaid_messages_session ON unpaid_messages(session_id)`;
+    if (result.rows.length === 0) {
+      return null;
+    }
 
-    logger.info('Table unpaid_messages créée avec succès');
-    return { success: true, message: 'Table unpaid_messages créée' };
+    logger.info('Offre modifiée:', { code, price: offer.price, active: offer.active !== false });
+    return mapOffer(result.rows[0]);
 
   } catch (error) {
-    logger.error('Erreur création table unpaid_messages:', error);
+    logger.error('Erreur updateOffer:', error);
     throw error;
   }
 }
 
+// ====================================
+// CODES PROMO
+// ====================================
+
 /**
- * Créer une session unpaid
- * @param {string} sessionUuid - UUID de la session
- * @param {string} threadId - ID du thread OpenAI
- * @returns {Promise<Object>} Session créée
+ * Mapper une ligne promo_codes
+ * @param {Object} row - Ligne SQL
+ * @returns {Object} Code promo
+ */
+function mapPromoCode(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    description: row.description,
+    discountType: row.discount_type,
+    discountValue: row.discount_value,
+    expertise: row.expertise,
+    validFrom: row.valid_from,
+    validUntil: row.valid_until,
+    maxRedemptions: row.max_redemptions,
+    redemptionsCount: row.redemptions_count || 0,
+    active: row.active,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Récupérer un code promo (insensible à la casse)
+ * @param {string} code - Code saisi
+ * @returns {Promise<Object|null>} Code promo ou null
  */
-export async function createUnpaidSession(sessionUuid, threadId) {
+export async function getPromoCode(code) {
   try {
     const result = await sql`
-      INSERT INTO unpaid_sessions_with_email (session_uuid, thread_id, email)
-      VALUES (${sessionUuid}, ${threadId}, '')
-      RETURNING id, session_uuid, thread_id, created_at
+      SELECT *
+      FROM promo_codes
+      WHERE code = ${code.trim().toUpperCase()}
+      LIMIT 1
     `;
 
-    logger.info('Session unpaid créée:', { sessionUuid });
-    return result.rows[0];
+    return result.rows.length > 0 ? mapPromoCode(result.rows[0]) : null;
 
   } catch (error) {
-    logger.error('Erreur createUnpaidSession:', error);
+    logger.error('Erreur getPromoCode:', error);
     throw error;
   }
 }
 
 /**
- * Récupérer une session unpaid par UUID
- * @param {string} sessionUuid - UUID de la session
- * @returns {Promise<Object|null>} Session ou null
+ * Lister les codes promo avec leurs statistiques (pour admin)
+ * @returns {Promise<Array>} Codes promo avec paidCount, revenue (net), discountTotal
  */
-export async function getUnpaidSession(sessionUuid) {
+export async function getAllPromoCodes() {
   try {
     const result = await sql`
-      SELECT * FROM unpaid_sessions_with_email
-      WHERE session_uuid = ${sessionUuid}
-        AND moved_to_paid = FALSE
-      LIMIT 1
+      SELECT pc.*,
+             COALESCE(ps.paid_count, 0) as paid_count,
+             COALESCE(ps.revenue, 0) as revenue,
+             COALESCE(ps.discount_total, 0) as discount_total
+      FROM promo_codes pc
+      LEFT JOIN (
+        SELECT promo_code,
+               COUNT(*) as paid_count,
+               SUM(amount - COALESCE(refunded_amount, 0)) as revenue,
+               SUM(discount_amount) as discount_total
+        FROM sessions
+        WHERE paid_at IS NOT NULL AND promo_code IS NOT NULL
+        GROUP BY promo_code
+      ) ps ON ps.promo_code = pc.code
+      ORDER BY pc.created_at DESC
     `;
 
-    return result.rows[0] || null;
+    return result.rows.map(row => ({
+      ...mapPromoCode(row),
+      paidCount: parseInt(row.paid_count) || 0,
+      revenue: parseInt(row.revenue) || 0,
+      discountTotal: parseInt(row.discount_total) || 0
+    }));
 
   } catch (error) {
-    logger.error('Erreur getUnpaidSession:', error);
+    logger.error('Erreur getAllPromoCodes:', error);
     throw error;
   }
 }
 
 /**
- * Marquer le premier message d'une session unpaid
- * @param {string} sessionUuid - UUID de la session
- * @returns {Promise<Object>} Session mise à jour
+ * Créer un code promo
+ * @param {Object} promo - { code, description, discountType, discountValue, expertise, validFrom, validUntil, maxRedemptions }
+ * @returns {Promise<Object>} Code promo créé
  */
-export async function markUnpaidSessionFirstMessage(sessionUuid) {
+export async function createPromoCode(promo) {
   try {
     const result = await sql`
-      UPDATE unpaid_sessions_with_email
-      SET first_message_sent = TRUE
-      WHERE session_uuid = ${sessionUuid}
-        AND first_message_sent = FALSE
-      RETURNING id, session_uuid, first_message_sent
+      INSERT INTO promo_codes (
+        code, description, discount_type, discount_value,
+        expertise, valid_from, valid_until, max_redemptions
+      )
+      VALUES (
+        ${promo.code.trim().toUpperCase()},
+        ${promo.description || null},
+        ${promo.discountType},
+        ${promo.discountValue},
+        ${promo.expertise || null},
+        ${promo.validFrom || null},
+        ${promo.validUntil || null},
+        ${promo.maxRedemptions || null}
+      )
+      RETURNING *
     `;
 
-    if (result.rows.length > 0) {
-      logger.debug('Premier message marqué pour session unpaid:', { sessionUuid });
-      // Incrémenter le compteur global
-      await incrementFirstMessage();
-    }
-
-    return result.rows[0] || null;
+    logger.info('Code promo créé:', { code: result.rows[0].code });
+    return mapPromoCode(result.rows[0]);
 
   } catch (error) {
-    logger.error('Erreur markUnpaidSessionFirstMessage:', error);
+    logger.error('Erreur createPromoCode:', error);
     throw error;
   }
 }
 
 /**
- * Mettre à jour l'email d'une session unpaid
- * @param {string} sessionUuid - UUID de la session
- * @param {string} email - Email à mettre à jour
- * @returns {Promise<Object>} Session mise à jour
+ * Activer / désactiver un code promo
+ * @param {number} id - ID du code promo
+ * @param {boolean} active - Nouvel état
+ * @returns {Promise<Object|null>} Code promo mis à jour
  */
-export async function updateUnpaidSessionEmail(sessionUuid, email) {
+export async function setPromoCodeActive(id, active) {
   try {
     const result = await sql`
-      UPDATE unpaid_sessions_with_email
-      SET email = ${email},
-          email_collected_at = CURRENT_TIMESTAMP,
-          last_activity_at = CURRENT_TIMESTAMP
-      WHERE session_uuid = ${sessionUuid}
-      RETURNING id, session_uuid, email
+      UPDATE promo_codes
+      SET active = ${active}
+      WHERE id = ${id}
+      RETURNING *
     `;
 
-    logger.info('Email unpaid session mis à jour:', { sessionUuid, email });
-
-    // Incrémenter le compteur d'emails collectés
-    await incrementEmailCollected();
-
-    return result.rows[0];
+    return result.rows.length > 0 ? mapPromoCode(result.rows[0]) : null;
 
   } catch (error) {
-    logger.error('Erreur updateUnpaidSessionEmail:', error);
+    logger.error('Erreur setPromoCodeActive:', error);
     throw error;
   }
 }
 
+// ====================================
+// DEMANDES RGPD (ACCÈS ET EFFACEMENT)
+// ====================================
+// Les données d'une personne sont retrouvées par son email dans users (et ce qui en dépend)
+// et sessions. Les conversations anonymes du chat gratuit
+// ne sont rattachées à aucun email.
+
+/**
+ * Regrouper des lignes par session
+ * @returns {Map<number, Array>} Lignes transformées par session_id
+ */
+function groupBySession(rows, mapRow) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row.session_id)) groups.set(row.session_id, []);
+    groups.get(row.session_id).push(mapRow(row));
+  }
+  return groups;
+}
+
 /**
- * Déplacer une session depuis paid_sessions vers unpaid
- * @param {string} sessionUuid - UUID de la session
- * @param {string} email - Email collecté
- * @returns {Promise<Object>} Session unpaid créée
+ * Message d'une conversation (export RGPD)
+ */
+function mapExportMessage(row) {
+  return { role: row.role, content: row.content, createdAt: row.created_at };
+}
+
+/**
+ * Rassembler toutes les données personnelles associées à un email (droit d'accès)
+ * @param {string} email - Email de la personne
+ * @returns {Promise<Object>} { user, userSessions, conversations, sessions, invoices }
  */
-export async function moveSessionToUnpaid(sessionUuid, email) {
+export async function findPersonalDataByEmail(email) {
   try {
-    // 1. Vérifier si la session existe déjà dans unpaid_sessions
-    const existingUnpaidSession = await getUnpaidSession(sessionUuid);
-    const isNewEmailCollection = !existingUnpaidSession || !existingUnpaidSession.email;
+    // Compte client et ce qui en dépend (sessions de connexion, conversations)
+    const userResult = await sql`
+      SELECT id, first_name, last_name, email, registered_at, email_verified_at,
+             subscription_status, questions_used, last_question_at
+      FROM users
+      WHERE LOWER(email) = LOWER(${email})
+    `;
+    const userRow = userResult.rows[0];
 
-    // 2. Récupérer la session dans paid_sessions
-    const paidSession = await getPaidSession(sessionUuid);
+    let userSessions = [];
+    let conversations = [];
 
-    if (!paidSession) {
-      throw new Error('Session non trouvée dans paid_sessions');
+    if (userRow) {
+      const sessionsResult = await sql`
+        SELECT created_at, expires_at, revoked_at, ip_address, user_agent
+        FROM user_sessions
+        WHERE user_id = ${userRow.id}
+        ORDER BY created_at DESC
+      `;
+      userSessions = sessionsResult.rows.map(row => ({
+        createdAt: row.created_at,
+        expiresAt: row.expires_at,
+        revokedAt: row.revoked_at,
+        ipAddress: row.ip_address,
+        userAgent: row.user_agent
+      }));
+
+      const conversationsResult = await sql`
+        SELECT id, title, started_at, last_message_at, ip_address, user_agent
+        FROM conversation_sessions
+        WHERE user_id = ${userRow.id}
+        ORDER BY started_at ASC
+      `;
+      const conversationMessages = await sql`
+        SELECT m.session_id, m.role, m.content, m.created_at
+        FROM conversation_messages m
+        JOIN conversation_sessions s ON s.id = m.session_id
+        WHERE s.user_id = ${userRow.id}
+        ORDER BY m.created_at ASC, m.id ASC
+      `;
+      const messagesBySession = groupBySession(conversationMessages.rows, mapExportMessage);
+
+      conversations = conversationsResult.rows.map(row => ({
+        title: row.title,
+        startedAt: row.started_at,
+        lastMessageAt: row.last_message_at,
+        ipAddress: row.ip_address,
+        userAgent: row.user_agent,
+        messages: messagesBySession.get(row.id) || []
+      }));
     }
 
-    // 3. Créer dans unpaid_sessions_with_email (copier aussi first_message_sent)
-    const result = await sql`
-      INSERT INTO unpaid_sessions_with_email (
-        session_uuid, email, expertise, amount,
-        payment_intent_id, thread_id, questionnaire_data,
-        created_at, email_collected_at, first_message_sent
-      )
-      VALUES (
-        ${sessionUuid},
-        ${email},
-        ${paidSession.expertise},
-        ${paidSession.amount || 0},
-        ${paidSession.paymentIntentId},
-        ${paidSession.threadId},
-        ${paidSession.questionnaireData},
-        ${paidSession.createdAt},
-        CURRENT_TIMESTAMP,
-        ${paidSession.firstMessageSent || false}
-      )
-      ON CONFLICT (session_uuid) DO UPDATE SET
-        email = EXCLUDED.email,
-        email_collected_at = CURRENT_TIMESTAMP
-      RETURNING id, session_uuid, email
+    // Sessions du questionnaire (payées ou non) et ce qui en dépend
+    const sessionsResult = await sql`
+      SELECT s.id, s.session_uuid, s.status, s.thread_id, s.email, s.expertise, s.amount,
+             s.paid_at, s.payment_status, s.refunded_amount, s.promo_code, s.discount_amount,
+             s.questionnaire_data, s.analysis_status, s.analysis_draft, s.analysis_report,
+             s.client_delivered_at, s.created_at, s.email_collected_at, s.last_activity_at,
+             s.landing_url, s.referrer_host, s.utm_source, s.utm_medium, s.utm_campaign, s.utm_term, s.utm_content,
+             EXISTS (SELECT 1 FROM invoices i WHERE i.session_id = s.id) AS invoiced
+      FROM sessions s
+      WHERE LOWER(s.email) = LOWER(${email})
+      ORDER BY s.created_at ASC
+    `;
+    const sessionMessages = await sql`
+      SELECT m.session_id, m.role, m.content, m.created_at
+      FROM session_messages m
+      JOIN sessions s ON s.id = m.session_id
+      WHERE LOWER(s.email) = LOWER(${email})
+      ORDER BY m.created_at ASC, m.id ASC
+    `;
+    const reviewsResult = await sql`
+      SELECT r.session_id, r.status, r.validated_at, r.validated_analysis, r.returned_at, r.lawyer_comment
+      FROM lawyer_reviews r
+      JOIN sessions s ON s.id = r.session_id
+      WHERE LOWER(s.email) = LOWER(${email})
+    `;
+    const refundsResult = await sql`
+      SELECT r.session_id, r.amount, r.reason, r.note, r.status, r.created_at
+      FROM payment_refunds r
+      JOIN sessions s ON s.id = r.session_id
+      WHERE LOWER(s.email) = LOWER(${email})
+      ORDER BY r.created_at ASC
     `;
 
-    // 4. Copier les messages de paid_messages vers unpaid_messages
-    const paidMessages = await getPaidSessionMessages(paidSession.id);
-    const unpaidSession = result.rows[0];
-
-    for (const msg of paidMessages) {
-      await addUnpaidMessage(unpaidSession.id, msg.role, msg.content);
-    }
+    const messagesBySession = groupBySession(sessionMessages.rows, mapExportMessage);
+    const reviewsBySession = groupBySession(reviewsResult.rows, row => ({
+      status: row.status,
+      validatedAt: row.validated_at,
+      validatedAnalysis: row.validated_analysis,
+      returnedAt: row.returned_at,
+      lawyerComment: row.lawyer_comment
+    }));
+    const refundsBySession = groupBySession(refundsResult.rows, row => ({
+      amount: row.amount,
+      reason: row.reason,
+      note: row.note,
+      status: row.status,
+      createdAt: row.created_at
+    }));
 
-    logger.info('Session déplacée vers unpaid:', { sessionUuid, email });
+    const sessions = sessionsResult.rows.map(row => ({
+      sessionUuid: row.session_uuid,
+      status: row.status,
+      threadId: row.thread_id,
+      email: row.email,
+      expertise: row.expertise,
+      amount: row.amount,
+      paid: row.paid_at !== null,
+      paidAt: row.paid_at,
+      paymentStatus: row.payment_status,
+      refundedAmount: row.refunded_amount || 0,
+      promoCode: row.promo_code,
+      discountAmount: row.discount_amount || 0,
+      questionnaireData: row.questionnaire_data,
+      analysisStatus: row.analysis_status,
+      analysisDraft: row.analysis_draft,
+      analysisReport: row.analysis_report,
+      clientDeliveredAt: row.client_delivered_at,
+      createdAt: row.created_at,
+      emailCollectedAt: row.email_collected_at,
+      lastActivityAt: row.last_activity_at,
+      landingUrl: row.landing_url,
+      referrerHost: row.referrer_host,
+      utmSource: row.utm_source,
+      utmMedium: row.utm_medium,
+      utmCampaign: row.utm_campaign,
+      utmTerm: row.utm_term,
+      utmContent: row.utm_content,
+      // Session payée ou facturée : conservée (pseudonymisée) lors d'un effacement
+      retained: row.paid_at !== null || row.invoiced,
+      messages: messagesBySession.get(row.id) || [],
+      lawyerReview: reviewsBySession.get(row.id)?.[0] || null,
+      refunds: refundsBySession.get(row.id) || []
+    }));
 
-    // 5. Incrémenter le compteur d'emails collectés seulement si c'est un nouveau email
-    if (isNewEmailCollection) {
-      await incrementEmailCollected();
-      logger.debug('Email collecté incrémenté pour session:', { sessionUuid });
-    }
+    // Factures et avoirs (y compris ceux d'une session déjà pseudonymisée)
+    const invoicesResult = await sql`
+      SELECT i.number, i.type, i.customer_email, i.description, i.amount_ttc, i.paid_at, i.issued_at,
+             s.session_uuid
+      FROM invoices i
+      JOIN sessions s ON s.id = i.session_id
+      WHERE LOWER(s.email) = LOWER(${email}) OR LOWER(i.customer_email) = LOWER(${email})
+      ORDER BY i.issued_at ASC, i.id ASC
+    `;
 
-    return unpaidSession;
+    return {
+      user: userRow ? {
+        firstName: userRow.first_name,
+        lastName: userRow.last_name,
+        email: userRow.email,
+        registeredAt: userRow.registered_at,
+        emailVerifiedAt: userRow.email_verified_at,
+        subscriptionStatus: userRow.subscription_status,
+        questionsUsed: userRow.questions_used,
+        lastQuestionAt: userRow.last_question_at
+      } : null,
+      userSessions,
+      conversations,
+      sessions,
+      invoices: invoicesResult.rows.map(row => ({
+        number: row.number,
+        type: row.type,
+        sessionUuid: row.session_uuid,
+        customerEmail: row.customer_email,
+        description: row.description,
+        amountTtc: row.amount_ttc,
+        paidAt: row.paid_at,
+        issuedAt: row.issued_at
+      }))
+    };
 
   } catch (error) {
-    logger.error('Erreur moveSessionToUnpaid:', error);
+    logger.error('Erreur findPersonalDataByEmail:', error);
     throw error;
   }
 }
 
 /**
- * Ajouter un message à une session unpaid
- * @param {number} sessionId - ID de la session unpaid
- * @param {string} role - 'user' ou 'assistant'
- * @param {string} content - Contenu du message
- * @returns {Promise<Object>} Message créé
+ * Effacer les données personnelles associées à un email (droit à l'effacement)
+ * - compte client supprimé (sessions de connexion, jetons et conversations en cascade)
+ * - sessions jamais payées ni facturées supprimées avec leurs messages
+ * - sessions payées ou facturées pseudonymisées : email, questionnaire, analyse, messages,
+ *   textes de relecture avocat et notes de remboursement retirés ; montants et dates conservés
+ * Les factures (customer_email compris) restent intactes : obligation de conservation de 10 ans.
+ * Une seule requête : tout est effacé, ou rien en cas d'erreur.
+ * @param {string} email - Email de la personne
+ * @returns {Promise<Object>} Nombre de lignes supprimées ou pseudonymisées par table
  */
-export async function addUnpaidMessage(sessionId, role, content) {
+export async function erasePersonalDataByEmail(email) {
   try {
     const result = await sql`
-      INSERT INTO unpaid_messages (session_id, role, content)
-      VALUES (${sessionId}, ${role}, ${content})
-      RETURNING id, session_id, role, content, created_at
+      WITH target_sessions AS (
+        SELECT s.id,
+               (s.paid_at IS NOT NULL OR EXISTS (SELECT 1 FROM invoices i WHERE i.session_id = s.id)) AS retained
+        FROM sessions s
+        WHERE LOWER(s.email) = LOWER(${email})
+      ),
+      deleted_users AS (
+        DELETE FROM users
+        WHERE LOWER(email) = LOWER(${email})
+        RETURNING id
+      ),
+      deleted_sessions AS (
+        DELETE FROM sessions
+        WHERE id IN (SELECT id FROM target_sessions WHERE NOT retained)
+        RETURNING id
+      ),
+      deleted_messages AS (
+        DELETE FROM session_messages
+        WHERE session_id IN (SELECT id FROM target_sessions WHERE retained)
+        RETURNING id
+      ),
+      erased_reviews AS (
+        UPDATE lawyer_reviews
+        SET validated_analysis = NULL,
+            lawyer_comment = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE session_id IN (SELECT id FROM target_sessions WHERE retained)
+        RETURNING id
+      ),
+      erased_refunds AS (
+        UPDATE payment_refunds
+        SET note = NULL
+        WHERE session_id IN (SELECT id FROM target_sessions WHERE retained)
+        RETURNING id
+      ),
+      pseudonymised_sessions AS (
+        UPDATE sessions
+        SET email = NULL,
+            questionnaire_data = NULL,
+            analysis_draft = NULL,
+            analysis_report = NULL,
+            payment_error = NULL,
+            landing_url = NULL,
+            referrer_host = NULL,
+            utm_source = NULL,
+            utm_medium = NULL,
+            utm_campaign = NULL,
+            utm_term = NULL,
+            utm_content = NULL,
+            attributed_at = NULL,
+            erased_at = CURRENT_TIMESTAMP
+        WHERE id IN (SELECT id FROM target_sessions WHERE retained)
+        RETURNING id
+      )
+      SELECT
+        (SELECT COUNT(*) FROM deleted_users)::int AS users,
+        (SELECT COUNT(*) FROM deleted_sessions)::int AS sessions_deleted,
+        (SELECT COUNT(*) FROM pseudonymised_sessions)::int AS sessions_pseudonymised,
+        (SELECT COUNT(*) FROM deleted_messages)::int AS session_messages,
+        (SELECT COUNT(*) FROM erased_reviews)::int AS lawyer_reviews,
+        (SELECT COUNT(*) FROM erased_refunds)::int AS refund_notes
     `;
 
-    return result.rows[0];
+    const row = result.rows[0];
+    return {
+      users: row.users,
+      sessionsDeleted: row.sessions_deleted,
+      sessionsPseudonymised: row.sessions_pseudonymised,
+      sessionMessages: row.session_messages,
+      lawyerReviews: row.lawyer_reviews,
+      refundNotes: row.refund_notes
+    };
 
   } catch (error) {
-    logger.error('Erreur addUnpaidMessage:', error);
+    logger.error('Erreur erasePersonalDataByEmail:', error);
     throw error;
   }
 }
 
+// ====================================
+// CONSERVATION DES DONNÉES (PURGE AUTOMATIQUE)
+// ====================================
+// Les règles (durées par défaut, minimums) sont définies dans lib/retention.js ;
+// retention_policies ne contient que les durées modifiées depuis l'administration.
+
 /**
- * Récupérer tous les messages d'une session unpaid
- * @param {number} sessionId - ID de la session
- * @returns {Promise<Array>} Liste des messages
+ * Durées de conservation modifiées depuis l'administration
+ * @returns {Promise<Array>} [{ rule, retentionDays, enabled, updatedBy, updatedAt }]
  */
-export async function getUnpaidSessionMessages(sessionId) {
+export async function getRetentionPolicies() {
   try {
     const result = await sql`
-      SELECT id, session_id, role, content, created_at
-      FROM unpaid_messages
-      WHERE session_id = ${sessionId}
-      ORDER BY created_at ASC
+      SELECT rule, retention_days, enabled, updated_by, updated_at
+      FROM retention_policies
     `;
 
-    return result.rows;
+    return result.rows.map(row => ({
+      rule: row.rule,
+      retentionDays: row.retention_days,
+      enabled: row.enabled,
+      updatedBy: row.updated_by,
+      updatedAt: row.updated_at
+    }));
 
   } catch (error) {
-    logger.error('Erreur getUnpaidSessionMessages:', error);
+    logger.error('Erreur getRetentionPolicies:', error);
     throw error;
   }
 }
 
 /**
- * Récupérer toutes les sessions unpaid avec statistiques
- * @param {number} limit - Limite de résultats
- * @param {number} offset - Offset pour pagination
- * @returns {Promise<Array>} Liste des sessions unpaid
+ * Enregistrer la durée de conservation d'une règle
+ * @param {string} rule - Règle (lib/retention.js)
+ * @param {Object} policy - { retentionDays, enabled }
+ * @param {string} updatedBy - Email de l'administrateur
+ * @returns {Promise<void>}
  */
-export async function getAllUnpaidSessions(limit = 50, offset = 0) {
+export async function saveRetentionPolicy(rule, { retentionDays, enabled }, updatedBy) {
   try {
-    const result = await sql`
-      SELECT
-        us.id,
-        us.session_uuid,
-        us.email,
-        us.expertise,
-        us.amount,
-        us.payment_intent_id,
-        us.thread_id,
-        us.created_at,
-        us.email_collected_at,
-        us.last_activity_at,
-        us.payment_attempts,
-        us.last_payment_attempt_at,
-        COUNT(um.id) as message_count
-      FROM unpaid_sessions_with_email us
-      LEFT JOIN unpaid_messages um ON us.id = um.session_id AND um.role = 'user' AND um.content != '[INIT]'
-      WHERE us.moved_to_paid = FALSE
-      GROUP BY us.id
-      ORDER BY us.created_at DESC
-      LIMIT ${limit}
-      OFFSET ${offset}
+    await sql`
+      INSERT INTO retention_policies (rule, retention_days, enabled, updated_by, updated_at)
+      VALUES (${rule}, ${retentionDays}, ${enabled}, ${updatedBy}, CURRENT_TIMESTAMP)
+      ON CONFLICT (rule) DO UPDATE SET
+        retention_days = EXCLUDED.retention_days,
+        enabled = EXCLUDED.enabled,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = CURRENT_TIMESTAMP
     `;
 
-    return result.rows.map(row => ({
-      id: row.id,
-      session_uuid: row.session_uuid,
-      email: row.email,
-      expertise: row.expertise,
-      amount: row.amount,
-      payment_intent_id: row.payment_intent_id,
-      thread_id: row.thread_id,
-      created_at: row.created_at,
-      email_collected_at: row.email_collected_at,
-      last_activity_at: row.last_activity_at,
-      payment_attempts: row.payment_attempts,
-      last_payment_attempt_at: row.last_payment_attempt_at,
-      messageCount: parseInt(row.message_count) || 0
-    }));
-
   } catch (error) {
-    logger.error('Erreur getAllUnpaidSessions:', error);
+    logger.error('Erreur saveRetentionPolicy:', error);
     throw error;
   }
 }
 
 /**
- * Obtenir les statistiques des sessions unpaid
- * @returns {Promise<Object>} Statistiques
+ * Lignes dont la durée de conservation est dépassée, les plus anciennes d'abord
+ * Date d'activité : dernier message pour les conversations, dernière activité pour les sessions
+ * non payées, date de paiement pour les sessions payées.
+ * @param {string} rule - Règle (lib/retention.js)
+ * @param {Date} cutoff - Activité antérieure à cette date
+ * @param {number} limit - Nombre maximal de lignes renvoyées
+ * @returns {Promise<Object>} { total, oldest, candidates: [{ id, threadId }] }
  */
-export async function getUnpaidSessionStats() {
+export async function getRetentionCandidates(rule, cutoff, limit) {
   try {
-    const unpaidResult = await sql`
-      SELECT
-        COUNT(*) as total_unpaid,
-        COUNT(CASE WHEN DATE(created_at) = CURRENT_DATE THEN 1 END) as today_unpaid
-      FROM unpaid_sessions_with_email
-      WHERE moved_to_paid = FALSE
-    `;
-
-    const paidResult = await sql`
-      SELECT COUNT(*) as total_paid
-      FROM paid_sessions
-      WHERE paid = TRUE
-    `;
-
-    const unpaid = unpaidResult.rows[0];
-    const paid = paidResult.rows[0];
-
-    const totalUnpaid = parseInt(unpaid.total_unpaid) || 0;
-    const totalPaid = parseInt(paid.total_paid) || 0;
-    const total = totalUnpaid + totalPaid;
+    const cutoffIso = cutoff.toISOString();
+    let result;
 
-    const conversionRate = total > 0
-      ? ((totalPaid / total) * 100).toFixed(2)
-      : 0;
+    switch (rule) {
+      case 'anonymous_conversations':
+        result = await sql`
+          SELECT id, NULL AS thread_id, last_message_at AS activity_at,
+                 COUNT(*) OVER() AS total, MIN(last_message_at) OVER() AS oldest
+          FROM conversation_sessions
+          WHERE is_anonymous = TRUE
+            AND last_message_at < ${cutoffIso}::timestamp
+          ORDER BY last_message_at ASC
+          LIMIT ${limit}
+        `;
+        break;
+
+      case 'abandoned_sessions':
+        // Sessions sans email collecté (statut anonymous), jamais facturées
+        result = await sql`
+          SELECT s.id, s.thread_id, s.last_activity_at AS activity_at,
+                 COUNT(*) OVER() AS total, MIN(s.last_activity_at) OVER() AS oldest
+          FROM sessions s
+          WHERE s.status = 'anonymous'
+            AND s.last_activity_at < ${cutoffIso}::timestamp
+            AND NOT EXISTS (SELECT 1 FROM invoices i WHERE i.session_id = s.id)
+          ORDER BY s.last_activity_at ASC
+          LIMIT ${limit}
+        `;
+        break;
+
+      case 'unpaid_with_email':
+        // Email collecté, paiement jamais abouti
+        result = await sql`
+          SELECT s.id, s.thread_id, s.last_activity_at AS activity_at,
+                 COUNT(*) OVER() AS total, MIN(s.last_activity_at) OVER() AS oldest
+          FROM sessions s
+          WHERE s.status IN ('email_collected', 'checkout_started')
+            AND s.last_activity_at < ${cutoffIso}::timestamp
+            AND NOT EXISTS (SELECT 1 FROM invoices i WHERE i.session_id = s.id)
+          ORDER BY s.last_activity_at ASC
+          LIMIT ${limit}
+        `;
+        break;
+
+      case 'paid_sessions':
+        result = await sql`
+          SELECT id, thread_id, paid_at AS activity_at,
+                 COUNT(*) OVER() AS total, MIN(paid_at) OVER() AS oldest
+          FROM sessions
+          WHERE paid_at IS NOT NULL
+            AND erased_at IS NULL
+            AND paid_at < ${cutoffIso}::timestamp
+          ORDER BY paid_at ASC
+          LIMIT ${limit}
+        `;
+        break;
+
+      default:
+        throw new Error(`Règle de conservation inconnue: ${rule}`);
+    }
 
+    const first = result.rows[0];
     return {
-      totalUnpaid,
-      todayUnpaid: parseInt(unpaid.today_unpaid) || 0,
-      totalPaid,
-      conversionRate: parseFloat(conversionRate)
+      total: first ? parseInt(first.total) : 0,
+      oldest: first ? first.oldest : null,
+      candidates: result.rows.map(row => ({ id: row.id, threadId: row.thread_id }))
     };
 
   } catch (error) {
-    logger.error('Erreur getUnpaidSessionStats:', error);
+    logger.error('Erreur getRetentionCandidates:', error);
     throw error;
   }
 }
 
 /**
- * Migrer une session unpaid vers paid_sessions
- * @param {string} sessionUuid - UUID de la session
- * @param {string} email - Email (peut être différent de celui dans unpaid)
- * @returns {Promise<boolean>} true si migration effectuée, false sinon
+ * Purger des lignes sélectionnées par getRetentionCandidates
+ * Les conditions de la règle sont revérifiées (session payée entre-temps : conservée).
+ * Sessions payées : pseudonymisées comme pour un effacement RGPD, les factures restent intactes.
+ * @param {string} rule - Règle (lib/retention.js)
+ * @param {Array<number>} ids - ID des lignes
+ * @returns {Promise<number>} Nombre de sessions ou conversations supprimées / pseudonymisées
  */
-export async function migrateUnpaidToPaidSession(sessionUuid, email) {
+export async function purgeRetentionCandidates(rule, ids) {
+  if (ids.length === 0) return 0;
+
   try {
-    // 1. Récupérer session unpaid
-    const unpaidSession = await getUnpaidSession(sessionUuid);
+    // Paramètre tableau : sql`...` n'accepte pas les listes dans IN (...)
+    const idList = `{${ids.map(id => parseInt(id)).join(',')}}`;
+    let result;
 
-    if (!unpaidSession) {
-      // Session déjà dans paid_sessions ou n'existe pas dans unpaid
-      return false;
+    switch (rule) {
+      case 'anonymous_conversations':
+        // Messages supprimés en cascade
+        result = await sql`
+          DELETE FROM conversation_sessions
+          WHERE id = ANY(${idList}::int[]) AND is_anonymous = TRUE
+          RETURNING id
+        `;
+        break;
+
+      case 'abandoned_sessions':
+      case 'unpaid_with_email':
+        // Messages supprimés en cascade ; session payée entre-temps : conservée
+        result = await sql`
+          DELETE FROM sessions s
+          WHERE s.id = ANY(${idList}::int[])
+            AND s.status IN ('anonymous', 'email_collected', 'checkout_started')
+            AND s.paid_at IS NULL
+            AND NOT EXISTS (SELECT 1 FROM invoices i WHERE i.session_id = s.id)
+          RETURNING s.id
+        `;
+        break;
+
+      case 'paid_sessions':
+        result = await sql`
+          WITH target_paid AS (
+            SELECT id FROM sessions
+            WHERE id = ANY(${idList}::int[]) AND paid_at IS NOT NULL AND erased_at IS NULL
+          ),
+          deleted_messages AS (
+            DELETE FROM session_messages
+            WHERE session_id IN (SELECT id FROM target_paid)
+            RETURNING id
+          ),
+          erased_reviews AS (
+            UPDATE lawyer_reviews
+            SET validated_analysis = NULL,
+                lawyer_comment = NULL,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE session_id IN (SELECT id FROM target_paid)
+            RETURNING id
+          ),
+          erased_refunds AS (
+            UPDATE payment_refunds
+            SET note = NULL
+            WHERE session_id IN (SELECT id FROM target_paid)
+            RETURNING id
+          )
+          UPDATE sessions
+          SET email = NULL,
+              questionnaire_data = NULL,
+              analysis_draft = NULL,
+              analysis_report = NULL,
+              payment_error = NULL,
+              landing_url = NULL,
+              referrer_host = NULL,
+              utm_source = NULL,
+              utm_medium = NULL,
+              utm_campaign = NULL,
+              utm_term = NULL,
+              utm_content = NULL,
+              attributed_at = NULL,
+              erased_at = CURRENT_TIMESTAMP
+          WHERE id IN (SELECT id FROM target_paid)
+          RETURNING id
+        `;
+        break;
+
+      default:
+        throw new Error(`Règle de conservation inconnue: ${rule}`);
     }
 
-    // 2. Récupérer messages
-    const messages = await getUnpaidSessionMessages(unpaidSession.id);
+    return result.rows.length;
 
-    // 3. Créer/mettre à jour dans paid_sessions
-    await sql`
-      INSERT INTO paid_sessions (
-        session_uuid, email, expertise, amount,
-        payment_intent_id, thread_id, questionnaire_data,
-        paid, paid_at, created_at
-      )
+  } catch (error) {
+    logger.error('Erreur purgeRetentionCandidates:', error);
+    throw error;
+  }
+}
+
+/**
+ * Enregistrer une purge et ses résultats
+ * @param {Object} run - { source, triggeredBy, startedAt, totalRemoved, complete, results }
+ * @returns {Promise<Object>} Purge enregistrée
+ */
+export async function addRetentionPurgeRun(run) {
+  try {
+    const result = await sql`
+      INSERT INTO retention_purge_runs (source, triggered_by, started_at, total_removed, complete, results)
       VALUES (
-        ${unpaidSession.session_uuid},
-        ${email || unpaidSession.email},
-        ${unpaidSession.expertise},
-        ${unpaidSession.amount},
-        ${unpaidSession.payment_intent_id},
-        ${unpaidSession.thread_id},
-        ${unpaidSession.questionnaire_data},
-        FALSE,
-        NULL,
-        ${unpaidSession.created_at}
+        ${run.source},
+        ${run.triggeredBy || null},
+        ${run.startedAt.toISOString()}::timestamp,
+        ${run.totalRemoved},
+        ${run.complete},
+        ${JSON.stringify(run.results)}::jsonb
       )
-      ON CONFLICT (session_uuid) DO UPDATE SET
-        email = EXCLUDED.email,
-        expertise = EXCLUDED.expertise,
-        amount = EXCLUDED.amount,
-        payment_intent_id = EXCLUDED.payment_intent_id
+      RETURNING *
     `;
 
-    // 4. Récupérer l'ID de la paid_session
-    const paidSession = await getPaidSession(sessionUuid);
+    return mapRetentionPurgeRun(result.rows[0]);
 
-    // 5. Copier tous les messages
-    for (const msg of messages) {
-      await sql`
-        INSERT INTO paid_messages (session_id, role, content, created_at)
-        VALUES (${paidSession.id}, ${msg.role}, ${msg.content}, ${msg.created_at})
-        ON CONFLICT DO NOTHING
-      `;
-    }
+  } catch (error) {
+    logger.error('Erreur addRetentionPurgeRun:', error);
+    throw error;
+  }
+}
 
-    // 6. Marquer comme migré (soft delete)
-    await markUnpaidSessionAsMoved(sessionUuid);
+/**
+ * Dernières purges effectuées
+ * @param {number} [limit] - Nombre de purges
+ * @returns {Promise<Array>} Purges, les plus récentes d'abord
+ */
+export async function getRetentionPurgeRuns(limit = 20) {
+  try {
+    const result = await sql`
+      SELECT * FROM retention_purge_runs
+      ORDER BY started_at DESC
+      LIMIT ${limit}
+    `;
 
-    logger.info('Session migrée de unpaid vers paid:', { sessionUuid });
-    return true;
+    return result.rows.map(mapRetentionPurgeRun);
 
   } catch (error) {
-    logger.error('Erreur migrateUnpaidToPaidSession:', error);
+    logger.error('Erreur getRetentionPurgeRuns:', error);
     throw error;
   }
 }
 
 /**
- * Marquer une session unpaid comme déplacée
- * @param {string} sessionUuid - UUID de la session
- * @returns {Promise<Object>} Session mise à jour
+ * Total purgé par règle sur une période
+ * @param {number} [days] - Nombre de jours
+ * @returns {Promise<Object>} { [rule]: { removed, remoteDeleted } }
  */
-export async function markUnpaidSessionAsMoved(sessionUuid) {
+export async function getRetentionPurgeTotals(days = 30) {
   try {
     const result = await sql`
-      UPDATE unpaid_sessions_with_email
-      SET moved_to_paid = TRUE,
-          moved_at = CURRENT_TIMESTAMP
-      WHERE session_uuid = ${sessionUuid}
-      RETURNING id, session_uuid, moved_to_paid, moved_at
+      SELECT r.value->>'rule' AS rule,
+             SUM(COALESCE((r.value->>'removed')::int, 0))::int AS removed,
+             SUM(COALESCE((r.value->>'remoteDeleted')::int, 0))::int AS remote_deleted
+      FROM retention_purge_runs runs
+      CROSS JOIN LATERAL jsonb_array_elements(runs.results) r
+      WHERE runs.started_at >= NOW() - (${days}::int * INTERVAL '1 day')
+      GROUP BY r.value->>'rule'
     `;
 
-    return result.rows[0];
+    return Object.fromEntries(result.rows.map(row => [
+      row.rule,
+      { removed: row.removed, remoteDeleted: row.remote_deleted }
+    ]));
 
   } catch (error) {
-    logger.error('Erreur markUnpaidSessionAsMoved:', error);
+    logger.error('Erreur getRetentionPurgeTotals:', error);
     throw error;
   }
 }
 
+function mapRetentionPurgeRun(row) {
+  return {
+    id: row.id,
+    source: row.source,
+    triggeredBy: row.triggered_by,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    totalRemoved: row.total_removed,
+    complete: row.complete,
+    results: row.results
+  };
+}
+
 // ============================================
-// STATISTIQUES DES SESSIONS
+// TUNNEL DE CONVERSION (ÉVÉNEMENTS)
 // ============================================
 
+// Événements du tunnel (funnel_events), dans l'ordre du parcours
+export const FUNNEL_EVENT_TYPES = [
+  'session_started', 'first_message', 'question_answered', 'email_collected', 'offer_shown', 'offer_selected',
+  'payment_ready', 'checkout_started', 'payment_failed', 'payment_completed', 'analysis_delivered', 'refunded'
+];
+
 /**
- * Créer la table des statistiques journalières
+ * Enregistrer un événement du tunnel de conversion (ajout seul)
+ * L'étape du questionnaire et l'offre de la session sont ajoutées aux propriétés. Une étape
+ * du cycle de vie n'est enregistrée qu'une fois par session (index idx_funnel_events_once).
+ * @param {string} sessionUuid - UUID de la session
+ * @param {string} eventType - Type d'événement (FUNNEL_EVENT_TYPES)
+ * @param {Object} properties - Propriétés supplémentaires, sans donnée personnelle
+ * @returns {Promise<boolean>} true si l'événement a été enregistré
  */
-export async function createSessionStatisticsTable() {
+export async function recordFunnelEvent(sessionUuid, eventType, properties = {}) {
   try {
-    await sql`
-      CREATE TABLE IF NOT EXISTS session_statistics (
-        id SERIAL PRIMARY KEY,
-        stat_date DATE NOT NULL UNIQUE DEFAULT CURRENT_DATE,
-        first_messages_count INTEGER DEFAULT 0,
-        emails_collected_count INTEGER DEFAULT 0,
-        payments_completed_count INTEGER DEFAULT 0,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
+    if (!FUNNEL_EVENT_TYPES.includes(eventType)) {
+      throw new Error(`Événement inconnu: ${eventType}`);
+    }
 
-    await sql`CREATE INDEX IF NOT EXISTS idx_session_statistics_date ON session_statistics(stat_date DESC)`;
+    const result = await sql`
+      INSERT INTO funnel_events (session_uuid, event_type, properties)
+      SELECT s.session_uuid, ${eventType},
+             jsonb_strip_nulls(
+               jsonb_build_object('step', s.questionnaire_data->>'step', 'expertise', s.expertise)
+               || ${JSON.stringify(properties)}::jsonb
+             )
+      FROM sessions s
+      WHERE s.session_uuid = ${sessionUuid}
+      ON CONFLICT DO NOTHING
+      RETURNING id
+    `;
 
-    logger.info('Table session_statistics créée avec succès');
-    return { success: true, message: 'Table session_statistics créée' };
+    return result.rows.length > 0;
 
   } catch (error) {
-    logger.error('Erreur création table session_statistics:', error);
-    throw error;
+    // Ne pas bloquer le parcours si le suivi échoue
+    logger.error('Erreur recordFunnelEvent:', error);
+    return false;
   }
 }
 
 /**
- * Incrémenter le compteur de premiers messages
- * @returns {Promise<Object>} Statistiques mises à jour
+ * Recalculer l'agrégat journalier session_statistics à partir des événements
+ * Chaque jour de la période est réécrit (à zéro s'il n'a aucun événement), sauf les compteurs
+ * antérieurs au suivi par événements (migration 017) : ils comptent des sessions purgées depuis,
+ * que les événements reconstitués ne couvrent pas.
+ * @param {string} fromDate - Premier jour (AAAA-MM-JJ)
+ * @param {string} toDate - Dernier jour inclus (AAAA-MM-JJ)
+ * @returns {Promise<number>} Nombre de jours recalculés
  */
-export async function incrementFirstMessage() {
+export async function refreshSessionStatistics(fromDate, toDate) {
   try {
     const result = await sql`
-      INSERT INTO session_statistics (stat_date, first_messages_count)
-      VALUES (CURRENT_DATE, 1)
+      INSERT INTO session_statistics (stat_date, first_messages_count, emails_collected_count, payments_completed_count)
+      SELECT day::DATE,
+             COUNT(e.id) FILTER (WHERE e.event_type = 'first_message'),
+             COUNT(e.id) FILTER (WHERE e.event_type = 'email_collected'),
+             COUNT(e.id) FILTER (WHERE e.event_type = 'payment_completed')
+      FROM generate_series(${fromDate}::DATE, ${toDate}::DATE, INTERVAL '1 day') AS day
+      LEFT JOIN funnel_events e
+        ON e.occurred_at >= day
+       AND e.occurred_at < day + INTERVAL '1 day'
+       AND e.event_type IN ('first_message', 'email_collected', 'payment_completed')
+      GROUP BY day
       ON CONFLICT (stat_date)
       DO UPDATE SET
-        first_messages_count = session_statistics.first_messages_count + 1,
+        first_messages_count = EXCLUDED.first_messages_count,
+        emails_collected_count = EXCLUDED.emails_collected_count,
+        payments_completed_count = EXCLUDED.payments_completed_count,
         updated_at = CURRENT_TIMESTAMP
-      RETURNING *
+      -- Début du suivi par événements : premier événement enregistré en direct (hors reprise d'historique)
+      WHERE session_statistics.stat_date >= (
+        SELECT MIN(occurred_at)::DATE FROM funnel_events WHERE properties->>'backfilled' IS NULL
+      )
+      RETURNING stat_date
     `;
 
-    logger.debug('Premier message incrémenté:', { date: result.rows[0].stat_date });
-    return result.rows[0];
+    logger.debug('Statistiques journalières recalculées:', { fromDate, toDate, days: result.rows.length });
+    return result.rows.length;
 
   } catch (error) {
-    logger.error('Erreur incrementFirstMessage:', error);
+    logger.error('Erreur refreshSessionStatistics:', error);
     throw error;
   }
 }
 
 /**
- * Incrémenter le compteur d'emails collectés
- * @returns {Promise<Object>} Statistiques mises à jour
+ * Premier jour à recalculer dans session_statistics : le dernier jour enregistré (peut-être incomplet),
+ * sinon le premier jour d'événements, sinon aujourd'hui
+ * @returns {Promise<string>} Date AAAA-MM-JJ
  */
-export async function incrementEmailCollected() {
+export async function getStatisticsRefreshStart() {
   try {
     const result = await sql`
-      INSERT INTO session_statistics (stat_date, emails_collected_count)
-      VALUES (CURRENT_DATE, 1)
-      ON CONFLICT (stat_date)
-      DO UPDATE SET
-        emails_collected_count = session_statistics.emails_collected_count + 1,
-        updated_at = CURRENT_TIMESTAMP
-      RETURNING *
+      SELECT TO_CHAR(
+        COALESCE(
+          (SELECT MAX(stat_date) FROM session_statistics),
+          (SELECT MIN(occurred_at)::DATE FROM funnel_events),
+          CURRENT_DATE
+        ),
+        'YYYY-MM-DD'
+      ) AS from_date
     `;
 
-    logger.debug('Email collecté incrémenté:', { date: result.rows[0].stat_date });
-    return result.rows[0];
+    return result.rows[0].from_date;
 
   } catch (error) {
-    logger.error('Erreur incrementEmailCollected:', error);
+    logger.error('Erreur getStatisticsRefreshStart:', error);
     throw error;
   }
 }
 
 /**
- * Incrémenter le compteur de paiements complétés
- * @returns {Promise<Object>} Statistiques mises à jour
+ * Nombre de sessions parvenues à chaque étape du tunnel, et durée médiane depuis l'étape précédente
+ * Cohorte : sessions ouvertes (session_started) pendant la période, suivies jusqu'à aujourd'hui.
+ * Une étape est un type d'événement, ou « question:<clé> » pour une réponse au questionnaire.
+ * @param {Object} options - { from, to } (AAAA-MM-JJ, inclus), stages : clés des étapes dans l'ordre,
+ *   expertise : offre et device : type d'appareil (facultatifs)
+ * @returns {Promise<Object>} { [étape]: { sessions, events, medianSeconds } } (étapes hors ordre comprises)
  */
-export async function incrementPaymentCompleted() {
+export async function getFunnelCounts({ from, to, stages, expertise = null, device = null }) {
   try {
+    // Paramètre tableau : sql`...` n'accepte pas les listes dans IN (...)
+    const stageList = `{${stages.join(',')}}`;
+
     const result = await sql`
-      INSERT INTO session_statistics (stat_date, payments_completed_count)
-      VALUES (CURRENT_DATE, 1)
-      ON CONFLICT (stat_date)
-      DO UPDATE SET
-        payments_completed_count = session_statistics.payments_completed_count + 1,
-        updated_at = CURRENT_TIMESTAMP
-      RETURNING *
+      WITH cohort AS (
+        SELECT session_uuid
+        FROM funnel_events
+        WHERE event_type = 'session_started'
+          AND occurred_at >= ${from}::DATE
+          AND occurred_at < ${to}::DATE + 1
+          AND (${device}::text IS NULL OR properties->>'device' = ${device}::text)
+          AND (${expertise}::text IS NULL OR EXISTS (
+            SELECT 1 FROM funnel_events x
+            WHERE x.session_uuid = funnel_events.session_uuid
+              AND x.properties->>'expertise' = ${expertise}::text
+          ))
+      ),
+      firsts AS (
+        SELECT e.session_uuid,
+               CASE WHEN e.event_type = 'question_answered'
+                    THEN 'question:' || (e.properties->>'question')
+                    ELSE e.event_type END AS stage,
+               MIN(e.occurred_at) AS occurred_at,
+               COUNT(*) AS events
+        FROM funnel_events e
+        JOIN cohort c ON c.session_uuid = e.session_uuid
+        GROUP BY 1, 2
+      ),
+      ordered AS (
+        SELECT f.*, array_position(${stageList}::text[], f.stage) AS position
+        FROM firsts f
+      )
+      SELECT o.stage,
+             COUNT(*) as sessions,
+             SUM(o.events) as events,
+             percentile_cont(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM (o.occurred_at - p.occurred_at))) as median_seconds
+      FROM ordered o
+      LEFT JOIN ordered p ON p.session_uuid = o.session_uuid AND p.position = o.position - 1
+      GROUP BY o.stage
     `;
 
-    logger.debug('Paiement complété incrémenté:', { date: result.rows[0].stat_date });
-    return result.rows[0];
+    const counts = Object.fromEntries(stages.map(stage => [stage, { sessions: 0, events: 0, medianSeconds: null }]));
+
+    result.rows.forEach(row => {
+      counts[row.stage] = {
+        sessions: parseInt(row.sessions) || 0,
+        events: parseInt(row.events) || 0,
+        medianSeconds: row.median_seconds === null ? null : Math.round(parseFloat(row.median_seconds))
+      };
+    });
+
+    return counts;
 
   } catch (error) {
-    logger.error('Erreur incrementPaymentCompleted:', error);
+    logger.error('Erreur getFunnelCounts:', error);
     throw error;
   }
 }
 
 /**
- * Récupérer les statistiques d'une période
- * @param {number} days - Nombre de jours à récupérer (par défaut 30)
- * @returns {Promise<Array>} Statistiques journalières
+ * Récupérer l'agrégat journalier d'une période
+ * @param {Object} options - { from, to } (AAAA-MM-JJ, inclus)
+ * @returns {Promise<Array>} Statistiques journalières, la plus récente d'abord
  */
-export async function getSessionStatistics(days = 30) {
+export async function getSessionStatistics({ from, to }) {
   try {
-    // Calculer la date de début
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days);
-    const startDateStr = startDate.toISOString().split('T')[0];
-
     const result = await sql`
       SELECT
         stat_date,
@@ -2039,7 +4563,7 @@ export async function getSessionStatistics(days = 30) {
           ELSE 0
         END as total_conversion_rate
       FROM session_statistics
-      WHERE stat_date >= ${startDateStr}::DATE
+      WHERE stat_date BETWEEN ${from}::DATE AND ${to}::DATE
       ORDER BY stat_date DESC
     `;
 
@@ -3,6 +3,15 @@
 
 import { Resend } from 'resend';
 import logger from './logger.js';
+import { getOffer } from './offers.js';
+import {
+  prepareAnalysisDocument,
+  getAnalysisRecap,
+  getTranscriptMessages,
+  getPremiumNotice,
+  renderAnalysisPdf,
+  getAnalysisFilename
+} from './analysis-document.js';
 
 // Initialiser Resend
 const resend = new Resend(process.env.RESEND_API_KEY);
@@ -14,50 +23,43 @@ const FROM_NAME = 'SOS Divorce';
 const ADMIN_EMAIL = 'info.sosdivorce@gmail.com';
 
 /**
- * Envoyer l'email d'analyse après paiement
+ * Notifier l'équipe d'une analyse à relire après paiement (email [À VÉRIFIER] vers ADMIN_EMAIL)
+ * Le client reçoit sa version après approbation dans l'admin (sendClientAnalysisEmail).
  * @param {Object} params - Paramètres de l'email
- * @param {string} params.to - Email du destinataire
- * @param {string} params.expertise - Type d'expertise (classique ou premium)
+ * @param {string} params.to - Email du client (affiché dans le bandeau)
+ * @param {string} params.expertise - Code de l'offre (catalogue offers)
  * @param {Array} params.messages - Messages de la conversation
  * @param {number} params.amount - Montant payé en centimes
  * @param {string} params.paymentIntentId - ID du paiement Stripe
+ * @param {Object} [params.questionnaire] - État du questionnaire (questionnaire_data)
+ * @param {string} [params.analysis] - Brouillon d'analyse à relire
  * @returns {Promise<Object>} - Résultat de l'envoi
  */
-export async function sendAnalysisEmail({ to, expertise, messages, amount, paymentIntentId }) {
+export async function sendAnalysisEmail({ to, expertise, messages, amount, paymentIntentId, questionnaire = null, analysis = null }) {
   // L'email client est requis pour être inclus dans l'email admin
   const clientEmail = to || 'Non renseigné';
   const stripePaymentId = paymentIntentId || 'Non disponible';
 
-  const expertiseLabels = {
-    classique: 'Analyse Express',
-    premium: 'Analyse Premium validée avocat'
-  };
-
-  const expertiseName = expertiseLabels[expertise] || 'Analyse';
-  const amountEuros = (amount / 100).toFixed(2);
-
-  // Extraire les informations du questionnaire
-  const questionnaireData = extractQuestionnaireData(messages);
+  // Libellé de l'offre, montant et réponses du questionnaire
+  const document = await prepareAnalysisDocument({ expertise, messages, amount, questionnaire });
+  const { expertiseName } = document;
 
   // Générer le HTML de l'email (inclut l'email client pour la vérification)
   const htmlContent = generateAnalysisEmailHTML({
-    expertiseName,
-    amountEuros,
-    questionnaireData,
+    ...document,
     messages,
-    isPremium: expertise === 'premium',
     clientEmail: clientEmail,
-    paymentIntentId: stripePaymentId
+    paymentIntentId: stripePaymentId,
+    analysis
   });
 
   // Générer le texte brut
   const textContent = generateAnalysisEmailText({
-    expertiseName,
-    amountEuros,
-    questionnaireData,
+    ...document,
     messages,
     clientEmail: clientEmail,
-    paymentIntentId: stripePaymentId
+    paymentIntentId: stripePaymentId,
+    analysis
   });
 
   try {
@@ -84,67 +86,76 @@ export async function sendAnalysisEmail({ to, expertise, messages, amount, payme
 }
 
 /**
- * Extraire les données du questionnaire depuis les messages
- * Analyse les questions de l'assistant pour associer les réponses aux bonnes catégories
+ * Envoyer au client l'analyse approuvée par un relecteur (sans bandeau ni conversation)
+ * La version PDF (renderAnalysisPdf) est jointe ; en cas d'échec du rendu, l'email part sans pièce jointe.
+ * @param {Object} params - Paramètres de l'email
+ * @param {string} params.to - Email du client
+ * @param {string} params.expertise - Code de l'offre (catalogue offers)
+ * @param {string} params.analysis - Texte de l'analyse approuvée
+ * @param {Array} params.messages - Messages de la conversation (rejeu du questionnaire)
+ * @param {number} params.amount - Montant payé en centimes
+ * @param {Object} [params.questionnaire] - État du questionnaire (questionnaire_data)
+ * @param {string} [params.sessionUuid] - UUID de la session (nom du fichier PDF)
+ * @param {string|Date} [params.paidAt] - Date du paiement (PDF)
+ * @returns {Promise<Object>} - Résultat de l'envoi
  */
-function extractQuestionnaireData(messages) {
-  const data = {
-    enfants: null,
-    typeDivorce: null,
-    urgence: null,
-    budget: null,
-    attentes: null,
-    ressenti: null,
-    commentaires: null
-  };
+export async function sendClientAnalysisEmail({ to, expertise, analysis, messages, amount, questionnaire = null, sessionUuid = null, paidAt = null }) {
+  const document = await prepareAnalysisDocument({ expertise, messages, amount, questionnaire });
 
-  // Parcourir les messages en paires (assistant pose question, user répond)
-  for (let i = 0; i < messages.length - 1; i++) {
-    const currentMsg = messages[i];
-    const nextMsg = messages[i + 1];
-
-    // Si l'assistant pose une question et l'utilisateur répond
-    if (currentMsg.role === 'assistant' && nextMsg.role === 'user') {
-      const question = currentMsg.content.toLowerCase();
-      const answer = nextMsg.content;
-
-      // Ignorer les réponses système
-      if (answer.startsWith('[')) continue;
-
-      // Détecter la question posée par des mots-clés
-      if (question.includes('enfant') && !data.enfants) {
-        data.enfants = answer;
-      } else if ((question.includes('type de divorce') || question.includes('amiable') || question.includes('contentieux')) && !data.typeDivorce) {
-        data.typeDivorce = answer;
-      } else if ((question.includes('urgence') || question.includes('urgent') || question.includes('délai') || question.includes('rapidement')) && !data.urgence) {
-        data.urgence = answer;
-      } else if ((question.includes('budget') || question.includes('financ') || question.includes('moyens') || question.includes('coût')) && !data.budget) {
-        data.budget = answer;
-      } else if ((question.includes('attent') || question.includes('objectif') || question.includes('souhait') || question.includes('priorité')) && !data.attentes) {
-        data.attentes = answer;
-      } else if ((question.includes('ressent') || question.includes('émotion') || question.includes('moral') || question.includes('état')) && !data.ressenti) {
-        data.ressenti = answer;
-      }
-    }
+  // Une analyse Premium n'est approuvée qu'après validation par l'avocat (checkLawyerValidation)
+  let attachment = null;
+  try {
+    attachment = {
+      filename: getAnalysisFilename({ sessionUuid }),
+      content: renderAnalysisPdf({
+        ...document,
+        analysis,
+        messages,
+        email: to,
+        paidAt,
+        lawyerValidated: document.isPremium
+      })
+    };
+  } catch (error) {
+    logger.error('Erreur génération PDF analyse:', error);
   }
 
-  // Chercher les commentaires personnels (après le choix d'offre)
-  const userMessages = messages.filter(m => m.role === 'user');
-  const choixOffreIndex = userMessages.findIndex(m => m.content.includes('[CHOIX_OFFRE:'));
-  if (choixOffreIndex !== -1 && choixOffreIndex + 1 < userMessages.length) {
-    const nextMessage = userMessages[choixOffreIndex + 1];
-    if (!nextMessage.content.startsWith('[')) {
-      data.commentaires = nextMessage.content;
-    }
-  }
+  const emailData = {
+    ...document,
+    messages,
+    analysis,
+    forClient: true,
+    pdfAttached: Boolean(attachment)
+  };
+
+  try {
+    const result = await resend.emails.send({
+      from: `${FROM_NAME} <${FROM_EMAIL}>`,
+      to: [to],
+      subject: `Votre ${document.expertiseName} - SOS Divorce`,
+      html: generateAnalysisEmailHTML(emailData),
+      text: generateAnalysisEmailText(emailData),
+      ...(attachment ? { attachments: [attachment] } : {})
+    });
+
+    logger.info(`Analyse envoyée au client ${to}`, { emailId: result.id });
 
-  return data;
+    return {
+      success: true,
+      emailId: result.id
+    };
+
+  } catch (error) {
+    logger.error('Erreur envoi analyse client:', error);
+    throw error;
+  }
 }
 
 /**
  * Générer le HTML de l'email d'analyse
+ * forClient : version client (sans bandeau de vérification ni conversation)
  */
-function generateAnalysisEmailHTML({ expertiseName, amountEuros, questionnaireData, messages, isPremium, clientEmail, paymentIntentId }) {
+function generateAnalysisEmailHTML({ expertiseName, amountEuros, questionnaireData, messages, isPremium, clientEmail, paymentIntentId, analysis = null, forClient = false, pdfAttached = false }) {
   return `
 <!DOCTYPE html>
 <html lang="fr">
@@ -159,11 +170,12 @@ function generateAnalysisEmailHTML({ expertiseName, amountEuros, questionnaireDa
       <td align="center">
         <table role="presentation" width="600" cellspacing="0" cellpadding="0" style="background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.1);">
 
-          <!-- BANDEAU ADMIN - À ENVOYER AU CLIENT -->
+          ${forClient ? '' : `
+          <!-- BANDEAU ADMIN - À RELIRE DANS L'ADMIN -->
           <tr>
             <td style="background-color: #dc2626; padding: 15px 30px; text-align: center;">
               <p style="color: #ffffff; margin: 0; font-size: 16px; font-weight: bold;">
-                À VÉRIFIER ET ENVOYER AU CLIENT
+                À RELIRE ET APPROUVER DANS L'ADMIN (onglet Relecture)
               </p>
               <p style="color: #fecaca; margin: 5px 0 0 0; font-size: 14px;">
                 Email client : <strong style="color: #ffffff;">${escapeHtml(clientEmail)}</strong>
@@ -173,6 +185,7 @@ function generateAnalysisEmailHTML({ expertiseName, amountEuros, questionnaireDa
               </p>
             </td>
           </tr>
+          `}
 
           <!-- Header -->
           <tr>
@@ -197,7 +210,8 @@ function generateAnalysisEmailHTML({ expertiseName, amountEuros, questionnaireDa
           <tr>
             <td style="padding: 20px 30px; text-align: center;">
               <h2 style="color: #1e3a8a; margin: 0; font-size: 24px;">Analyse personnalisée</h2>
-              <p style="color: #6b7280; margin: 10px 0 0 0;">Récapitulatif de la consultation du client.</p>
+              <p style="color: #6b7280; margin: 10px 0 0 0;">${forClient ? 'Merci pour votre confiance. Voici votre analyse.' : 'Récapitulatif de la consultation du client.'}</p>
+              ${pdfAttached ? '<p style="color: #6b7280; margin: 5px 0 0 0; font-size: 14px;">Vous la trouverez également en pièce jointe au format PDF, à imprimer ou à transmettre à votre avocat.</p>' : ''}
             </td>
           </tr>
 
@@ -207,50 +221,32 @@ function generateAnalysisEmailHTML({ expertiseName, amountEuros, questionnaireDa
               <div style="background-color: #eff6ff; border-radius: 8px; padding: 20px; margin-bottom: 20px;">
                 <h3 style="color: #1e3a8a; margin: 0 0 15px 0; font-size: 18px;">Récapitulatif de la situation</h3>
 
-                ${questionnaireData.enfants ? `
-                <div style="margin-bottom: 10px;">
-                  <strong style="color: #374151;">Enfants :</strong>
-                  <span style="color: #6b7280;">${escapeHtml(questionnaireData.enfants)}</span>
-                </div>
-                ` : ''}
-
-                ${questionnaireData.typeDivorce ? `
-                <div style="margin-bottom: 10px;">
-                  <strong style="color: #374151;">Type de divorce :</strong>
-                  <span style="color: #6b7280;">${escapeHtml(questionnaireData.typeDivorce)}</span>
-                </div>
-                ` : ''}
-
-                ${questionnaireData.urgence ? `
-                <div style="margin-bottom: 10px;">
-                  <strong style="color: #374151;">Urgence :</strong>
-                  <span style="color: #6b7280;">${escapeHtml(questionnaireData.urgence)}</span>
-                </div>
-                ` : ''}
-
-                ${questionnaireData.budget ? `
+                ${getAnalysisRecap(questionnaireData).map(item => item.quoted ? `
                 <div style="margin-bottom: 10px;">
-                  <strong style="color: #374151;">Budget :</strong>
-                  <span style="color: #6b7280;">${escapeHtml(questionnaireData.budget)}</span>
+                  <strong style="color: #374151;">${item.label} :</strong>
+                  <p style="color: #6b7280; margin: 5px 0 0 0; font-style: italic;">"${escapeHtml(item.value)}"</p>
                 </div>
-                ` : ''}
-
-                ${questionnaireData.attentes ? `
+                ` : `
                 <div style="margin-bottom: 10px;">
-                  <strong style="color: #374151;">Attentes :</strong>
-                  <span style="color: #6b7280;">${escapeHtml(questionnaireData.attentes)}</span>
+                  <strong style="color: #374151;">${item.label} :</strong>
+                  <span style="color: #6b7280;">${escapeHtml(item.value)}</span>
                 </div>
-                ` : ''}
+                `).join('')}
+              </div>
+            </td>
+          </tr>
 
-                ${questionnaireData.commentaires ? `
-                <div style="margin-bottom: 0;">
-                  <strong style="color: #374151;">Commentaires personnels :</strong>
-                  <p style="color: #6b7280; margin: 5px 0 0 0; font-style: italic;">"${escapeHtml(questionnaireData.commentaires)}"</p>
-                </div>
-                ` : ''}
+          ${analysis ? `
+          <!-- Analyse (brouillon pour l'équipe, version approuvée pour le client) -->
+          <tr>
+            <td style="padding: 0 30px;">
+              <div style="border: 1px solid #e5e7eb; border-radius: 8px; padding: 20px; margin-bottom: 20px;">
+                <h3 style="color: #1e3a8a; margin: 0 0 15px 0; font-size: 18px;">${forClient ? 'Votre analyse' : 'Brouillon d\'analyse'}</h3>
+                ${formatAnalysisHtml(analysis)}
               </div>
             </td>
           </tr>
+          ` : ''}
 
           ${isPremium ? `
           <!-- Badge Premium -->
@@ -258,13 +254,14 @@ function generateAnalysisEmailHTML({ expertiseName, amountEuros, questionnaireDa
             <td style="padding: 0 30px;">
               <div style="background-color: #fef3c7; border-radius: 8px; padding: 20px; margin-bottom: 20px; text-align: center;">
                 <p style="color: #92400e; margin: 0; font-weight: 600;">
-                  Votre analyse Premium sera validée par un avocat spécialisé sous 48h.
+                  ${getPremiumNotice(forClient)}
                 </p>
               </div>
             </td>
           </tr>
           ` : ''}
 
+          ${forClient ? '' : `
           <!-- Conversation complète -->
           <tr>
             <td style="padding: 0 30px;">
@@ -273,10 +270,10 @@ function generateAnalysisEmailHTML({ expertiseName, amountEuros, questionnaireDa
                   Voir la conversation complète
                 </summary>
                 <div style="background-color: #f9fafb; border-radius: 8px; padding: 15px; margin-top: 10px; max-height: 400px; overflow-y: auto;">
-                  ${messages.filter(m => !m.content.startsWith('[INIT]') && !m.content.includes('[PAIEMENT_PRET]')).map(m => `
+                  ${getTranscriptMessages(messages).map(m => `
                     <div style="margin-bottom: 15px; ${m.role === 'user' ? 'text-align: right;' : ''}">
                       <span style="display: inline-block; background-color: ${m.role === 'user' ? '#2563eb' : '#e5e7eb'}; color: ${m.role === 'user' ? 'white' : '#374151'}; padding: 10px 15px; border-radius: 12px; max-width: 80%; text-align: left;">
-                        ${escapeHtml(m.content.replace(/\[CHOIX_OFFRE:[^\]]+\]/g, '').trim())}
+                        ${escapeHtml(m.content)}
                       </span>
                     </div>
                   `).join('')}
@@ -284,6 +281,7 @@ function generateAnalysisEmailHTML({ expertiseName, amountEuros, questionnaireDa
               </details>
             </td>
           </tr>
+          `}
 
           <!-- Paiement -->
           <tr>
@@ -334,28 +332,27 @@ function generateAnalysisEmailHTML({ expertiseName, amountEuros, questionnaireDa
 /**
  * Générer la version texte de l'email
  */
-function generateAnalysisEmailText({ expertiseName, amountEuros, questionnaireData, clientEmail, paymentIntentId }) {
+function generateAnalysisEmailText({ expertiseName, amountEuros, questionnaireData, clientEmail, paymentIntentId, analysis = null, forClient = false, pdfAttached = false }) {
   return `
-****************************************
-* À VÉRIFIER ET ENVOYER AU CLIENT
+${forClient ? '' : `****************************************
+* À RELIRE ET APPROUVER DANS L'ADMIN
 * Email client : ${clientEmail}
 * ID Paiement Stripe : ${paymentIntentId}
 ****************************************
-
+`}
 SOS DIVORCE - ${expertiseName}
 ================================
 
-Récapitulatif de la consultation du client.
-
+${forClient ? 'Merci pour votre confiance. Voici votre analyse.' : 'Récapitulatif de la consultation du client.'}
+${pdfAttached ? 'Vous la trouverez également en pièce jointe au format PDF.\n' : ''}
 RÉCAPITULATIF DE LA SITUATION
 --------------------------------
-${questionnaireData.enfants ? `Enfants : ${questionnaireData.enfants}` : ''}
-${questionnaireData.typeDivorce ? `Type de divorce : ${questionnaireData.typeDivorce}` : ''}
-${questionnaireData.urgence ? `Urgence : ${questionnaireData.urgence}` : ''}
-${questionnaireData.budget ? `Budget : ${questionnaireData.budget}` : ''}
-${questionnaireData.attentes ? `Attentes : ${questionnaireData.attentes}` : ''}
-${questionnaireData.commentaires ? `Commentaires : "${questionnaireData.commentaires}"` : ''}
-
+${getAnalysisRecap(questionnaireData).map(item => `${item.label} : ${item.quoted ? `"${item.value}"` : item.value}`).join('\n')}
+${analysis ? `
+${forClient ? 'VOTRE ANALYSE' : 'BROUILLON D\'ANALYSE'}
+--------------------------------
+${analysis}
+` : ''}
 --------------------------------
 Montant payé : ${amountEuros} EUR
 
@@ -364,6 +361,18 @@ SOS Divorce - Conseil juridique en ligne
   `.trim();
 }
 
+/**
+ * Mettre en forme le texte d'une analyse (paragraphes séparés par une ligne vide)
+ */
+function formatAnalysisHtml(analysis) {
+  return analysis
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p style="color: #374151; margin: 0 0 12px 0; line-height: 1.5;">${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+}
+
 /**
  * Échapper les caractères HTML
  */
@@ -378,15 +387,17 @@ function escapeHtml(text) {
 }
 
 /**
- * Envoyer un email de confirmation de paiement simple
+ * Envoyer l'email de confirmation de paiement au client
+ * @param {Object} params - Paramètres de l'email
+ * @param {string} params.to - Email du client
+ * @param {string} params.expertise - Code de l'offre (catalogue offers)
+ * @param {number} params.amount - Montant payé en centimes
+ * @param {Object} [params.invoice] - Facture jointe { number, filename, pdf (Buffer) }
+ * @returns {Promise<Object>} - Résultat de l'envoi
  */
-export async function sendPaymentConfirmationEmail({ to, expertise, amount }) {
-  const expertiseLabels = {
-    classique: 'Analyse Express',
-    premium: 'Analyse Premium validée avocat'
-  };
-
-  const expertiseName = expertiseLabels[expertise] || 'Analyse';
+export async function sendPaymentConfirmationEmail({ to, expertise, amount, invoice = null }) {
+  const offer = await getOffer(expertise, { includeInactive: true });
+  const expertiseName = offer?.name || 'Analyse';
   const amountEuros = (amount / 100).toFixed(2);
 
   const htmlContent = `
@@ -404,6 +415,11 @@ export async function sendPaymentConfirmationEmail({ to, expertise, amount }) {
     <p style="color: #6b7280; text-align: center;">
       Votre analyse complète vous sera envoyée dans quelques instants.
     </p>
+    ${invoice ? `
+    <p style="color: #6b7280; text-align: center; font-size: 14px;">
+      Vous trouverez votre facture n° ${escapeHtml(invoice.number)} en pièce jointe.
+    </p>
+    ` : ''}
     <p style="text-align: center; margin-top: 30px;">
       <a href="https://sosdivorce.fr" style="background-color: #1e3a8a; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none;">
         Retour au site
@@ -419,7 +435,8 @@ export async function sendPaymentConfirmationEmail({ to, expertise, amount }) {
       from: `${FROM_NAME} <${FROM_EMAIL}>`,
       to: [to],
       subject: `Confirmation de paiement - ${expertiseName}`,
-      html: htmlContent
+      html: htmlContent,
+      ...(invoice ? { attachments: [{ filename: invoice.filename, content: invoice.pdf }] } : {})
     });
 
     return { success: true, emailId: result.id };
@@ -429,7 +446,246 @@ export async function sendPaymentConfirmationEmail({ to, expertise, amount }) {
   }
 }
 
+/**
+ * Formater une échéance de validation avocat (ex: lundi 12 octobre à 14:30)
+ * @param {Date|string} date - Échéance
+ * @returns {string} Date lisible (heure de Paris)
+ */
+function formatDeadline(date) {
+  return new Date(date).toLocaleString('fr-FR', {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: 'Europe/Paris'
+  });
+}
+
+/**
+ * Générer le tableau HTML des dossiers de validation (emails avocats et équipe)
+ * @param {Array} reviews - Dossiers (getLawyerReviews)
+ * @param {boolean} withLawyer - Afficher la colonne avocat
+ * @returns {string} Tableau HTML
+ */
+function formatLawyerReviewsHtml(reviews, withLawyer = false) {
+  const rows = reviews.map(review => `
+      <tr>
+        <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">Dossier n° ${review.id}</td>
+        ${withLawyer ? `<td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${escapeHtml(review.lawyerName || 'Non assigné')}</td>` : ''}
+        <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${escapeHtml(formatDeadline(review.deadlineAt))}</td>
+      </tr>`).join('');
+
+  return `
+    <table style="width: 100%; border-collapse: collapse; font-size: 14px; color: #374151;">
+      <tr style="background: #f3f4f6;">
+        <th style="padding: 8px; text-align: left;">Dossier</th>
+        ${withLawyer ? '<th style="padding: 8px; text-align: left;">Avocat</th>' : ''}
+        <th style="padding: 8px; text-align: left;">Échéance</th>
+      </tr>${rows}
+    </table>`;
+}
+
+/**
+ * Prévenir un avocat de dossiers à valider (assignation ou relance avant échéance)
+ * Les données du client ne figurent pas dans l'email : l'avocat les consulte dans son espace.
+ * @param {Object} params - Paramètres de l'email
+ * @param {string} params.to - Email de l'avocat
+ * @param {string} params.lawyerName - Nom de l'avocat
+ * @param {string} params.kind - assigned | reminder
+ * @param {Array} params.reviews - Dossiers concernés
+ * @returns {Promise<Object>} - Résultat de l'envoi
+ */
+export async function sendLawyerReviewEmail({ to, lawyerName, kind, reviews }) {
+  const isReminder = kind === 'reminder';
+  const subject = isReminder
+    ? `Rappel : ${reviews.length} dossier(s) à valider avant échéance`
+    : `Nouveau dossier à valider - échéance ${formatDeadline(reviews[0].deadlineAt)}`;
+
+  const htmlContent = `
+<!DOCTYPE html>
+<html lang="fr">
+<head>
+  <meta charset="UTF-8">
+</head>
+<body style="font-family: Arial, sans-serif; background-color: #f5f5f5; padding: 20px;">
+  <div style="max-width: 600px; margin: 0 auto; background: white; border-radius: 8px; padding: 30px;">
+    <h1 style="color: #1e3a8a; font-size: 22px;">${isReminder ? 'Dossiers à valider rapidement' : 'Nouveau dossier à valider'}</h1>
+    <p style="color: #374151;">Bonjour ${escapeHtml(lawyerName)},</p>
+    <p style="color: #374151;">
+      ${isReminder
+        ? 'L\'échéance de validation des dossiers suivants approche :'
+        : 'Un dossier Premium vous a été assigné pour validation :'}
+    </p>
+    ${formatLawyerReviewsHtml(reviews)}
+    <p style="text-align: center; margin-top: 30px;">
+      <a href="https://sosdivorce.fr/avocat.html" style="background-color: #1e3a8a; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none;">
+        Ouvrir mon espace avocat
+      </a>
+    </p>
+  </div>
+</body>
+</html>
+  `;
+
+  try {
+    const result = await resend.emails.send({
+      from: `${FROM_NAME} <${FROM_EMAIL}>`,
+      to: [to],
+      subject,
+      html: htmlContent
+    });
+
+    return { success: true, emailId: result.id };
+  } catch (error) {
+    logger.error('Erreur envoi email avocat:', error);
+    throw error;
+  }
+}
+
+/**
+ * Signaler à l'équipe les dossiers Premium dont l'échéance de validation est dépassée
+ * @param {Object} params - Paramètres de l'email
+ * @param {Array} params.reviews - Dossiers en retard
+ * @returns {Promise<Object>} - Résultat de l'envoi
+ */
+export async function sendOverdueLawyerReviewsEmail({ reviews }) {
+  const htmlContent = `
+<!DOCTYPE html>
+<html lang="fr">
+<head>
+  <meta charset="UTF-8">
+</head>
+<body style="font-family: Arial, sans-serif; background-color: #f5f5f5; padding: 20px;">
+  <div style="max-width: 600px; margin: 0 auto; background: white; border-radius: 8px; padding: 30px;">
+    <h1 style="color: #dc2626; font-size: 22px;">Validation avocat en retard</h1>
+    <p style="color: #374151;">
+      ${reviews.length} dossier(s) Premium n'ont pas été validés dans le délai.
+      À réassigner ou relancer depuis l'admin (onglet Avocats).
+    </p>
+    ${formatLawyerReviewsHtml(reviews, true)}
+  </div>
+</body>
+</html>
+  `;
+
+  try {
+    const result = await resend.emails.send({
+      from: `${FROM_NAME} <${FROM_EMAIL}>`,
+      to: [ADMIN_EMAIL],
+      subject: `[RETARD] ${reviews.length} validation(s) avocat hors délai`,
+      html: htmlContent
+    });
+
+    return { success: true, emailId: result.id };
+  } catch (error) {
+    logger.error('Erreur envoi email retards avocats:', error);
+    throw error;
+  }
+}
+
+/**
+ * Générer un email de compte (bouton vers un lien à usage unique)
+ */
+function generateAccountEmailHTML({ title, firstName, intro, buttonLabel, link, outro }) {
+  return `
+<!DOCTYPE html>
+<html lang="fr">
+<head>
+  <meta charset="UTF-8">
+</head>
+<body style="font-family: Arial, sans-serif; background-color: #f5f5f5; padding: 20px;">
+  <div style="max-width: 600px; margin: 0 auto; background: white; border-radius: 8px; padding: 30px;">
+    <h1 style="color: #1e3a8a; font-size: 22px;">${title}</h1>
+    <p style="color: #374151;">Bonjour ${escapeHtml(firstName)},</p>
+    <p style="color: #374151;">${intro}</p>
+    <p style="text-align: center; margin: 30px 0;">
+      <a href="${link}" style="background-color: #1e3a8a; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none;">
+        ${buttonLabel}
+      </a>
+    </p>
+    <p style="color: #6b7280; font-size: 14px;">${outro}</p>
+    <p style="color: #6b7280; font-size: 12px; word-break: break-all;">Si le bouton ne fonctionne pas, copiez ce lien : ${link}</p>
+  </div>
+</body>
+</html>
+  `;
+}
+
+/**
+ * Envoyer le lien de réinitialisation du mot de passe
+ * @param {Object} params - Paramètres de l'email
+ * @param {string} params.to - Email de l'utilisateur
+ * @param {string} params.firstName - Prénom
+ * @param {string} params.link - Lien à usage unique (createUserLink)
+ * @returns {Promise<Object>} - Résultat de l'envoi
+ */
+export async function sendPasswordResetEmail({ to, firstName, link }) {
+  const htmlContent = generateAccountEmailHTML({
+    title: 'Réinitialisation de votre mot de passe',
+    firstName,
+    intro: 'Vous avez demandé à réinitialiser le mot de passe de votre compte SOS Divorce. Ce lien est valable 1 heure et ne peut être utilisé qu\'une fois.',
+    buttonLabel: 'Choisir un nouveau mot de passe',
+    link,
+    outro: 'Si vous n\'êtes pas à l\'origine de cette demande, ignorez cet email : votre mot de passe reste inchangé.'
+  });
+
+  try {
+    const result = await resend.emails.send({
+      from: `${FROM_NAME} <${FROM_EMAIL}>`,
+      to: [to],
+      subject: 'Réinitialisation de votre mot de passe - SOS Divorce',
+      html: htmlContent,
+      text: `Bonjour ${firstName},\n\nPour choisir un nouveau mot de passe (lien valable 1 heure) : ${link}\n\nSi vous n'êtes pas à l'origine de cette demande, ignorez cet email.\n\n--\nSOS Divorce`
+    });
+
+    return { success: true, emailId: result.id };
+  } catch (error) {
+    logger.error('Erreur envoi email réinitialisation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Envoyer le lien de vérification de l'adresse email
+ * @param {Object} params - Paramètres de l'email
+ * @param {string} params.to - Email à vérifier
+ * @param {string} params.firstName - Prénom
+ * @param {string} params.link - Lien à usage unique (createUserLink)
+ * @returns {Promise<Object>} - Résultat de l'envoi
+ */
+export async function sendEmailVerificationEmail({ to, firstName, link }) {
+  const htmlContent = generateAccountEmailHTML({
+    title: 'Confirmez votre adresse email',
+    firstName,
+    intro: 'Merci pour votre inscription sur SOS Divorce. Confirmez que cette adresse vous appartient (lien valable 48 heures) :',
+    buttonLabel: 'Confirmer mon adresse email',
+    link,
+    outro: 'Si vous n\'avez pas créé de compte, ignorez cet email.'
+  });
+
+  try {
+    const result = await resend.emails.send({
+      from: `${FROM_NAME} <${FROM_EMAIL}>`,
+      to: [to],
+      subject: 'Confirmez votre adresse email - SOS Divorce',
+      html: htmlContent,
+      text: `Bonjour ${firstName},\n\nConfirmez votre adresse email (lien valable 48 heures) : ${link}\n\nSi vous n'avez pas créé de compte, ignorez cet email.\n\n--\nSOS Divorce`
+    });
+
+    return { success: true, emailId: result.id };
+  } catch (error) {
+    logger.error('Erreur envoi email vérification:', error);
+    throw error;
+  }
+}
+
 export default {
   sendAnalysisEmail,
-  sendPaymentConfirmationEmail
+  sendClientAnalysisEmail,
+  sendPaymentConfirmationEmail,
+  sendLawyerReviewEmail,
+  sendOverdueLawyerReviewsEmail,
+  sendPasswordResetEmail,
+  sendEmailVerificationEmail
 };
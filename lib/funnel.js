@@ -0,0 +1,208 @@
+// Tunnel de conversion : étapes suivies, période d'analyse et taux de passage
+// Les événements sont enregistrés dans funnel_events par les fonctions de session de lib/db.js
+// (recordFunnelEvent). Ils ne contiennent aucune donnée personnelle et survivent à la purge
+// des sessions : session_statistics, leur agrégat journalier, peut toujours être recalculé.
+
+import { getFunnelCounts, recordFunnelEvent, refreshSessionStatistics, getStatisticsRefreshStart } from './db.js';
+import { QUESTIONNAIRE_STEPS, PHASE_OFFRE, PHASE_COMMENTAIRES } from './questionnaire.js';
+
+// Étapes du tunnel, dans l'ordre (une session ne compte qu'une fois par étape)
+// Les 7 questions sont les réponses validées par la machine à états (question_answered).
+export const FUNNEL_STAGES = [
+  { key: 'session_started', label: 'Session ouverte' },
+  { key: 'first_message', label: 'Premier message' },
+  ...QUESTIONNAIRE_STEPS.map((step, index) => ({
+    key: `question:${step.key}`,
+    label: `Question ${index + 1} : ${step.label.split(' (')[0]}`,
+    question: index + 1
+  })),
+  { key: 'offer_shown', label: 'Formules affichées' },
+  { key: 'offer_selected', label: 'Formule choisie' },
+  { key: 'payment_ready', label: 'Bouton de paiement affiché' },
+  { key: 'checkout_started', label: 'Paiement commencé' },
+  { key: 'payment_completed', label: 'Paiement confirmé' },
+  { key: 'analysis_delivered', label: 'Analyse remise' }
+];
+
+// Types d'appareil (properties.device de session_started)
+export const DEVICE_TYPES = ['mobile', 'tablet', 'desktop'];
+
+// Période par défaut et période maximale d'une requête (jours)
+export const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 3 * 366;
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Résoudre la période demandée : from / to (AAAA-MM-JJ, inclus) ou les N derniers jours
+ * @param {Object} params - { from, to, days }
+ * @returns {Object} { from, to } ou { error }
+ */
+export function resolveDateRange({ from, to, days } = {}) {
+  const today = toDateString(new Date());
+
+  if (!from && !to) {
+    const count = parseInt(days) || DEFAULT_RANGE_DAYS;
+    if (count < 1 || count > MAX_RANGE_DAYS) {
+      return { error: `Nombre de jours invalide (entre 1 et ${MAX_RANGE_DAYS})` };
+    }
+    return { from: addDays(today, 1 - count), to: today };
+  }
+
+  const range = { from: from || to, to: to || today };
+
+  if (!isValidDate(range.from) || !isValidDate(range.to)) {
+    return { error: 'Dates invalides (format AAAA-MM-JJ)' };
+  }
+
+  if (range.from > range.to) {
+    return { error: 'La date de début doit précéder la date de fin' };
+  }
+
+  if (daysBetween(range.from, range.to) >= MAX_RANGE_DAYS) {
+    return { error: `Période trop longue (${MAX_RANGE_DAYS} jours maximum)` };
+  }
+
+  return range;
+}
+
+/**
+ * Type d'appareil déduit du navigateur (aucune autre information n'est conservée)
+ * @param {string} userAgent - En-tête User-Agent
+ * @returns {string} mobile, tablet ou desktop
+ */
+export function getDeviceType(userAgent) {
+  const ua = userAgent || '';
+
+  if (/iPad|Tablet|PlayBook|Silk|Android(?!.*Mobile)/i.test(ua)) return 'tablet';
+  if (/Mobi|iPhone|iPod|Android|BlackBerry|Opera Mini|IEMobile/i.test(ua)) return 'mobile';
+  return 'desktop';
+}
+
+/**
+ * Enregistrer les événements du questionnaire après un message du chat
+ * @param {string} sessionUuid - UUID de la session
+ * @param {Object} previousState - État du questionnaire avant le message
+ * @param {Object} transition - Résultat de applyUserMessage
+ * @param {Object} triggers - { paymentProposal, paymentReady } honorés à l'étape attendue
+ * @returns {Promise<void>}
+ */
+export async function recordQuestionnaireEvents(sessionUuid, previousState, transition, { paymentProposal, paymentReady }) {
+  if (transition.accepted) {
+    const questionIndex = QUESTIONNAIRE_STEPS.findIndex(step => step.key === previousState.step);
+
+    if (questionIndex !== -1) {
+      await recordFunnelEvent(sessionUuid, 'question_answered', {
+        question: QUESTIONNAIRE_STEPS[questionIndex].key,
+        questionNumber: questionIndex + 1
+      });
+    } else if (previousState.step === PHASE_OFFRE && transition.state.step === PHASE_COMMENTAIRES) {
+      await recordFunnelEvent(sessionUuid, 'offer_selected', { expertise: transition.state.expertise });
+    }
+  }
+
+  if (paymentProposal) {
+    await recordFunnelEvent(sessionUuid, 'offer_shown');
+  }
+
+  if (paymentReady) {
+    await recordFunnelEvent(sessionUuid, 'payment_ready');
+  }
+}
+
+/**
+ * Tunnel d'une cohorte : sessions ouvertes sur la période, passage, abandon et durée à chaque étape
+ * @param {Object} options - { from, to } (resolveDateRange), expertise : offre, device : appareil (facultatifs)
+ * @returns {Promise<Object>} { from, to, expertise, device, stages, summary }
+ */
+export async function getFunnelReport({ from, to, expertise = null, device = null }) {
+  const counts = await getFunnelCounts({
+    from,
+    to,
+    expertise,
+    device,
+    stages: FUNNEL_STAGES.map(stage => stage.key)
+  });
+  const sessionsAt = key => counts[key]?.sessions || 0;
+  const started = sessionsAt(FUNNEL_STAGES[0].key);
+
+  const stages = FUNNEL_STAGES.map((stage, index) => {
+    const reached = sessionsAt(stage.key);
+    const previous = index === 0 ? reached : sessionsAt(FUNNEL_STAGES[index - 1].key);
+
+    return {
+      key: stage.key,
+      label: stage.label,
+      question: stage.question || null,
+      sessions: reached,
+      dropOff: Math.max(previous - reached, 0),
+      conversionFromPrevious: rate(reached, previous),
+      conversionFromStart: rate(reached, started),
+      // Durée médiane depuis l'étape précédente (sessions passées par les deux)
+      medianSeconds: index === 0 ? null : counts[stage.key]?.medianSeconds ?? null
+    };
+  });
+
+  const paid = sessionsAt('payment_completed');
+
+  return {
+    from,
+    to,
+    expertise,
+    device,
+    stages,
+    summary: {
+      emailCollected: sessionsAt('email_collected'),
+      offerShownNotPaid: Math.max(sessionsAt('offer_shown') - paid, 0),
+      paymentReadyNotPaid: Math.max(sessionsAt('payment_ready') - paid, 0),
+      paymentFailures: counts.payment_failed?.events || 0,
+      refunded: sessionsAt('refunded')
+    }
+  };
+}
+
+/**
+ * Mettre à jour l'agrégat journalier : du dernier jour enregistré jusqu'à aujourd'hui
+ * Appelé par la tâche planifiée /api/cron-statistics-refresh : un jour manqué (tâche en échec)
+ * est rattrapé au passage suivant.
+ * @returns {Promise<Object>} { from, to, refreshedDays }
+ */
+export async function refreshPendingStatistics() {
+  const to = toDateString(new Date());
+  const from = await getStatisticsRefreshStart();
+
+  // Dernier jour enregistré dans le futur (fuseau horaire) : rien à rattraper avant aujourd'hui
+  const start = from < to ? from : to;
+  const refreshedDays = await refreshSessionStatistics(start, to);
+
+  return { from: start, to, refreshedDays };
+}
+
+/**
+ * Pourcentage arrondi à 2 décimales (0 si le dénominateur est nul)
+ */
+function rate(count, total) {
+  return total > 0 ? Math.round((count / total) * 10000) / 100 : 0;
+}
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+}
+
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_REGEX.test(value)) return false;
+
+  // Rejette aussi les dates inexistantes (2026-02-30)
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && toDateString(date) === value;
+}
@@ -0,0 +1,318 @@
+// Demandes RGPD : droit d'accès (export JSON et HTML) et droit à l'effacement
+// Les données sont retrouvées par email (findPersonalDataByEmail). L'effacement supprime d'abord
+// les conversations chez le fournisseur LLM (threads OpenAI) puis efface ou pseudonymise les
+// tables en une seule requête ; si un thread ne peut pas être supprimé, rien n'est effacé et la
+// demande peut être relancée. Les factures sont conservées (obligation comptable de 10 ans).
+
+import crypto from 'crypto';
+import { findPersonalDataByEmail, erasePersonalDataByEmail } from './db.js';
+import { getLLMProviderForConversation } from './llm/index.js';
+import { SELLER } from './invoices.js';
+import { formatDateFr } from './utils.js';
+import logger from './logger.js';
+
+// Format de l'export JSON (à incrémenter si sa structure change)
+const EXPORT_FORMAT = 'sosdivorce-rgpd';
+const EXPORT_VERSION = 2;
+
+/**
+ * Référence d'une demande : empreinte de l'email, sans l'email lui-même
+ * Inscrite au journal admin et dans l'export pour retrouver la demande après effacement.
+ * @param {string} email - Email de la personne
+ * @returns {string} 16 caractères hexadécimaux
+ */
+export function getRequestReference(email) {
+  return crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex').slice(0, 16);
+}
+
+/**
+ * Compter les données trouvées pour un email
+ * @param {Object} data - Données (findPersonalDataByEmail)
+ * @returns {Object} Nombre d'éléments par catégorie, et total
+ */
+export function summarizePersonalData(data) {
+  const countMessages = sessions => sessions.reduce((sum, session) => sum + session.messages.length, 0);
+
+  const summary = {
+    account: data.user ? 1 : 0,
+    loginSessions: data.userSessions.length,
+    conversations: data.conversations.length,
+    conversationMessages: countMessages(data.conversations),
+    sessions: data.sessions.length,
+    sessionsRetained: data.sessions.filter(session => session.retained).length,
+    sessionMessages: countMessages(data.sessions),
+    invoices: data.invoices.length,
+    remoteConversations: getRemoteConversationIds(data).length
+  };
+
+  summary.total = summary.account + summary.conversations + summary.sessions + summary.invoices;
+
+  return summary;
+}
+
+/**
+ * Rassembler les données d'un email et les compter
+ * @param {string} email - Email de la personne
+ * @returns {Promise<Object>} { data, summary }
+ */
+export async function collectPersonalData(email) {
+  const data = await findPersonalDataByEmail(email);
+  return { data, summary: summarizePersonalData(data) };
+}
+
+/**
+ * Export structuré (JSON) remis à la personne
+ * @param {string} email - Email de la personne
+ * @param {Object} data - Données (findPersonalDataByEmail)
+ * @returns {Object} Export
+ */
+export function buildPersonalDataExport(email, data) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    reference: getRequestReference(email),
+    subject: { email },
+    controller: {
+      name: SELLER.name,
+      tradeName: SELLER.tradeName,
+      email: SELLER.email
+    },
+    data
+  };
+}
+
+/**
+ * Export lisible (page HTML autonome) remis à la personne
+ * @param {Object} exported - Export (buildPersonalDataExport)
+ * @returns {string} Document HTML
+ */
+export function renderPersonalDataHtml(exported) {
+  const { data } = exported;
+  const paidSessions = data.sessions.filter(s => s.paid);
+  const unpaidSessions = data.sessions.filter(s => !s.paid);
+
+  const sections = [
+    section('Compte client', data.user
+      ? fields([
+          ['Prénom', data.user.firstName],
+          ['Nom', data.user.lastName],
+          ['Email', data.user.email],
+          ['Inscription', formatDate(data.user.registeredAt)],
+          ['Email vérifié le', formatDate(data.user.emailVerifiedAt)],
+          ['Abonnement', data.user.subscriptionStatus],
+          ['Questions posées', data.user.questionsUsed],
+          ['Dernière question', formatDate(data.user.lastQuestionAt)]
+        ])
+      : empty('Aucun compte client.')),
+
+    section('Connexions au compte', data.userSessions.length > 0
+      ? table(['Date', 'Expiration', 'Fermée le', 'Adresse IP', 'Navigateur'], data.userSessions.map(s => [
+          formatDate(s.createdAt), formatDate(s.expiresAt), formatDate(s.revokedAt), s.ipAddress, s.userAgent
+        ]))
+      : empty('Aucune connexion enregistrée.')),
+
+    section('Conversations du compte', data.conversations.length > 0
+      ? data.conversations.map(c => `
+        <h3>${escapeHtml(c.title)}</h3>
+        ${fields([
+          ['Début', formatDate(c.startedAt)],
+          ['Dernier message', formatDate(c.lastMessageAt)],
+          ['Adresse IP', c.ipAddress],
+          ['Navigateur', c.userAgent]
+        ])}
+        ${messages(c.messages)}`).join('')
+      : empty('Aucune conversation.')),
+
+    section('Analyses commandées', paidSessions.length > 0
+      ? paidSessions.map(s => `
+        <h3>Session ${escapeHtml(s.sessionUuid)}</h3>
+        ${fields([
+          ['Offre', s.expertise],
+          ['Montant', formatAmount(s.amount)],
+          ['Code promo', s.promoCode],
+          ['Payé le', formatDate(s.paidAt)],
+          ['Remboursé', s.refundedAmount > 0 ? formatAmount(s.refundedAmount) : null],
+          ['Analyse envoyée le', formatDate(s.clientDeliveredAt)],
+          ['Relecture avocat', s.lawyerReview?.status],
+          ...attributionFields(s)
+        ])}
+        ${s.questionnaireData ? `<h4>Questionnaire</h4><pre>${escapeHtml(JSON.stringify(s.questionnaireData, null, 2))}</pre>` : ''}
+        ${s.analysisDraft ? `<h4>Analyse</h4><pre>${escapeHtml(s.analysisDraft)}</pre>` : ''}
+        ${s.lawyerReview?.lawyerComment ? `<h4>Commentaire de l'avocat</h4><pre>${escapeHtml(s.lawyerReview.lawyerComment)}</pre>` : ''}
+        ${messages(s.messages)}`).join('')
+      : empty('Aucune analyse commandée.')),
+
+    section('Conversations non finalisées', unpaidSessions.length > 0
+      ? unpaidSessions.map(s => `
+        <h3>Session ${escapeHtml(s.sessionUuid)}</h3>
+        ${fields([
+          ['Offre envisagée', s.expertise],
+          ['Début', formatDate(s.createdAt)],
+          ['Email communiqué le', formatDate(s.emailCollectedAt)],
+          ['Dernière activité', formatDate(s.lastActivityAt)],
+          ...attributionFields(s)
+        ])}
+        ${s.questionnaireData ? `<h4>Questionnaire</h4><pre>${escapeHtml(JSON.stringify(s.questionnaireData, null, 2))}</pre>` : ''}
+        ${messages(s.messages)}`).join('')
+      : empty('Aucune conversation non finalisée.')),
+
+    section('Factures et avoirs', data.invoices.length > 0
+      ? table(['Numéro', 'Type', 'Description', 'Montant TTC', 'Émise le'], data.invoices.map(i => [
+          i.number, i.type === 'credit_note' ? 'Avoir' : 'Facture', i.description, formatAmount(i.amountTtc), formatDate(i.issuedAt)
+        ]))
+      : empty('Aucune facture.'))
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+<meta charset="utf-8">
+<title>Vos données personnelles - ${escapeHtml(exported.controller.tradeName)}</title>
+<style>
+  body { font-family: Arial, sans-serif; color: #374151; max-width: 900px; margin: 0 auto; padding: 24px; line-height: 1.5; }
+  h1 { color: #1e3a8a; }
+  h2 { color: #1e3a8a; border-bottom: 2px solid #93c5fd; padding-bottom: 4px; margin-top: 32px; }
+  h3 { margin-bottom: 4px; }
+  table { border-collapse: collapse; width: 100%; margin: 8px 0; }
+  th, td { border: 1px solid #e5e7eb; padding: 6px 8px; text-align: left; vertical-align: top; font-size: 14px; }
+  th { background: #eff6ff; }
+  pre { white-space: pre-wrap; background: #f3f4f6; padding: 12px; border-radius: 6px; font-size: 13px; }
+  .muted { color: #6b7280; }
+  .message { margin: 6px 0; padding: 8px 12px; border-radius: 6px; background: #f3f4f6; }
+  .message.user { background: #eff6ff; }
+</style>
+</head>
+<body>
+<h1>Vos données personnelles</h1>
+<p>
+  Export établi le ${escapeHtml(formatDate(exported.generatedAt))} pour <strong>${escapeHtml(exported.subject.email)}</strong>
+  (référence ${escapeHtml(exported.reference)}).<br>
+  Responsable du traitement : ${escapeHtml(exported.controller.name)} (${escapeHtml(exported.controller.tradeName)}),
+  ${escapeHtml(exported.controller.email)}.
+</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Effacer les données d'un email (droit à l'effacement)
+ * @param {string} email - Email de la personne
+ * @returns {Promise<Object>} { erased, summary, counts } ou { erased: false, error, failedConversations }
+ */
+export async function erasePersonalData(email) {
+  const { data, summary } = await collectPersonalData(email);
+
+  if (summary.total === 0) {
+    return { erased: false, error: 'Aucune donnée trouvée pour cet email' };
+  }
+
+  // Conversations chez le fournisseur LLM d'abord : en cas d'échec, la base reste intacte
+  const failedConversations = [];
+  for (const conversationId of getRemoteConversationIds(data)) {
+    try {
+      await getLLMProviderForConversation(conversationId).deleteConversation(conversationId);
+    } catch (error) {
+      logger.error('Erreur suppression conversation LLM (RGPD):', { conversationId, error: error.message });
+      failedConversations.push(conversationId);
+    }
+  }
+
+  if (failedConversations.length > 0) {
+    return {
+      erased: false,
+      error: 'Conversations impossibles à supprimer chez le fournisseur : aucune donnée effacée, réessayez plus tard',
+      failedConversations
+    };
+  }
+
+  const counts = await erasePersonalDataByEmail(email);
+
+  logger.info('Données personnelles effacées (RGPD):', { reference: getRequestReference(email), ...counts });
+  return { erased: true, summary, counts };
+}
+
+/**
+ * ID des conversations (thread_id) des sessions du questionnaire, sans doublon
+ */
+function getRemoteConversationIds(data) {
+  const ids = data.sessions
+    .map(session => session.threadId)
+    .filter(Boolean);
+
+  return [...new Set(ids)];
+}
+
+/**
+ * Échapper le HTML
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDate(date) {
+  return date ? formatDateFr(new Date(date)) : null;
+}
+
+function formatAmount(cents) {
+  return `${((cents || 0) / 100).toFixed(2)} €`;
+}
+
+function section(title, content) {
+  return `<h2>${escapeHtml(title)}</h2>\n${content}`;
+}
+
+function empty(text) {
+  return `<p class="muted">${escapeHtml(text)}</p>`;
+}
+
+/**
+ * Liste de champs (les valeurs vides sont omises)
+ */
+function fields(entries) {
+  const rows = entries
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`);
+
+  return rows.length > 0 ? `<table>${rows.join('')}</table>` : '';
+}
+
+/**
+ * Provenance de la session (enregistrée avec le consentement aux cookies statistiques)
+ */
+function attributionFields(session) {
+  const campaign = [session.utmSource, session.utmMedium, session.utmCampaign, session.utmTerm, session.utmContent]
+    .filter(Boolean)
+    .join(' / ');
+
+  return [
+    ['Page d\'arrivée', session.landingUrl],
+    ['Site référent', session.referrerHost],
+    ['Campagne', campaign || null]
+  ];
+}
+
+function table(headers, rows) {
+  return `<table>
+    <tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr>
+    ${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}
+  </table>`;
+}
+
+function messages(list) {
+  if (list.length === 0) return '';
+
+  return `<h4>Messages</h4>` + list.map(m => `
+    <div class="message ${m.role === 'user' ? 'user' : ''}">
+      <strong>${m.role === 'user' ? 'Vous' : 'Assistant'}</strong>
+      <span class="muted">${escapeHtml(formatDate(m.createdAt))}</span><br>
+      ${escapeHtml(m.content).replace(/\n/g, '<br>')}
+    </div>`).join('');
+}
@@ -0,0 +1,307 @@
+// Factures et avoirs des sessions payées
+// Numérotation continue par série annuelle : F-2026-00001 (factures), AV-2026-00001 (avoirs).
+// Les montants, le client et le vendeur sont figés dans la table invoices à l'émission ;
+// le PDF est régénéré à l'identique à partir de la ligne enregistrée.
+
+import {
+  createInvoice,
+  getSessionInvoices,
+  getCreditNoteByRefund
+} from './db.js';
+import { getOffer } from './offers.js';
+import { createPdfDocument, wrapText, PAGE_WIDTH } from './pdf.js';
+import logger from './logger.js';
+
+// Taux de TVA applicable aux prestations (prix catalogue TTC)
+export const VAT_RATE = 20;
+
+// Identité du vendeur (mêmes informations que public/mentions-legales.html)
+export const SELLER = {
+  name: 'OPPORTUNITÉS PATRIMOINE',
+  tradeName: 'sosdivorce.fr',
+  legalForm: 'SAS',
+  capital: '1 000 €',
+  address: ['10 rue de la Paix', '75002 Paris, France'],
+  rcs: '882 682 289 RCS Paris',
+  vatNumber: 'FR 35 882682289',
+  email: 'info@sosdivorce.fr'
+};
+
+const SERIES_PREFIX = {
+  invoice: 'F',
+  credit_note: 'AV'
+};
+
+/**
+ * Décomposer un montant TTC en HT et TVA (centimes)
+ * @param {number} amountTtc - Montant TTC en centimes
+ * @param {number} rate - Taux de TVA en %
+ * @returns {Object} { amountHt, vatAmount }
+ */
+export function splitVat(amountTtc, rate = VAT_RATE) {
+  const amountHt = Math.round(amountTtc * 100 / (100 + rate));
+  return { amountHt, vatAmount: amountTtc - amountHt };
+}
+
+/**
+ * Série de numérotation d'un document pour l'année en cours
+ * @param {string} type - invoice | credit_note
+ * @returns {string} Série (ex: F-2026)
+ */
+function currentSeries(type) {
+  return `${SERIES_PREFIX[type]}-${new Date().getFullYear()}`;
+}
+
+/**
+ * Émettre la facture d'une session payée (une seule par session)
+ *
+ * @param {Object} session - Session payée (getSession)
+ * @returns {Promise<Object>} Facture (existante ou créée)
+ *
+ * @example
+ * const invoice = await issuePaymentInvoice(paidSession);
+ * const pdf = renderInvoicePdf(invoice);
+ */
+export async function issuePaymentInvoice(session) {
+  const existing = (await getSessionInvoices(session.id)).find(invoice => invoice.type === 'invoice');
+  if (existing) {
+    return existing;
+  }
+
+  // Libellé issu du catalogue (offres retirées incluses : la commande peut être antérieure)
+  const offer = await getOffer(session.expertise, { includeInactive: true });
+  const discountAmount = session.discountAmount || 0;
+
+  const created = await createInvoice({
+    series: currentSeries('invoice'),
+    type: 'invoice',
+    sessionId: session.id,
+    paymentIntentId: session.paymentIntentId,
+    customerEmail: session.email,
+    description: offer?.name || 'Analyse juridique',
+    promoCode: session.promoCode,
+    basePrice: session.amount + discountAmount,
+    discountAmount,
+    vatRate: VAT_RATE,
+    ...splitVat(session.amount),
+    amountTtc: session.amount,
+    seller: SELLER,
+    paidAt: session.paidAt || new Date()
+  });
+
+  // null : émise entre-temps par un appel concurrent
+  return created
+    || (await getSessionInvoices(session.id)).find(invoice => invoice.type === 'invoice');
+}
+
+/**
+ * Émettre l'avoir d'un remboursement Stripe (un seul par remboursement)
+ * Sans facture d'origine (session payée avant la facturation), aucun avoir n'est émis.
+ *
+ * @param {number} sessionId - ID numérique de la session payée
+ * @param {Object} refund - { stripeRefundId, amount, status, createdAt }
+ * @returns {Promise<Object|null>} Avoir (existant ou créé), ou null
+ */
+export async function issueCreditNote(sessionId, refund) {
+  if (['failed', 'canceled'].includes(refund.status)) {
+    return null;
+  }
+
+  const existing = await getCreditNoteByRefund(refund.stripeRefundId);
+  if (existing) {
+    return existing;
+  }
+
+  const original = (await getSessionInvoices(sessionId)).find(invoice => invoice.type === 'invoice');
+  if (!original) {
+    logger.warn('Remboursement sans facture d\'origine, pas d\'avoir émis:', {
+      sessionId,
+      stripeRefundId: refund.stripeRefundId
+    });
+    return null;
+  }
+
+  const created = await createInvoice({
+    series: currentSeries('credit_note'),
+    type: 'credit_note',
+    sessionId,
+    originalInvoiceId: original.id,
+    stripeRefundId: refund.stripeRefundId,
+    paymentIntentId: original.paymentIntentId,
+    customerEmail: original.customerEmail,
+    description: `Remboursement - ${original.description}`,
+    basePrice: refund.amount,
+    discountAmount: 0,
+    vatRate: original.vatRate,
+    ...splitVat(refund.amount, original.vatRate),
+    amountTtc: refund.amount,
+    seller: original.seller,
+    paidAt: refund.createdAt || new Date()
+  });
+
+  return created || getCreditNoteByRefund(refund.stripeRefundId);
+}
+
+/**
+ * Nom du fichier PDF d'une facture
+ * @param {Object} invoice - Facture ou avoir
+ * @returns {string} Nom de fichier (ex: facture-F-2026-00001.pdf)
+ */
+export function getInvoiceFilename(invoice) {
+  return `${invoice.type === 'credit_note' ? 'avoir' : 'facture'}-${invoice.number}.pdf`;
+}
+
+/**
+ * Formater une date (jour) en français, heure de Paris
+ */
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('fr-FR', { timeZone: 'Europe/Paris' });
+}
+
+/**
+ * Formater un montant en centimes (1 234,50 €)
+ */
+function formatAmount(cents) {
+  return `${(cents / 100).toFixed(2).replace('.', ',').replace(/\B(?=(\d{3})+(?!\d))/g, ' ')} €`;
+}
+
+/**
+ * Générer le PDF d'une facture ou d'un avoir
+ *
+ * @param {Object} invoice - Facture (getInvoice / issuePaymentInvoice)
+ * @returns {Buffer} Fichier PDF
+ */
+export function renderInvoicePdf(invoice) {
+  const isCreditNote = invoice.type === 'credit_note';
+  const seller = invoice.seller;
+  const margin = 50;
+  const right = PAGE_WIDTH - margin;
+  const title = `${isCreditNote ? 'Avoir' : 'Facture'} ${invoice.number}`;
+  const doc = createPdfDocument({ title, author: seller.name });
+
+  // En-tête
+  doc.addPage();
+  doc.text('SOS', margin, 70, { font: 'bold', size: 22, color: '#1e3a8a' });
+  doc.text('DIVORCE.FR', margin + 46, 70, { size: 15, color: '#1e3a8a' });
+  doc.text(isCreditNote ? 'AVOIR' : 'FACTURE', right, 62, { font: 'bold', size: 18, align: 'right' });
+  doc.text(`N° ${invoice.number}`, right, 80, { size: 11, align: 'right' });
+  doc.text(`Date d'émission : ${formatDate(invoice.issuedAt)}`, right, 96, { size: 9, color: '#4b5563', align: 'right' });
+
+  // Vendeur
+  let y = 130;
+  doc.text(seller.name, margin, y, { font: 'bold', size: 10 });
+  [
+    ...seller.address,
+    `${seller.legalForm} au capital de ${seller.capital}`,
+    seller.rcs,
+    `TVA intracommunautaire : ${seller.vatNumber}`,
+    seller.email
+  ].forEach(line => {
+    y += 14;
+    doc.text(line, margin, y, { size: 9, color: '#374151' });
+  });
+
+  // Client
+  doc.text('Client', 330, 130, { font: 'bold', size: 10 });
+  doc.text(invoice.customerEmail || 'Email non renseigné', 330, 144, { size: 9, color: '#374151' });
+
+  y += 36;
+  if (isCreditNote && invoice.originalNumber) {
+    doc.text(
+      `Avoir sur la facture N° ${invoice.originalNumber} du ${formatDate(invoice.originalIssuedAt)}`,
+      margin, y, { font: 'bold', size: 10 }
+    );
+    y += 24;
+  }
+
+  // Lignes (montants HT)
+  const columns = { quantity: 340, unit: 430, total: right };
+  doc.rect(margin, y, right - margin, 22, { color: '#1e3a8a' });
+  doc.text('Désignation', margin + 8, y + 15, { font: 'bold', size: 9, color: '#ffffff' });
+  doc.text('Qté', columns.quantity, y + 15, { font: 'bold', size: 9, color: '#ffffff', align: 'right' });
+  doc.text('Prix unitaire HT', columns.unit, y + 15, { font: 'bold', size: 9, color: '#ffffff', align: 'right' });
+  doc.text('Total HT', columns.total - 8, y + 15, { font: 'bold', size: 9, color: '#ffffff', align: 'right' });
+  y += 22;
+
+  const baseHt = invoice.discountAmount
+    ? splitVat(invoice.basePrice, invoice.vatRate).amountHt
+    : invoice.amountHt;
+  const lines = [{ label: invoice.description, quantity: '1', amount: baseHt }];
+
+  if (invoice.discountAmount) {
+    lines.push({
+      label: `Remise${invoice.promoCode ? ` code ${invoice.promoCode}` : ''} (${formatAmount(invoice.discountAmount)} TTC)`,
+      quantity: '',
+      amount: invoice.amountHt - baseHt
+    });
+  }
+
+  for (const line of lines) {
+    const labelLines = wrapText(line.label, columns.quantity - margin - 60, { size: 9 });
+    const rowHeight = 10 + labelLines.length * 12;
+
+    labelLines.forEach((labelLine, index) => {
+      doc.text(labelLine, margin + 8, y + 16 + index * 12, { size: 9 });
+    });
+    doc.text(line.quantity, columns.quantity, y + 16, { size: 9, align: 'right' });
+    doc.text(line.quantity ? formatAmount(line.amount) : '', columns.unit, y + 16, { size: 9, align: 'right' });
+    doc.text(formatAmount(line.amount), columns.total - 8, y + 16, { size: 9, align: 'right' });
+
+    y += rowHeight;
+    doc.line(margin, y, right, y);
+  }
+
+  // Totaux
+  y += 24;
+  const totals = [
+    ['Total HT', formatAmount(invoice.amountHt)],
+    [`TVA ${String(invoice.vatRate).replace('.', ',')} %`, formatAmount(invoice.vatAmount)]
+  ];
+  totals.forEach(([label, value]) => {
+    doc.text(label, columns.unit, y, { size: 10, align: 'right' });
+    doc.text(value, columns.total - 8, y, { size: 10, align: 'right' });
+    y += 16;
+  });
+  doc.rect(280, y - 10, right - 280, 24, { color: '#eff6ff' });
+  doc.text(isCreditNote ? 'Total TTC remboursé' : 'Total TTC', columns.unit, y + 6, { font: 'bold', size: 11, align: 'right' });
+  doc.text(formatAmount(invoice.amountTtc), columns.total - 8, y + 6, { font: 'bold', size: 11, align: 'right' });
+
+  // Règlement
+  y += 50;
+  const settlement = isCreditNote
+    ? `Montant remboursé le ${formatDate(invoice.paidAt)} sur le moyen de paiement d'origine.`
+    : `Facture acquittée le ${formatDate(invoice.paidAt)} par carte bancaire.`;
+  doc.text(settlement, margin, y, { size: 9 });
+  if (invoice.paymentIntentId) {
+    doc.text(`Référence de paiement : ${invoice.paymentIntentId}`, margin, y + 14, { size: 9, color: '#4b5563' });
+  }
+  if (!isCreditNote) {
+    doc.text('Pas d\'escompte pour paiement anticipé.', margin, y + 28, { size: 9, color: '#4b5563' });
+  }
+
+  // Pied de page
+  doc.line(margin, 790, right, 790);
+  doc.text(
+    `${seller.name} - ${seller.legalForm} au capital de ${seller.capital} - ${seller.rcs} - TVA ${seller.vatNumber}`,
+    PAGE_WIDTH / 2, 805, { size: 7.5, color: '#6b7280', align: 'center' }
+  );
+  doc.text(`${seller.tradeName} - ${seller.email}`, PAGE_WIDTH / 2, 816, { size: 7.5, color: '#6b7280', align: 'center' });
+
+  return doc.toBuffer();
+}
+
+/**
+ * Résumé d'une facture pour l'admin
+ * @param {Object} invoice - Facture ou avoir
+ * @returns {Object} { id, number, type, amountTtc, issuedAt, sentAt }
+ */
+export function toInvoiceSummary(invoice) {
+  return {
+    id: invoice.id,
+    number: invoice.number,
+    type: invoice.type,
+    amountTtc: invoice.amountTtc,
+    issuedAt: invoice.issuedAt,
+    sentAt: invoice.sentAt
+  };
+}
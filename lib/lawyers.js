@@ -0,0 +1,226 @@
+// Validation des analyses Premium par un avocat
+// Les offres du catalogue marquées « validée par un avocat » (requires_lawyer_review) ouvrent
+// un dossier à la finalisation du paiement, avec une échéance de 48 h après paid_at.
+// L'équipe assigne le dossier à un avocat ; l'avocat valide le brouillon d'analyse ou le renvoie
+// avec un commentaire depuis son espace (/avocat.html). L'analyse n'est envoyée au client
+// que si le texte approuvé est celui validé par l'avocat.
+
+import crypto from 'crypto';
+import {
+  createLawyerReview,
+  syncLawyerReviews,
+  getLawyerReview,
+  getLawyerReviewsToRemind,
+  getOverdueLawyerReviewsToNotify,
+  markLawyerReviewsNotified,
+  createLawyerSession,
+  getLawyerBySession,
+  deleteLawyerSession
+} from './db.js';
+import { getOffer } from './offers.js';
+import { sendLawyerReviewEmail, sendOverdueLawyerReviewsEmail } from './email.js';
+import { parseCookies, createCookie } from './utils.js';
+import logger from './logger.js';
+
+// Délai de validation après le paiement
+export const LAWYER_REVIEW_SLA_HOURS = 48;
+
+// Relance de l'avocat quand l'échéance est à moins de N heures
+const REMINDER_HOURS_BEFORE = 12;
+
+export const LAWYER_REVIEW_STATUSES = ['to_assign', 'in_progress', 'validated', 'returned'];
+
+export const LAWYER_COMMENT_MAX_LENGTH = 2000;
+
+// Session de l'espace avocat : cookie HttpOnly, jeton aléatoire dont seul le hash est stocké
+export const LAWYER_SESSION_COOKIE = 'lawyer_session';
+const LAWYER_SESSION_MAX_AGE = 12 * 60 * 60;
+
+/**
+ * Calculer l'échéance de validation d'une session payée
+ * @param {Date|string} paidAt - Date de paiement
+ * @returns {Date} Échéance
+ */
+export function getLawyerReviewDeadline(paidAt) {
+  return new Date(new Date(paidAt).getTime() + LAWYER_REVIEW_SLA_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * L'offre d'une session exige-t-elle une validation avocat ?
+ * @param {string} expertise - Code de l'offre
+ * @returns {Promise<boolean>}
+ */
+export async function requiresLawyerReview(expertise) {
+  const offer = await getOffer(expertise, { includeInactive: true });
+  return Boolean(offer?.requiresLawyerReview);
+}
+
+/**
+ * Ouvrir le dossier de validation d'une session payée si son offre l'exige
+ * @param {Object} session - Session payée (getSession)
+ * @returns {Promise<boolean>} true si un dossier a été ouvert
+ */
+export async function openLawyerReview(session) {
+  if (!(await requiresLawyerReview(session.expertise))) {
+    return false;
+  }
+
+  return createLawyerReview(session.id, getLawyerReviewDeadline(session.paidAt || new Date()));
+}
+
+/**
+ * Vérifier qu'une analyse peut être envoyée au client
+ * Offres Premium : le dossier doit être validé par l'avocat, avec ce texte exactement.
+ * @param {Object} session - Session payée (getSession)
+ * @param {string} analysis - Texte que le relecteur s'apprête à envoyer
+ * @returns {Promise<string|null>} Message d'erreur, ou null si l'envoi est autorisé
+ */
+export async function checkLawyerValidation(session, analysis) {
+  if (!(await requiresLawyerReview(session.expertise))) {
+    return null;
+  }
+
+  const review = await getLawyerReview({ sessionId: session.id });
+
+  if (!review || review.status !== 'validated') {
+    return 'Offre validée par un avocat : l\'analyse doit être validée par l\'avocat avant l\'envoi';
+  }
+
+  if (review.validatedAnalysis !== analysis) {
+    return 'L\'analyse a été modifiée depuis la validation de l\'avocat : réassignez le dossier pour la faire revalider';
+  }
+
+  return null;
+}
+
+/**
+ * Hash SHA-256 d'un jeton de session
+ * @param {string} token - Jeton
+ * @returns {string} Hash hexadécimal
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Ouvrir une session de l'espace avocat
+ * @param {Object} lawyer - Avocat authentifié
+ * @returns {Promise<string>} En-tête Set-Cookie
+ */
+export async function startLawyerSession(lawyer) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + LAWYER_SESSION_MAX_AGE * 1000);
+
+  await createLawyerSession(lawyer.id, hashToken(token), expiresAt);
+
+  return createCookie(LAWYER_SESSION_COOKIE, token, {
+    maxAge: LAWYER_SESSION_MAX_AGE,
+    httpOnly: true,
+    secure: true,
+    sameSite: 'Strict'
+  });
+}
+
+/**
+ * Récupérer l'avocat connecté à partir du cookie de session
+ * @param {Request} req - Requête HTTP
+ * @returns {Promise<Object|null>} Avocat ou null
+ */
+export async function getLawyerFromRequest(req) {
+  const token = parseCookies(req.headers.cookie)[LAWYER_SESSION_COOKIE];
+  if (!token) {
+    return null;
+  }
+
+  return getLawyerBySession(hashToken(token));
+}
+
+/**
+ * Fermer la session de l'espace avocat
+ * @param {Request} req - Requête HTTP
+ * @returns {Promise<string>} En-tête Set-Cookie qui efface le cookie
+ */
+export async function endLawyerSession(req) {
+  const token = parseCookies(req.headers.cookie)[LAWYER_SESSION_COOKIE];
+  if (token) {
+    await deleteLawyerSession(hashToken(token));
+  }
+
+  return createCookie(LAWYER_SESSION_COOKIE, '', {
+    maxAge: 0,
+    httpOnly: true,
+    secure: true,
+    sameSite: 'Strict'
+  });
+}
+
+/**
+ * Prévenir un avocat qu'un dossier lui a été assigné
+ * @param {Object} review - Dossier (getLawyerReview)
+ * @param {Object} lawyer - Avocat assigné
+ * @returns {Promise<boolean>} true si l'email est parti
+ */
+export async function notifyLawyerAssignment(review, lawyer) {
+  try {
+    await sendLawyerReviewEmail({
+      to: lawyer.email,
+      lawyerName: lawyer.name,
+      kind: 'assigned',
+      reviews: [review]
+    });
+    return true;
+
+  } catch (error) {
+    // L'assignation reste valable : le dossier apparaît dans l'espace avocat
+    logger.error('Erreur notification assignation avocat:', error);
+    return false;
+  }
+}
+
+/**
+ * Relancer les avocats et signaler les retards à l'équipe
+ * Ouvre d'abord les dossiers manquants. Chaque dossier n'est relancé / signalé qu'une fois
+ * (une réassignation réarme la relance).
+ * @returns {Promise<Object>} { opened, reminded, overdue }
+ */
+export async function sendLawyerReminders() {
+  const opened = await syncLawyerReviews(LAWYER_REVIEW_SLA_HOURS);
+
+  // Relances avocats : un email par avocat avec tous ses dossiers proches de l'échéance
+  const toRemind = await getLawyerReviewsToRemind(REMINDER_HOURS_BEFORE);
+  const byLawyer = new Map();
+  for (const review of toRemind) {
+    if (!byLawyer.has(review.lawyerEmail)) {
+      byLawyer.set(review.lawyerEmail, []);
+    }
+    byLawyer.get(review.lawyerEmail).push(review);
+  }
+
+  let reminded = 0;
+  for (const [email, reviews] of byLawyer) {
+    try {
+      await sendLawyerReviewEmail({
+        to: email,
+        lawyerName: reviews[0].lawyerName,
+        kind: 'reminder',
+        reviews
+      });
+      await markLawyerReviewsNotified(reviews.map(review => review.id), 'reminder');
+      reminded += reviews.length;
+
+    } catch (error) {
+      logger.error('Erreur relance avocat:', error);
+    }
+  }
+
+  // Retards : un seul email récapitulatif à l'équipe
+  const overdueReviews = await getOverdueLawyerReviewsToNotify();
+  if (overdueReviews.length > 0) {
+    await sendOverdueLawyerReviewsEmail({ reviews: overdueReviews });
+    await markLawyerReviewsNotified(overdueReviews.map(review => review.id), 'overdue');
+  }
+
+  logger.info('Relances validation avocat:', { opened, reminded, overdue: overdueReviews.length });
+
+  return { opened, reminded, overdue: overdueReviews.length };
+}
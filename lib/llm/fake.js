@@ -0,0 +1,152 @@
+// Fournisseur LLM local et déterministe (tests, développement hors ligne)
+// Rejoue le tunnel complet : 7 questions, proposition des offres, commentaires, paiement
+
+import crypto from 'crypto';
+import { getConversationHistory } from '../db.js';
+import { replayQuestionnaire, PHASE_OFFRE, PHASE_COMMENTAIRES, PHASE_PAIEMENT } from '../questionnaire.js';
+import { getOffers, formatOfferPrice } from '../offers.js';
+
+// Questions du tunnel, par étape du questionnaire
+const FAKE_QUESTIONS = {
+  enfants: 'Avez-vous des enfants ? Si oui, quel âge ont-ils ?',
+  typeDivorce: 'Quel type de divorce envisagez-vous : amiable, contentieux, ou vous ne savez pas encore ?',
+  urgence: 'Quel est le degré d\'urgence de votre situation ?',
+  budget: 'Quel budget avez-vous prévu pour votre divorce ?',
+  attentes: 'Quelles sont vos attentes principales ?',
+  ressenti: 'Comment vous sentez-vous en ce moment ?',
+  email: 'À quelle adresse email souhaitez-vous recevoir votre analyse ?'
+};
+
+const FAKE_OFFERS_INTRO = `Merci pour vos réponses. D'après ce que vous m'avez décrit, votre situation nécessite une analyse personnalisée.
+
+Je vous propose les formules suivantes :`;
+
+const FAKE_COMMENTS_REQUEST = `Parfait, merci pour votre choix.
+
+Pour que votre analyse soit vraiment personnalisée et précise, pouvez-vous décrire votre situation en quelques phrases ?
+
+Que souhaitez-vous ajouter ?`;
+
+const FAKE_PAYMENT_READY = 'Merci pour ces précisions, je les intègrerai à votre analyse. Vous pouvez maintenant finaliser votre commande. [PAIEMENT_PRET]';
+
+// Messages ajoutés pendant la requête en cours, pas encore sauvegardés en base
+const pendingMessages = new Map();
+
+/**
+ * Toujours disponible (aucune clé requise)
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return true;
+}
+
+/**
+ * Créer une conversation locale
+ * @returns {Promise<string>} ID de conversation
+ */
+async function createConversation() {
+  return `fake_${crypto.randomUUID()}`;
+}
+
+/**
+ * Ajouter un message utilisateur à la conversation
+ * @param {string} conversationId - ID de conversation
+ * @param {string} content - Message utilisateur
+ */
+async function appendMessage(conversationId, content) {
+  const pending = pendingMessages.get(conversationId) || [];
+  pending.push({ role: 'user', content });
+  pendingMessages.set(conversationId, pending);
+}
+
+/**
+ * Générer la réponse suivante du tunnel
+ * @param {string} conversationId - ID de conversation
+ * @param {Object} options - { onDelta }
+ * @returns {Promise<string>} Réponse de l'assistant
+ */
+async function run(conversationId, { onDelta } = {}) {
+  const history = await getConversationHistory(conversationId);
+  const pending = pendingMessages.get(conversationId) || [];
+  pendingMessages.delete(conversationId);
+
+  const userMessages = [...history, ...pending]
+    .filter(msg => msg.role === 'user')
+    .map(msg => msg.content.trim());
+
+  const answer = nextReply(userMessages, await getOffers());
+
+  if (onDelta) {
+    // Découper par mots pour simuler le streaming
+    for (const chunk of answer.match(/\S+\s*/g) || []) {
+      onDelta(chunk);
+    }
+  }
+
+  return answer;
+}
+
+/**
+ * Déterminer la réponse à partir de l'état du questionnaire (exportée pour les tests)
+ * @param {Array<string>} userMessages - Messages utilisateur, dans l'ordre
+ * @param {Array} offers - Offres actives du catalogue
+ * @returns {string} Réponse
+ */
+export function nextReply(userMessages, offers) {
+  const lastMessage = userMessages[userMessages.length - 1] || '[INIT]';
+
+  if (lastMessage === '[INIT]') {
+    return `Bonjour, je suis l'assistant sosdivorce.fr et je vais vous poser quelques questions pour préparer votre analyse.\n\n${FAKE_QUESTIONS.enfants}`;
+  }
+
+  const state = replayQuestionnaire(userMessages.map(content => ({ role: 'user', content })));
+
+  if (state.step === PHASE_OFFRE) {
+    const offerLines = offers.map(offer => `- ${offer.name} à ${formatOfferPrice(offer.price)}`);
+    return `${FAKE_OFFERS_INTRO}\n${offerLines.join('\n')}`;
+  }
+
+  if (state.step === PHASE_COMMENTAIRES) {
+    return FAKE_COMMENTS_REQUEST;
+  }
+
+  if (state.step === PHASE_PAIEMENT) {
+    return FAKE_PAYMENT_READY;
+  }
+
+  return FAKE_QUESTIONS[state.step];
+}
+
+/**
+ * Récupérer la dernière réponse de l'assistant
+ * @param {string} conversationId - ID de conversation
+ * @returns {Promise<string>} Réponse de l'assistant
+ */
+async function fetchReply(conversationId) {
+  const history = await getConversationHistory(conversationId);
+  const assistantMessage = [...history].reverse().find(msg => msg.role === 'assistant');
+
+  if (!assistantMessage) {
+    throw new Error('Aucune réponse de l\'assistant');
+  }
+
+  return assistantMessage.content;
+}
+
+/**
+ * Supprimer une conversation locale (l'historique est en base)
+ * @param {string} conversationId - ID de conversation
+ */
+async function deleteConversation(conversationId) {
+  pendingMessages.delete(conversationId);
+}
+
+export default {
+  name: 'fake',
+  isConfigured,
+  createConversation,
+  appendMessage,
+  run,
+  fetchReply,
+  deleteConversation
+};
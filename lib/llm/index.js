@@ -0,0 +1,63 @@
+// Couche d'abstraction des fournisseurs LLM
+// Sélection via la variable d'environnement LLM_PROVIDER
+//
+// Chaque fournisseur expose la même interface :
+// - name : identifiant du fournisseur
+// - isConfigured() : true si les clés nécessaires sont présentes
+// - createConversation() : crée une conversation, retourne son ID (stocké dans thread_id)
+// - appendMessage(conversationId, content) : ajoute un message utilisateur
+// - run(conversationId, { instructions, onDelta }) : génère la réponse (streaming si onDelta)
+// - fetchReply(conversationId) : récupère la dernière réponse de l'assistant
+// - deleteConversation(conversationId) : supprime la conversation chez le fournisseur (RGPD)
+
+import openaiAssistants from './openai-assistants.js';
+import openaiChat from './openai-chat.js';
+import fake from './fake.js';
+
+const PROVIDERS = {
+  [openaiAssistants.name]: openaiAssistants,
+  [openaiChat.name]: openaiChat,
+  [fake.name]: fake
+};
+
+export const DEFAULT_PROVIDER = openaiAssistants.name;
+
+/**
+ * Récupérer le fournisseur LLM configuré
+ *
+ * @param {string} [name] - Nom du fournisseur (par défaut LLM_PROVIDER)
+ * @returns {Object} Fournisseur LLM
+ *
+ * @example
+ * const llm = getLLMProvider();
+ * await llm.appendMessage(session.threadId, message);
+ * const answer = await llm.run(session.threadId, { instructions });
+ */
+export function getLLMProvider(name = process.env.LLM_PROVIDER) {
+  const provider = PROVIDERS[name || DEFAULT_PROVIDER];
+
+  if (!provider) {
+    throw new Error(`Fournisseur LLM inconnu: ${name} (valeurs possibles: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return provider;
+}
+
+// Préfixes des ID de conversation créés localement (les autres sont des threads OpenAI)
+const CONVERSATION_PREFIXES = {
+  chat_: openaiChat,
+  fake_: fake
+};
+
+/**
+ * Récupérer le fournisseur qui a créé une conversation
+ * Indépendant de LLM_PROVIDER : une session créée avant un changement de fournisseur
+ * reste rattachée à celui qui détient son historique.
+ *
+ * @param {string} conversationId - ID de conversation (thread_id)
+ * @returns {Object} Fournisseur LLM
+ */
+export function getLLMProviderForConversation(conversationId) {
+  const prefix = Object.keys(CONVERSATION_PREFIXES).find(p => String(conversationId).startsWith(p));
+  return prefix ? CONVERSATION_PREFIXES[prefix] : openaiAssistants;
+}
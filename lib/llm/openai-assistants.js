@@ -0,0 +1,268 @@
+// Fournisseur LLM : OpenAI Assistants API (v2)
+// L'historique est conservé par OpenAI dans un thread
+
+import { readEventStream } from '../sse.js';
+import logger from '../logger.js';
+
+// ID de l'assistant OpenAI pour le questionnaire 7 étapes
+const ASSISTANT_ID = process.env.ASSISTANT_ID || 'asst_fmjvR1dqr6mcbpdIyOp3WaZd';
+
+// Temps maximum accordé à un run OpenAI (sous le maxDuration Vercel de 60s)
+const RUN_TIMEOUT_MS = 55000;
+
+/**
+ * En-têtes communs aux appels OpenAI Assistants v2
+ * @returns {Object} Headers HTTP
+ */
+function openaiHeaders() {
+  return {
+    'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+    'Content-Type': 'application/json',
+    'OpenAI-Beta': 'assistants=v2'
+  };
+}
+
+/**
+ * Vérifier que la clé API est présente
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return Boolean(process.env.OPENAI_API_KEY);
+}
+
+/**
+ * Créer un thread OpenAI
+ * @returns {Promise<string>} ID du thread
+ */
+async function createConversation() {
+  const threadResponse = await fetch('https://api.openai.com/v1/threads', {
+    method: 'POST',
+    headers: openaiHeaders(),
+    body: JSON.stringify({})
+  });
+
+  if (!threadResponse.ok) {
+    const errorText = await threadResponse.text();
+    logger.error('OpenAI Thread Creation Error:', threadResponse.status, errorText);
+    throw new Error('Erreur lors de la création du thread');
+  }
+
+  const threadData = await threadResponse.json();
+  return threadData.id;
+}
+
+/**
+ * Ajouter le message utilisateur au thread
+ * @param {string} threadId - ID du thread OpenAI
+ * @param {string} content - Message utilisateur
+ */
+async function appendMessage(threadId, content) {
+  const messageResponse = await fetch(`https://api.openai.com/v1/threads/${threadId}/messages`, {
+    method: 'POST',
+    headers: openaiHeaders(),
+    body: JSON.stringify({
+      role: 'user',
+      content
+    })
+  });
+
+  if (!messageResponse.ok) {
+    const errorData = await messageResponse.text();
+    logger.error('OpenAI Message Error:', messageResponse.status, errorData);
+    throw new Error('Erreur lors de l\'ajout du message');
+  }
+}
+
+/**
+ * Exécuter l'assistant sur le thread
+ * @param {string} threadId - ID du thread OpenAI
+ * @param {Object} options - { instructions, onDelta }
+ * @returns {Promise<string>} Réponse de l'assistant
+ */
+async function run(threadId, { instructions, onDelta } = {}) {
+  if (onDelta) {
+    return streamRun(threadId, instructions, onDelta);
+  }
+
+  // Exécuter l'assistant avec les instructions additionnelles
+  const runResponse = await fetch(`https://api.openai.com/v1/threads/${threadId}/runs`, {
+    method: 'POST',
+    headers: openaiHeaders(),
+    body: JSON.stringify({
+      assistant_id: ASSISTANT_ID,
+      additional_instructions: instructions
+    })
+  });
+
+  if (!runResponse.ok) {
+    const errorData = await runResponse.text();
+    logger.error('OpenAI Run Error:', runResponse.status, errorData);
+    throw new Error('Erreur lors de l\'exécution de l\'assistant');
+  }
+
+  const runData = await runResponse.json();
+  const runId = runData.id;
+
+  // Attendre que l'exécution soit terminée (polling)
+  let runStatus = 'queued';
+  let attempts = 0;
+  const maxAttempts = 60; // 60 secondes maximum
+
+  while (runStatus !== 'completed' && attempts < maxAttempts) {
+    await new Promise(resolve => setTimeout(resolve, 1000)); // Attendre 1 seconde
+
+    const statusResponse = await fetch(`https://api.openai.com/v1/threads/${threadId}/runs/${runId}`, {
+      headers: openaiHeaders()
+    });
+
+    if (!statusResponse.ok) {
+      logger.error('OpenAI Status Check Error:', statusResponse.status);
+      throw new Error('Erreur lors de la vérification du statut');
+    }
+
+    const statusData = await statusResponse.json();
+    runStatus = statusData.status;
+
+    logger.debug(`Assistant run status (attempt ${attempts}):`, runStatus);
+
+    if (runStatus === 'failed' || runStatus === 'cancelled' || runStatus === 'expired') {
+      logger.error('Assistant run failed with status:', runStatus, 'Details:', statusData);
+      throw new Error('L\'assistant n\'a pas pu traiter la demande');
+    }
+
+    attempts++;
+  }
+
+  if (runStatus !== 'completed') {
+    logger.error('Assistant timeout after', attempts, 'attempts. Last status:', runStatus);
+    throw new Error('Timeout: L\'assistant met trop de temps à répondre');
+  }
+
+  return fetchReply(threadId);
+}
+
+/**
+ * Récupérer la dernière réponse de l'assistant dans le thread
+ * @param {string} threadId - ID du thread OpenAI
+ * @returns {Promise<string>} Réponse de l'assistant
+ */
+async function fetchReply(threadId) {
+  const messagesResponse = await fetch(`https://api.openai.com/v1/threads/${threadId}/messages`, {
+    headers: openaiHeaders()
+  });
+
+  if (!messagesResponse.ok) {
+    logger.error('OpenAI Messages Retrieval Error:', messagesResponse.status);
+    throw new Error('Erreur lors de la récupération des messages');
+  }
+
+  const messagesData = await messagesResponse.json();
+
+  // Récupérer le dernier message de l'assistant
+  const assistantMessage = messagesData.data.find(msg => msg.role === 'assistant');
+
+  if (!assistantMessage || !assistantMessage.content || assistantMessage.content.length === 0) {
+    throw new Error('Aucune réponse de l\'assistant');
+  }
+
+  return assistantMessage.content[0].text.value;
+}
+
+/**
+ * Exécuter l'assistant en streaming et relayer chaque fragment de texte
+ * @param {string} threadId - ID du thread OpenAI
+ * @param {string} instructions - Instructions additionnelles
+ * @param {Function} onDelta - Appelée avec chaque fragment de texte reçu
+ * @returns {Promise<string>} Réponse complète de l'assistant
+ */
+async function streamRun(threadId, instructions, onDelta) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), RUN_TIMEOUT_MS);
+
+  try {
+    const runResponse = await fetch(`https://api.openai.com/v1/threads/${threadId}/runs`, {
+      method: 'POST',
+      headers: openaiHeaders(),
+      body: JSON.stringify({
+        assistant_id: ASSISTANT_ID,
+        additional_instructions: instructions,
+        stream: true
+      }),
+      signal: controller.signal
+    });
+
+    if (!runResponse.ok) {
+      const errorData = await runResponse.text();
+      logger.error('OpenAI Run Error:', runResponse.status, errorData);
+      throw new Error('Erreur lors de l\'exécution de l\'assistant');
+    }
+
+    let answer = '';
+    let completed = false;
+
+    for await (const { event, data } of readEventStream(runResponse)) {
+      if (event === 'thread.message.delta') {
+        const delta = JSON.parse(data).delta;
+
+        for (const part of delta?.content || []) {
+          if (part.type === 'text' && part.text?.value) {
+            answer += part.text.value;
+            onDelta(part.text.value);
+          }
+        }
+      } else if (event === 'thread.run.completed') {
+        completed = true;
+      } else if (['thread.run.failed', 'thread.run.cancelled', 'thread.run.expired'].includes(event)) {
+        logger.error('Assistant run failed with event:', event, 'Details:', data);
+        throw new Error('L\'assistant n\'a pas pu traiter la demande');
+      } else if (event === 'error') {
+        logger.error('OpenAI Stream Error:', data);
+        throw new Error('Erreur lors du streaming de la réponse');
+      }
+    }
+
+    if (!completed || !answer) {
+      throw new Error('Aucune réponse de l\'assistant');
+    }
+
+    return answer;
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      logger.error('Assistant stream timeout after', RUN_TIMEOUT_MS, 'ms');
+      throw new Error('Timeout: L\'assistant met trop de temps à répondre');
+    }
+    throw error;
+
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Supprimer le thread OpenAI (droit à l'effacement)
+ * Un thread introuvable (déjà supprimé ou expiré) n'est pas une erreur.
+ * @param {string} threadId - ID du thread OpenAI
+ */
+async function deleteConversation(threadId) {
+  const response = await fetch(`https://api.openai.com/v1/threads/${threadId}`, {
+    method: 'DELETE',
+    headers: openaiHeaders()
+  });
+
+  if (!response.ok && response.status !== 404) {
+    const errorText = await response.text();
+    logger.error('OpenAI Thread Deletion Error:', response.status, errorText);
+    throw new Error('Erreur lors de la suppression du thread');
+  }
+}
+
+export default {
+  name: 'openai-assistants',
+  isConfigured,
+  createConversation,
+  appendMessage,
+  run,
+  fetchReply,
+  deleteConversation
+};
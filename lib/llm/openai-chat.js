@@ -0,0 +1,174 @@
+// Fournisseur LLM : OpenAI Chat Completions
+// L'historique est relu depuis notre table session_messages
+
+import crypto from 'crypto';
+import { getConversationHistory } from '../db.js';
+import { readEventStream } from '../sse.js';
+import logger from '../logger.js';
+
+// Modèle utilisé pour les réponses
+const CHAT_MODEL = process.env.OPENAI_CHAT_MODEL || 'gpt-4o-mini';
+
+// Temps maximum accordé à une génération (sous le maxDuration Vercel de 60s)
+const RUN_TIMEOUT_MS = 55000;
+
+// Prompt système (remplace les instructions configurées sur l'assistant OpenAI)
+const SYSTEM_PROMPT = `Tu es l'assistant de sosdivorce.fr, spécialisé dans le divorce en droit français.
+Tu réponds toujours en français, avec empathie, de manière claire et concise.
+Tu ne donnes pas de conseil juridique définitif : tu prépares une analyse personnalisée.`;
+
+// Messages ajoutés pendant la requête en cours, pas encore sauvegardés en base
+const pendingMessages = new Map();
+
+// Dernière réponse générée par conversation (bornée pour les instances réutilisées)
+const lastReplies = new Map();
+const MAX_CACHED_REPLIES = 100;
+
+/**
+ * Vérifier que la clé API est présente
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return Boolean(process.env.OPENAI_API_KEY);
+}
+
+/**
+ * Créer une conversation (identifiant local, aucun appel réseau)
+ * @returns {Promise<string>} ID de conversation
+ */
+async function createConversation() {
+  return `chat_${crypto.randomUUID()}`;
+}
+
+/**
+ * Ajouter un message utilisateur à la conversation
+ * @param {string} conversationId - ID de conversation
+ * @param {string} content - Message utilisateur
+ */
+async function appendMessage(conversationId, content) {
+  const pending = pendingMessages.get(conversationId) || [];
+  pending.push({ role: 'user', content });
+  pendingMessages.set(conversationId, pending);
+}
+
+/**
+ * Générer la réponse à partir de l'historique en base
+ * @param {string} conversationId - ID de conversation
+ * @param {Object} options - { instructions, onDelta }
+ * @returns {Promise<string>} Réponse de l'assistant
+ */
+async function run(conversationId, { instructions, onDelta } = {}) {
+  const history = await getConversationHistory(conversationId);
+  const pending = pendingMessages.get(conversationId) || [];
+
+  const messages = [
+    { role: 'system', content: instructions ? `${SYSTEM_PROMPT}\n\n${instructions}` : SYSTEM_PROMPT },
+    ...history.map(msg => ({ role: msg.role, content: msg.content })),
+    ...pending
+  ];
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), RUN_TIMEOUT_MS);
+
+  try {
+    const response = await fetch('https://api.openai.com/v1/chat/completions', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: CHAT_MODEL,
+        messages,
+        stream: Boolean(onDelta)
+      }),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.text();
+      logger.error('OpenAI Chat Completion Error:', response.status, errorData);
+      throw new Error('Erreur lors de la génération de la réponse');
+    }
+
+    let answer = '';
+
+    if (onDelta) {
+      for await (const { data } of readEventStream(response)) {
+        if (data === '[DONE]') {
+          break;
+        }
+
+        const content = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (content) {
+          answer += content;
+          onDelta(content);
+        }
+      }
+    } else {
+      const completion = await response.json();
+      answer = completion.choices?.[0]?.message?.content || '';
+    }
+
+    if (!answer) {
+      throw new Error('Aucune réponse de l\'assistant');
+    }
+
+    lastReplies.delete(conversationId);
+    lastReplies.set(conversationId, answer);
+    if (lastReplies.size > MAX_CACHED_REPLIES) {
+      lastReplies.delete(lastReplies.keys().next().value);
+    }
+    return answer;
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      logger.error('Chat completion timeout after', RUN_TIMEOUT_MS, 'ms');
+      throw new Error('Timeout: L\'assistant met trop de temps à répondre');
+    }
+    throw error;
+
+  } finally {
+    clearTimeout(timeout);
+    pendingMessages.delete(conversationId);
+  }
+}
+
+/**
+ * Récupérer la dernière réponse de l'assistant
+ * @param {string} conversationId - ID de conversation
+ * @returns {Promise<string>} Réponse de l'assistant
+ */
+async function fetchReply(conversationId) {
+  if (lastReplies.has(conversationId)) {
+    return lastReplies.get(conversationId);
+  }
+
+  const history = await getConversationHistory(conversationId);
+  const assistantMessage = [...history].reverse().find(msg => msg.role === 'assistant');
+
+  if (!assistantMessage) {
+    throw new Error('Aucune réponse de l\'assistant');
+  }
+
+  return assistantMessage.content;
+}
+
+/**
+ * Supprimer une conversation : rien n'est conservé chez OpenAI, seul le cache local est vidé
+ * @param {string} conversationId - ID de conversation
+ */
+async function deleteConversation(conversationId) {
+  pendingMessages.delete(conversationId);
+  lastReplies.delete(conversationId);
+}
+
+export default {
+  name: 'openai-chat',
+  isConfigured,
+  createConversation,
+  appendMessage,
+  run,
+  fetchReply,
+  deleteConversation
+};
@@ -0,0 +1,187 @@
+// Migrations du schéma de la base de données (dossier migrations/)
+// La table schema_migrations enregistre les versions appliquées. Chaque migration s'exécute
+// dans sa propre transaction, sous un verrou consultatif : deux exécutions simultanées
+// (CLI et déploiement) ne peuvent pas appliquer la même migration deux fois.
+// Les migrations initiales reprennent les instructions idempotentes de l'ancien /api/setup-db :
+// une base existante les enregistre sans changement, une base vide atteint le schéma de production.
+
+import { db } from '@vercel/postgres';
+import { MIGRATIONS } from '../migrations/index.js';
+import logger from './logger.js';
+
+// Identifiant du verrou consultatif PostgreSQL (pg_advisory_xact_lock)
+const MIGRATIONS_LOCK_ID = 726354001;
+
+/**
+ * Vérifier la liste des migrations (versions croissantes, up et down présents)
+ * @returns {Array} Migrations
+ */
+export function getMigrations() {
+  MIGRATIONS.forEach((migration, index) => {
+    if (migration.version !== index + 1) {
+      throw new Error(`Migration ${migration.name} : version ${migration.version} attendue ${index + 1}`);
+    }
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${migration.version} (${migration.name}) : up et down requis`);
+    }
+  });
+
+  return MIGRATIONS;
+}
+
+/**
+ * Créer la table schema_migrations si elle n'existe pas
+ * @param {Object} client - Client de la transaction
+ */
+async function ensureMigrationsTable(client) {
+  await client.sql`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+}
+
+/**
+ * Versions appliquées
+ * @param {Object} client - Client de la transaction
+ * @returns {Promise<Array>} [{ version, name, appliedAt }]
+ */
+async function getAppliedMigrations(client) {
+  const result = await client.sql`
+    SELECT version, name, applied_at FROM schema_migrations ORDER BY version
+  `;
+
+  return result.rows.map(row => ({
+    version: row.version,
+    name: row.name,
+    appliedAt: row.applied_at
+  }));
+}
+
+/**
+ * Exécuter une fonction dans une transaction verrouillée
+ * @param {Function} callback - Reçoit le client (client.sql)
+ * @returns {Promise<*>} Résultat de callback
+ */
+async function withMigrationLock(callback) {
+  const client = await db.connect();
+
+  try {
+    await client.sql`BEGIN`;
+    await client.sql`SELECT pg_advisory_xact_lock(${MIGRATIONS_LOCK_ID})`;
+    await ensureMigrationsTable(client);
+
+    const result = await callback(client);
+
+    await client.sql`COMMIT`;
+    return result;
+  } catch (error) {
+    await client.sql`ROLLBACK`;
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * État des migrations : appliquées, en attente et versions inconnues de ce code
+ * @returns {Promise<Object>} { current, latest, applied, pending, unknown }
+ */
+export async function getMigrationStatus() {
+  const migrations = getMigrations();
+  const applied = await withMigrationLock(client => getAppliedMigrations(client));
+  const appliedVersions = new Set(applied.map(migration => migration.version));
+  const knownVersions = new Set(migrations.map(migration => migration.version));
+
+  return {
+    current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+    latest: migrations.length,
+    applied,
+    pending: migrations
+      .filter(migration => !appliedVersions.has(migration.version))
+      .map(({ version, name, description }) => ({ version, name, description })),
+    // Appliquées par un code plus récent (retour en arrière du déploiement)
+    unknown: applied.filter(migration => !knownVersions.has(migration.version))
+  };
+}
+
+/**
+ * Appliquer les migrations en attente, dans l'ordre
+ * @param {Object} [options] - { to: dernière version à appliquer }
+ * @returns {Promise<Array>} Migrations appliquées [{ version, name }]
+ */
+export async function migrateUp({ to } = {}) {
+  const migrations = getMigrations();
+  const target = to ?? migrations.length;
+  const done = [];
+
+  for (const migration of migrations) {
+    if (migration.version > target) break;
+
+    const applied = await withMigrationLock(async client => {
+      const existing = await client.sql`SELECT 1 FROM schema_migrations WHERE version = ${migration.version}`;
+      if (existing.rows.length > 0) {
+        return false;
+      }
+
+      await migration.up(client.sql.bind(client));
+      await client.sql`
+        INSERT INTO schema_migrations (version, name)
+        VALUES (${migration.version}, ${migration.name})
+      `;
+      return true;
+    });
+
+    if (applied) {
+      logger.info('Migration appliquée:', { version: migration.version, name: migration.name });
+      done.push({ version: migration.version, name: migration.name });
+    }
+  }
+
+  return done;
+}
+
+/**
+ * Annuler les dernières migrations appliquées (down), de la plus récente à la plus ancienne
+ * @param {Object} [options] - { steps: nombre de migrations à annuler }
+ * @returns {Promise<Array>} Migrations annulées [{ version, name }]
+ */
+export async function migrateDown({ steps = 1 } = {}) {
+  const migrations = getMigrations();
+  const done = [];
+
+  for (let i = 0; i < steps; i++) {
+    const reverted = await withMigrationLock(async client => {
+      const applied = await getAppliedMigrations(client);
+      const last = applied[applied.length - 1];
+      if (!last) {
+        return null;
+      }
+
+      const migration = migrations.find(m => m.version === last.version);
+      if (!migration) {
+        throw new Error(`Migration ${last.version} (${last.name}) absente de ce code : impossible de l'annuler`);
+      }
+
+      await migration.down(client.sql.bind(client));
+      await client.sql`DELETE FROM schema_migrations WHERE version = ${migration.version}`;
+      return { version: migration.version, name: migration.name };
+    });
+
+    if (!reverted) break;
+
+    logger.info('Migration annulée:', reverted);
+    done.push(reverted);
+  }
+
+  return done;
+}
+
+/**
+ * Fermer les connexions (fin du script en ligne de commande)
+ */
+export async function closeMigrationConnection() {
+  await db.end();
+}
@@ -0,0 +1,103 @@
+// Catalogue des offres (table offers)
+// Source unique pour les boutons du chat, les instructions de l'assistant,
+// la validation des paiements et les libellés des emails.
+// Le catalogue est gardé en mémoire 60 s par instance : une modification
+// depuis l'admin est visible partout au plus tard une minute après.
+
+import { getAllOffers } from './db.js';
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Format des codes d'offre (utilisé dans [CHOIX_OFFRE:code])
+export const OFFER_CODE_REGEX = /^[a-z0-9_-]{2,50}$/;
+
+let cachedOffers = null;
+let cacheExpiresAt = 0;
+
+/**
+ * Récupérer les offres du catalogue, dans l'ordre d'affichage
+ * @param {Object} options - { includeInactive } (offres retirées incluses, pour l'historique)
+ * @returns {Promise<Array>} Offres
+ */
+export async function getOffers({ includeInactive = false } = {}) {
+  if (!cachedOffers || Date.now() > cacheExpiresAt) {
+    cachedOffers = await getAllOffers();
+    cacheExpiresAt = Date.now() + CACHE_TTL_MS;
+  }
+
+  return includeInactive ? cachedOffers : cachedOffers.filter(offer => offer.active);
+}
+
+/**
+ * Récupérer une offre par son code
+ * @param {string} code - Code de l'offre (ex: premium)
+ * @param {Object} options - { includeInactive }
+ * @returns {Promise<Object|null>} Offre ou null
+ */
+export async function getOffer(code, { includeInactive = false } = {}) {
+  if (!code) return null;
+  const offers = await getOffers({ includeInactive });
+  return offers.find(offer => offer.code === code) || null;
+}
+
+/**
+ * Vider le cache après une modification du catalogue
+ */
+export function clearOffersCache() {
+  cachedOffers = null;
+  cacheExpiresAt = 0;
+}
+
+/**
+ * Formater un prix en centimes (29€, 44,10€)
+ * @param {number} cents - Montant en centimes
+ * @returns {string} Prix affiché
+ */
+export function formatOfferPrice(cents) {
+  const euros = cents / 100;
+  return Number.isInteger(euros) ? `${euros}€` : `${euros.toFixed(2).replace('.', ',')}€`;
+}
+
+/**
+ * Champs exposés au navigateur
+ * @param {Object} offer - Offre du catalogue
+ * @returns {Object} { code, name, shortName, description, price, recommended }
+ */
+export function toPublicOffer(offer) {
+  return {
+    code: offer.code,
+    name: offer.name,
+    shortName: offer.shortName,
+    description: offer.description,
+    price: offer.price,
+    recommended: offer.recommended
+  };
+}
+
+/**
+ * Liste des offres à proposer, pour les instructions de l'assistant
+ * @param {Array} offers - Offres actives
+ * @returns {string} Instructions
+ */
+export function describeOffersForAssistant(offers) {
+  const lines = offers.map(offer =>
+    `- ${offer.name} à ${formatOfferPrice(offer.price)}${offer.description ? ` : ${offer.description}` : ''}`
+  );
+
+  return `FORMULES À PROPOSER (catalogue en vigueur, ne cite aucune autre formule ni aucun autre prix) :\n${lines.join('\n')}`;
+}
+
+/**
+ * Vérifier si une réponse de l'assistant cite une offre (nom ou prix)
+ * @param {string} text - Réponse de l'assistant
+ * @param {Object} offer - Offre du catalogue
+ * @returns {boolean}
+ */
+export function isOfferMentioned(text, offer) {
+  const euros = offer.price / 100;
+  const prices = [formatOfferPrice(offer.price), `${euros} €`, `${euros.toFixed(2).replace('.', ',')} €`];
+
+  return text.includes(offer.name)
+    || text.includes(offer.shortName)
+    || prices.some(price => text.includes(price));
+}
@@ -0,0 +1,386 @@
+// Pipeline de finalisation des paiements
+// Partagé par /api/verify-payment (navigateur) et /api/stripe-webhook (Stripe),
+// qui peuvent s'exécuter en parallèle pour la même session : chaque étape est idempotente.
+
+import {
+  getSession,
+  markSessionPaid,
+  getSessionMessages,
+  claimAdminNotification,
+  releaseAdminNotification,
+  startSessionCheckout,
+  markSessionPaymentFailed,
+  recordSessionRefund,
+  recordSessionDispute,
+  addPaymentRefund,
+  claimInvoiceSending,
+  releaseInvoiceSending
+} from './db.js';
+import { sendAnalysisEmail, sendPaymentConfirmationEmail } from './email.js';
+import { issuePaymentInvoice, issueCreditNote, renderInvoicePdf, getInvoiceFilename } from './invoices.js';
+import { createAnalysisDraft } from './review.js';
+import { openLawyerReview } from './lawyers.js';
+import logger from './logger.js';
+import Stripe from 'stripe';
+
+// Motifs de remboursement acceptés par Stripe
+export const REFUND_REASONS = ['requested_by_customer', 'duplicate', 'fraudulent'];
+
+/**
+ * Client Stripe (clé secrète du serveur)
+ * @returns {Stripe}
+ */
+function getStripeClient() {
+  if (!process.env.STRIPE_SECRET_KEY) {
+    throw new Error('STRIPE_SECRET_KEY manquante');
+  }
+  return new Stripe(process.env.STRIPE_SECRET_KEY);
+}
+
+/**
+ * Finaliser un paiement réussi
+ * Seul l'appel qui passe la session au statut paid compte le paiement ; la facture, les emails et le
+ * dossier avocat sont repris à chaque appel tant qu'ils manquent (finalisation interrompue, webhook rejoué).
+ * L'analyse n'est pas envoyée au client ici : un brouillon part en relecture (lib/review.js).
+ *
+ * @param {string} sessionUuid - UUID de la session
+ * @param {Object} options - { paymentIntentId, source }
+ * @returns {Promise<Object>} { completed, alreadyPaid, adminNotified, invoiceNumber, session }
+ *
+ * @example
+ * const result = await completePayment(sessionId, { paymentIntentId, source: 'webhook' });
+ */
+export async function completePayment(sessionUuid, { paymentIntentId, source }) {
+  const session = await getSession(sessionUuid);
+
+  if (!session) {
+    throw new Error('Session non trouvée');
+  }
+
+  // 1. Passer la session à payée et compter le code promo (un seul appel gagnant)
+  const claimed = await markSessionPaid(sessionUuid, session.email);
+
+  // 2. Recharger la session à jour (statut, date de paiement)
+  const paidSession = await getSession(sessionUuid);
+
+  if (claimed) {
+    logger.info('Paiement finalisé:', {
+      sessionUuid,
+      paymentIntentId,
+      source,
+      expertise: paidSession.expertise,
+      amount: paidSession.amount,
+      email: paidSession.email
+    });
+  } else {
+    logger.info('Paiement déjà finalisé, reprise des étapes manquantes:', { sessionUuid, paymentIntentId, source });
+  }
+
+  // Session remboursée entre-temps : la facture reste due (base des avoirs), pas la relecture
+  const refunded = paidSession.status === 'refunded';
+
+  // 3. Émettre la facture (une seule par session) et l'envoyer au client si ce n'est pas déjà fait
+  let invoiceNumber = null;
+
+  try {
+    const invoice = await issuePaymentInvoice(paidSession);
+    invoiceNumber = invoice.number;
+
+    if (paidSession.email && !invoice.sentAt && await claimInvoiceSending(invoice.id)) {
+      try {
+        await sendPaymentConfirmationEmail({
+          to: paidSession.email,
+          expertise: paidSession.expertise,
+          amount: paidSession.amount,
+          invoice: {
+            number: invoice.number,
+            filename: getInvoiceFilename(invoice),
+            pdf: renderInvoicePdf(invoice)
+          }
+        });
+      } catch (emailError) {
+        await releaseInvoiceSending(invoice.id);
+        throw emailError;
+      }
+    }
+
+  } catch (invoiceError) {
+    // Ne pas bloquer la finalisation : reprise au prochain appel, ou émission depuis l'admin
+    logger.error('Erreur facture / email de confirmation (paiement validé quand même):', invoiceError);
+  }
+
+  // 4. Préparer le brouillon d'analyse et notifier l'équipe (relecture dans l'admin)
+  let adminNotified = Boolean(paidSession.adminNotifiedAt);
+
+  try {
+    if (!adminNotified && !refunded && await claimAdminNotification(sessionUuid)) {
+      try {
+        const draft = await createAnalysisDraft(paidSession);
+        const messages = await getSessionMessages(paidSession.id);
+
+        await sendAnalysisEmail({
+          to: paidSession.email,
+          expertise: paidSession.expertise,
+          messages,
+          amount: paidSession.amount,
+          paymentIntentId,
+          questionnaire: paidSession.questionnaireData,
+          analysis: draft
+        });
+      } catch (notifyError) {
+        await releaseAdminNotification(sessionUuid);
+        throw notifyError;
+      }
+
+      adminNotified = true;
+
+      logger.info('Analyse à relire, équipe notifiée:', {
+        sessionUuid,
+        email: paidSession.email,
+        expertise: paidSession.expertise
+      });
+    }
+
+  } catch (reviewError) {
+    // Ne pas bloquer la finalisation : reprise au prochain appel, ou relecture ouverte depuis l'admin
+    logger.error('Erreur brouillon / notification équipe (paiement validé quand même):', reviewError);
+  }
+
+  // 5. Offres validées par un avocat : ouvrir le dossier (échéance paid_at + 48 h)
+  try {
+    if (!refunded && await openLawyerReview(paidSession)) {
+      logger.info('Dossier de validation avocat ouvert:', { sessionUuid, expertise: paidSession.expertise });
+    }
+  } catch (lawyerError) {
+    // Ne pas bloquer la finalisation : les dossiers manquants sont ouverts à la prochaine relance
+    logger.error('Erreur ouverture dossier avocat (paiement validé quand même):', lawyerError);
+  }
+
+  return {
+    completed: Boolean(claimed),
+    alreadyPaid: !claimed,
+    adminNotified,
+    invoiceNumber,
+    session: paidSession
+  };
+}
+
+/**
+ * Rembourser tout ou partie d'une session payée (action admin)
+ * Le montant et le motif doivent avoir été validés par l'appelant.
+ *
+ * @param {Object} session - Session payée (getSession)
+ * @param {Object} options - { amount (centimes), reason, note, createdBy }
+ * @returns {Promise<Object>} { refund, refundedAmount, paymentStatus }
+ *
+ * @example
+ * const result = await refundPayment(session, { amount: 2900, reason: 'requested_by_customer' });
+ */
+export async function refundPayment(session, { amount, reason, note = null, createdBy = 'admin' }) {
+  const stripe = getStripeClient();
+
+  // Clé d'idempotence liée à l'état courant : un double clic ne rembourse pas deux fois
+  const refund = await stripe.refunds.create({
+    payment_intent: session.paymentIntentId,
+    amount,
+    reason,
+    metadata: {
+      sessionId: session.sessionUuid,
+      createdBy,
+      ...(note ? { note: note.slice(0, 500) } : {})
+    }
+  }, {
+    idempotencyKey: `refund_${session.sessionUuid}_${session.refundedAmount}_${amount}`
+  });
+
+  await addPaymentRefund(session.id, {
+    stripeRefundId: refund.id,
+    paymentIntentId: session.paymentIntentId,
+    amount: refund.amount,
+    reason: refund.reason || reason,
+    note,
+    status: refund.status,
+    createdBy
+  });
+
+  const creditNote = await issueCreditNote(session.id, {
+    stripeRefundId: refund.id,
+    amount: refund.amount,
+    status: refund.status,
+    createdAt: refund.created ? new Date(refund.created * 1000) : null
+  });
+
+  // Montant cumulé tel que vu par Stripe (inclut les remboursements faits ailleurs)
+  const charge = await stripe.charges.retrieve(refund.charge);
+  const updated = await recordSessionRefund(session.paymentIntentId, charge.amount_refunded);
+
+  logger.info('Remboursement effectué:', {
+    sessionUuid: session.sessionUuid,
+    refundId: refund.id,
+    amount: refund.amount,
+    reason,
+    refundedAmount: charge.amount_refunded
+  });
+
+  return {
+    refund: {
+      id: refund.id,
+      amount: refund.amount,
+      reason: refund.reason,
+      status: refund.status
+    },
+    refundedAmount: charge.amount_refunded,
+    paymentStatus: updated?.payment_status || null,
+    creditNoteNumber: creditNote?.number || null
+  };
+}
+
+/**
+ * Traiter un événement Stripe déjà vérifié (signature) et réservé (idempotence)
+ *
+ * @param {Object} event - Événement Stripe
+ * @returns {Promise<Object>} Résumé du traitement
+ */
+export async function handleStripeEvent(event) {
+  const object = event.data.object;
+
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      return handlePaymentSucceeded(object);
+
+    case 'payment_intent.payment_failed':
+      return handlePaymentFailed(object);
+
+    case 'charge.refunded':
+      return handleChargeRefunded(object);
+
+    case 'charge.dispute.created':
+    case 'charge.dispute.updated':
+    case 'charge.dispute.closed': {
+      const session = await recordSessionDispute(object.payment_intent, object.status);
+      return { handled: true, dispute: object.status, sessionId: session?.session_uuid || null };
+    }
+
+    default:
+      logger.debug('Événement Stripe ignoré:', event.type);
+      return { handled: false };
+  }
+}
+
+/**
+ * payment_intent.succeeded : finaliser la session indiquée dans les metadata
+ * @param {Object} paymentIntent - PaymentIntent Stripe
+ * @returns {Promise<Object>} Résumé du traitement
+ */
+async function handlePaymentSucceeded(paymentIntent) {
+  const sessionUuid = paymentIntent.metadata?.sessionId;
+
+  if (!sessionUuid) {
+    logger.warn('PaymentIntent sans sessionId dans les metadata:', paymentIntent.id);
+    return { handled: false, reason: 'missing_session_id' };
+  }
+
+  const session = await getSession(sessionUuid);
+
+  if (!session) {
+    logger.warn('Session introuvable pour PaymentIntent:', { sessionUuid, paymentIntentId: paymentIntent.id });
+    return { handled: false, reason: 'session_not_found' };
+  }
+
+  // Le client a pu créer plusieurs PaymentIntents (changement d'offre) : celui payé fait foi
+  if (session.paymentIntentId !== paymentIntent.id && !session.paid) {
+    logger.warn('PaymentIntent payé différent de celui de la session, mise à jour:', {
+      sessionUuid,
+      expected: session.paymentIntentId,
+      received: paymentIntent.id
+    });
+    await startSessionCheckout(
+      sessionUuid,
+      paymentIntent.metadata?.expertise || session.expertise,
+      paymentIntent.amount,
+      paymentIntent.id,
+      {
+        code: paymentIntent.metadata?.promoCode || null,
+        discountAmount: parseInt(paymentIntent.metadata?.discountAmount) || 0
+      }
+    );
+  }
+
+  const result = await completePayment(sessionUuid, {
+    paymentIntentId: paymentIntent.id,
+    source: 'webhook'
+  });
+
+  return {
+    handled: true,
+    sessionId: sessionUuid,
+    completed: result.completed,
+    alreadyPaid: result.alreadyPaid,
+    adminNotified: result.adminNotified
+  };
+}
+
+/**
+ * payment_intent.payment_failed : enregistrer l'échec sur la session
+ * @param {Object} paymentIntent - PaymentIntent Stripe
+ * @returns {Promise<Object>} Résumé du traitement
+ */
+async function handlePaymentFailed(paymentIntent) {
+  const sessionUuid = paymentIntent.metadata?.sessionId;
+
+  if (!sessionUuid) {
+    return { handled: false, reason: 'missing_session_id' };
+  }
+
+  const errorMessage = paymentIntent.last_payment_error?.message || 'Paiement refusé';
+  await markSessionPaymentFailed(sessionUuid, errorMessage);
+
+  return { handled: true, sessionId: sessionUuid, failed: true };
+}
+
+/**
+ * charge.refunded : mettre à jour le montant remboursé et synchroniser les remboursements
+ * (y compris ceux faits depuis le dashboard Stripe)
+ * @param {Object} charge - Charge Stripe
+ * @returns {Promise<Object>} Résumé du traitement
+ */
+async function handleChargeRefunded(charge) {
+  const session = await recordSessionRefund(charge.payment_intent, charge.amount_refunded);
+
+  if (!session) {
+    return { handled: false, reason: 'session_not_found', refunded: charge.amount_refunded };
+  }
+
+  // La liste des remboursements n'est plus incluse dans la charge depuis l'API 2022-11-15
+  const refunds = charge.refunds?.data
+    || (await getStripeClient().refunds.list({ charge: charge.id, limit: 100 })).data;
+
+  let added = 0;
+  for (const refund of refunds) {
+    const created = await addPaymentRefund(session.id, {
+      stripeRefundId: refund.id,
+      paymentIntentId: charge.payment_intent,
+      amount: refund.amount,
+      reason: refund.reason,
+      note: refund.metadata?.note || null,
+      status: refund.status,
+      createdBy: refund.metadata?.createdBy || 'stripe'
+    });
+    if (created) added++;
+
+    // Idempotent : un avoir par remboursement, repris si une tentative précédente a échoué
+    await issueCreditNote(session.id, {
+      stripeRefundId: refund.id,
+      amount: refund.amount,
+      status: refund.status,
+      createdAt: refund.created ? new Date(refund.created * 1000) : null
+    });
+  }
+
+  return {
+    handled: true,
+    refunded: charge.amount_refunded,
+    refundsAdded: added,
+    sessionId: session.session_uuid
+  };
+}
@@ -0,0 +1,319 @@
+// Génération de documents PDF simples (texte, traits, rectangles)
+// Sans dépendance : polices standard Helvetica / Helvetica-Bold (encodage WinAnsi,
+// accents et € pris en charge), une page A4 = un flux de contenu compressé.
+// Coordonnées en points depuis le coin supérieur gauche de la page.
+
+import zlib from 'zlib';
+
+export const PAGE_WIDTH = 595.28;
+export const PAGE_HEIGHT = 841.89;
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica' },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold' }
+};
+
+// Largeurs des caractères ASCII 32 à 126 (métriques Adobe, millièmes de point)
+const CHAR_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// Caractères hors Latin-1 présents dans WinAnsiEncoding
+const WIN_ANSI_EXTRA = {
+  '€': 0x80, '…': 0x85, 'Œ': 0x8C, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '•': 0x95, '–': 0x96, '—': 0x97, 'œ': 0x9C, ' ': 0xA0
+};
+
+/**
+ * Largeur d'un caractère (les lettres accentuées ont la largeur de la lettre de base)
+ * @param {string} char - Caractère
+ * @param {string} font - regular | bold
+ * @returns {number} Largeur en millièmes de point
+ */
+function charWidth(char, font) {
+  const base = char.normalize('NFD').charCodeAt(0);
+  if (base >= 32 && base <= 126) {
+    return CHAR_WIDTHS[font][base - 32];
+  }
+  return 556;
+}
+
+/**
+ * Largeur d'un texte
+ * @param {string} text - Texte
+ * @param {Object} options - { font, size }
+ * @returns {number} Largeur en points
+ */
+export function measureText(text, { font = 'regular', size = 10 } = {}) {
+  let width = 0;
+  for (const char of String(text)) {
+    width += charWidth(char, font);
+  }
+  return width * size / 1000;
+}
+
+/**
+ * Découper un texte en lignes tenant dans une largeur donnée
+ * @param {string} text - Texte (les retours à la ligne sont conservés)
+ * @param {number} maxWidth - Largeur maximale en points
+ * @param {Object} options - { font, size }
+ * @returns {Array<string>} Lignes
+ */
+export function wrapText(text, maxWidth, options = {}) {
+  const lines = [];
+
+  for (const paragraph of String(text).split('\n')) {
+    let line = '';
+
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && measureText(candidate, options) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+/**
+ * Encoder un texte en chaîne PDF littérale (WinAnsi)
+ * @param {string} text - Texte
+ * @returns {string} Chaîne PDF, ex: (Facture n\260 1)
+ */
+function encodeText(text) {
+  let encoded = '';
+
+  for (const char of String(text).normalize('NFC')) {
+    let code = char.charCodeAt(0);
+    if (WIN_ANSI_EXTRA[char]) {
+      code = WIN_ANSI_EXTRA[char];
+    } else if (code > 0xFF || (code >= 0x80 && code < 0xA0) || code < 0x20) {
+      code = 0x3F; // ?
+    }
+
+    if (char === '(' || char === ')' || char === '\\') {
+      encoded += '\\' + char;
+    } else if (code < 0x80) {
+      encoded += String.fromCharCode(code);
+    } else {
+      encoded += '\\' + code.toString(8).padStart(3, '0');
+    }
+  }
+
+  return `(${encoded})`;
+}
+
+/**
+ * Convertir une couleur #rrggbb en composantes PDF (0 à 1)
+ * @param {string} hex - Couleur
+ * @returns {string} "r g b"
+ */
+function toPdfColor(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [value >> 16, (value >> 8) & 0xFF, value & 0xFF]
+    .map(component => (component / 255).toFixed(3))
+    .join(' ');
+}
+
+/**
+ * Formater un nombre pour le flux PDF
+ */
+function num(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Créer un document PDF
+ * @param {Object} info - { title, author }
+ * @returns {Object} Document : addPage, goToPage, text, line, rect, toBuffer
+ *
+ * @example
+ * const doc = createPdfDocument({ title: 'Facture F-2026-00001' });
+ * doc.text('FACTURE', 50, 60, { font: 'bold', size: 18 });
+ * const buffer = doc.toBuffer();
+ */
+export function createPdfDocument(info = {}) {
+  const pages = [];
+  let current = null;
+
+  const doc = {
+    /**
+     * Commencer une nouvelle page A4
+     */
+    addPage() {
+      current = [];
+      pages.push(current);
+      return doc;
+    },
+
+    /**
+     * Revenir sur une page existante (ex: numéroter les pages une fois la mise en page terminée)
+     * @param {number} index - Index de la page (0 = première page)
+     */
+    goToPage(index) {
+      if (!pages[index]) {
+        throw new Error(`Page ${index} inexistante`);
+      }
+      current = pages[index];
+      return doc;
+    },
+
+    /**
+     * Écrire un texte (y = ligne de base)
+     * @param {Object} options - { font, size, color, align: left | right | center }
+     */
+    text(value, x, y, { font = 'regular', size = 10, color = '#111827', align = 'left' } = {}) {
+      if (!current) doc.addPage();
+
+      let left = x;
+      if (align === 'right') left = x - measureText(value, { font, size });
+      if (align === 'center') left = x - measureText(value, { font, size }) / 2;
+
+      current.push(
+        `BT /${FONTS[font].resource} ${num(size)} Tf ${toPdfColor(color)} rg ` +
+        `${num(left)} ${num(PAGE_HEIGHT - y)} Td ${encodeText(value)} Tj ET`
+      );
+      return doc;
+    },
+
+    /**
+     * Tracer un trait
+     * @param {Object} options - { width, color }
+     */
+    line(x1, y1, x2, y2, { width = 0.5, color = '#d1d5db' } = {}) {
+      if (!current) doc.addPage();
+
+      current.push(
+        `${num(width)} w ${toPdfColor(color)} RG ` +
+        `${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`
+      );
+      return doc;
+    },
+
+    /**
+     * Remplir un rectangle (x, y = coin supérieur gauche)
+     * @param {Object} options - { color }
+     */
+    rect(x, y, width, height, { color = '#f3f4f6' } = {}) {
+      if (!current) doc.addPage();
+
+      current.push(
+        `${toPdfColor(color)} rg ${num(x)} ${num(PAGE_HEIGHT - y - height)} ${num(width)} ${num(height)} re f`
+      );
+      return doc;
+    },
+
+    /**
+     * Nombre de pages
+     */
+    get pageCount() {
+      return pages.length;
+    },
+
+    /**
+     * Sérialiser le document
+     * @returns {Buffer} Fichier PDF
+     */
+    toBuffer() {
+      if (pages.length === 0) doc.addPage();
+      return serialize(pages, info);
+    }
+  };
+
+  return doc;
+}
+
+/**
+ * Assembler les objets PDF et la table de références croisées
+ * @param {Array<Array<string>>} pages - Opérations de chaque page
+ * @param {Object} info - { title, author }
+ * @returns {Buffer} Fichier PDF
+ */
+function serialize(pages, info) {
+  // 1 catalogue, 2 arbre des pages, 3-4 polices, 5 infos, puis (page, contenu) par page
+  const objects = [];
+  const pageIds = pages.map((_, index) => 6 + index * 2);
+
+  objects[1] = Buffer.from('<< /Type /Catalog /Pages 2 0 R >>', 'latin1');
+  objects[2] = Buffer.from(
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    'latin1'
+  );
+  objects[3] = Buffer.from(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.regular.baseFont} /Encoding /WinAnsiEncoding >>`, 'latin1');
+  objects[4] = Buffer.from(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.bold.baseFont} /Encoding /WinAnsiEncoding >>`, 'latin1');
+
+  const creationDate = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  objects[5] = Buffer.from(
+    `<< /Producer (sosdivorce.fr) /CreationDate (D:${creationDate}Z)` +
+    `${info.title ? ` /Title ${encodeText(info.title)}` : ''}` +
+    `${info.author ? ` /Author ${encodeText(info.author)}` : ''} >>`,
+    'latin1'
+  );
+
+  pages.forEach((operations, index) => {
+    const pageId = pageIds[index];
+    const content = zlib.deflateSync(Buffer.from(operations.join('\n'), 'latin1'));
+
+    objects[pageId] = Buffer.from(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`,
+      'latin1'
+    );
+    objects[pageId + 1] = Buffer.concat([
+      Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+      content,
+      Buffer.from('\nendstream', 'latin1')
+    ]);
+  });
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+  const offsets = [];
+  let length = chunks[0].length;
+
+  for (let id = 1; id < objects.length; id++) {
+    const chunk = Buffer.concat([
+      Buffer.from(`${id} 0 obj\n`, 'latin1'),
+      objects[id],
+      Buffer.from('\nendobj\n', 'latin1')
+    ]);
+    offsets[id] = length;
+    length += chunk.length;
+    chunks.push(chunk);
+  }
+
+  const xref = [
+    'xref',
+    `0 ${objects.length}`,
+    '0000000000 65535 f ',
+    ...offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF'
+  ].join('\n');
+
+  chunks.push(Buffer.from(xref, 'latin1'));
+  return Buffer.concat(chunks);
+}
@@ -0,0 +1,111 @@
+// Prix à payer : offre du catalogue et code promo éventuel
+// Le montant payé est toujours recalculé ici côté serveur : le navigateur
+// n'envoie que l'offre choisie et le code saisi.
+
+import { getPromoCode } from './db.js';
+import { getOffer } from './offers.js';
+
+// Montant minimum accepté par Stripe pour un paiement en euros (centimes)
+export const MIN_AMOUNT = 50;
+
+/**
+ * Calculer la réduction d'un code promo pour une offre
+ * @param {Object} promo - Code promo (getPromoCode)
+ * @param {Object} offer - Offre du catalogue
+ * @param {Date} now - Date de référence
+ * @returns {Object} { valid, error, discountAmount, amount }
+ */
+export function computeDiscount(promo, offer, now = new Date()) {
+  const basePrice = offer.price;
+  const invalid = error => ({ valid: false, error, discountAmount: 0, amount: basePrice });
+
+  if (!promo.active) {
+    return invalid('Ce code promo n\'est plus actif');
+  }
+
+  if (promo.validFrom && new Date(promo.validFrom) > now) {
+    return invalid('Ce code promo n\'est pas encore valable');
+  }
+
+  if (promo.validUntil && new Date(promo.validUntil) < now) {
+    return invalid('Ce code promo a expiré');
+  }
+
+  if (promo.maxRedemptions && promo.redemptionsCount >= promo.maxRedemptions) {
+    return invalid('Ce code promo a atteint son nombre maximum d\'utilisations');
+  }
+
+  if (promo.expertise && promo.expertise !== offer.code) {
+    return invalid(`Ce code promo n'est pas valable pour l'offre ${offer.name}`);
+  }
+
+  const discountAmount = promo.discountType === 'percent'
+    ? Math.round(basePrice * Math.min(promo.discountValue, 100) / 100)
+    : promo.discountValue;
+
+  const amount = basePrice - discountAmount;
+
+  if (amount < MIN_AMOUNT) {
+    return invalid('Ce code promo ne peut pas être appliqué à cette offre');
+  }
+
+  return { valid: true, error: null, discountAmount, amount };
+}
+
+/**
+ * Calculer le prix d'une offre avec un code promo éventuel
+ *
+ * @param {string} expertise - Code de l'offre choisie
+ * @param {string|null} promoCode - Code saisi par l'utilisateur
+ * @returns {Promise<Object>} { valid, error, offer, basePrice, discountAmount, amount, promoCode, description }
+ *
+ * @example
+ * const price = await resolvePrice('premium', 'BIENVENUE10');
+ * if (!price.valid) return res.status(400).json({ error: price.error });
+ */
+export async function resolvePrice(expertise, promoCode = null) {
+  const offer = await getOffer(expertise);
+
+  if (!offer) {
+    return { valid: false, error: 'Offre invalide ou retirée', offer: null };
+  }
+
+  const result = {
+    valid: true,
+    error: null,
+    offer,
+    basePrice: offer.price,
+    discountAmount: 0,
+    amount: offer.price,
+    promoCode: null,
+    description: null
+  };
+
+  if (promoCode !== null && promoCode !== undefined && typeof promoCode !== 'string') {
+    return { ...result, valid: false, error: 'Code promo invalide' };
+  }
+
+  if (!promoCode || !promoCode.trim()) {
+    return result;
+  }
+
+  const promo = await getPromoCode(promoCode);
+
+  if (!promo) {
+    return { ...result, valid: false, error: 'Code promo inconnu' };
+  }
+
+  const discount = computeDiscount(promo, offer);
+
+  if (!discount.valid) {
+    return { ...result, valid: false, error: discount.error };
+  }
+
+  return {
+    ...result,
+    discountAmount: discount.discountAmount,
+    amount: discount.amount,
+    promoCode: promo.code,
+    description: promo.description
+  };
+}
@@ -0,0 +1,405 @@
+// Génération de QR codes (ISO/IEC 18004) au format SVG
+// Sans dépendance : mode octet, correction d'erreur M, versions 1 à 10 (jusqu'à 213 octets),
+// suffisant pour une URI otpauth:// d'enrôlement TOTP.
+
+// Par version : nombre total de codewords, blocs et codewords de correction par bloc (niveau M)
+const VERSIONS = [
+  null,
+  { totalCodewords: 26, blocks: 1, eccPerBlock: 10 },
+  { totalCodewords: 44, blocks: 1, eccPerBlock: 16 },
+  { totalCodewords: 70, blocks: 1, eccPerBlock: 26 },
+  { totalCodewords: 100, blocks: 2, eccPerBlock: 18 },
+  { totalCodewords: 134, blocks: 2, eccPerBlock: 24 },
+  { totalCodewords: 172, blocks: 4, eccPerBlock: 16 },
+  { totalCodewords: 196, blocks: 4, eccPerBlock: 18 },
+  { totalCodewords: 242, blocks: 4, eccPerBlock: 22 },
+  { totalCodewords: 292, blocks: 5, eccPerBlock: 22 },
+  { totalCodewords: 346, blocks: 5, eccPerBlock: 26 }
+];
+
+// Centres des motifs d'alignement par version
+const ALIGNMENT_POSITIONS = [
+  null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+  [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+
+// Indicateur du niveau de correction M dans les bits de format
+const ECC_LEVEL_M_BITS = 0;
+
+/**
+ * Générer un QR code en SVG
+ * @param {string} text - Contenu (encodé en UTF-8)
+ * @param {Object} [options] - { moduleSize: taille d'un module en pixels, margin: zone blanche en modules }
+ * @returns {string} Document SVG
+ */
+export function renderQrSvg(text, { moduleSize = 4, margin = 4 } = {}) {
+  const modules = encodeQr(text);
+  const size = modules.length;
+  const fullSize = size + margin * 2;
+
+  let path = '';
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) {
+        path += `M${x + margin},${y + margin}h1v1h-1z`;
+      }
+    }
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${fullSize} ${fullSize}" `
+    + `width="${fullSize * moduleSize}" height="${fullSize * moduleSize}" shape-rendering="crispEdges">`
+    + `<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+/**
+ * Encoder un texte en matrice de modules
+ * @param {string} text - Contenu
+ * @param {Object} [options] - { mask: masque imposé (0 à 7), sinon celui de moindre pénalité }
+ * @returns {Array<Array<boolean>>} Modules (true = noir), indexés [y][x]
+ */
+export function encodeQr(text, { mask = null } = {}) {
+  const data = Buffer.from(text, 'utf8');
+
+  let version = 1;
+  while (version <= 10 && getBitLength(data, version) > getDataCodewords(version) * 8) {
+    version++;
+  }
+  if (version > 10) {
+    throw new Error('Texte trop long pour un QR code de version 10');
+  }
+
+  const codewords = addErrorCorrection(getDataBytes(data, version), version);
+  const qr = createMatrix(version);
+
+  drawFunctionPatterns(qr);
+  drawCodewords(qr, codewords);
+
+  let bestMask = mask;
+  if (bestMask === null) {
+    let minPenalty = Infinity;
+    for (let candidate = 0; candidate < 8; candidate++) {
+      applyMask(qr, candidate);
+      drawFormatBits(qr, candidate);
+      const penalty = getPenalty(qr.modules);
+      if (penalty < minPenalty) {
+        minPenalty = penalty;
+        bestMask = candidate;
+      }
+      applyMask(qr, candidate); // Le masque est un XOR : réappliquer l'annule
+    }
+  }
+
+  applyMask(qr, bestMask);
+  drawFormatBits(qr, bestMask);
+
+  return qr.modules;
+}
+
+// ====================================
+// DONNÉES ET CORRECTION D'ERREUR
+// ====================================
+
+function getDataCodewords(version) {
+  const { totalCodewords, blocks, eccPerBlock } = VERSIONS[version];
+  return totalCodewords - blocks * eccPerBlock;
+}
+
+function getBitLength(data, version) {
+  return 4 + (version < 10 ? 8 : 16) + data.length * 8;
+}
+
+/**
+ * Flux de données : mode octet, longueur, contenu, terminateur et octets de remplissage
+ */
+function getDataBytes(data, version) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  append(0b0100, 4);
+  append(data.length, version < 10 ? 8 : 16);
+  data.forEach(byte => append(byte, 8));
+
+  const capacity = getDataCodewords(version) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const bytes = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    bytes.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return bytes;
+}
+
+/**
+ * Découper en blocs, ajouter la correction Reed-Solomon de chaque bloc et entrelacer
+ */
+function addErrorCorrection(data, version) {
+  const { totalCodewords, blocks: blockCount, eccPerBlock } = VERSIONS[version];
+  const shortBlockCount = blockCount - totalCodewords % blockCount;
+  const shortBlockLength = Math.floor(totalCodewords / blockCount);
+  const divisor = getReedSolomonDivisor(eccPerBlock);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const length = shortBlockLength - eccPerBlock + (i < shortBlockCount ? 0 : 1);
+    const blockData = data.slice(offset, offset + length);
+    offset += length;
+
+    const ecc = getReedSolomonRemainder(blockData, divisor);
+    if (i < shortBlockCount) blockData.push(0); // Case vide, ignorée à l'entrelacement
+    blocks.push(blockData.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccPerBlock || j >= shortBlockCount) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+/**
+ * Multiplication dans GF(256), polynôme 0x11D
+ */
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function getReedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function getReedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor);
+    });
+  }
+  return result;
+}
+
+// ====================================
+// MATRICE
+// ====================================
+
+function createMatrix(version) {
+  const size = version * 4 + 17;
+  return {
+    version,
+    size,
+    modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+    isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+  };
+}
+
+function setFunctionModule(qr, x, y, dark) {
+  qr.modules[y][x] = dark;
+  qr.isFunction[y][x] = true;
+}
+
+/**
+ * Motifs fixes : repères, lignes de synchronisation, alignement, zones de format et de version
+ */
+function drawFunctionPatterns(qr) {
+  const { size, version } = qr;
+
+  for (let i = 0; i < size; i++) {
+    setFunctionModule(qr, 6, i, i % 2 === 0);
+    setFunctionModule(qr, i, 6, i % 2 === 0);
+  }
+
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          setFunctionModule(qr, x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+
+  const positions = ALIGNMENT_POSITIONS[version];
+  const last = positions.length - 1;
+  positions.forEach((cx, i) => {
+    positions.forEach((cy, j) => {
+      // Pas de motif d'alignement sur les repères
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunctionModule(qr, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Réserver la zone de format (réécrite avec le masque choisi)
+  drawFormatBits(qr, 0);
+
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+    const bits = (version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      setFunctionModule(qr, a, b, dark);
+      setFunctionModule(qr, b, a, dark);
+    }
+  }
+}
+
+/**
+ * Bits de format : niveau de correction et masque, code BCH, en deux exemplaires
+ */
+function drawFormatBits(qr, mask) {
+  const { size } = qr;
+  const data = (ECC_LEVEL_M_BITS << 3) | mask;
+
+  let remainder = data;
+  for (let i = 0; i < 10; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  }
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+  const bit = i => ((bits >>> i) & 1) === 1;
+
+  for (let i = 0; i <= 5; i++) setFunctionModule(qr, 8, i, bit(i));
+  setFunctionModule(qr, 8, 7, bit(6));
+  setFunctionModule(qr, 8, 8, bit(7));
+  setFunctionModule(qr, 7, 8, bit(8));
+  for (let i = 9; i < 15; i++) setFunctionModule(qr, 14 - i, 8, bit(i));
+
+  for (let i = 0; i < 8; i++) setFunctionModule(qr, size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) setFunctionModule(qr, 8, size - 15 + i, bit(i));
+  setFunctionModule(qr, 8, size - 8, true); // Module toujours noir
+}
+
+/**
+ * Placer les codewords en zigzag, par colonnes de deux modules, de droite à gauche
+ */
+function drawCodewords(qr, codewords) {
+  const { size } = qr;
+  let i = 0;
+
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // Sauter la ligne de synchronisation verticale
+
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+
+        if (!qr.isFunction[y][x] && i < codewords.length * 8) {
+          qr.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+          i++;
+        }
+      }
+    }
+  }
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+function applyMask(qr, mask) {
+  for (let y = 0; y < qr.size; y++) {
+    for (let x = 0; x < qr.size; x++) {
+      if (!qr.isFunction[y][x] && MASKS[mask](x, y)) {
+        qr.modules[y][x] = !qr.modules[y][x];
+      }
+    }
+  }
+}
+
+/**
+ * Pénalité d'un masque (règles de la norme : séries, carrés 2x2, motifs de repère, équilibre)
+ */
+function getPenalty(modules) {
+  const size = modules.length;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map(row => row[i]));
+  }
+
+  let penalty = 0;
+
+  for (const line of lines) {
+    // Séries de 5 modules identiques ou plus
+    let runLength = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        runLength++;
+      } else {
+        if (runLength >= 5) penalty += runLength - 2;
+        runLength = 1;
+      }
+    }
+
+    // Motifs ressemblant à un repère (1:1:3:1:1 bordé de blanc)
+    const pattern = line.map(dark => (dark ? '1' : '0')).join('');
+    for (const finderLike of ['10111010000', '00001011101']) {
+      for (let index = pattern.indexOf(finderLike); index !== -1; index = pattern.indexOf(finderLike, index + 1)) {
+        penalty += 40;
+      }
+    }
+  }
+
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const color = modules[y][x];
+      if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+        penalty += 3;
+      }
+    }
+  }
+
+  const dark = modules.reduce((count, row) => count + row.filter(Boolean).length, 0);
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+  return penalty;
+}
@@ -0,0 +1,280 @@
+// Machine à états du questionnaire 7 étapes
+// L'état est persisté dans la colonne questionnaire_data (JSONB) de la
+// table sessions. Il est entièrement déterminé
+// par la suite des messages utilisateur : rejouer une conversation
+// reproduit exactement les mêmes réponses structurées.
+
+// Version du format stocké dans questionnaire_data
+const STATE_VERSION = 1;
+
+// Les 7 questions du tunnel, dans l'ordre
+export const QUESTIONNAIRE_STEPS = [
+  { key: 'enfants', label: 'Enfants (oui/non + âges si oui)' },
+  { key: 'typeDivorce', label: 'Type de divorce envisagé (amiable/contentieux/ne sait pas)' },
+  { key: 'urgence', label: 'Urgence de la situation' },
+  { key: 'budget', label: 'Budget prévu' },
+  { key: 'attentes', label: 'Attentes principales' },
+  { key: 'ressenti', label: 'Ressenti émotionnel actuel' },
+  { key: 'email', label: 'Email pour recevoir l\'analyse' }
+];
+
+// Phases après les 7 questions
+export const PHASE_OFFRE = 'offre';               // Formules proposées, en attente du choix
+export const PHASE_COMMENTAIRES = 'commentaires'; // Offre choisie, en attente des commentaires
+export const PHASE_PAIEMENT = 'paiement';         // Tunnel terminé, prêt pour le paiement
+
+// Codes d'erreur de validation
+export const ERROR_INVALID_EMAIL = 'email_invalide';
+export const ERROR_PREMATURE_OFFER = 'choix_offre_premature';
+export const ERROR_INVALID_ANSWER = 'reponse_invalide';
+export const ERROR_UNKNOWN_OFFER = 'offre_inconnue';
+
+const EMAIL_REGEX = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/;
+const OFFER_CHOICE_REGEX = /^\[CHOIX_OFFRE:([a-z0-9_-]+)\]/i;
+const INIT_MESSAGE = '[INIT]';
+
+// Réponses attendues par étape : un message qui ne correspond pas reste sans effet
+// (l'email est vérifié par EMAIL_REGEX, attentes et ressenti sont en texte libre)
+const ANSWER_PATTERNS = {
+  enfants: /(oui|non|aucun|enfant|fils|fille|garçon|bébé|\d)/i,
+  typeDivorce: /(amiable|consentement|contentieu|accord|faute|altération|alteration|acceptation|sais pas|aucune idée|hésit|hesit|pas encore|pas sûr|pas sur)/i,
+  urgence: /(urgen|rapide|vite|press|tranquille|calme|attendre|immédiat|immediat|bientôt|bientot|jour|semaine|mois|année|délai|delai|\d)/i,
+  budget: /(\d|euro|€|budget|aide juridictionnelle|sais pas|aucune idée|limité|serré|modeste|peu|pas beaucoup|moins cher|mille|cent)/i
+};
+
+// Au moins deux lettres pour une réponse en texte libre
+const FREE_TEXT_REGEX = /\p{L}.*\p{L}/u;
+
+/**
+ * Créer l'état initial du questionnaire
+ * @returns {Object} État (première question)
+ */
+export function createQuestionnaireState() {
+  return {
+    version: STATE_VERSION,
+    step: QUESTIONNAIRE_STEPS[0].key,
+    answers: {},
+    expertise: null,
+    commentaires: null
+  };
+}
+
+/**
+ * Normaliser un état lu en base (null ou ancien format → état initial)
+ * @param {Object|null} data - Contenu de questionnaire_data
+ * @returns {Object} État valide
+ */
+export function loadQuestionnaireState(data) {
+  if (!hasQuestionnaireState(data)) {
+    return createQuestionnaireState();
+  }
+
+  return {
+    ...createQuestionnaireState(),
+    ...data,
+    answers: { ...(data.answers || {}) }
+  };
+}
+
+/**
+ * Vérifier si questionnaire_data contient un état au format courant
+ * @param {Object|null} data - Contenu de questionnaire_data
+ * @returns {boolean}
+ */
+export function hasQuestionnaireState(data) {
+  return Boolean(data && data.version === STATE_VERSION && data.step);
+}
+
+/**
+ * Appliquer un message utilisateur à l'état courant
+ * Ne modifie pas l'état reçu : retourne un nouvel état
+ *
+ * Une question de l'utilisateur ou une réponse hors sujet ne fait pas avancer le questionnaire.
+ *
+ * @param {Object} state - État courant
+ * @param {string} message - Message utilisateur
+ * @param {Object} [options]
+ * @param {Array<string>|null} [options.offerCodes] - Codes du catalogue en vigueur ;
+ *   null pour accepter tout code (rejeu d'un historique, l'offre a pu être retirée depuis)
+ * @returns {Object} { state, accepted, error } (error : code ERROR_* ou null)
+ *
+ * @example
+ * const { state: next, accepted } = applyUserMessage(state, 'Oui, deux enfants de 4 et 7 ans');
+ */
+export function applyUserMessage(state, message, { offerCodes = null } = {}) {
+  const current = loadQuestionnaireState(state);
+  const text = (message || '').trim();
+
+  // Message de démarrage : aucune transition
+  if (!text || text === INIT_MESSAGE) {
+    return { state: current, accepted: false, error: null };
+  }
+
+  // Choix de la formule (bouton) : attendu après les 7 questions
+  const offerMatch = text.match(OFFER_CHOICE_REGEX);
+  if (offerMatch) {
+    if (current.step !== PHASE_OFFRE && current.step !== PHASE_COMMENTAIRES) {
+      return { state: current, accepted: false, error: ERROR_PREMATURE_OFFER };
+    }
+
+    const expertise = offerMatch[1].toLowerCase();
+    if (offerCodes && !offerCodes.includes(expertise)) {
+      return { state: current, accepted: false, error: ERROR_UNKNOWN_OFFER };
+    }
+
+    return {
+      state: { ...current, step: PHASE_COMMENTAIRES, expertise },
+      accepted: true,
+      error: null
+    };
+  }
+
+  // Autres messages système ignorés
+  if (text.startsWith('[')) {
+    return { state: current, accepted: false, error: null };
+  }
+
+  // Commentaires personnels (après le choix de la formule)
+  if (current.step === PHASE_COMMENTAIRES) {
+    return {
+      state: { ...current, step: PHASE_PAIEMENT, commentaires: text },
+      accepted: true,
+      error: null
+    };
+  }
+
+  const stepIndex = QUESTIONNAIRE_STEPS.findIndex(step => step.key === current.step);
+
+  // Hors des 7 questions (offre en attente, paiement) : rien à enregistrer
+  if (stepIndex === -1) {
+    return { state: current, accepted: false, error: null };
+  }
+
+  const stepKey = QUESTIONNAIRE_STEPS[stepIndex].key;
+  let answer = text;
+
+  if (stepKey === 'email') {
+    const emailMatch = text.match(EMAIL_REGEX);
+    if (!emailMatch) {
+      return { state: current, accepted: false, error: ERROR_INVALID_EMAIL };
+    }
+    answer = emailMatch[0];
+  } else if (isQuestion(text) || !isValidAnswer(stepKey, text)) {
+    // Question de clarification ou réponse hors sujet : l'assistant repose la question
+    return { state: current, accepted: false, error: ERROR_INVALID_ANSWER };
+  }
+
+  const nextStep = stepIndex + 1 < QUESTIONNAIRE_STEPS.length
+    ? QUESTIONNAIRE_STEPS[stepIndex + 1].key
+    : PHASE_OFFRE;
+
+  return {
+    state: {
+      ...current,
+      step: nextStep,
+      answers: { ...current.answers, [stepKey]: answer }
+    },
+    accepted: true,
+    error: null
+  };
+}
+
+/**
+ * Message se terminant par un point d'interrogation
+ */
+function isQuestion(text) {
+  return /\?\s*$/.test(text);
+}
+
+/**
+ * Vérifier une réponse selon les règles de son étape
+ */
+function isValidAnswer(stepKey, text) {
+  const pattern = ANSWER_PATTERNS[stepKey];
+  return pattern ? pattern.test(text) : FREE_TEXT_REGEX.test(text);
+}
+
+/**
+ * Rejouer une conversation complète pour reconstruire l'état
+ * @param {Array} messages - Messages { role, content } dans l'ordre
+ * @returns {Object} État final
+ */
+export function replayQuestionnaire(messages) {
+  return (messages || [])
+    .filter(msg => msg.role === 'user')
+    .reduce((state, msg) => applyUserMessage(state, msg.content).state, createQuestionnaireState());
+}
+
+/**
+ * Progression du questionnaire (exposée au front pour la barre de progression)
+ * @param {Object} state - État courant
+ * @returns {Object} { step, stepNumber, totalSteps, answered, label, completed }
+ */
+export function getQuestionnaireProgress(state) {
+  const current = loadQuestionnaireState(state);
+  const stepIndex = QUESTIONNAIRE_STEPS.findIndex(step => step.key === current.step);
+  const answered = QUESTIONNAIRE_STEPS.filter(step => current.answers[step.key]).length;
+
+  const phaseLabels = {
+    [PHASE_OFFRE]: 'Choix de la formule',
+    [PHASE_COMMENTAIRES]: 'Commentaires personnels',
+    [PHASE_PAIEMENT]: 'Paiement'
+  };
+
+  return {
+    step: current.step,
+    stepNumber: stepIndex === -1 ? QUESTIONNAIRE_STEPS.length : stepIndex + 1,
+    totalSteps: QUESTIONNAIRE_STEPS.length,
+    answered,
+    label: stepIndex === -1 ? phaseLabels[current.step] : QUESTIONNAIRE_STEPS[stepIndex].label,
+    completed: stepIndex === -1
+  };
+}
+
+/**
+ * Instructions additionnelles décrivant l'étape attendue (transmises au LLM)
+ * @param {Object} state - État après application du message utilisateur
+ * @param {string|null} error - Code d'erreur de validation éventuel
+ * @returns {string} Instructions
+ */
+export function describeQuestionnaireStep(state, error = null) {
+  const progress = getQuestionnaireProgress(state);
+  const lines = ['ÉTAT DU QUESTIONNAIRE (suivi par le serveur, fait foi) :'];
+
+  if (!progress.completed) {
+    lines.push(`La prochaine question à poser est la n°${progress.stepNumber}/${progress.totalSteps} : ${progress.label}.`);
+  } else if (progress.step === PHASE_OFFRE) {
+    lines.push('Les 7 questions ont été répondues : fais le mini-diagnostic et propose les formules du catalogue.');
+  } else if (progress.step === PHASE_COMMENTAIRES) {
+    lines.push('L\'utilisateur a choisi sa formule : demande les commentaires personnels.');
+  } else {
+    lines.push('Les commentaires ont été reçus : confirme et termine par le tag [PAIEMENT_PRET].');
+  }
+
+  if (error === ERROR_INVALID_EMAIL) {
+    lines.push('L\'email fourni est invalide : redemande poliment une adresse email valide.');
+  } else if (error === ERROR_INVALID_ANSWER) {
+    lines.push('Le dernier message ne répond pas à cette question (question ou hors sujet) : réponds brièvement si besoin, puis repose la question.');
+  } else if (error === ERROR_UNKNOWN_OFFER) {
+    lines.push('La formule choisie n\'existe pas dans le catalogue : repropose les formules disponibles.');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Réponses à plat, au format attendu par les emails
+ * @param {Object} state - État du questionnaire
+ * @returns {Object} { enfants, typeDivorce, urgence, budget, attentes, ressenti, email, commentaires }
+ */
+export function getQuestionnaireAnswers(state) {
+  const current = loadQuestionnaireState(state);
+  const answers = {};
+
+  for (const step of QUESTIONNAIRE_STEPS) {
+    answers[step.key] = current.answers[step.key] || null;
+  }
+
+  answers.commentaires = current.commentaires || null;
+  return answers;
+}
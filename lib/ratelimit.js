@@ -61,6 +61,28 @@ export const loginRateLimiter = redis ? new Ratelimit({
   prefix: 'ratelimit:login',
 }) : null;
 
+/**
+ * Rate limiter pour les emails de compte (réinitialisation du mot de passe, vérification de l'email)
+ * 3 envois par heure, par IP et par adresse email (prévention du spam)
+ */
+export const accountEmailRateLimiter = redis ? new Ratelimit({
+  redis,
+  limiter: Ratelimit.slidingWindow(3, '1 h'),
+  analytics: true,
+  prefix: 'ratelimit:account-email',
+}) : null;
+
+/**
+ * Rate limiter pour la vérification des codes promo
+ * 20 tentatives par heure par IP (empêche de deviner les codes)
+ */
+export const promoCodeRateLimiter = redis ? new Ratelimit({
+  redis,
+  limiter: Ratelimit.slidingWindow(20, '1 h'),
+  analytics: true,
+  prefix: 'ratelimit:promo',
+}) : null;
+
 /**
  * Rate limiter pour les endpoints admin
  * 30 requêtes par heure
@@ -0,0 +1,228 @@
+// Conservation des données : règles par type de données et purge automatique
+// Une tâche planifiée (/api/cron-retention-purge, chaque nuit) supprime les données dont la durée
+// de conservation est dépassée ; les sessions payées sont pseudonymisées (les factures, à conserver
+// 10 ans, y font référence). Les threads OpenAI sont supprimés avant les lignes correspondantes :
+// en cas d'échec, la ligne est gardée et retentée à la purge suivante.
+// Chaque purge traite au plus PURGE_BATCH_SIZE lignes par règle dans un temps limité ; le reste
+// est traité aux passages suivants. Le journal admin (ajout seul) et les factures ne sont jamais purgés.
+
+import {
+  getRetentionPolicies,
+  saveRetentionPolicy,
+  getRetentionCandidates,
+  purgeRetentionCandidates,
+  addRetentionPurgeRun
+} from './db.js';
+import { getLLMProviderForConversation } from './llm/index.js';
+import logger from './logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lignes traitées au plus par règle et par purge
+const PURGE_BATCH_SIZE = 200;
+
+// Temps accordé à une purge (sous le maxDuration Vercel de 60s)
+const PURGE_TIME_BUDGET_MS = 45000;
+
+// Durée maximale configurable (au-delà, désactiver la règle)
+export const RETENTION_MAX_DAYS = 3650;
+
+// Règles de conservation, dans l'ordre de traitement
+// action : delete (suppression) ou pseudonymise ; remote : threads du fournisseur LLM à supprimer
+export const RETENTION_RULES = [
+  {
+    rule: 'anonymous_conversations',
+    label: 'Conversations anonymes du chat gratuit',
+    description: 'Depuis le dernier message (adresse IP et navigateur compris)',
+    action: 'delete',
+    remote: false,
+    defaultDays: 90,
+    minDays: 7
+  },
+  {
+    rule: 'abandoned_sessions',
+    label: 'Sessions abandonnées sans email',
+    description: 'Sessions sans email (statut anonymous), depuis la dernière activité',
+    action: 'delete',
+    remote: true,
+    defaultDays: 90,
+    minDays: 7
+  },
+  {
+    rule: 'unpaid_with_email',
+    label: 'Sessions non payées avec email',
+    description: 'Email collecté ou paiement commencé, depuis la dernière activité, avec leurs messages',
+    action: 'delete',
+    remote: true,
+    defaultDays: 365,
+    minDays: 30
+  },
+  {
+    rule: 'paid_sessions',
+    label: 'Sessions payées',
+    description: 'Depuis le paiement : email, questionnaire, analyse et messages retirés, montants et factures conservés',
+    action: 'pseudonymise',
+    remote: true,
+    defaultDays: 5 * 365,
+    minDays: 365
+  }
+];
+
+/**
+ * Règles de conservation avec leur durée courante (modifiée dans l'administration, sinon par défaut)
+ * @returns {Promise<Array>} Règles { rule, label, description, action, retentionDays, enabled, ... }
+ */
+export async function getRetentionRules() {
+  const saved = new Map((await getRetentionPolicies()).map(policy => [policy.rule, policy]));
+
+  return RETENTION_RULES.map(definition => {
+    const policy = saved.get(definition.rule);
+    return {
+      ...definition,
+      retentionDays: policy ? policy.retentionDays : definition.defaultDays,
+      enabled: policy ? policy.enabled : true,
+      updatedBy: policy?.updatedBy || null,
+      updatedAt: policy?.updatedAt || null
+    };
+  });
+}
+
+/**
+ * Modifier la durée de conservation d'une règle
+ * @param {string} rule - Règle
+ * @param {Object} policy - { retentionDays, enabled }
+ * @param {string} updatedBy - Email de l'administrateur
+ * @returns {Promise<Object>} { updated, error }
+ */
+export async function updateRetentionRule(rule, { retentionDays, enabled }, updatedBy) {
+  const definition = RETENTION_RULES.find(r => r.rule === rule);
+  if (!definition) {
+    return { updated: false, error: 'Règle inconnue' };
+  }
+
+  const days = parseInt(retentionDays);
+  if (!Number.isInteger(days) || days < definition.minDays || days > RETENTION_MAX_DAYS) {
+    return { updated: false, error: `Durée de ${definition.minDays} à ${RETENTION_MAX_DAYS} jours requise` };
+  }
+
+  await saveRetentionPolicy(rule, { retentionDays: days, enabled: enabled !== false }, updatedBy);
+  return { updated: true };
+}
+
+/**
+ * Date limite d'une règle : les données inactives depuis avant cette date sont purgées
+ * @param {Object} rule - Règle (getRetentionRules)
+ * @param {number} [now] - Timestamp de référence
+ * @returns {Date}
+ */
+export function getRetentionCutoff(rule, now = Date.now()) {
+  return new Date(now - rule.retentionDays * DAY_MS);
+}
+
+/**
+ * Rapport à blanc : ce que la prochaine purge supprimerait, sans rien modifier
+ * @returns {Promise<Array>} Par règle : { rule, label, action, enabled, retentionDays, cutoff, eligible, oldest }
+ */
+export async function getRetentionDryRun() {
+  const rules = await getRetentionRules();
+  const report = [];
+
+  for (const rule of rules) {
+    const cutoff = getRetentionCutoff(rule);
+    const { total, oldest } = await getRetentionCandidates(rule.rule, cutoff, 1);
+
+    report.push({
+      rule: rule.rule,
+      label: rule.label,
+      action: rule.action,
+      enabled: rule.enabled,
+      retentionDays: rule.retentionDays,
+      cutoff,
+      eligible: total,
+      oldest
+    });
+  }
+
+  return report;
+}
+
+/**
+ * Purger les données dont la durée de conservation est dépassée
+ * @param {Object} options - { source: 'cron' | 'admin', triggeredBy: email de l'administrateur }
+ * @returns {Promise<Object>} Purge enregistrée { id, totalRemoved, complete, results, ... }
+ */
+export async function runRetentionPurge({ source, triggeredBy = null }) {
+  const startedAt = new Date();
+  const deadline = startedAt.getTime() + PURGE_TIME_BUDGET_MS;
+  const rules = await getRetentionRules();
+  const results = [];
+  let complete = true;
+
+  for (const rule of rules) {
+    const result = { rule: rule.rule, action: rule.action, retentionDays: rule.retentionDays };
+    results.push(result);
+
+    if (!rule.enabled) {
+      result.skipped = 'disabled';
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      result.skipped = 'time';
+      complete = false;
+      continue;
+    }
+
+    const { total, candidates } = await getRetentionCandidates(rule.rule, getRetentionCutoff(rule), PURGE_BATCH_SIZE);
+    const { ids, remoteDeleted, failed } = await deleteRemoteConversations(rule, candidates, deadline);
+    const removed = await purgeRetentionCandidates(rule.rule, ids);
+
+    Object.assign(result, {
+      eligible: total,
+      removed,
+      remoteDeleted,
+      failed,
+      remaining: total - removed
+    });
+
+    // Lot plein ou temps écoulé : la purge suivante reprendra
+    if (total - removed > failed) {
+      complete = false;
+    }
+  }
+
+  const totalRemoved = results.reduce((sum, result) => sum + (result.removed || 0), 0);
+  const run = await addRetentionPurgeRun({ source, triggeredBy, startedAt, totalRemoved, complete, results });
+
+  logger.info('Purge des données expirées:', { source, totalRemoved, complete });
+  return run;
+}
+
+/**
+ * Supprimer les threads des lignes à purger chez le fournisseur LLM
+ * @returns {Promise<Object>} { ids: lignes à purger, remoteDeleted, failed }
+ */
+async function deleteRemoteConversations(rule, candidates, deadline) {
+  const ids = [];
+  const deleted = new Set();
+  let failed = 0;
+
+  for (const candidate of candidates) {
+    if (Date.now() >= deadline) break;
+
+    if (rule.remote && candidate.threadId && !deleted.has(candidate.threadId)) {
+      try {
+        await getLLMProviderForConversation(candidate.threadId).deleteConversation(candidate.threadId);
+        deleted.add(candidate.threadId);
+      } catch (error) {
+        logger.error('Erreur suppression conversation LLM (purge):', { rule: rule.rule, error: error.message });
+        failed++;
+        continue;
+      }
+    }
+
+    ids.push(candidate.id);
+  }
+
+  return { ids, remoteDeleted: deleted.size, failed };
+}
@@ -0,0 +1,156 @@
+// Relecture des analyses avant envoi au client
+// Après paiement, chaque session reçoit un brouillon (pending_review), généré à partir du
+// questionnaire (lib/analysis.js), et l'équipe est notifiée.
+// Un relecteur le complète dans l'admin puis l'approuve : la version client (sans bandeau)
+// est alors envoyée à sessions.email, avec le nom du relecteur et la date d'approbation.
+// Offres validées par un avocat : l'approbation exige la validation du même texte (lib/lawyers.js).
+
+import {
+  initAnalysisDraft,
+  regenerateAnalysisDraft,
+  claimAnalysisApproval,
+  markAnalysisDelivered,
+  releaseAnalysisApproval,
+  getSessionMessages
+} from './db.js';
+import { sendClientAnalysisEmail } from './email.js';
+import { checkLawyerValidation } from './lawyers.js';
+import { generateSessionAnalysis } from './analysis.js';
+import logger from './logger.js';
+
+// Passages du brouillon que le relecteur doit remplacer avant approbation
+export const DRAFT_PLACEHOLDER = '[À COMPLÉTER';
+
+// Longueur maximale du nom du relecteur (colonne approved_by)
+export const REVIEWER_NAME_MAX_LENGTH = 100;
+
+// Approbation restée sans envoi (fonction interrompue) : reprise possible après ce délai
+const STALE_APPROVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Construire le brouillon à compléter quand le questionnaire est inexploitable
+ * @param {Object} session - Session payée
+ * @returns {string} Brouillon, avec des passages [À COMPLÉTER ...]
+ */
+export function buildAnalysisDraft(session) {
+  return [
+    'Bonjour,',
+    'Merci pour votre confiance. Voici notre analyse de votre situation, établie à partir de vos réponses au questionnaire.',
+    `${DRAFT_PLACEHOLDER} : procédure adaptée à votre situation]`,
+    `${DRAFT_PLACEHOLDER} : prochaines étapes et points de vigilance]`,
+    'Pour toute question, écrivez-nous à info@sosdivorce.fr en indiquant l\'adresse email utilisée lors de votre paiement'
+      + (session.email ? ` (${session.email}).` : '.'),
+    'L\'équipe SOS Divorce'
+  ].join('\n\n');
+}
+
+/**
+ * Créer le brouillon d'analyse d'une session payée (sans effet s'il existe déjà)
+ * Le brouillon est le rapport généré à partir du questionnaire, ou à défaut un modèle à compléter.
+ * @param {Object} session - Session payée (getSession)
+ * @returns {Promise<string>} Brouillon courant
+ */
+export async function createAnalysisDraft(session) {
+  if (session.analysisStatus) {
+    return session.analysisDraft;
+  }
+
+  const generated = await generateSessionAnalysis(session);
+  const draft = generated ? generated.text : buildAnalysisDraft(session);
+
+  await initAnalysisDraft(session.sessionUuid, draft, generated ? generated.report : null);
+  return draft;
+}
+
+/**
+ * Régénérer le brouillon à partir du questionnaire (remplace les modifications du relecteur)
+ * @param {Object} session - Session payée (getSession)
+ * @param {string} reviewer - Nom du relecteur
+ * @returns {Promise<Object>} { regenerated, error }
+ */
+export async function regenerateAnalysis(session, reviewer) {
+  const generated = await generateSessionAnalysis(session);
+  if (!generated) {
+    return { regenerated: false, error: 'Questionnaire incomplet : impossible de générer l\'analyse' };
+  }
+
+  const saved = await regenerateAnalysisDraft(session.sessionUuid, generated.text, generated.report, reviewer);
+  if (!saved) {
+    return { regenerated: false, error: 'Analyse introuvable ou déjà approuvée' };
+  }
+
+  return { regenerated: true, error: null };
+}
+
+/**
+ * Approuver une analyse et l'envoyer au client
+ * Un seul relecteur peut approuver : l'approbation est enregistrée avant l'envoi,
+ * et annulée si l'email ne part pas.
+ *
+ * @param {Object} session - Session payée (getSession)
+ * @param {Object} options - { analysis, reviewer }
+ * @returns {Promise<Object>} { approved, error }
+ *
+ * @example
+ * const result = await approveAnalysis(session, { analysis, reviewer: 'Claire' });
+ * if (!result.approved) return res.status(409).json({ error: result.error });
+ */
+export async function approveAnalysis(session, { analysis, reviewer }) {
+  // Remboursement total : le client ne reçoit plus l'analyse
+  if (session.status === 'refunded' || (session.refundedAmount > 0 && session.refundedAmount >= session.amount)) {
+    return { approved: false, error: 'Session remboursée : l\'analyse ne peut plus être envoyée' };
+  }
+
+  if (!session.email) {
+    return { approved: false, error: 'Email client manquant : impossible d\'envoyer l\'analyse' };
+  }
+
+  if (analysis.includes(DRAFT_PLACEHOLDER)) {
+    return { approved: false, error: 'L\'analyse contient encore des passages [À COMPLÉTER]' };
+  }
+
+  const lawyerError = await checkLawyerValidation(session, analysis);
+  if (lawyerError) {
+    return { approved: false, error: lawyerError };
+  }
+
+  if (session.analysisStatus === 'approved'
+    && Date.now() - new Date(session.approvedAt).getTime() > STALE_APPROVAL_MS) {
+    logger.warn('Approbation sans envoi, remise en relecture:', { sessionUuid: session.sessionUuid });
+    await releaseAnalysisApproval(session.sessionUuid);
+  }
+
+  const claimed = await claimAnalysisApproval(session.sessionUuid, analysis, reviewer);
+  if (!claimed) {
+    return { approved: false, error: 'Analyse déjà approuvée ou envoyée' };
+  }
+
+  try {
+    const messages = await getSessionMessages(session.id);
+
+    await sendClientAnalysisEmail({
+      to: session.email,
+      expertise: session.expertise,
+      analysis,
+      messages,
+      amount: session.amount,
+      questionnaire: session.questionnaireData,
+      sessionUuid: session.sessionUuid,
+      paidAt: session.paidAt
+    });
+
+  } catch (error) {
+    await releaseAnalysisApproval(session.sessionUuid);
+    throw error;
+  }
+
+  await markAnalysisDelivered(session.sessionUuid);
+
+  logger.info('Analyse approuvée et envoyée:', {
+    sessionUuid: session.sessionUuid,
+    approvedBy: reviewer,
+    email: session.email
+  });
+
+  return { approved: true, error: null };
+}
@@ -0,0 +1,110 @@
+/**
+ * Utilitaires Server-Sent Events (SSE)
+ * Utilisés pour relayer les réponses de l'assistant au fil de l'eau
+ */
+
+/**
+ * Vérifier si le client demande une réponse en streaming
+ *
+ * @param {Object} req - Objet request
+ * @returns {boolean} True si l'en-tête Accept contient text/event-stream
+ */
+export function wantsEventStream(req) {
+  const accept = req.headers?.accept || '';
+  return accept.includes('text/event-stream');
+}
+
+/**
+ * Ouvrir un flux SSE sur la réponse HTTP
+ *
+ * @param {Object} res - Objet response
+ */
+export function initEventStream(res) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Désactiver le buffering des proxies (nginx, Vercel)
+  res.setHeader('X-Accel-Buffering', 'no');
+
+  if (typeof res.flushHeaders === 'function') {
+    res.flushHeaders();
+  }
+}
+
+/**
+ * Envoyer un événement SSE
+ *
+ * @param {Object} res - Objet response (flux déjà ouvert)
+ * @param {string} event - Nom de l'événement (delta, done, error)
+ * @param {Object} data - Données sérialisées en JSON
+ *
+ * @example
+ * sendEvent(res, 'delta', { content: 'Bonjour' });
+ */
+export function sendEvent(res, event, data) {
+  if (res.writableEnded) {
+    return;
+  }
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Lire un flux SSE distant (ex: OpenAI) événement par événement
+ *
+ * @param {Response} response - Réponse fetch dont le body est un flux SSE
+ * @yields {{event: string, data: string}} Événements bruts (data non parsée)
+ *
+ * @example
+ * for await (const { event, data } of readEventStream(response)) {
+ *   if (event === 'thread.message.delta') { ... }
+ * }
+ */
+export async function* readEventStream(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let separatorIndex;
+    while ((separatorIndex = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const rawEvent = buffer.slice(0, separatorIndex);
+      buffer = buffer.slice(separatorIndex).replace(/^\r?\n\r?\n/, '');
+
+      const parsed = parseEventBlock(rawEvent);
+      if (parsed) {
+        yield parsed;
+      }
+    }
+  }
+
+  const parsed = parseEventBlock(buffer);
+  if (parsed) {
+    yield parsed;
+  }
+}
+
+/**
+ * Parser un bloc SSE ("event: x\ndata: y")
+ * @param {string} block - Bloc brut
+ * @returns {Object|null} { event, data } ou null si vide
+ */
+function parseEventBlock(block) {
+  let event = 'message';
+  const dataLines = [];
+
+  for (const line of block.split(/\r?\n/)) {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''));
+    }
+  }
+
+  if (dataLines.length === 0) {
+    return null;
+  }
+
+  return { event, data: dataLines.join('\n') };
+}
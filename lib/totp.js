@@ -0,0 +1,173 @@
+// Codes à usage unique TOTP (RFC 6238) pour la double authentification de l'administration
+// Sans dépendance : HMAC-SHA1, 6 chiffres, période de 30 s (réglages par défaut des applications
+// Google Authenticator, Microsoft Authenticator, 1Password...). Secret encodé en base32 (RFC 4648).
+
+import crypto from 'crypto';
+
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30;
+
+// Périodes acceptées de part et d'autre de l'heure du serveur (décalage d'horloge du téléphone)
+const TOTP_WINDOW = 1;
+
+export const TOTP_ISSUER = 'SOS Divorce Admin';
+
+// Codes de secours : 10 codes de 10 caractères, chacun utilisable une seule fois
+export const BACKUP_CODE_COUNT = 10;
+const BACKUP_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encoder en base32 (sans remplissage)
+ * @param {Buffer} buffer - Octets
+ * @returns {string} Texte base32
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Décoder du base32 (espaces, casse et remplissage ignorés)
+ * @param {string} text - Texte base32
+ * @returns {Buffer} Octets
+ */
+function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Secret TOTP invalide');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Générer un secret TOTP (160 bits, taille recommandée pour HMAC-SHA1)
+ * @returns {string} Secret base32
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Période TOTP d'un instant
+ * @param {number} [time] - Timestamp en millisecondes
+ * @returns {number} Compteur (nombre de périodes depuis l'epoch)
+ */
+export function getTotpCounter(time = Date.now()) {
+  return Math.floor(time / 1000 / TOTP_PERIOD);
+}
+
+/**
+ * Code TOTP d'une période (HOTP, RFC 4226)
+ * @param {string} secret - Secret base32
+ * @param {number} counter - Compteur
+ * @returns {string} Code à 6 chiffres
+ */
+export function getTotpCode(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Vérifier un code TOTP
+ * Un code déjà accepté (compteur inférieur ou égal à lastCounter) est refusé : pas de rejeu.
+ * @param {string} secret - Secret base32
+ * @param {string} code - Code saisi
+ * @param {Object} [options] - { lastCounter: dernier compteur accepté, time }
+ * @returns {number|null} Compteur du code accepté, ou null si invalide
+ */
+export function verifyTotpCode(secret, code, { lastCounter = null, time = Date.now() } = {}) {
+  const clean = typeof code === 'string' ? code.replace(/\s/g, '') : '';
+  if (!/^\d{6}$/.test(clean)) {
+    return null;
+  }
+
+  const current = getTotpCounter(time);
+  for (let counter = current - TOTP_WINDOW; counter <= current + TOTP_WINDOW; counter++) {
+    if (lastCounter !== null && counter <= lastCounter) continue;
+
+    const expected = getTotpCode(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) {
+      return counter;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * URI otpauth:// à scanner par l'application d'authentification
+ * @param {string} secret - Secret base32
+ * @param {string} accountName - Nom du compte affiché (email de l'administrateur)
+ * @returns {string} URI
+ */
+export function getTotpUri(secret, accountName) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+
+  return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+/**
+ * Générer des codes de secours (affichés une seule fois, seul leur hash est stocké)
+ * @returns {Array<string>} Codes au format xxxxx-xxxxx
+ */
+export function generateBackupCodes() {
+  return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const chars = Array.from({ length: 10 }, () => BACKUP_CODE_ALPHABET[crypto.randomInt(BACKUP_CODE_ALPHABET.length)]).join('');
+    return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+  });
+}
+
+/**
+ * Hash d'un code de secours (tiret, espaces et casse ignorés)
+ * @param {string} code - Code de secours
+ * @returns {string} SHA-256 hexadécimal
+ */
+export function hashBackupCode(code) {
+  const clean = String(code).toLowerCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(clean).digest('hex');
+}
@@ -8,8 +8,7 @@
  *
  * @example
  * const cookies = parseCookies(req.headers.cookie);
- * console.log(cookies.registered); // "1"
- * console.log(cookies.user_email); // "user@example.com"
+ * console.log(cookies.q_used); // "1"
  */
 export function parseCookies(cookieHeader) {
   const cookies = {};
@@ -0,0 +1,50 @@
+// Utilisateurs inscrits et cache des réponses du chatbot
+
+export const description = 'Tables users et chat_cache';
+
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      first_name VARCHAR(100) NOT NULL,
+      last_name VARCHAR(100) NOT NULL,
+      email VARCHAR(255) UNIQUE NOT NULL,
+      password_hash VARCHAR(255),
+      registered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      subscription_status VARCHAR(50) DEFAULT 'free',
+      questions_used INTEGER DEFAULT 0,
+      last_question_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  // Vérification de l'email (lien envoyé par sendVerification)
+  await sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP`;
+
+  await sql`CREATE INDEX IF NOT EXISTS idx_email ON users(email)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_registered_at ON users(registered_at)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_subscription ON users(subscription_status)`;
+
+  await sql`
+    CREATE TABLE IF NOT EXISTS chat_cache (
+      id SERIAL PRIMARY KEY,
+      question_hash VARCHAR(64) UNIQUE NOT NULL,
+      question_text TEXT NOT NULL,
+      answer_text TEXT NOT NULL,
+      hit_count INTEGER DEFAULT 1,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_accessed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP DEFAULT (CURRENT_TIMESTAMP + INTERVAL '30 days')
+    )
+  `;
+
+  await sql`CREATE INDEX IF NOT EXISTS idx_question_hash ON chat_cache(question_hash)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_expires_at ON chat_cache(expires_at)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_hit_count ON chat_cache(hit_count)`;
+}
+
+export async function down(sql) {
+  await sql`DROP TABLE IF EXISTS chat_cache`;
+  await sql`DROP TABLE IF EXISTS users CASCADE`;
+}
@@ -0,0 +1,54 @@
+// Historique des conversations du chat gratuit (utilisateurs inscrits et anonymes)
+
+export const description = 'Tables conversation_sessions et conversation_messages, conversations anonymes';
+
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS conversation_sessions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      title VARCHAR(255) DEFAULT 'Nouvelle conversation',
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_message_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      message_count INTEGER DEFAULT 0
+    )
+  `;
+
+  await sql`
+    CREATE TABLE IF NOT EXISTS conversation_messages (
+      id SERIAL PRIMARY KEY,
+      session_id INTEGER NOT NULL REFERENCES conversation_sessions(id) ON DELETE CASCADE,
+      role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
+      content TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      tokens_used INTEGER DEFAULT 0,
+      response_time_ms INTEGER,
+      was_cached BOOLEAN DEFAULT FALSE
+    )
+  `;
+
+  await sql`CREATE INDEX IF NOT EXISTS idx_session_user ON conversation_sessions(user_id, last_message_at DESC)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_messages_session ON conversation_messages(session_id, created_at)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_messages_role ON conversation_messages(session_id, role)`;
+
+  // Conversations anonymes (ancienne action migrate-anonymous de /api/setup-db)
+  await sql`ALTER TABLE conversation_sessions ALTER COLUMN user_id DROP NOT NULL`;
+  await sql`
+    ALTER TABLE conversation_sessions
+    ADD COLUMN IF NOT EXISTS anonymous_identifier VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45),
+    ADD COLUMN IF NOT EXISTS user_agent TEXT,
+    ADD COLUMN IF NOT EXISTS is_anonymous BOOLEAN DEFAULT FALSE
+  `;
+
+  await sql`CREATE INDEX IF NOT EXISTS idx_anonymous_sessions ON conversation_sessions(is_anonymous, last_message_at DESC)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_anonymous_identifier ON conversation_sessions(anonymous_identifier)`;
+
+  // Sessions antérieures à la migration : toutes enregistrées
+  await sql`UPDATE conversation_sessions SET is_anonymous = FALSE WHERE is_anonymous IS NULL`;
+}
+
+export async function down(sql) {
+  await sql`DROP TABLE IF EXISTS conversation_messages`;
+  await sql`DROP TABLE IF EXISTS conversation_sessions`;
+}
@@ -0,0 +1,87 @@
+// Sessions payantes (questionnaire, paiement Stripe, analyse) et leurs messages
+
+export const description = 'Tables paid_sessions et paid_messages';
+
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS paid_sessions (
+      id SERIAL PRIMARY KEY,
+      session_uuid VARCHAR(36) UNIQUE NOT NULL,
+      email VARCHAR(255),
+      expertise VARCHAR(50),
+      amount INTEGER DEFAULT 0,
+      paid BOOLEAN DEFAULT FALSE,
+      payment_intent_id VARCHAR(255),
+      thread_id VARCHAR(255) NOT NULL,
+      questionnaire_data JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      paid_at TIMESTAMP,
+      email_sent BOOLEAN DEFAULT FALSE,
+      email_sent_at TIMESTAMP
+    )
+  `;
+
+  await sql`
+    CREATE TABLE IF NOT EXISTS paid_messages (
+      id SERIAL PRIMARY KEY,
+      session_id INTEGER NOT NULL REFERENCES paid_sessions(id) ON DELETE CASCADE,
+      role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
+      content TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  // Colonnes de suivi Stripe (webhook) : échecs, remboursements, litiges
+  await sql`ALTER TABLE paid_sessions ADD COLUMN IF NOT EXISTS payment_status VARCHAR(30)`;
+  await sql`ALTER TABLE paid_sessions ADD COLUMN IF NOT EXISTS payment_error TEXT`;
+  await sql`ALTER TABLE paid_sessions ADD COLUMN IF NOT EXISTS refunded_amount INTEGER DEFAULT 0`;
+  await sql`ALTER TABLE paid_sessions ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP`;
+  await sql`ALTER TABLE paid_sessions ADD COLUMN IF NOT EXISTS dispute_status VARCHAR(50)`;
+  await sql`ALTER TABLE paid_sessions ADD COLUMN IF NOT EXISTS disputed_at TIMESTAMP`;
+
+  // Les offres viennent du catalogue (table offers) : plus de liste figée
+  await sql`ALTER TABLE paid_sessions DROP CONSTRAINT IF EXISTS paid_sessions_expertise_check`;
+  await sql`ALTER TABLE paid_sessions ALTER COLUMN expertise TYPE VARCHAR(50)`;
+
+  // Code promo appliqué au paiement (montant = prix de l'offre - réduction)
+  await sql`ALTER TABLE paid_sessions ADD COLUMN IF NOT EXISTS promo_code VARCHAR(50)`;
+  await sql`ALTER TABLE paid_sessions ADD COLUMN IF NOT EXISTS discount_amount INTEGER DEFAULT 0`;
+
+  // Relecture de l'analyse avant envoi au client : pending_review -> approved -> delivered
+  await sql`ALTER TABLE paid_sessions ADD COLUMN IF NOT EXISTS analysis_draft TEXT`;
+  await sql`ALTER TABLE paid_sessions ADD COLUMN IF NOT EXISTS analysis_status VARCHAR(20)`;
+  await sql`ALTER TABLE paid_sessions ADD COLUMN IF NOT EXISTS analysis_updated_at TIMESTAMP`;
+  await sql`ALTER TABLE paid_sessions ADD COLUMN IF NOT EXISTS analysis_updated_by VARCHAR(100)`;
+  await sql`ALTER TABLE paid_sessions ADD COLUMN IF NOT EXISTS approved_by VARCHAR(100)`;
+  await sql`ALTER TABLE paid_sessions ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP`;
+
+  // Rapport généré automatiquement à partir du questionnaire (sections), source du brouillon
+  await sql`ALTER TABLE paid_sessions ADD COLUMN IF NOT EXISTS analysis_report JSONB`;
+  await sql`ALTER TABLE paid_sessions ADD COLUMN IF NOT EXISTS analysis_generated_at TIMESTAMP`;
+
+  // email_sent ne distinguait pas la notification de l'équipe et l'envoi au client :
+  // remplacé par admin_notified_at et client_delivered_at (reprise de l'historique)
+  await sql`ALTER TABLE paid_sessions ADD COLUMN IF NOT EXISTS admin_notified_at TIMESTAMP`;
+  await sql`ALTER TABLE paid_sessions ADD COLUMN IF NOT EXISTS client_delivered_at TIMESTAMP`;
+  await sql`
+    UPDATE paid_sessions
+    SET admin_notified_at = COALESCE(email_sent_at, paid_at)
+    WHERE email_sent = TRUE AND admin_notified_at IS NULL
+  `;
+
+  // Demande d'effacement RGPD : session payée conservée pour la comptabilité, données personnelles retirées
+  await sql`ALTER TABLE paid_sessions ADD COLUMN IF NOT EXISTS erased_at TIMESTAMP`;
+
+  await sql`CREATE INDEX IF NOT EXISTS idx_paid_sessions_uuid ON paid_sessions(session_uuid)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_paid_sessions_email ON paid_sessions(email)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_paid_sessions_payment_intent ON paid_sessions(payment_intent_id)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_paid_sessions_paid ON paid_sessions(paid)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_paid_sessions_promo_code ON paid_sessions(promo_code)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_paid_sessions_analysis_status ON paid_sessions(analysis_status)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_paid_messages_session ON paid_messages(session_id)`;
+}
+
+export async function down(sql) {
+  await sql`DROP TABLE IF EXISTS paid_messages`;
+  await sql`DROP TABLE IF EXISTS paid_sessions CASCADE`;
+}
@@ -0,0 +1,50 @@
+// Sessions non payées dont l'email est connu (relances) et leurs messages
+
+export const description = 'Tables unpaid_sessions_with_email et unpaid_messages';
+
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS unpaid_sessions_with_email (
+      id SERIAL PRIMARY KEY,
+      session_uuid VARCHAR(36) UNIQUE NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      expertise VARCHAR(50),
+      amount INTEGER DEFAULT 0,
+      payment_intent_id VARCHAR(255),
+      thread_id VARCHAR(255) NOT NULL,
+      questionnaire_data JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      email_collected_at TIMESTAMP,
+      last_activity_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      payment_attempts INTEGER DEFAULT 0,
+      last_payment_attempt_at TIMESTAMP,
+      moved_to_paid BOOLEAN DEFAULT FALSE,
+      moved_at TIMESTAMP
+    )
+  `;
+
+  // Codes d'offre du catalogue (table offers)
+  await sql`ALTER TABLE unpaid_sessions_with_email ALTER COLUMN expertise TYPE VARCHAR(50)`;
+
+  await sql`CREATE INDEX IF NOT EXISTS idx_unpaid_email ON unpaid_sessions_with_email(email)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_unpaid_uuid ON unpaid_sessions_with_email(session_uuid)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_unpaid_created ON unpaid_sessions_with_email(created_at DESC)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_unpaid_payment_intent ON unpaid_sessions_with_email(payment_intent_id)`;
+
+  await sql`
+    CREATE TABLE IF NOT EXISTS unpaid_messages (
+      id SERIAL PRIMARY KEY,
+      session_id INTEGER NOT NULL REFERENCES unpaid_sessions_with_email(id) ON DELETE CASCADE,
+      role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
+      content TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  await sql`CREATE INDEX IF NOT EXISTS idx_unpaid_messages_session ON unpaid_messages(session_id)`;
+}
+
+export async function down(sql) {
+  await sql`DROP TABLE IF EXISTS unpaid_messages`;
+  await sql`DROP TABLE IF EXISTS unpaid_sessions_with_email`;
+}
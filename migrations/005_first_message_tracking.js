@@ -0,0 +1,38 @@
+// Premier message envoyé par session (statistiques de conversion)
+// Remplace l'ancien endpoint /api/add-first-message-tracking : moveSessionToUnpaid copie la colonne,
+// absente des tables créées par /api/setup-db.
+
+export const description = 'Colonne first_message_sent sur paid_sessions et unpaid_sessions_with_email';
+
+export async function up(sql) {
+  await sql`ALTER TABLE paid_sessions ADD COLUMN IF NOT EXISTS first_message_sent BOOLEAN DEFAULT FALSE`;
+  await sql`ALTER TABLE unpaid_sessions_with_email ADD COLUMN IF NOT EXISTS first_message_sent BOOLEAN DEFAULT FALSE`;
+
+  // Sessions existantes ayant déjà un message de l'utilisateur
+  await sql`
+    UPDATE paid_sessions ps
+    SET first_message_sent = TRUE
+    WHERE EXISTS (
+      SELECT 1 FROM paid_messages pm
+      WHERE pm.session_id = ps.id
+      AND pm.role = 'user'
+    )
+    AND first_message_sent = FALSE
+  `;
+
+  await sql`
+    UPDATE unpaid_sessions_with_email us
+    SET first_message_sent = TRUE
+    WHERE EXISTS (
+      SELECT 1 FROM unpaid_messages um
+      WHERE um.session_id = us.id
+      AND um.role = 'user'
+    )
+    AND first_message_sent = FALSE
+  `;
+}
+
+export async function down(sql) {
+  await sql`ALTER TABLE unpaid_sessions_with_email DROP COLUMN IF EXISTS first_message_sent`;
+  await sql`ALTER TABLE paid_sessions DROP COLUMN IF EXISTS first_message_sent`;
+}
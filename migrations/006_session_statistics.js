@@ -0,0 +1,23 @@
+// Compteurs journaliers (premiers messages, emails collectés, paiements)
+
+export const description = 'Table session_statistics';
+
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS session_statistics (
+      id SERIAL PRIMARY KEY,
+      stat_date DATE NOT NULL UNIQUE DEFAULT CURRENT_DATE,
+      first_messages_count INTEGER DEFAULT 0,
+      emails_collected_count INTEGER DEFAULT 0,
+      payments_completed_count INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  await sql`CREATE INDEX IF NOT EXISTS idx_session_statistics_date ON session_statistics(stat_date DESC)`;
+}
+
+export async function down(sql) {
+  await sql`DROP TABLE IF EXISTS session_statistics`;
+}
@@ -0,0 +1,50 @@
+// Webhook Stripe (idempotence) et remboursements
+
+export const description = 'Tables stripe_events et payment_refunds';
+
+export async function up(sql) {
+  // Clé = ID d'événement Stripe
+  await sql`
+    CREATE TABLE IF NOT EXISTS stripe_events (
+      id VARCHAR(255) PRIMARY KEY,
+      type VARCHAR(100) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'processing'
+        CHECK (status IN ('processing', 'processed', 'failed')),
+      error TEXT,
+      attempts INTEGER DEFAULT 1,
+      received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      processed_at TIMESTAMP
+    )
+  `;
+
+  await sql`CREATE INDEX IF NOT EXISTS idx_stripe_events_type ON stripe_events(type)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_stripe_events_received ON stripe_events(received_at DESC)`;
+
+  // Un remboursement Stripe = une ligne
+  await sql`
+    CREATE TABLE IF NOT EXISTS payment_refunds (
+      id SERIAL PRIMARY KEY,
+      session_id INTEGER NOT NULL REFERENCES paid_sessions(id) ON DELETE CASCADE,
+      stripe_refund_id VARCHAR(255) UNIQUE NOT NULL,
+      payment_intent_id VARCHAR(255),
+      amount INTEGER NOT NULL,
+      reason VARCHAR(50),
+      note TEXT,
+      status VARCHAR(50),
+      created_by VARCHAR(255) DEFAULT 'admin',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  // Auteur : email de l'administrateur connecté (comptes nominatifs)
+  await sql`ALTER TABLE payment_refunds ALTER COLUMN created_by TYPE VARCHAR(255)`;
+
+  await sql`CREATE INDEX IF NOT EXISTS idx_payment_refunds_session ON payment_refunds(session_id)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_payment_refunds_created ON payment_refunds(created_at DESC)`;
+}
+
+export async function down(sql) {
+  await sql`DROP TABLE IF EXISTS payment_refunds`;
+  await sql`DROP TABLE IF EXISTS stripe_events`;
+}
@@ -0,0 +1,55 @@
+// Catalogue des offres (avec les offres Express et Premium) et codes promo
+
+export const description = 'Tables offers et promo_codes';
+
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS offers (
+      id SERIAL PRIMARY KEY,
+      code VARCHAR(50) UNIQUE NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      short_name VARCHAR(100) NOT NULL,
+      description TEXT,
+      price INTEGER NOT NULL CHECK (price > 0),
+      recommended BOOLEAN DEFAULT FALSE,
+      requires_lawyer_review BOOLEAN DEFAULT FALSE,
+      position INTEGER DEFAULT 0,
+      active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  // Offres existantes avant le catalogue (codes déjà présents dans paid_sessions)
+  await sql`
+    INSERT INTO offers (code, name, short_name, description, price, recommended, requires_lawyer_review, position)
+    VALUES
+      ('classique', 'Analyse Express', 'Express',
+       'Les points clés de votre situation et les prochaines étapes', 2900, FALSE, FALSE, 1),
+      ('premium', 'Analyse Premium validée avocat', 'Premium',
+       'Analyse approfondie validée par un avocat spécialisé sous 48h', 4900, TRUE, TRUE, 2)
+    ON CONFLICT (code) DO NOTHING
+  `;
+
+  await sql`
+    CREATE TABLE IF NOT EXISTS promo_codes (
+      id SERIAL PRIMARY KEY,
+      code VARCHAR(50) UNIQUE NOT NULL,
+      description VARCHAR(255),
+      discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+      discount_value INTEGER NOT NULL CHECK (discount_value > 0),
+      expertise VARCHAR(50),
+      valid_from TIMESTAMP,
+      valid_until TIMESTAMP,
+      max_redemptions INTEGER,
+      redemptions_count INTEGER DEFAULT 0,
+      active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+}
+
+export async function down(sql) {
+  await sql`DROP TABLE IF EXISTS promo_codes`;
+  await sql`DROP TABLE IF EXISTS offers`;
+}
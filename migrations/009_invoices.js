@@ -0,0 +1,51 @@
+// Factures et avoirs : une facture par session payée, un avoir par remboursement Stripe
+
+export const description = 'Tables invoice_sequences et invoices';
+
+export async function up(sql) {
+  // Dernier numéro attribué par série (F-2026, AV-2026...)
+  await sql`
+    CREATE TABLE IF NOT EXISTS invoice_sequences (
+      series VARCHAR(20) PRIMARY KEY,
+      last_number INTEGER NOT NULL DEFAULT 0
+    )
+  `;
+
+  // Pas de suppression en cascade : les factures sont à conserver 10 ans
+  await sql`
+    CREATE TABLE IF NOT EXISTS invoices (
+      id SERIAL PRIMARY KEY,
+      number VARCHAR(30) UNIQUE NOT NULL,
+      type VARCHAR(20) NOT NULL CHECK (type IN ('invoice', 'credit_note')),
+      session_id INTEGER NOT NULL REFERENCES paid_sessions(id),
+      original_invoice_id INTEGER REFERENCES invoices(id),
+      stripe_refund_id VARCHAR(255) UNIQUE,
+      payment_intent_id VARCHAR(255),
+      customer_email VARCHAR(255),
+      description VARCHAR(255) NOT NULL,
+      promo_code VARCHAR(50),
+      base_price INTEGER NOT NULL,
+      discount_amount INTEGER NOT NULL DEFAULT 0,
+      amount_ht INTEGER NOT NULL,
+      vat_rate NUMERIC(5,2) NOT NULL,
+      vat_amount INTEGER NOT NULL,
+      amount_ttc INTEGER NOT NULL,
+      seller JSONB NOT NULL,
+      paid_at TIMESTAMP,
+      issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      sent_at TIMESTAMP
+    )
+  `;
+
+  // Une seule facture (hors avoirs) par session
+  await sql`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_session_invoice
+    ON invoices(session_id) WHERE type = 'invoice'
+  `;
+  await sql`CREATE INDEX IF NOT EXISTS idx_invoices_session ON invoices(session_id)`;
+}
+
+export async function down(sql) {
+  await sql`DROP TABLE IF EXISTS invoices`;
+  await sql`DROP TABLE IF EXISTS invoice_sequences`;
+}
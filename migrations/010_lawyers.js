@@ -0,0 +1,60 @@
+// Espace avocat et validation des analyses Premium
+
+export const description = 'Tables lawyers, lawyer_sessions et lawyer_reviews';
+
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS lawyers (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      email VARCHAR(255) UNIQUE NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      bar VARCHAR(100),
+      active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_login_at TIMESTAMP
+    )
+  `;
+
+  // Sessions de l'espace avocat (seul le hash du jeton est stocké)
+  await sql`
+    CREATE TABLE IF NOT EXISTS lawyer_sessions (
+      token_hash VARCHAR(64) PRIMARY KEY,
+      lawyer_id INTEGER NOT NULL REFERENCES lawyers(id) ON DELETE CASCADE,
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  // Un dossier par session payée d'une offre validée par avocat
+  // Statuts : to_assign (à assigner), in_progress (en cours), validated (validée), returned (renvoyée)
+  await sql`
+    CREATE TABLE IF NOT EXISTS lawyer_reviews (
+      id SERIAL PRIMARY KEY,
+      session_id INTEGER UNIQUE NOT NULL REFERENCES paid_sessions(id) ON DELETE CASCADE,
+      lawyer_id INTEGER REFERENCES lawyers(id),
+      status VARCHAR(20) NOT NULL DEFAULT 'to_assign'
+        CHECK (status IN ('to_assign', 'in_progress', 'validated', 'returned')),
+      deadline_at TIMESTAMP NOT NULL,
+      assigned_at TIMESTAMP,
+      validated_at TIMESTAMP,
+      validated_analysis TEXT,
+      returned_at TIMESTAMP,
+      lawyer_comment TEXT,
+      reminder_sent_at TIMESTAMP,
+      overdue_notified_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  await sql`CREATE INDEX IF NOT EXISTS idx_lawyer_sessions_lawyer ON lawyer_sessions(lawyer_id)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_lawyer_reviews_status ON lawyer_reviews(status, deadline_at)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_lawyer_reviews_lawyer ON lawyer_reviews(lawyer_id)`;
+}
+
+export async function down(sql) {
+  await sql`DROP TABLE IF EXISTS lawyer_reviews`;
+  await sql`DROP TABLE IF EXISTS lawyer_sessions`;
+  await sql`DROP TABLE IF EXISTS lawyers`;
+}
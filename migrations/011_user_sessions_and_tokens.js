@@ -0,0 +1,43 @@
+// Sessions de connexion et liens à usage unique des utilisateurs inscrits
+// Seul le hash SHA-256 des jetons est stocké.
+
+export const description = 'Tables user_sessions et user_tokens';
+
+export async function up(sql) {
+  // Une session révoquée ou expirée est refusée
+  await sql`
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id SERIAL PRIMARY KEY,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      ip_address VARCHAR(45),
+      user_agent TEXT
+    )
+  `;
+
+  await sql`CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_user_sessions_expires ON user_sessions(expires_at)`;
+
+  // Réinitialisation du mot de passe, vérification de l'email
+  await sql`
+    CREATE TABLE IF NOT EXISTS user_tokens (
+      id SERIAL PRIMARY KEY,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP
+    )
+  `;
+
+  await sql`CREATE INDEX IF NOT EXISTS idx_user_tokens_user ON user_tokens(user_id, purpose)`;
+}
+
+export async function down(sql) {
+  await sql`DROP TABLE IF EXISTS user_tokens`;
+  await sql`DROP TABLE IF EXISTS user_sessions`;
+}
@@ -0,0 +1,59 @@
+// Comptes administrateurs nominatifs, sessions et double authentification
+// Rôles : owner (propriétaire), support, lawyer (avocat), analyst (lecture seule)
+
+export const description = 'Tables admin_users, admin_sessions et admin_backup_codes';
+
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS admin_users (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      email VARCHAR(255) UNIQUE NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'support', 'lawyer', 'analyst')),
+      active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_login_at TIMESTAMP
+    )
+  `;
+
+  // Sessions de l'administration (seul le hash du jeton est stocké)
+  await sql`
+    CREATE TABLE IF NOT EXISTS admin_sessions (
+      token_hash VARCHAR(64) PRIMARY KEY,
+      admin_user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  await sql`CREATE INDEX IF NOT EXISTS idx_admin_sessions_user ON admin_sessions(admin_user_id)`;
+
+  // Double authentification TOTP : secret validé, secret en cours d'enrôlement, dernier code accepté
+  await sql`ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64)`;
+  await sql`ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_pending_secret VARCHAR(64)`;
+  await sql`ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP`;
+  await sql`ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_last_counter BIGINT`;
+
+  // Session ouverte par le mot de passe, en attente du code TOTP
+  await sql`ALTER TABLE admin_sessions ADD COLUMN IF NOT EXISTS mfa_pending BOOLEAN NOT NULL DEFAULT FALSE`;
+
+  // Codes de secours (hash SHA-256, chacun utilisable une fois)
+  await sql`
+    CREATE TABLE IF NOT EXISTS admin_backup_codes (
+      id SERIAL PRIMARY KEY,
+      admin_user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+      code_hash VARCHAR(64) NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  await sql`CREATE INDEX IF NOT EXISTS idx_admin_backup_codes_user ON admin_backup_codes(admin_user_id)`;
+}
+
+export async function down(sql) {
+  await sql`DROP TABLE IF EXISTS admin_backup_codes`;
+  await sql`DROP TABLE IF EXISTS admin_sessions`;
+  await sql`DROP TABLE IF EXISTS admin_users`;
+}
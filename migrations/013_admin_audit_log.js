@@ -0,0 +1,45 @@
+// Journal des actions admin (ajout seul : UPDATE et DELETE refusés par trigger)
+// L'auteur est recopié (email, rôle) : l'entrée reste lisible si le compte change.
+
+export const description = 'Table admin_audit_log';
+
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      admin_user_id INTEGER,
+      admin_email VARCHAR(255),
+      admin_role VARCHAR(20),
+      endpoint VARCHAR(100),
+      action VARCHAR(100) NOT NULL,
+      target VARCHAR(255),
+      method VARCHAR(10),
+      outcome VARCHAR(20) NOT NULL DEFAULT 'allowed',
+      ip_address VARCHAR(45),
+      details JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  await sql`
+    CREATE OR REPLACE FUNCTION admin_audit_log_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'admin_audit_log est en ajout seul';
+    END;
+    $$ LANGUAGE plpgsql
+  `;
+  await sql`DROP TRIGGER IF EXISTS admin_audit_log_no_change ON admin_audit_log`;
+  await sql`
+    CREATE TRIGGER admin_audit_log_no_change
+    BEFORE UPDATE OR DELETE ON admin_audit_log
+    FOR EACH ROW EXECUTE FUNCTION admin_audit_log_append_only()
+  `;
+
+  await sql`CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created ON admin_audit_log(created_at DESC)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_admin_audit_log_admin ON admin_audit_log(admin_user_id, created_at DESC)`;
+}
+
+export async function down(sql) {
+  await sql`DROP TABLE IF EXISTS admin_audit_log`;
+  await sql`DROP FUNCTION IF EXISTS admin_audit_log_append_only()`;
+}
@@ -0,0 +1,37 @@
+// Conservation des données : durées modifiées depuis l'administration et historique des purges
+// Les règles (durées par défaut, minimums) sont définies dans lib/retention.js.
+
+export const description = 'Tables retention_policies et retention_purge_runs';
+
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS retention_policies (
+      rule VARCHAR(50) PRIMARY KEY,
+      retention_days INTEGER NOT NULL CHECK (retention_days > 0),
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      updated_by VARCHAR(255),
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  // Une ligne par purge effectuée (cron ou administration), résultats par règle
+  await sql`
+    CREATE TABLE IF NOT EXISTS retention_purge_runs (
+      id SERIAL PRIMARY KEY,
+      source VARCHAR(20) NOT NULL CHECK (source IN ('cron', 'admin')),
+      triggered_by VARCHAR(255),
+      started_at TIMESTAMP NOT NULL,
+      finished_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      total_removed INTEGER NOT NULL DEFAULT 0,
+      complete BOOLEAN NOT NULL DEFAULT TRUE,
+      results JSONB NOT NULL
+    )
+  `;
+
+  await sql`CREATE INDEX IF NOT EXISTS idx_retention_purge_runs_started ON retention_purge_runs(started_at DESC)`;
+}
+
+export async function down(sql) {
+  await sql`DROP TABLE IF EXISTS retention_purge_runs`;
+  await sql`DROP TABLE IF EXISTS retention_policies`;
+}
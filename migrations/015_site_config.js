@@ -0,0 +1,18 @@
+// Configuration du site modifiable depuis l'administration (mode maintenance)
+// Créée jusqu'ici à la volée par /api/maintenance.
+
+export const description = 'Table site_config';
+
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS site_config (
+      key VARCHAR(50) PRIMARY KEY,
+      value TEXT,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+}
+
+export async function down(sql) {
+  await sql`DROP TABLE IF EXISTS site_config`;
+}
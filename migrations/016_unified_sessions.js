@@ -0,0 +1,219 @@
+// Sessions du questionnaire : une seule table sessions et un statut de cycle de vie
+// anonymous -> email_collected -> checkout_started -> paid -> delivered -> refunded
+//
+// Avant : la session naissait dans paid_sessions, était copiée dans unpaid_sessions_with_email
+// à la collecte de l'email (moveSessionToUnpaid) puis recopiée dans paid_sessions au paiement
+// (migrateUnpaidToPaidSession), messages dupliqués à chaque passage.
+// paid_sessions devient sessions : les id référencés par invoices, payment_refunds et
+// lawyer_reviews sont conservés. Les sessions non payées y sont fusionnées par session_uuid.
+
+export const description = 'Table sessions (statut du cycle de vie) remplaçant paid_sessions et unpaid_sessions_with_email';
+
+export async function up(sql) {
+  await sql`ALTER TABLE paid_sessions RENAME TO sessions`;
+  await sql`ALTER TABLE paid_messages RENAME TO session_messages`;
+  await sql`ALTER INDEX IF EXISTS idx_paid_sessions_uuid RENAME TO idx_sessions_uuid`;
+  await sql`ALTER INDEX IF EXISTS idx_paid_sessions_email RENAME TO idx_sessions_email`;
+  await sql`ALTER INDEX IF EXISTS idx_paid_sessions_payment_intent RENAME TO idx_sessions_payment_intent`;
+  await sql`ALTER INDEX IF EXISTS idx_paid_sessions_promo_code RENAME TO idx_sessions_promo_code`;
+  await sql`ALTER INDEX IF EXISTS idx_paid_sessions_analysis_status RENAME TO idx_sessions_analysis_status`;
+  await sql`ALTER INDEX IF EXISTS idx_paid_messages_session RENAME TO idx_session_messages_session`;
+
+  await sql`
+    ALTER TABLE sessions ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'anonymous'
+      CHECK (status IN ('anonymous', 'email_collected', 'checkout_started', 'paid', 'delivered', 'refunded'))
+  `;
+  await sql`ALTER TABLE sessions ADD COLUMN status_updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP`;
+  await sql`ALTER TABLE sessions ADD COLUMN email_collected_at TIMESTAMP`;
+  await sql`ALTER TABLE sessions ADD COLUMN last_activity_at TIMESTAMP`;
+  await sql`ALTER TABLE sessions ADD COLUMN payment_attempts INTEGER DEFAULT 0`;
+  await sql`ALTER TABLE sessions ADD COLUMN last_payment_attempt_at TIMESTAMP`;
+
+  // Messages des sessions présentes dans les deux tables : unpaid_messages contient tout
+  // l'historique jusqu'au paiement (copie faite à la collecte de l'email). Seuls les messages
+  // postérieurs au retour dans paid_sessions sont conservés côté sessions.
+  await sql`
+    DELETE FROM session_messages m
+    USING sessions s, unpaid_sessions_with_email u
+    WHERE m.session_id = s.id
+      AND u.session_uuid = s.session_uuid
+      AND (u.moved_to_paid = FALSE OR m.created_at <= u.moved_at)
+  `;
+
+  // La copie active (unpaid tant que la session n'était pas payée) fournit email et questionnaire
+  await sql`
+    UPDATE sessions s
+    SET email = CASE WHEN u.moved_to_paid THEN COALESCE(s.email, NULLIF(u.email, ''))
+                     ELSE COALESCE(NULLIF(u.email, ''), s.email) END,
+        questionnaire_data = CASE WHEN u.moved_to_paid THEN COALESCE(s.questionnaire_data, u.questionnaire_data)
+                                  ELSE COALESCE(u.questionnaire_data, s.questionnaire_data) END,
+        expertise = COALESCE(s.expertise, u.expertise),
+        amount = COALESCE(NULLIF(s.amount, 0), u.amount),
+        payment_intent_id = COALESCE(s.payment_intent_id, u.payment_intent_id),
+        first_message_sent = COALESCE(s.first_message_sent, FALSE) OR COALESCE(u.first_message_sent, FALSE),
+        email_collected_at = u.email_collected_at,
+        last_activity_at = u.last_activity_at,
+        payment_attempts = COALESCE(u.payment_attempts, 0),
+        last_payment_attempt_at = u.last_payment_attempt_at
+    FROM unpaid_sessions_with_email u
+    WHERE u.session_uuid = s.session_uuid
+  `;
+
+  // Sessions non payées sans équivalent dans paid_sessions (supprimé depuis)
+  await sql`
+    INSERT INTO sessions (
+      session_uuid, email, expertise, amount, payment_intent_id, thread_id, questionnaire_data,
+      first_message_sent, created_at, email_collected_at, last_activity_at,
+      payment_attempts, last_payment_attempt_at
+    )
+    SELECT u.session_uuid, NULLIF(u.email, ''), u.expertise, u.amount, u.payment_intent_id,
+           u.thread_id, u.questionnaire_data, COALESCE(u.first_message_sent, FALSE), u.created_at,
+           u.email_collected_at, u.last_activity_at, COALESCE(u.payment_attempts, 0),
+           u.last_payment_attempt_at
+    FROM unpaid_sessions_with_email u
+    WHERE NOT EXISTS (SELECT 1 FROM sessions s WHERE s.session_uuid = u.session_uuid)
+  `;
+
+  await sql`
+    INSERT INTO session_messages (session_id, role, content, created_at)
+    SELECT s.id, um.role, um.content, um.created_at
+    FROM unpaid_messages um
+    JOIN unpaid_sessions_with_email u ON u.id = um.session_id
+    JOIN sessions s ON s.session_uuid = u.session_uuid
+    ORDER BY um.id
+  `;
+
+  // Email connu sans date de collecte (renseigné au paiement)
+  await sql`
+    UPDATE sessions
+    SET email_collected_at = COALESCE(paid_at, created_at)
+    WHERE email IS NOT NULL AND email_collected_at IS NULL
+  `;
+
+  await sql`
+    UPDATE sessions s
+    SET last_activity_at = GREATEST(
+      s.last_activity_at, s.created_at, s.paid_at,
+      (SELECT MAX(m.created_at) FROM session_messages m WHERE m.session_id = s.id)
+    )
+  `;
+  await sql`ALTER TABLE sessions ALTER COLUMN last_activity_at SET DEFAULT CURRENT_TIMESTAMP`;
+
+  // Statut déduit de l'état existant (paid est remplacé par paid_at)
+  await sql`UPDATE sessions SET paid_at = created_at WHERE paid = TRUE AND paid_at IS NULL`;
+  await sql`
+    UPDATE sessions
+    SET status = CASE
+          WHEN paid = TRUE AND payment_status = 'refunded' THEN 'refunded'
+          WHEN paid = TRUE AND analysis_status = 'delivered' THEN 'delivered'
+          WHEN paid = TRUE THEN 'paid'
+          WHEN payment_intent_id IS NOT NULL THEN 'checkout_started'
+          WHEN email IS NOT NULL THEN 'email_collected'
+          ELSE 'anonymous'
+        END
+  `;
+  await sql`
+    UPDATE sessions
+    SET status_updated_at = CASE status
+          WHEN 'refunded' THEN COALESCE(refunded_at, paid_at)
+          WHEN 'delivered' THEN COALESCE(client_delivered_at, paid_at)
+          WHEN 'paid' THEN paid_at
+          WHEN 'checkout_started' THEN COALESCE(last_payment_attempt_at, last_activity_at)
+          WHEN 'email_collected' THEN email_collected_at
+          ELSE created_at
+        END
+  `;
+
+  await sql`ALTER TABLE sessions DROP COLUMN paid`;
+
+  await sql`CREATE INDEX IF NOT EXISTS idx_sessions_status ON sessions(status)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_sessions_last_activity ON sessions(last_activity_at)`;
+
+  await sql`DROP TABLE unpaid_messages`;
+  await sql`DROP TABLE unpaid_sessions_with_email`;
+
+  // Règle de conservation des copies déplacées, sans objet
+  await sql`DELETE FROM retention_policies WHERE rule = 'moved_unpaid_sessions'`;
+}
+
+export async function down(sql) {
+  await sql`ALTER TABLE sessions ADD COLUMN paid BOOLEAN DEFAULT FALSE`;
+  await sql`UPDATE sessions SET paid = (paid_at IS NOT NULL)`;
+
+  // Sessions non payées avec email : de nouveau copiées dans unpaid_sessions_with_email
+  await sql`
+    CREATE TABLE unpaid_sessions_with_email (
+      id SERIAL PRIMARY KEY,
+      session_uuid VARCHAR(36) UNIQUE NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      expertise VARCHAR(50),
+      amount INTEGER DEFAULT 0,
+      payment_intent_id VARCHAR(255),
+      thread_id VARCHAR(255) NOT NULL,
+      questionnaire_data JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      email_collected_at TIMESTAMP,
+      last_activity_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      payment_attempts INTEGER DEFAULT 0,
+      last_payment_attempt_at TIMESTAMP,
+      moved_to_paid BOOLEAN DEFAULT FALSE,
+      moved_at TIMESTAMP,
+      first_message_sent BOOLEAN DEFAULT FALSE
+    )
+  `;
+  await sql`CREATE INDEX idx_unpaid_email ON unpaid_sessions_with_email(email)`;
+  await sql`CREATE INDEX idx_unpaid_uuid ON unpaid_sessions_with_email(session_uuid)`;
+  await sql`CREATE INDEX idx_unpaid_created ON unpaid_sessions_with_email(created_at DESC)`;
+  await sql`CREATE INDEX idx_unpaid_payment_intent ON unpaid_sessions_with_email(payment_intent_id)`;
+
+  await sql`
+    CREATE TABLE unpaid_messages (
+      id SERIAL PRIMARY KEY,
+      session_id INTEGER NOT NULL REFERENCES unpaid_sessions_with_email(id) ON DELETE CASCADE,
+      role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
+      content TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+  await sql`CREATE INDEX idx_unpaid_messages_session ON unpaid_messages(session_id)`;
+
+  await sql`
+    INSERT INTO unpaid_sessions_with_email (
+      session_uuid, email, expertise, amount, payment_intent_id, thread_id, questionnaire_data,
+      created_at, email_collected_at, last_activity_at, payment_attempts, last_payment_attempt_at,
+      first_message_sent
+    )
+    SELECT session_uuid, email, expertise, amount, payment_intent_id, thread_id, questionnaire_data,
+           created_at, email_collected_at, last_activity_at, payment_attempts, last_payment_attempt_at,
+           first_message_sent
+    FROM sessions
+    WHERE status IN ('email_collected', 'checkout_started') AND email IS NOT NULL
+  `;
+  await sql`
+    INSERT INTO unpaid_messages (session_id, role, content, created_at)
+    SELECT u.id, m.role, m.content, m.created_at
+    FROM session_messages m
+    JOIN sessions s ON s.id = m.session_id
+    JOIN unpaid_sessions_with_email u ON u.session_uuid = s.session_uuid
+    ORDER BY m.id
+  `;
+
+  await sql`DROP INDEX IF EXISTS idx_sessions_status`;
+  await sql`DROP INDEX IF EXISTS idx_sessions_last_activity`;
+  await sql`ALTER TABLE sessions DROP COLUMN status`;
+  await sql`ALTER TABLE sessions DROP COLUMN status_updated_at`;
+  await sql`ALTER TABLE sessions DROP COLUMN email_collected_at`;
+  await sql`ALTER TABLE sessions DROP COLUMN last_activity_at`;
+  await sql`ALTER TABLE sessions DROP COLUMN payment_attempts`;
+  await sql`ALTER TABLE sessions DROP COLUMN last_payment_attempt_at`;
+
+  await sql`ALTER INDEX IF EXISTS idx_session_messages_session RENAME TO idx_paid_messages_session`;
+  await sql`ALTER INDEX IF EXISTS idx_sessions_analysis_status RENAME TO idx_paid_sessions_analysis_status`;
+  await sql`ALTER INDEX IF EXISTS idx_sessions_promo_code RENAME TO idx_paid_sessions_promo_code`;
+  await sql`ALTER INDEX IF EXISTS idx_sessions_payment_intent RENAME TO idx_paid_sessions_payment_intent`;
+  await sql`ALTER INDEX IF EXISTS idx_sessions_email RENAME TO idx_paid_sessions_email`;
+  await sql`ALTER INDEX IF EXISTS idx_sessions_uuid RENAME TO idx_paid_sessions_uuid`;
+  await sql`ALTER TABLE session_messages RENAME TO paid_messages`;
+  await sql`ALTER TABLE sessions RENAME TO paid_sessions`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_paid_sessions_paid ON paid_sessions(paid)`;
+}
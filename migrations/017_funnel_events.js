@@ -0,0 +1,119 @@
+// Tunnel de conversion : journal d'événements en ajout seul (funnel_events)
+// session_statistics n'est plus incrémentée directement : c'est un agrégat journalier
+// recalculé à partir des événements (refreshSessionStatistics).
+//
+// Les événements sont reconstitués depuis les dates des sessions existantes
+// (properties.backfilled = true). Les compteurs déjà présents dans session_statistics sont conservés :
+// ils comptent aussi les sessions déjà purgées par la conservation des données, que la reprise
+// d'historique ne peut plus retrouver. Seuls les jours sans compteur sont calculés à partir des événements.
+
+export const description = 'Table funnel_events et session_statistics recalculée à partir des événements';
+
+export async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS funnel_events (
+      id BIGSERIAL PRIMARY KEY,
+      session_uuid VARCHAR(36) NOT NULL,
+      event_type VARCHAR(30) NOT NULL,
+      occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      properties JSONB NOT NULL DEFAULT '{}'::jsonb
+    )
+  `;
+
+  await sql`CREATE INDEX IF NOT EXISTS idx_funnel_events_occurred ON funnel_events(occurred_at)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_funnel_events_session ON funnel_events(session_uuid)`;
+  await sql`CREATE INDEX IF NOT EXISTS idx_funnel_events_type_occurred ON funnel_events(event_type, occurred_at)`;
+
+  // Étapes du cycle de vie : une seule fois par session (les échecs de paiement se répètent)
+  await sql`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_funnel_events_once
+    ON funnel_events(session_uuid, event_type)
+    WHERE event_type IN ('session_started', 'first_message', 'email_collected', 'checkout_started',
+                         'payment_completed', 'analysis_delivered', 'refunded')
+  `;
+
+  await sql`
+    INSERT INTO funnel_events (session_uuid, event_type, occurred_at, properties)
+    SELECT session_uuid, 'session_started', created_at, '{"backfilled": true}'::jsonb
+    FROM sessions
+    WHERE created_at IS NOT NULL
+    ON CONFLICT DO NOTHING
+  `;
+
+  await sql`
+    INSERT INTO funnel_events (session_uuid, event_type, occurred_at, properties)
+    SELECT s.session_uuid, 'first_message', MIN(m.created_at), '{"backfilled": true}'::jsonb
+    FROM sessions s
+    JOIN session_messages m ON m.session_id = s.id
+    WHERE s.first_message_sent = TRUE
+      AND m.role = 'user'
+      AND m.content != '[INIT]'
+    GROUP BY s.session_uuid
+    ON CONFLICT DO NOTHING
+  `;
+
+  await sql`
+    INSERT INTO funnel_events (session_uuid, event_type, occurred_at, properties)
+    SELECT session_uuid, 'email_collected', email_collected_at, '{"backfilled": true}'::jsonb
+    FROM sessions
+    WHERE email_collected_at IS NOT NULL
+    ON CONFLICT DO NOTHING
+  `;
+
+  // Date exacte inconnue une fois la session payée : celle du paiement
+  await sql`
+    INSERT INTO funnel_events (session_uuid, event_type, occurred_at, properties)
+    SELECT session_uuid, 'checkout_started',
+           CASE WHEN status = 'checkout_started' THEN status_updated_at ELSE COALESCE(paid_at, status_updated_at) END,
+           jsonb_strip_nulls(jsonb_build_object('backfilled', true, 'expertise', expertise, 'amount', amount))
+    FROM sessions
+    WHERE payment_intent_id IS NOT NULL
+    ON CONFLICT DO NOTHING
+  `;
+
+  await sql`
+    INSERT INTO funnel_events (session_uuid, event_type, occurred_at, properties)
+    SELECT session_uuid, 'payment_completed', paid_at,
+           jsonb_strip_nulls(jsonb_build_object('backfilled', true, 'expertise', expertise, 'amount', amount,
+                                                'promoCode', promo_code))
+    FROM sessions
+    WHERE paid_at IS NOT NULL
+    ON CONFLICT DO NOTHING
+  `;
+
+  await sql`
+    INSERT INTO funnel_events (session_uuid, event_type, occurred_at, properties)
+    SELECT session_uuid, 'analysis_delivered', client_delivered_at,
+           jsonb_strip_nulls(jsonb_build_object('backfilled', true, 'expertise', expertise))
+    FROM sessions
+    WHERE client_delivered_at IS NOT NULL
+    ON CONFLICT DO NOTHING
+  `;
+
+  await sql`
+    INSERT INTO funnel_events (session_uuid, event_type, occurred_at, properties)
+    SELECT session_uuid, 'refunded', refunded_at,
+           jsonb_strip_nulls(jsonb_build_object('backfilled', true, 'expertise', expertise, 'amount', refunded_amount))
+    FROM sessions
+    WHERE status = 'refunded' AND refunded_at IS NOT NULL
+    ON CONFLICT DO NOTHING
+  `;
+
+  // Jours absents de l'agrégat : calculés à partir des événements reconstitués
+  await sql`
+    INSERT INTO session_statistics (stat_date, first_messages_count, emails_collected_count, payments_completed_count)
+    SELECT DATE(occurred_at),
+           COUNT(*) FILTER (WHERE event_type = 'first_message'),
+           COUNT(*) FILTER (WHERE event_type = 'email_collected'),
+           COUNT(*) FILTER (WHERE event_type = 'payment_completed')
+    FROM funnel_events
+    WHERE event_type IN ('first_message', 'email_collected', 'payment_completed')
+    GROUP BY DATE(occurred_at)
+    ON CONFLICT (stat_date) DO NOTHING
+  `;
+}
+
+export async function down(sql) {
+  // session_statistics garde ses compteurs
+  await sql`DROP TABLE IF EXISTS funnel_events`;
+}
@@ -0,0 +1,36 @@
+// Tunnel détaillé du questionnaire : une réponse validée par question (question_answered),
+// formules affichées, formule choisie et bouton de paiement ([PAIEMENT_PRET]).
+// Pas de reprise d'historique : le détail par question et le type d'appareil
+// (properties.device de session_started) commencent à cette migration.
+
+export const description = 'Événements du questionnaire dans funnel_events (question, formules, paiement prêt)';
+
+export async function up(sql) {
+  await sql`DROP INDEX IF EXISTS idx_funnel_events_once`;
+  await sql`
+    CREATE UNIQUE INDEX idx_funnel_events_once
+    ON funnel_events(session_uuid, event_type)
+    WHERE event_type IN ('session_started', 'first_message', 'email_collected', 'offer_shown', 'offer_selected',
+                         'payment_ready', 'checkout_started', 'payment_completed', 'analysis_delivered', 'refunded')
+  `;
+
+  // Une réponse comptée par question et par session (properties.question = clé de l'étape)
+  await sql`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_funnel_events_question
+    ON funnel_events(session_uuid, (properties->>'question'))
+    WHERE event_type = 'question_answered'
+  `;
+}
+
+export async function down(sql) {
+  await sql`DROP INDEX IF EXISTS idx_funnel_events_question`;
+  await sql`DELETE FROM funnel_events WHERE event_type IN ('question_answered', 'offer_shown', 'offer_selected', 'payment_ready')`;
+
+  await sql`DROP INDEX IF EXISTS idx_funnel_events_once`;
+  await sql`
+    CREATE UNIQUE INDEX idx_funnel_events_once
+    ON funnel_events(session_uuid, event_type)
+    WHERE event_type IN ('session_started', 'first_message', 'email_collected', 'checkout_started',
+                         'payment_completed', 'analysis_delivered', 'refunded')
+  `;
+}
@@ -0,0 +1,36 @@
+// Attribution des sessions : page d'arrivée, site référent et paramètres UTM
+// Renseignés uniquement avec le consentement aux cookies statistiques (public/js/cookies.js).
+// Valeurs nettoyées par lib/attribution.js : ni paramètres de requête hors UTM, ni chemin du référent.
+
+export const description = 'Colonnes d\'attribution (page d\'arrivée, référent, UTM) de la table sessions';
+
+export async function up(sql) {
+  await sql`
+    ALTER TABLE sessions
+      ADD COLUMN IF NOT EXISTS landing_url VARCHAR(500),
+      ADD COLUMN IF NOT EXISTS referrer_host VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS utm_source VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS utm_medium VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS utm_campaign VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS utm_term VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS utm_content VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS attributed_at TIMESTAMP
+  `;
+
+  await sql`CREATE INDEX IF NOT EXISTS idx_sessions_utm ON sessions(utm_source, utm_medium, utm_campaign)`;
+}
+
+export async function down(sql) {
+  await sql`DROP INDEX IF EXISTS idx_sessions_utm`;
+  await sql`
+    ALTER TABLE sessions
+      DROP COLUMN IF EXISTS landing_url,
+      DROP COLUMN IF EXISTS referrer_host,
+      DROP COLUMN IF EXISTS utm_source,
+      DROP COLUMN IF EXISTS utm_medium,
+      DROP COLUMN IF EXISTS utm_campaign,
+      DROP COLUMN IF EXISTS utm_term,
+      DROP COLUMN IF EXISTS utm_content,
+      DROP COLUMN IF EXISTS attributed_at
+  `;
+}
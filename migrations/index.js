@@ -0,0 +1,48 @@
+// Liste des migrations du schéma, dans l'ordre d'application
+// Une migration = un fichier NNN_nom.js exportant description, up(sql) et down(sql).
+// Les imports sont statiques pour que Vercel inclue les fichiers dans /api/migrations ;
+// `npm run migrate status` signale un fichier présent dans ce dossier mais absent de la liste.
+//
+// Une migration déjà appliquée en production ne doit plus être modifiée : en ajouter une nouvelle.
+
+import * as usersAndCache from './001_users_and_cache.js';
+import * as conversations from './002_conversations.js';
+import * as paidSessions from './003_paid_sessions.js';
+import * as unpaidSessions from './004_unpaid_sessions.js';
+import * as firstMessageTracking from './005_first_message_tracking.js';
+import * as sessionStatistics from './006_session_statistics.js';
+import * as stripeEventsAndRefunds from './007_stripe_events_and_refunds.js';
+import * as offersAndPromoCodes from './008_offers_and_promo_codes.js';
+import * as invoices from './009_invoices.js';
+import * as lawyers from './010_lawyers.js';
+import * as userSessionsAndTokens from './011_user_sessions_and_tokens.js';
+import * as adminUsers from './012_admin_users.js';
+import * as adminAuditLog from './013_admin_audit_log.js';
+import * as retention from './014_retention.js';
+import * as siteConfig from './015_site_config.js';
+import * as unifiedSessions from './016_unified_sessions.js';
+import * as funnelEvents from './017_funnel_events.js';
+import * as questionnaireFunnelEvents from './018_questionnaire_funnel_events.js';
+import * as sessionAttribution from './019_session_attribution.js';
+
+export const MIGRATIONS = [
+  { version: 1, name: 'users_and_cache', ...usersAndCache },
+  { version: 2, name: 'conversations', ...conversations },
+  { version: 3, name: 'paid_sessions', ...paidSessions },
+  { version: 4, name: 'unpaid_sessions', ...unpaidSessions },
+  { version: 5, name: 'first_message_tracking', ...firstMessageTracking },
+  { version: 6, name: 'session_statistics', ...sessionStatistics },
+  { version: 7, name: 'stripe_events_and_refunds', ...stripeEventsAndRefunds },
+  { version: 8, name: 'offers_and_promo_codes', ...offersAndPromoCodes },
+  { version: 9, name: 'invoices', ...invoices },
+  { version: 10, name: 'lawyers', ...lawyers },
+  { version: 11, name: 'user_sessions_and_tokens', ...userSessionsAndTokens },
+  { version: 12, name: 'admin_users', ...adminUsers },
+  { version: 13, name: 'admin_audit_log', ...adminAuditLog },
+  { version: 14, name: 'retention', ...retention },
+  { version: 15, name: 'site_config', ...siteConfig },
+  { version: 16, name: 'unified_sessions', ...unifiedSessions },
+  { version: 17, name: 'funnel_events', ...funnelEvents },
+  { version: 18, name: 'questionnaire_funnel_events', ...questionnaireFunnelEvents },
+  { version: 19, name: 'session_attribution', ...sessionAttribution }
+];
@@ -199,6 +199,21 @@ function saveCustomPreferences() {
 function saveCookieConsent(preferences) {
   localStorage.setItem('cookieConsent', JSON.stringify(preferences));
   localStorage.setItem('cookieConsentDate', new Date().toISOString());
+
+  // Prévenir la page (ex : attribution de la session du questionnaire)
+  document.dispatchEvent(new CustomEvent('cookieconsentchange', { detail: preferences }));
+}
+
+// Consentement aux cookies statistiques (mesure d'audience, attribution des campagnes)
+function hasStatisticsConsent() {
+  const consent = localStorage.getItem('cookieConsent');
+  if (!consent) return false;
+
+  try {
+    return JSON.parse(consent).statistics === true;
+  } catch (error) {
+    return false;
+  }
 }
 
 // Masquer le bandeau
@@ -0,0 +1,140 @@
+// Appliquer ou annuler les migrations du schéma (dossier migrations/)
+//
+// Usage (POSTGRES_URL de la base visée, ex. `vercel env pull .env.local` puis export) :
+//   npm run migrate                       appliquer toutes les migrations en attente
+//   npm run migrate -- status             lister les migrations appliquées et en attente
+//   npm run migrate -- up [--to <n>]      appliquer jusqu'à la version n
+//   npm run migrate -- down [--steps <n>] --yes
+//                                         annuler les n dernières migrations (1 par défaut)
+//
+// Une base existante (créée par l'ancien /api/setup-db) adopte les migrations avec `up` :
+// les migrations initiales sont idempotentes.
+
+import { readdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  getMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  closeMigrationConnection
+} from '../lib/migrations.js';
+
+const MIGRATIONS_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+
+/**
+ * Lire la commande et les options --nom valeur de la ligne de commande
+ * @param {Array<string>} args - Arguments
+ * @returns {Object} { command, options }
+ */
+function parseArgs(args) {
+  const options = {};
+  let command = null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--yes') {
+      options.yes = true;
+    } else if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[i + 1];
+      i++;
+    } else if (!command) {
+      command = args[i];
+    }
+  }
+
+  return { command: command || 'up', options };
+}
+
+/**
+ * Fichiers du dossier migrations/ absents de migrations/index.js
+ * @returns {Array<string>} Noms de fichiers
+ */
+function findUnregisteredFiles() {
+  const registered = new Set(getMigrations().map(m => `${String(m.version).padStart(3, '0')}_${m.name}.js`));
+
+  return readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d{3}_.+\.js$/.test(file) && !registered.has(file));
+}
+
+/**
+ * Lire un entier positif passé en option
+ * @returns {number|undefined}
+ */
+function parsePositiveInt(value, option) {
+  if (value === undefined) return undefined;
+
+  const number = parseInt(value);
+  if (!Number.isInteger(number) || number < 1) {
+    console.error(`--${option} doit être un entier positif`);
+    process.exit(1);
+  }
+  return number;
+}
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+
+  if (!['status', 'up', 'down'].includes(command)) {
+    console.error('Commande inconnue (status, up ou down)');
+    process.exit(1);
+  }
+
+  if (!process.env.POSTGRES_URL) {
+    console.error('POSTGRES_URL doit être défini (base de données visée)');
+    process.exit(1);
+  }
+
+  const unregistered = findUnregisteredFiles();
+  if (unregistered.length > 0) {
+    console.error(`Fichiers absents de migrations/index.js : ${unregistered.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (command === 'status') {
+    const status = await getMigrationStatus();
+
+    console.log(`Version actuelle : ${status.current} / ${status.latest}`);
+    status.applied.forEach(m => {
+      console.log(`  [x] ${m.version} ${m.name} (${new Date(m.appliedAt).toISOString()})`);
+    });
+    status.pending.forEach(m => {
+      console.log(`  [ ] ${m.version} ${m.name} - ${m.description}`);
+    });
+    status.unknown.forEach(m => {
+      console.log(`  [?] ${m.version} ${m.name} : appliquée mais absente de ce code`);
+    });
+    return;
+  }
+
+  if (command === 'up') {
+    const applied = await migrateUp({ to: parsePositiveInt(options.to, 'to') });
+
+    if (applied.length === 0) {
+      console.log('Aucune migration en attente');
+    }
+    applied.forEach(m => console.log(`Appliquée : ${m.version} ${m.name}`));
+    return;
+  }
+
+  // down : supprime des tables et leurs données, confirmation explicite
+  if (!options.yes) {
+    console.error('down supprime des tables et leurs données : relancer avec --yes pour confirmer');
+    process.exit(1);
+  }
+
+  const reverted = await migrateDown({ steps: parsePositiveInt(options.steps, 'steps') ?? 1 });
+
+  if (reverted.length === 0) {
+    console.log('Aucune migration à annuler');
+  }
+  reverted.forEach(m => console.log(`Annulée : ${m.version} ${m.name}`));
+}
+
+main()
+  .then(() => closeMigrationConnection())
+  .catch(async error => {
+    console.error('Erreur de migration :', error.message);
+    await closeMigrationConnection();
+    process.exit(1);
+  });
@@ -0,0 +1,86 @@
+// Envoyer un événement Stripe de test, signé localement, à /api/stripe-webhook
+//
+// Usage :
+//   STRIPE_WEBHOOK_SECRET=whsec_xxx node scripts/send-stripe-webhook.js <type> \
+//     --session <uuid> --payment-intent <pi_...> [--event-id <evt_...>] [--url <url>]
+//
+// Types disponibles (fixtures dans scripts/fixtures/stripe/) :
+//   payment_intent.succeeded, payment_intent.payment_failed,
+//   charge.refunded, charge.dispute.created
+//
+// Réutiliser le même --event-id permet de vérifier l'idempotence du webhook.
+
+import { readFileSync, readdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import Stripe from 'stripe';
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'stripe');
+const DEFAULT_URL = 'http://localhost:3000/api/stripe-webhook';
+
+/**
+ * Lire les options --nom valeur de la ligne de commande
+ * @param {Array<string>} args - Arguments
+ * @returns {Object} { type, options }
+ */
+function parseArgs(args) {
+  const options = {};
+  let type = null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[i + 1];
+      i++;
+    } else if (!type) {
+      type = args[i];
+    }
+  }
+
+  return { type, options };
+}
+
+async function main() {
+  const { type, options } = parseArgs(process.argv.slice(2));
+  const availableTypes = readdirSync(FIXTURES_DIR).map(file => file.replace(/\.json$/, ''));
+
+  if (!type || !availableTypes.includes(type)) {
+    console.error(`Type d'événement requis : ${availableTypes.join(', ')}`);
+    process.exit(1);
+  }
+
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('STRIPE_WEBHOOK_SECRET doit être défini (même valeur que le serveur)');
+    process.exit(1);
+  }
+
+  const payload = readFileSync(join(FIXTURES_DIR, `${type}.json`), 'utf8')
+    .replaceAll('{{EVENT_ID}}', options['event-id'] || `evt_test_${crypto.randomBytes(8).toString('hex')}`)
+    .replaceAll('{{SESSION_ID}}', options.session || '00000000-0000-0000-0000-000000000000')
+    .replaceAll('{{PAYMENT_INTENT_ID}}', options['payment-intent'] || 'pi_test_fixture');
+
+  // Signature identique à celle de Stripe (en-tête Stripe-Signature)
+  const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || 'sk_test_fixture');
+  const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+  const url = options.url || DEFAULT_URL;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Stripe-Signature': signature
+    },
+    body: payload
+  });
+
+  console.log(`${type} -> ${url} : HTTP ${response.status}`);
+  console.log(await response.text());
+
+  process.exit(response.ok ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('Erreur envoi webhook:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,82 @@
+// Tunnel complet hors ligne avec le fournisseur LLM fake : questions, offres, commentaires, paiement
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fake, { nextReply } from '../lib/llm/fake.js';
+import {
+  createQuestionnaireState,
+  applyUserMessage,
+  QUESTIONNAIRE_STEPS,
+  PHASE_OFFRE,
+  PHASE_PAIEMENT
+} from '../lib/questionnaire.js';
+import { isOfferMentioned } from '../lib/offers.js';
+
+const OFFERS = [
+  { code: 'essentielle', name: 'Analyse Essentielle', shortName: 'Essentielle', price: 4900 },
+  { code: 'premium', name: 'Analyse Premium', shortName: 'Premium', price: 14900 }
+];
+
+const ANSWERS = [
+  'Oui, deux enfants de 4 et 7 ans',
+  'Plutôt amiable',
+  'Assez urgent, dans les trois mois',
+  'Environ 2000 euros',
+  'Comprendre les étapes et les coûts',
+  'Fatiguée mais déterminée',
+  'claire.martin@example.fr'
+];
+
+/**
+ * Envoyer un message comme /api/chat : transition du questionnaire puis réponse du fake
+ */
+function send(conversation, message) {
+  const transition = applyUserMessage(conversation.state, message, {
+    offerCodes: OFFERS.map(offer => offer.code)
+  });
+  conversation.state = transition.state;
+  conversation.userMessages.push(message);
+
+  return { transition, reply: nextReply(conversation.userMessages, OFFERS) };
+}
+
+test('fake : fournisseur local toujours configuré', async () => {
+  assert.equal(fake.isConfigured(), true);
+  assert.match(await fake.createConversation(), /^fake_/);
+});
+
+test('fake : déroule le tunnel complet jusqu\'au bouton de paiement', () => {
+  const conversation = { state: createQuestionnaireState(), userMessages: [] };
+
+  const init = send(conversation, '[INIT]');
+  assert.equal(init.transition.accepted, false);
+  assert.match(init.reply, /enfants/);
+
+  ANSWERS.forEach((answer, index) => {
+    const { transition, reply } = send(conversation, answer);
+
+    assert.equal(transition.accepted, true, `réponse ${index + 1} refusée`);
+    assert.equal(transition.state.answers[QUESTIONNAIRE_STEPS[index].key], answer);
+
+    if (index < ANSWERS.length - 1) {
+      assert.equal(transition.state.step, QUESTIONNAIRE_STEPS[index + 1].key);
+    } else {
+      // Après l'email : les formules du catalogue sont proposées
+      assert.equal(transition.state.step, PHASE_OFFRE);
+      OFFERS.forEach(offer => assert.ok(isOfferMentioned(reply, offer), `${offer.name} absente`));
+    }
+  });
+
+  const choice = send(conversation, '[CHOIX_OFFRE:premium]');
+  assert.equal(choice.transition.state.expertise, 'premium');
+  assert.doesNotMatch(choice.reply, /\[PAIEMENT_PRET\]/);
+
+  const comments = send(conversation, 'Nous sommes d\'accord sur la garde alternée.');
+  assert.equal(comments.transition.state.step, PHASE_PAIEMENT);
+  assert.match(comments.reply, /\[PAIEMENT_PRET\]/);
+});
+
+test('fake : réponses identiques pour une même conversation', () => {
+  const messages = ['[INIT]', ANSWERS[0], ANSWERS[1]];
+  assert.equal(nextReply(messages, OFFERS), nextReply(messages, OFFERS));
+});
@@ -0,0 +1,35 @@
+// Sélection des fournisseurs LLM (hors ligne : aucun appel réseau ni base de données)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLLMProvider, getLLMProviderForConversation, DEFAULT_PROVIDER } from '../lib/llm/index.js';
+
+test('getLLMProvider : fournisseur demandé, sinon celui par défaut', () => {
+  assert.equal(getLLMProvider('fake').name, 'fake');
+  assert.equal(getLLMProvider('openai-chat').name, 'openai-chat');
+  assert.equal(getLLMProvider('').name, DEFAULT_PROVIDER);
+});
+
+test('getLLMProvider : fournisseur inconnu refusé', () => {
+  assert.throws(() => getLLMProvider('inconnu'), /Fournisseur LLM inconnu/);
+});
+
+test('getLLMProviderForConversation : fournisseur déduit de l\'ID, indépendant de LLM_PROVIDER', async () => {
+  const previous = process.env.LLM_PROVIDER;
+  process.env.LLM_PROVIDER = 'openai-chat';
+
+  try {
+    const conversationId = await getLLMProvider('fake').createConversation();
+
+    assert.match(conversationId, /^fake_/);
+    assert.equal(getLLMProviderForConversation(conversationId).name, 'fake');
+    assert.equal(getLLMProviderForConversation('chat_123').name, 'openai-chat');
+    assert.equal(getLLMProviderForConversation('thread_abc').name, DEFAULT_PROVIDER);
+  } finally {
+    if (previous === undefined) {
+      delete process.env.LLM_PROVIDER;
+    } else {
+      process.env.LLM_PROVIDER = previous;
+    }
+  }
+});
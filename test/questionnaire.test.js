@@ -0,0 +1,78 @@
+// Machine à états du questionnaire : validation des réponses et du choix de formule
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createQuestionnaireState,
+  applyUserMessage,
+  replayQuestionnaire,
+  ERROR_INVALID_ANSWER,
+  ERROR_INVALID_EMAIL,
+  ERROR_UNKNOWN_OFFER,
+  PHASE_OFFRE,
+  PHASE_COMMENTAIRES
+} from '../lib/questionnaire.js';
+
+const OFFER_CODES = ['essentielle', 'premium'];
+
+const ANSWERS = [
+  'Non, pas d\'enfants',
+  'Je ne sais pas encore',
+  'Pas pressé',
+  'Je ne sais pas, le moins cher possible',
+  'Être accompagné',
+  'Soulagé',
+  'jean.dupont@example.fr'
+];
+
+/**
+ * État après les 7 réponses (formules proposées)
+ */
+function answeredState() {
+  return replayQuestionnaire(ANSWERS.map(content => ({ role: 'user', content })));
+}
+
+test('questionnaire : une question de l\'utilisateur ne fait pas avancer le tunnel', () => {
+  const state = createQuestionnaireState();
+  const transition = applyUserMessage(state, 'Pourquoi me demandez-vous cela ?');
+
+  assert.equal(transition.accepted, false);
+  assert.equal(transition.error, ERROR_INVALID_ANSWER);
+  assert.equal(transition.state.step, 'enfants');
+});
+
+test('questionnaire : une réponse hors sujet est refusée selon l\'étape', () => {
+  const afterChildren = applyUserMessage(createQuestionnaireState(), 'Oui, une fille de 3 ans').state;
+  assert.equal(afterChildren.step, 'typeDivorce');
+
+  const offTopic = applyUserMessage(afterChildren, 'Bonjour');
+  assert.equal(offTopic.accepted, false);
+  assert.equal(offTopic.error, ERROR_INVALID_ANSWER);
+
+  const valid = applyUserMessage(afterChildren, 'Contentieux');
+  assert.equal(valid.accepted, true);
+  assert.equal(valid.state.answers.typeDivorce, 'Contentieux');
+});
+
+test('questionnaire : l\'email reste vérifié à sa propre étape', () => {
+  const state = replayQuestionnaire(ANSWERS.slice(0, 6).map(content => ({ role: 'user', content })));
+  assert.equal(state.step, 'email');
+
+  const transition = applyUserMessage(state, 'je préfère ne pas le donner');
+  assert.equal(transition.error, ERROR_INVALID_EMAIL);
+});
+
+test('questionnaire : seules les formules du catalogue peuvent être choisies', () => {
+  const state = answeredState();
+  assert.equal(state.step, PHASE_OFFRE);
+
+  const unknown = applyUserMessage(state, '[CHOIX_OFFRE:platine]', { offerCodes: OFFER_CODES });
+  assert.equal(unknown.accepted, false);
+  assert.equal(unknown.error, ERROR_UNKNOWN_OFFER);
+  assert.equal(unknown.state.expertise, null);
+
+  const known = applyUserMessage(state, '[CHOIX_OFFRE:Premium]', { offerCodes: OFFER_CODES });
+  assert.equal(known.accepted, true);
+  assert.equal(known.state.step, PHASE_COMMENTAIRES);
+  assert.equal(known.state.expertise, 'premium');
+});